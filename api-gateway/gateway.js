@@ -1,10 +1,18 @@
 const express = require('express');
 const cors = require('cors');
 const routes = require('./routes/index');
+const adminRoutes = require('./routes/admin');
+const compositeRoutes = require('./routes/composite');
+const docsRoutes = require('./routes/docs');
+const proxyRoutes = require('./routes/proxy');
 const dotenv = require('dotenv');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const logger = require('./middleware/logger');
+const { tracing } = require('./middleware/tracing');
+const healthcheck = require('./utils/healthcheck');
+const lease = require('./utils/lease');
+const registry = require('./utils/registry');
 
 dotenv.config();
 const app = express();
@@ -19,17 +27,33 @@ const errorHandler = (err, req, res, next) => {
 // Security Middleware
 app.use(cors());
 app.use(helmet());
-app.use(morgan('combined'));
+// Assign or honor X-Request-Id and start the trace span before anything is logged
+app.use(tracing('api-gateway'));
+morgan.token('request-id', (req) => req.requestId);
+app.use(morgan(':remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent" request_id=:request-id'));
 
-// app.use(bodyParser.json());
-app.use(express.json());
+// Bodies are parsed by the gateway's own routes only, proxied request bodies are streamed to services
+// Registry administration, compositions and docs are mounted before the proxy routes so they are not forwarded as an api name
+app.use('/admin/registry', adminRoutes);
+app.use('/composite', compositeRoutes);
+app.use('/docs', docsRoutes);
 app.use('/', routes);
+app.use('/', proxyRoutes);
 
 // Global Error Handler
 app.use(errorHandler);
 
-// Start API Gateway
-app.listen(PORT, () => {
-    logger.info(`API Gateway running on port ${PORT}`);
-    console.log(`API Gateway running on port ${PORT}`);
+// Start API Gateway once the registry is loaded from storage
+registry.load().then(() => {
+    app.listen(PORT, () => {
+        logger.info(`API Gateway running on port ${PORT}`);
+        // Periodically probe registered instances
+        healthcheck.start(registry);
+        // Unregister instances that stopped sending heartbeats
+        lease.start(registry);
+        console.log(`API Gateway running on port ${PORT}`);
+    });
+}).catch((error) => {
+    logger.error(`Could not load registry: ${error.message}`);
+    process.exit(1);
 });
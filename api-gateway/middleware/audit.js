@@ -0,0 +1,8 @@
+const logger = require('./logger');
+
+// Write an audit log line for a registry change made by an authenticated actor
+function audit(req, action) {
+    logger.info(`[AUDIT] ${req.actor || 'unknown actor'} from ${req.ip}: ${action}`);
+}
+
+module.exports = audit;
\ No newline at end of file
@@ -0,0 +1,126 @@
+const jwt = require('jsonwebtoken');
+const logger = require('./logger');
+const access = require('../utils/access');
+const revocation = require('../utils/revocation');
+const jwks = require('../utils/jwks');
+require('dotenv').config();
+
+const REGISTRATION_SECRET = process.env.REGISTRATION_SECRET;
+
+// Verify the JWT of a request against the public keys published by user-management
+// Resolves the token payload, or null if missing or invalid, rejects when the keys cannot be loaded
+function verifyToken(req) {
+    const token = (req.header('Authorization') || '').replace('Bearer ', '');
+    const decoded = token ? jwt.decode(token, { complete: true }) : null;
+    if (!decoded || !decoded.header.kid) {
+        return Promise.resolve(null);
+    }
+    return jwks.publicKey(decoded.header.kid, req).then((key) => {
+        if (!key) {
+            return null;
+        }
+        try {
+            return jwt.verify(token, key, { algorithms: jwks.ALGORITHMS });
+        } catch (err) {
+            return null;
+        }
+    });
+}
+
+// Verify an admin JWT signed by user-management that was not revoked
+// Resolves the token payload, or null if missing, invalid, revoked or not an admin, rejects when it cannot be verified
+function verifyAdminToken(req) {
+    return verifyToken(req).then((user) => {
+        if (!user || user.role !== 'admin') {
+            return null;
+        }
+        return revocation.isRevoked(req).then((revoked) => {
+            if (revoked) {
+                logger.error(`Access denied to ${req.method} ${req.originalUrl}. Token of admin user ${user.id} has been revoked.`);
+                return null;
+            }
+            return user;
+        });
+    });
+}
+
+// Check the registration shared secret sent by services
+function hasRegistrationSecret(req) {
+    return Boolean(REGISTRATION_SECRET) && req.header('X-Registration-Secret') === REGISTRATION_SECRET;
+}
+
+// Authenticate admin users only
+function authenticateAdmin(req, res, next) {
+    verifyAdminToken(req).then((user) => {
+        if (!user) {
+            logger.error(`Access denied to ${req.method} ${req.originalUrl}. Admin token required.`);
+            return res.status(401).json({ error: 'Access denied. Admin token required.' });
+        }
+        req.user = user;
+        req.actor = `admin user ${user.id}`;
+        next();
+    }, (error) => {
+        logger.error(`Could not verify token for ${req.method} ${req.originalUrl}: ${error.message}`);
+        res.status(503).json({ error: 'Could not verify token. Please try again later.' });
+    });
+}
+
+// Authenticate admin users or services presenting the registration shared secret
+function authenticateAdminOrService(req, res, next) {
+    const authenticate = (user) => {
+        if (user) {
+            req.user = user;
+            req.actor = `admin user ${user.id}`;
+            return next();
+        }
+        if (hasRegistrationSecret(req)) {
+            req.actor = `service '${req.body.apiName}'`;
+            return next();
+        }
+        logger.error(`Access denied to ${req.method} ${req.originalUrl}. Admin token or registration secret required.`);
+        return res.status(401).json({ error: 'Access denied. Admin token or registration secret required.' });
+    };
+    // Services still register with the shared secret while the keys verifying admin tokens cannot be loaded
+    verifyAdminToken(req).then(authenticate, () => authenticate(null));
+}
+
+// Authenticate any user with a valid JWT that was not revoked
+function authenticateUser(req, res, next) {
+    const token = req.header('Authorization');
+    if (!token) {
+        logger.error(`Access denied to ${req.method} ${req.originalUrl}. No token provided.`);
+        return res.status(401).json({ error: 'Access denied. No token provided.' });
+    }
+
+    verifyToken(req).then((user) => {
+        if (!user) {
+            logger.error(`Access denied to ${req.method} ${req.originalUrl}. Invalid or expired token.`);
+            return res.status(403).json({ error: 'Invalid or expired token.' });
+        }
+        revocation.isRevoked(req).then((revoked) => {
+            if (revoked) {
+                logger.error(`Access denied to ${req.method} ${req.originalUrl}. Token of ${user.clientId ? `service client ${user.clientId}` : `user ${user.id}`} has been revoked.`);
+                return res.status(403).json({ error: 'Token has been revoked.' });
+            }
+            req.user = user;
+            next();
+        }, (error) => {
+            logger.error(`Could not verify token for ${req.method} ${req.originalUrl}: ${error.message}`);
+            res.status(503).json({ error: 'Could not verify token. Please try again later.' });
+        });
+    }, (error) => {
+        logger.error(`Could not verify token for ${req.method} ${req.originalUrl}: ${error.message}`);
+        res.status(503).json({ error: 'Could not verify token. Please try again later.' });
+    });
+}
+
+// Verify the JWT of a proxied request once at the gateway, services without an "auth" configuration verify tokens themselves
+function authenticateRoute(req, res, next) {
+    const routeAccess = access.resolve(req.service, req.method, req.servicePath);
+    if (!routeAccess || routeAccess === access.PUBLIC) {
+        return next();
+    }
+    authenticateUser(req, res, next);
+}
+
+module.exports = { verifyToken, authenticateAdmin, authenticateAdminOrService, authenticateUser, authenticateRoute };
\ No newline at end of file
@@ -0,0 +1,52 @@
+const rateLimit = require('express-rate-limit');
+const logger = require('./logger');
+const { verifyToken } = require('./auth');
+const ratelimit = require('../utils/ratelimit');
+const metrics = require('../utils/metrics');
+const { createRateLimitStore } = require('../storage/ratelimit');
+
+// Name a request is limited and reported under, the service of proxied requests or the gateway route such as "composite"
+function limitedName(req) {
+    return req.params.apiName || req.baseUrl.replace(/^\//, '');
+}
+
+// Limit requests per user and role, or per IP for callers without a verified token
+function createRateLimiter(store = createRateLimitStore()) {
+    const limiter = rateLimit({
+        windowMs: ratelimit.WINDOW,
+        store,
+        limit: (req) => ratelimit.limitFor(req.rateLimitCaller.route, req.rateLimitCaller.role),
+        keyGenerator: (req) => req.rateLimitCaller.key,
+        // RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers
+        standardHeaders: 'draft-6',
+        legacyHeaders: false,
+        handler: (req, res, next, options) => {
+            const name = limitedName(req);
+            const { role, key } = req.rateLimitCaller;
+            logger.warn(`Rate limit exceeded for ${key} on service '${name}'`);
+            metrics.recordRateLimitRejection(name, role);
+            res.status(options.statusCode).json({ message: 'Too many requests, please try again later.' });
+        }
+    });
+
+    return (req, res, next) => {
+        // Tokens of services without gateway authentication are verified here only to find the caller,
+        // callers whose token cannot be verified are limited by IP
+        const caller = req.user ? Promise.resolve(req.user) : verifyToken(req).catch(() => null);
+        caller.then((user) => {
+            // Route overrides are configured per service, gateway routes only count against the role budget
+            const route = req.service ? ratelimit.findRoute(req.service, req.method, req.servicePath) : null;
+            req.rateLimitCaller = {
+                role: ratelimit.roleOf(user),
+                route,
+                key: ratelimit.keyFor(limitedName(req), route, user, req.ip)
+            };
+            limiter(req, res, next);
+        });
+    };
+}
+
+// Rate limits per user and role shared by the proxy and the composite routes, a caller has one budget for both
+const rateLimiter = createRateLimiter();
+
+module.exports = { createRateLimiter, rateLimiter };
\ No newline at end of file
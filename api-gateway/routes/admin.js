@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const registry = require('../utils/registry');
+const logger = require('../middleware/logger');
+const audit = require('../middleware/audit');
+const { authenticateAdmin } = require('../middleware/auth');
+const loadbalancer = require('../utils/loadbalancer');
+const healthcheck = require('../utils/healthcheck');
+const circuitbreaker = require('../utils/circuitbreaker');
+const policy = require('../utils/policy');
+const lease = require('../utils/lease');
+const cache = require('../utils/cache');
+const { validateAuthConfig } = require('../utils/validators');
+
+// Every registry administration route requires an admin token
+router.use(express.json());
+router.use(authenticateAdmin);
+
+// List all services with their instances
+router.get('/', (req, res) => {
+    const services = Object.keys(registry.services).map(apiName => describeService(apiName));
+    res.json({ total: services.length, services });
+});
+
+// Get a single service
+router.get('/:apiName', findService, (req, res) => {
+    res.json({ service: describeService(req.params.apiName) });
+});
+
+// Inspect a single instance
+router.get('/:apiName/instances/:instanceId', findService, findInstance, (req, res) => {
+    res.json({ instance: describeInstance(req.instance) });
+});
+
+// Change weight, enable/disable or drain an instance
+router.patch('/:apiName/instances/:instanceId', findService, findInstance, (req, res) => {
+    const { apiName, instanceId } = req.params;
+    const { weight, enabled, draining } = req.body;
+    const changes = {};
+
+    if (weight !== undefined) {
+        if (!Number.isInteger(Number(weight)) || Number(weight) < 1) {
+            return res.status(400).json({ error: 'Weight must be a positive integer' });
+        }
+        changes.weight = Number(weight);
+    }
+    if (enabled !== undefined) {
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({ error: 'Enabled must be a boolean' });
+        }
+        changes.enabled = enabled;
+    }
+    if (draining !== undefined) {
+        if (typeof draining !== 'boolean') {
+            return res.status(400).json({ error: 'Draining must be a boolean' });
+        }
+        changes.draining = draining;
+    }
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: 'At least one of weight, enabled or draining is required' });
+    }
+
+    Object.assign(req.instance, changes);
+    const change = Object.entries(changes).map(([key, value]) => `${key}=${value}`).join(', ');
+    saveRegistry(req, res, `set ${change} for instance '${instanceId}' of service '${apiName}'`);
+});
+
+// Stop sending new requests to an instance while in-flight requests finish
+router.post('/:apiName/instances/:instanceId/drain', findService, findInstance, (req, res) => {
+    const { apiName, instanceId } = req.params;
+    req.instance.draining = true;
+    saveRegistry(req, res, `started draining instance '${instanceId}' of service '${apiName}'`);
+});
+
+// Replace public/protected route configuration of a service, null turns gateway authentication off for it
+router.put('/:apiName/auth', findService, (req, res) => {
+    const apiName = req.params.apiName;
+    const auth = req.body.auth;
+
+    if (auth === null) {
+        delete req.service.auth;
+    } else {
+        const error = validateAuthConfig(auth);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        req.service.auth = {
+            default: auth.default || 'protected',
+            routes: (auth.routes || []).map(route => ({ method: (route.method || '*').toUpperCase(), path: route.path, access: route.access }))
+        };
+    }
+
+    registry.save().then(() => {
+        audit(req, auth === null ? `turned off gateway authentication of service '${apiName}'` : `updated auth configuration of service '${apiName}'`);
+        res.json({ message: 'Registry updated successfully', service: describeService(apiName) });
+    }).catch((error) => {
+        logger.error(`Could not update registry\n${error}`);
+        res.status(500).json({ error: `Could not update registry\n${error}` });
+    });
+});
+
+// Purge cached responses of a service, only the ones related to a path when ?path= is given
+router.delete('/:apiName/cache', findService, (req, res) => {
+    const apiName = req.params.apiName;
+    const path = req.query.path;
+    if (path !== undefined && (typeof path !== 'string' || !path.startsWith('/'))) {
+        return res.status(400).json({ error: 'Path must start with /' });
+    }
+
+    const purged = cache.purge(apiName, path);
+    audit(req, `purged ${purged} cached responses of service '${apiName}'${path ? ` for path '${path}'` : ''}`);
+    res.json({ message: 'Cache purged successfully', purged });
+});
+
+// Find service of the request or respond with 404
+function findService(req, res, next) {
+    req.service = registry.services[req.params.apiName];
+    if (!req.service) {
+        return res.status(404).json({ error: `Could not find service '${req.params.apiName}'` });
+    }
+    next();
+}
+
+// Find instance of the request by its 'host:port' id or respond with 404
+function findInstance(req, res, next) {
+    req.instance = req.service.instances.find(instance => `${instance.host}:${instance.port}` === req.params.instanceId);
+    if (!req.instance) {
+        return res.status(404).json({ error: `Could not find instance '${req.params.instanceId}' for service '${req.params.apiName}'` });
+    }
+    next();
+}
+
+// Service details with effective policy
+function describeService(apiName) {
+    const service = registry.services[apiName];
+    return {
+        apiName,
+        loadBalanceStrategy: service.loadBalanceStrategy,
+        policy: policy.get(service),
+        auth: service.auth || null,
+        cache: service.cache ? { ...service.cache, entries: cache.size(apiName) } : null,
+        instances: service.instances.map(describeInstance)
+    };
+}
+
+// Instance details with its runtime state
+function describeInstance(instance) {
+    return {
+        id: `${instance.host}:${instance.port}`,
+        ...instance,
+        weight: loadbalancer.getWeight(instance),
+        draining: Boolean(instance.draining),
+        available: Boolean(loadbalancer.isAvailable(instance)),
+        connections: loadbalancer.getConnections(instance.url),
+        health: healthcheck.getState(instance.url),
+        circuit: circuitbreaker.getState(instance.url),
+        leaseExpiresAt: new Date(lease.getExpiry(instance.url)).toISOString()
+    };
+}
+
+// Update local record of the current service registrations and respond with the changed instance
+function saveRegistry(req, res, action) {
+    registry.save().then(() => {
+        audit(req, action);
+        res.json({ message: 'Registry updated successfully', instance: describeInstance(req.instance) });
+    }).catch((error) => {
+        logger.error(`Could not update registry\n${error}`);
+        res.status(500).json({ error: `Could not update registry\n${error}` });
+    });
+}
+
+module.exports = router;
\ No newline at end of file
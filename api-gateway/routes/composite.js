@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../middleware/logger');
+const upstream = require('../utils/upstream');
+const { authenticateUser } = require('../middleware/auth');
+const { rateLimiter } = require('../middleware/ratelimit');
+require('dotenv').config();
+
+// Services the customer composition reads from
+const CUSTOMER_SERVICE = process.env.COMPOSITE_CUSTOMER_SERVICE || 'customermanagement';
+const SALES_SERVICE = process.env.COMPOSITE_SALES_SERVICE || 'salestracking';
+// Most notes requests of sales in flight at once, so customers with many sales do not flood the sales service
+const COMPOSITE_CONCURRENCY = Number(process.env.COMPOSITE_CONCURRENCY) || 5;
+
+// Customer with its notes, sales, notes of each sale and sales totals, parts of unavailable services are left out
+// Counted against the rate limit of the caller like proxied requests
+router.get('/customers/:id', authenticateUser, rateLimiter, async (req, res) => {
+    const { id } = req.params;
+    const errors = [];
+    // Record a failed part of the response, the parts that could be read are still returned
+    const missing = (apiName, resource) => (error) => {
+        errors.push(describeError(apiName, resource, error));
+        return null;
+    };
+
+    // Notes and sales are read while the customer is, they are dropped if the customer cannot be returned
+    const customerRequest = upstream.get(CUSTOMER_SERVICE, `/customers/${encodeURIComponent(id)}`, req)
+        .then(data => ({ customer: data.customer }), error => ({ error }));
+    const notesRequest = upstream.getAllPages(CUSTOMER_SERVICE, `/customers/${encodeURIComponent(id)}/notes`, req).catch(missing(CUSTOMER_SERVICE, 'notes'));
+    const salesRequest = upstream.getAllPages(SALES_SERVICE, '/sales', req, { customer_id: id }).catch(missing(SALES_SERVICE, 'sales'));
+
+    const { customer: found, error } = await customerRequest;
+    // Client errors such as an unknown customer or a forbidden role are not a partial result
+    if (error && error.response && error.response.status < 500) {
+        return res.status(error.response.status).json(error.response.data);
+    }
+    const customer = error ? missing(CUSTOMER_SERVICE, 'customer')(error) : found;
+    const [notes, sales] = await Promise.all([notesRequest, salesRequest]);
+
+    const salesWithNotes = sales && await mapWithConcurrency(sales, COMPOSITE_CONCURRENCY, (sale) => {
+        return upstream.getAllPages(SALES_SERVICE, `/sales/${sale.id}/notes`, req)
+            .catch(missing(SALES_SERVICE, `notes of sale ${sale.id}`))
+            .then(saleNotes => ({ ...sale, notes: saleNotes }));
+    });
+
+    if (errors.length > 0) {
+        logger.warn(`Partial composition of customer ${id}: ${errors.map(error => `${error.service} ${error.resource}`).join(', ')}`);
+    }
+    res.json({
+        customer,
+        notes,
+        sales: salesWithNotes,
+        totals: salesWithNotes && salesTotals(salesWithNotes),
+        partial: errors.length > 0,
+        errors
+    });
+});
+
+// Map items with an async function, running at most limit calls at once - Resolves the results in item order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Number and amount of sales, overall and by status
+function salesTotals(sales) {
+    const totals = { count: 0, amount: 0, byStatus: {} };
+    sales.forEach(sale => {
+        const status = totals.byStatus[sale.status] || (totals.byStatus[sale.status] = { count: 0, amount: 0 });
+        totals.count++;
+        totals.amount += Number(sale.amount) || 0;
+        status.count++;
+        status.amount += Number(sale.amount) || 0;
+    });
+    return totals;
+}
+
+// Error entry of a part that could not be read
+function describeError(apiName, resource, error) {
+    return {
+        service: apiName,
+        resource,
+        status: error.response ? error.response.status : null,
+        message: error.response && error.response.data && error.response.data.error ? error.response.data.error : error.message
+    };
+}
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const swaggerUi = require('swagger-ui-dist');
+const logger = require('../middleware/logger');
+const registry = require('../utils/registry');
+const upstream = require('../utils/upstream');
+const openapi = require('../utils/openapi');
+
+// Path of the OpenAPI document served by every service
+const SERVICE_SPEC_PATH = '/openapi.json';
+
+// Interactive docs page, the scripts are separate files because the Content-Security-Policy set by helmet forbids inline scripts
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>API Gateway Docs</title>
+    <link rel="stylesheet" type="text/css" href="/docs/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="/docs/swagger-ui-bundle.js"></script>
+    <script src="/docs/swagger-initializer.js"></script>
+</body>
+</html>`;
+
+const DOCS_INITIALIZER = `window.onload = function () {
+    window.ui = SwaggerUIBundle({
+        url: '/docs/openapi.json',
+        dom_id: '#swagger-ui',
+        deepLinking: true,
+        persistAuthorization: true
+    });
+};`;
+
+// Combined OpenAPI document of the gateway and every registered service, services that cannot be reached are listed in x-unavailable-services
+router.get('/openapi.json', async (req, res) => {
+    const specs = {};
+    const unavailable = [];
+
+    await Promise.all(Object.keys(registry.services).map(async (apiName) => {
+        try {
+            specs[apiName] = await upstream.get(apiName, SERVICE_SPEC_PATH, req);
+        } catch (error) {
+            logger.warn(`OpenAPI document of service '${apiName}' is unavailable: ${error.message}`);
+            unavailable.push(apiName);
+        }
+    }));
+
+    res.json(openapi.merge(specs, registry.services, unavailable.sort()));
+});
+
+// Interactive docs page of the combined document
+router.get('/', (req, res) => {
+    res.type('html').send(DOCS_PAGE);
+});
+
+router.get('/swagger-initializer.js', (req, res) => {
+    res.type('application/javascript').send(DOCS_INITIALIZER);
+});
+
+// Scripts and styles of Swagger UI
+router.use(express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
\ No newline at end of file
@@ -1,15 +1,42 @@
 const express = require('express');
-const axios = require('axios');
 const router = express.Router();
-const registry = require('./registry.json');
-const fs = require('fs');
+const registry = require('../utils/registry');
 const logger = require('../middleware/logger');
 const loadbalancer = require('../utils/loadbalancer');
+const healthcheck = require('../utils/healthcheck');
+const metrics = require('../utils/metrics');
+const circuitbreaker = require('../utils/circuitbreaker');
+const lease = require('../utils/lease');
+const { validateRegistration } = require('../utils/validators');
+const { authenticateAdmin, authenticateAdminOrService } = require('../middleware/auth');
+const audit = require('../middleware/audit');
+
+// Bodies are parsed only for the gateway's own routes, proxied requests are forwarded raw
+const jsonBody = express.json();
+
+// Gateway and registered instances health state
+router.get('/health', (req, res) => {
+    res.json({ status: 'UP', services: healthcheck.report(registry) });
+});
+
+// Gateway metrics in Prometheus text format
+router.get('/metrics', async (req, res) => {
+    try {
+        res.set('Content-Type', metrics.register.contentType);
+        res.send(await metrics.render(registry));
+    } catch (error) {
+        logger.error(`Could not collect metrics: ${error.message}`);
+        res.status(500).json({ message: `Could not collect metrics: ${error.message}` });
+    }
+});
 
 // Enable or disable api endpoint
-router.post('/enableOrDisable/:apiName', (req, res) => {
+router.post('/enableOrDisable/:apiName', jsonBody, authenticateAdmin, (req, res) => {
     const apiName = req.params.apiName;
     const requestBody = req.body;
+    if (!registry.services[apiName]) {
+        return res.status(404).json({ status: 'error', message: `Could not find service '${apiName}'` });
+    }
     // Check if instances exist under registry services and get instance index, if not found index = -1
     const instances = registry.services[apiName].instances;
     const index = instances.findIndex((s) => { return s.url === requestBody.url })
@@ -18,109 +45,161 @@ router.post('/enableOrDisable/:apiName', (req, res) => {
     } else {
         instances[index].enabled = requestBody.enabled;
         // Update local record of the current service registrations
-        fs.writeFile('./routes/registry.json', JSON.stringify(registry), (error) => {
-            if (error) {
-                logger.error(`Could not enable/disable '${requestBody.url}' for service '${apiName}'\n${error}`);
-                res.status(500).json({
-                    message: `Could not enable/disable '${requestBody.url}' for service '${apiName}'\n${error}`
-                });
-            } else {
-                logger.info(`Successfully enable/disable '${requestBody.url}' for service '${apiName}'`);
-                res.status(200).json({ message: `Successfully enable/disable '${requestBody.url}' for service '${apiName}'` });
-            }
+        registry.save().then(() => {
+            logger.info(`Successfully enable/disable '${requestBody.url}' for service '${apiName}'`);
+            audit(req, `set enabled=${requestBody.enabled} for '${requestBody.url}' of service '${apiName}'`);
+            res.status(200).json({ message: `Successfully enable/disable '${requestBody.url}' for service '${apiName}'` });
+        }).catch((error) => {
+            logger.error(`Could not enable/disable '${requestBody.url}' for service '${apiName}'\n${error}`);
+            res.status(500).json({
+                message: `Could not enable/disable '${requestBody.url}' for service '${apiName}'\n${error}`
+            });
         });
     }
 });
 
-// Handle requests
-router.all('/:apiName/*', async (req, res) => {
-    const service = registry.services[req.params.apiName];
-    const path = req.params[0];
-    console.log(`Router matched: ${req.method} ${req.params.apiName}/${path}`);
-
-    if (service) {
-        // Assign default loadbalancing to ROUND_ROBIN if not specified
-        if (!service.loadBalanceStrategy) {
-            service.loadBalanceStrategy = 'ROUND_ROBIN';
-            fs.writeFile('./routes/registry.json', JSON.stringify(registry), (error) => {
-                if (error) {
-                    logger.error(`Could not write load balance strategy for '${registrationInfo.apiName}'\n${error}`);
-                    res.status(500).json({
-                        message: `Could not write load balance strategy for '${registrationInfo.apiName}'\n${error}`
-                    });
-                }
-            });
-        }
-        // Get index of service for load balancing
-        const newIndex = loadbalancer[service.loadBalanceStrategy](service);
-        const url = service.instances[newIndex].url;
-
-        try {
-            const response = await axios({
-                method: req.method,
-                url: `${url}${path}`,
-                headers: req.headers,
-                data: req.body,
-                params: req.query
-            });
+// Circuit breaker state of registered instances
+router.get('/circuitBreakers', (req, res) => {
+    res.json({ services: circuitbreaker.report(registry) });
+});
 
-            res.status(response.status).json(response.data);
-        } catch (error) {
-            logger.error(`Error request from ${url}`);
-            if (error.response) {
-                // Forward the error status and message from the API
-                res.status(error.response.status).json({
-                    message: error.response.data.message || 'An error occurred',
-                    error: error.response.data
-                });
-            } else if (error.request) {
-                // Handle cases where no response was received from the API
-                logger.error('No response received from the API');
-                res.status(502).json({ message: 'No response received from the API', error: error.message });
-            } else {
-                // Handle other errors (e.g., request setup errors)
-                logger.error(`Request setup error: ${error.message}`);
-                res.status(500).json({ message: `Request setup error: ${error.message}` });
-            }
-        }
-    } else {
-        res.status(400).json({ message: 'Service name does not exist' });
+// Switch load balancing strategy of a service at runtime
+router.post('/loadBalanceStrategy/:apiName', jsonBody, authenticateAdmin, (req, res) => {
+    const apiName = req.params.apiName;
+    const { loadBalanceStrategy } = req.body;
+    const service = registry.services[apiName];
+
+    if (!service) {
+        return res.status(404).json({ status: 'error', message: `Could not find service '${apiName}'` });
+    } else if (!loadbalancer.STRATEGIES.includes(loadBalanceStrategy)) {
+        return res.status(400).json({
+            status: 'error',
+            message: `Invalid load balance strategy. Must be one of: ${loadbalancer.STRATEGIES.join(', ')}`
+        });
+    }
+
+    service.loadBalanceStrategy = loadBalanceStrategy;
+    // Update local record of the current service registrations
+    registry.save().then(() => {
+        logger.info(`Load balance strategy for '${apiName}' changed to '${loadBalanceStrategy}'`);
+        audit(req, `changed load balance strategy of service '${apiName}' to '${loadBalanceStrategy}'`);
+        res.status(200).json({ message: `Load balance strategy for '${apiName}' changed to '${loadBalanceStrategy}'` });
+    }).catch((error) => {
+        logger.error(`Could not change load balance strategy for '${apiName}'\n${error}`);
+        res.status(500).json({ message: `Could not change load balance strategy for '${apiName}'\n${error}` });
+    });
+});
+
+// Remove a service with all of its instances
+router.delete('/services/:apiName', authenticateAdmin, (req, res) => {
+    const apiName = req.params.apiName;
+    const service = registry.services[apiName];
+
+    if (!service) {
+        return res.status(404).json({ status: 'error', message: `Could not find service '${apiName}'` });
     }
+
+    service.instances.forEach(instance => lease.remove(instance.url));
+    delete registry.services[apiName];
+    // Update local record of the current service registrations
+    registry.save().then(() => {
+        logger.info(`Successfully removed service '${apiName}'`);
+        audit(req, `removed service '${apiName}' with ${service.instances.length} instances`);
+        res.status(200).json({ message: `Successfully removed service '${apiName}'`, service: { apiName, ...service } });
+    }).catch((error) => {
+        logger.error(`Could not remove service '${apiName}'\n${error}`);
+        res.status(500).json({ message: `Could not remove service '${apiName}'\n${error}` });
+    });
 });
 
 // Register service
-router.post('/register', (req, res) => {
-    const registrationInfo = req.body;
+router.post('/register', jsonBody, authenticateAdminOrService, (req, res) => {
+    const { apiName, protocol, host, port, weight, enabled } = req.body;
+
+    // Validate registration payload
+    const registrationError = validateRegistration(req.body);
+    if (registrationError) {
+        logger.warn(`Registration failed: ${registrationError}`);
+        return res.status(400).json({ message: registrationError });
+    }
 
-    // Create url for registration
-    registrationInfo.url = registrationInfo.protocol + "://" + registrationInfo.host + ":" + registrationInfo.port + "/";
+    // Keep only known fields, weight used by weighted round robin defaults to 1
+    const registrationInfo = {
+        apiName,
+        protocol,
+        host,
+        port: String(port),
+        url: protocol + "://" + host + ":" + port + "/",
+        enabled: enabled === undefined ? true : Boolean(enabled),
+        weight: weight === undefined ? 1 : Number(weight)
+    };
+
+    // Create service entry with default load balancing for services seen for the first time
+    if (!registry.services[apiName]) {
+        registry.services[apiName] = { loadBalanceStrategy: loadbalancer.DEFAULT_STRATEGY, instances: [] };
+        logger.info(`New service '${apiName}' added to registry`);
+    }
 
     if (apiAlreadyExists(registrationInfo)) {
-        logger.warn(`Configuration already exists for '${registrationInfo.apiName}' at '${registrationInfo.url}'`);
-        res.status(400).json({ 
-            message: `Configuration already exists for '${registrationInfo.apiName}' at '${registrationInfo.url}'` 
+        // Re-registration of a known instance only refreshes its lease
+        const expiresAt = lease.renew(registrationInfo.url);
+        logger.info(`Registration refreshed for '${registrationInfo.apiName}' at '${registrationInfo.url}'`);
+        res.json({
+            message: `Registration refreshed for '${registrationInfo.apiName}'`,
+            ttl: lease.TTL,
+            expiresAt: new Date(expiresAt).toISOString()
         });
     } else {
         // Append service to services under registry
-        registry.services[registrationInfo.apiName].instances.push({ ...registrationInfo });
+        registry.services[registrationInfo.apiName].instances.push(registrationInfo);
+        const expiresAt = lease.renew(registrationInfo.url);
     
         // Update local record of the current service registrations
-        fs.writeFile('./routes/registry.json', JSON.stringify(registry), (error) => {
-            if (error) {
-                logger.error(`Could not register '${registrationInfo.apiName}'\n${error}`);
-                res.status(500).json({ message: `Could not register '${registrationInfo.apiName}'\n${error}` });
-            } else {
-                logger.info(`Successfully registered '${registrationInfo.apiName}'`);
-                res.json({ message: `Successfully registered '${registrationInfo.apiName}'` });
-            }
+        registry.save().then(() => {
+            logger.info(`Successfully registered '${registrationInfo.apiName}'`);
+            audit(req, `registered '${registrationInfo.url}' for service '${registrationInfo.apiName}'`);
+            res.json({
+                message: `Successfully registered '${registrationInfo.apiName}'`,
+                ttl: lease.TTL,
+                expiresAt: new Date(expiresAt).toISOString()
+            });
+        }).catch((error) => {
+            logger.error(`Could not register '${registrationInfo.apiName}'\n${error}`);
+            res.status(500).json({ message: `Could not register '${registrationInfo.apiName}'\n${error}` });
+        });
+    }
+});
+
+// Renew lease of a registered instance
+router.post('/heartbeat', jsonBody, authenticateAdminOrService, (req, res) => {
+    const registrationInfo = req.body;
+
+    // Create url for heartbeat if only address parts are given
+    if (!registrationInfo.url) {
+        registrationInfo.url = registrationInfo.protocol + "://" + registrationInfo.host + ":" + registrationInfo.port + "/";
+    }
+
+    if (apiAlreadyExists(registrationInfo)) {
+        const expiresAt = lease.renew(registrationInfo.url);
+        res.json({ message: 'Heartbeat received', ttl: lease.TTL, expiresAt: new Date(expiresAt).toISOString() });
+    } else {
+        // Instance was deregistered, service is expected to register again
+        logger.warn(`Heartbeat from unregistered instance '${registrationInfo.apiName}' at '${registrationInfo.url}'`);
+        res.status(404).json({ 
+            message: `Configuration does not exist for '${registrationInfo.apiName}' at '${registrationInfo.url}'` 
         });
     }
 });
 
 // Unregister service
-router.post('/unregister', (req, res) => {
+router.post('/unregister', jsonBody, authenticateAdminOrService, (req, res) => {
     const registrationInfo = req.body;
 
+    // Create url for unregistration if only address parts are given
+    if (!registrationInfo.url) {
+        registrationInfo.url = registrationInfo.protocol + "://" + registrationInfo.host + ":" + registrationInfo.port + "/";
+    }
+
     if (apiAlreadyExists(registrationInfo)) {
         // Get index of the server instance from registry
         const index = registry.services[registrationInfo.apiName].instances.findIndex((instance) => {
@@ -128,15 +207,15 @@ router.post('/unregister', (req, res) => {
         });
         // Remove server instance by found index
         registry.services[registrationInfo.apiName].instances.splice(index, 1);
+        lease.remove(registrationInfo.url);
         // Update local record of the current service registrations
-        fs.writeFile('./routes/registry.json', JSON.stringify(registry), (error) => {
-            if (error) {
-                logger.error(`Could not unregister '${registrationInfo.apiName}'\n${error}`);
-                res.status(500).json({ message: `Could not unregister '${registrationInfo.apiName}'\n${error}` });
-            } else {
-                logger.info(`Successfully unregistered '${registrationInfo.apiName}'`);
-                res.status(201).json({ message: `Successfully unregistered '${registrationInfo.apiName}'` });
-            }
+        registry.save().then(() => {
+            logger.info(`Successfully unregistered '${registrationInfo.apiName}'`);
+            audit(req, `unregistered '${registrationInfo.url}' from service '${registrationInfo.apiName}'`);
+            res.status(201).json({ message: `Successfully unregistered '${registrationInfo.apiName}'` });
+        }).catch((error) => {
+            logger.error(`Could not unregister '${registrationInfo.apiName}'\n${error}`);
+            res.status(500).json({ message: `Could not unregister '${registrationInfo.apiName}'\n${error}` });
         });
     } else {
         logger.warn(`Configuration does not exist for '${registrationInfo.apiName}' at '${registrationInfo.url}'`);
@@ -148,15 +227,11 @@ router.post('/unregister', (req, res) => {
 
 // Check if API service already exist under registry services
 const apiAlreadyExists = (registrationInfo) => {
-    let exists = false;
-
-    registry.services[registrationInfo.apiName].instances.forEach(instance => {
-        if (instance.url === registrationInfo.url) {
-            exists = true
-            return
-        }
-    });
-    return exists;
+    const service = registry.services[registrationInfo.apiName];
+    if (!service) {
+        return false;
+    }
+    return service.instances.some(instance => instance.url === registrationInfo.url);
 }
 
 module.exports = router
@@ -0,0 +1,296 @@
+const express = require('express');
+const axios = require('axios');
+const router = express.Router();
+const registry = require('../utils/registry');
+const logger = require('../middleware/logger');
+const loadbalancer = require('../utils/loadbalancer');
+const circuitbreaker = require('../utils/circuitbreaker');
+const policy = require('../utils/policy');
+const metrics = require('../utils/metrics');
+const cache = require('../utils/cache');
+const identity = require('../utils/identity');
+const { traceHeaders } = require('../middleware/tracing');
+const { authenticateRoute } = require('../middleware/auth');
+const { rateLimiter } = require('../middleware/ratelimit');
+require('dotenv').config();
+
+// Largest body buffered for idempotent requests so it can be replayed on another instance
+const PROXY_BUFFER_LIMIT = process.env.PROXY_BUFFER_LIMIT || '10mb';
+
+// Headers that only apply to a single connection and must not be forwarded
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer', 'transfer-encoding', 'upgrade'];
+
+// Idempotent requests may be retried on another instance so their raw body is buffered to be replayed,
+// bodies of other requests are streamed to the instance as they arrive
+const rawBody = express.raw({ type: () => true, inflate: false, limit: PROXY_BUFFER_LIMIT });
+const bufferReplayableBody = (req, res, next) => {
+    if (!policy.IDEMPOTENT_METHODS.includes(req.method)) {
+        return next();
+    }
+    // Compressed bodies cannot be buffered without decoding them, they are streamed unchanged and not retried
+    const encoding = (req.header('Content-Encoding') || 'identity').toLowerCase();
+    if (encoding !== 'identity') {
+        req.streamedBody = true;
+        return next();
+    }
+    rawBody(req, res, next);
+};
+
+// Answer bodies that could not be buffered, such as bodies over PROXY_BUFFER_LIMIT, with their own status
+// instead of the 500 of the global error handler
+const bodyErrorHandler = (err, req, res, next) => {
+    if (!err.type || !err.status || err.status >= 500) {
+        return next(err);
+    }
+    logger.warn(`Request body to ${req.originalUrl} rejected: ${err.message}`);
+    const message = err.status === 413 ? `Request body is larger than ${PROXY_BUFFER_LIMIT}` : 'Request body could not be read';
+    res.status(err.status).json({ message, error: err.type });
+};
+
+// Find the service of the request and its path, or respond with 400
+const resolveService = (req, res, next) => {
+    const apiName = req.params.apiName;
+    req.service = registry.services[apiName];
+    if (!req.service) {
+        return res.status(400).json({ message: 'Service name does not exist' });
+    }
+    // Path and query string after the api name, forwarded without decoding
+    req.forwardPath = req.originalUrl.slice(req.baseUrl.length + apiName.length + 2);
+    req.servicePath = `/${req.params[0]}`;
+    next();
+};
+
+// Answer GET requests of routes with a "cache" configuration from the gateway cache
+const serveFromCache = (req, res, next) => {
+    const apiName = req.params.apiName;
+    const route = cache.findRoute(req.service, req.method, req.servicePath);
+    // The role of callers whose token was not verified by the gateway is unknown, their requests are never cached
+    if (!route || (req.header('Authorization') && !req.user)) {
+        return next();
+    }
+    req.cacheRoute = route;
+    req.cacheKey = cache.key(apiName, req);
+    req.cacheGeneration = cache.generation(apiName);
+
+    const entry = /no-cache/i.test(req.header('Cache-Control') || '') ? null : cache.get(req.cacheKey);
+    metrics.recordCache(apiName, entry ? 'hit' : 'miss');
+    res.setHeader('X-Cache', entry ? 'HIT' : 'MISS');
+    if (!entry) {
+        return next();
+    }
+
+    Object.entries(entry.headers).forEach(([name, value]) => res.setHeader(name, value));
+    res.setHeader('Age', String(Math.floor((Date.now() - entry.storedAt) / 1000)));
+    if (entry.etag && (req.header('If-None-Match') || '').split(',').map(tag => tag.trim()).includes(entry.etag)) {
+        res.removeHeader('Content-Length');
+        return res.status(304).end();
+    }
+    res.status(entry.status).end(entry.body);
+};
+
+// Handle requests
+router.all('/:apiName/*', resolveService, authenticateRoute, rateLimiter, serveFromCache, bufferReplayableBody, async (req, res) => {
+    const apiName = req.params.apiName;
+    const service = req.service;
+    const path = req.forwardPath;
+    console.log(`Router matched: ${req.method} ${apiName}/${path}`);
+
+    const servicePolicy = policy.get(service);
+    const replayable = policy.IDEMPOTENT_METHODS.includes(req.method) && !req.streamedBody;
+    const body = replayable ? bufferedBody(req) : req;
+    // A streamed body is consumed by the first instance, so only one is tried
+    const retries = req.streamedBody ? 0 : servicePolicy.retries;
+    const triedUrls = [];
+    let lastError;
+    let lastResponse;
+
+    // Try another instance on failures of idempotent requests until retries run out
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        // Get index of service for load balancing
+        let newIndex;
+        try {
+            newIndex = loadbalancer.select(service, req, triedUrls);
+        } catch (error) {
+            if (lastError || lastResponse) {
+                break;
+            }
+            logger.error(`Could not forward request to '${apiName}': ${error.message}`);
+            return res.status(503).json({ message: `Service '${apiName}' is unavailable`, error: error.message });
+        }
+        if (newIndex === -1) {
+            break;
+        }
+        // Another instance is about to be tried, the failed response of the previous one is dropped
+        if (lastResponse) {
+            discardResponse(lastResponse);
+            lastResponse = null;
+        }
+        const url = service.instances[newIndex].url;
+        triedUrls.push(url);
+
+        circuitbreaker.beforeRequest(url);
+        // Count in-flight request for least connections load balancing
+        loadbalancer.acquire(url);
+        const startedAt = Date.now();
+        let response;
+        try {
+            response = await axios({
+                method: req.method,
+                url: `${url}${path}`,
+                headers: forwardedRequestHeaders(req, body, `${url}${path}`),
+                data: body,
+                timeout: servicePolicy.timeout,
+                responseType: 'stream',
+                // Bodies, redirects and statuses are passed to the client as the instance sent them
+                decompress: false,
+                maxRedirects: 0,
+                maxBodyLength: Infinity,
+                maxContentLength: Infinity,
+                validateStatus: () => true
+            });
+        } catch (error) {
+            loadbalancer.release(url);
+            logger.error(`Error request from ${url}`);
+            lastError = error;
+            metrics.recordError(apiName, url, req.method, error, startedAt);
+            circuitbreaker.recordFailure(url, servicePolicy.circuitBreaker);
+            if (!policy.isRetryable(req.method, error)) {
+                break;
+            }
+            continue;
+        }
+
+        metrics.recordResponse(apiName, url, req.method, response.status, startedAt);
+        // Only server side failures count towards opening the circuit
+        if (response.status >= 500) {
+            logger.error(`Error response ${response.status} from ${url}`);
+            circuitbreaker.recordFailure(url, servicePolicy.circuitBreaker);
+        } else {
+            circuitbreaker.recordSuccess(url);
+        }
+        lastResponse = { url, response };
+        if (!policy.isRetryableStatus(req.method, response.status)) {
+            break;
+        }
+    }
+
+    if (lastResponse) {
+        const status = lastResponse.response.status;
+        // A successful change of a resource makes cached copies of it, its collections and sub-resources stale
+        if (cache.MUTATING_METHODS.includes(req.method) && status < 400) {
+            cache.purge(apiName, req.servicePath);
+        }
+        return pipeResponse(res, lastResponse, req.cacheRoute && status === 200 ? storeInCache(req, lastResponse.response) : null);
+    }
+    sendProxyError(res, lastError);
+});
+
+// Callback storing the complete body of a cacheable response, null if the service does not allow caching it
+const storeInCache = (req, response) => {
+    const headers = withoutHopByHopHeaders(response.headers.toJSON ? response.headers.toJSON() : response.headers);
+    const ttl = cache.ttlFor(req.cacheRoute, headers);
+    // Headers describing this particular response are not replayed to other requests
+    delete headers['x-request-id'];
+    delete headers.date;
+    if (ttl <= 0) {
+        return null;
+    }
+    return (body) => cache.set(req.cacheKey, req.params.apiName, req.servicePath, req.cacheGeneration, { status: response.status, headers, body, ttl });
+};
+
+// Buffered raw body of a replayable request, undefined if the request had none
+const bufferedBody = (req) => {
+    return Buffer.isBuffer(req.body) && req.body.length > 0 ? req.body : undefined;
+};
+
+// Copy headers without hop-by-hop headers, including the ones named in the Connection header
+const withoutHopByHopHeaders = (headers) => {
+    const connectionHeaders = String(headers.connection || '').split(',').map(name => name.trim().toLowerCase());
+    const copied = {};
+    Object.entries(headers).forEach(([name, value]) => {
+        const lowerName = name.toLowerCase();
+        if (value !== undefined && !HOP_BY_HOP_HEADERS.includes(lowerName) && !connectionHeaders.includes(lowerName)) {
+            copied[lowerName] = value;
+        }
+    });
+    return copied;
+};
+
+// Headers sent to the instance at url, Host and lengths are set for the forwarded body and client identity headers are replaced
+const forwardedRequestHeaders = (req, body, url) => {
+    const headers = identity.strip(withoutHopByHopHeaders(req.headers));
+    delete headers.host;
+
+    if (Buffer.isBuffer(body)) {
+        headers['content-length'] = String(body.length);
+    } else if (body === undefined) {
+        delete headers['content-length'];
+    }
+    // Without this the http client would ask for compression the client itself did not ask for,
+    // cached responses are kept uncompressed so they can be served to every client
+    headers['accept-encoding'] = (!req.cacheRoute && req.headers['accept-encoding']) || 'identity';
+
+    headers['x-forwarded-for'] = [req.headers['x-forwarded-for'], req.socket.remoteAddress].filter(Boolean).join(', ');
+    headers['x-forwarded-proto'] = req.protocol;
+    headers['x-forwarded-host'] = req.headers.host;
+    // Continue the trace of the request with the gateway span as parent
+    Object.assign(headers, traceHeaders());
+    // Signed so services know the request passed the gateway, with the identity verified by the gateway
+    // that services accept instead of verifying the token again
+    Object.assign(headers, identity.headersFor(req.user, req.method, url));
+    return headers;
+};
+
+// Stream the instance response to the client with its status and end-to-end headers, store receives the complete body
+const pipeResponse = (res, { url, response }, store) => {
+    const headers = response.headers.toJSON ? response.headers.toJSON() : response.headers;
+    res.status(response.status);
+    Object.entries(withoutHopByHopHeaders(headers)).forEach(([name, value]) => res.setHeader(name, value));
+
+    // Request stays in-flight for least connections until the whole body was sent
+    res.on('close', () => loadbalancer.release(url));
+    response.data.on('error', (error) => {
+        logger.error(`Error streaming response from ${url}: ${error.message}`);
+        res.destroy(error);
+    });
+    if (store) {
+        const chunks = [];
+        let size = 0;
+        response.data.on('data', (chunk) => {
+            size += chunk.length;
+            // Bodies too large to be cached are streamed without being kept
+            if (size <= cache.MAX_BODY_SIZE) {
+                chunks.push(chunk);
+            }
+        });
+        response.data.on('end', () => size <= cache.MAX_BODY_SIZE && store(Buffer.concat(chunks)));
+    }
+    response.data.pipe(res);
+};
+
+// Drop a response that will not be sent to the client
+const discardResponse = ({ url, response }) => {
+    response.data.resume();
+    loadbalancer.release(url);
+};
+
+// Respond to the client when no instance sent a response
+const sendProxyError = (res, error) => {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        // Handle cases where the API did not respond in time
+        logger.error(`Request timed out: ${error.message}`);
+        res.status(504).json({ message: 'API did not respond in time', error: error.message });
+    } else if (error.request) {
+        // Handle cases where no response was received from the API
+        logger.error('No response received from the API');
+        res.status(502).json({ message: 'No response received from the API', error: error.message });
+    } else {
+        // Handle other errors (e.g., request setup errors)
+        logger.error(`Request setup error: ${error.message}`);
+        res.status(500).json({ message: `Request setup error: ${error.message}` });
+    }
+};
+
+router.use(bodyErrorHandler);
+
+module.exports = router;
\ No newline at end of file
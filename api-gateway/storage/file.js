@@ -0,0 +1,28 @@
+const fs = require('fs');
+const path = require('path');
+
+// Registry stored as a JSON file, written to a temporary file first and renamed so readers never see a partial write
+function createFileStorage(filePath) {
+    return {
+        type: 'file',
+
+        load() {
+            return fs.promises.readFile(filePath, 'utf8')
+                .then(content => JSON.parse(content))
+                .catch((error) => {
+                    if (error.code === 'ENOENT') {
+                        return null;
+                    }
+                    throw error;
+                });
+        },
+
+        save(data) {
+            const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+            return fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2))
+                .then(() => fs.promises.rename(tempPath, filePath));
+        }
+    };
+}
+
+module.exports = createFileStorage;
\ No newline at end of file
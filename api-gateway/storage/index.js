@@ -0,0 +1,24 @@
+const createFileStorage = require('./file');
+const createMemoryStorage = require('./memory');
+require('dotenv').config();
+
+const REGISTRY_STORAGE = process.env.REGISTRY_STORAGE || 'file'; // file, sqlite or memory
+const REGISTRY_FILE = process.env.REGISTRY_FILE || './routes/registry.json';
+const REGISTRY_DB = process.env.REGISTRY_DB || './database/api-gateway.db';
+
+// Create registry storage configured by REGISTRY_STORAGE
+function createStorage(type = REGISTRY_STORAGE) {
+    switch (type) {
+        case 'file':
+            return createFileStorage(REGISTRY_FILE);
+        case 'sqlite':
+            // Required lazily so the native sqlite3 module is only loaded when it is used
+            return require('./sqlite')(REGISTRY_DB);
+        case 'memory':
+            return createMemoryStorage();
+        default:
+            throw new Error(`Unknown registry storage '${type}'. Must be one of: file, sqlite, memory`);
+    }
+}
+
+module.exports = { createStorage, createFileStorage, createMemoryStorage };
\ No newline at end of file
@@ -0,0 +1,19 @@
+// Registry kept only in memory, used by tests - Data is copied so callers cannot change stored state by reference
+function createMemoryStorage(initialData = null) {
+    let stored = initialData && JSON.stringify(initialData);
+
+    return {
+        type: 'memory',
+
+        load() {
+            return Promise.resolve(stored ? JSON.parse(stored) : null);
+        },
+
+        save(data) {
+            stored = JSON.stringify(data);
+            return Promise.resolve();
+        }
+    };
+}
+
+module.exports = createMemoryStorage;
\ No newline at end of file
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const { MemoryStore } = require('express-rate-limit');
+const logger = require('../middleware/logger');
+require('dotenv').config();
+
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory'; // memory or sqlite
+const RATE_LIMIT_DB = process.env.RATE_LIMIT_DB || './database/rate-limits.db';
+
+// Rate limit counters in a SQLite database, gateway instances sharing the file share their limits
+function createSqliteRateLimitStore(dbPath) {
+    // Required lazily so the native sqlite3 module is only loaded when it is used
+    const sqlite3 = require('sqlite3').verbose();
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+    const db = new sqlite3.Database(dbPath, (err) => {
+        if (err) {
+            logger.error(`Rate Limit Database Error: ${err.message}`);
+        }
+    });
+    // Other gateway instances may hold the write lock for a moment
+    db.configure('busyTimeout', 1000);
+
+    const ready = new Promise((resolve, reject) => {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS rate_limits (
+                key TEXT PRIMARY KEY,
+                hits INTEGER NOT NULL,
+                reset_at INTEGER NOT NULL
+            );
+        `, (err) => err ? reject(err) : resolve());
+    });
+
+    const run = (query, params = []) => ready.then(() => new Promise((resolve, reject) => {
+        db.run(query, params, (err) => err ? reject(err) : resolve());
+    }));
+
+    let windowMs;
+    let cleanupTimer = null;
+
+    return {
+        // Counters are shared with other gateway instances
+        localKeys: false,
+
+        init(options) {
+            windowMs = options.windowMs;
+            // Drop counters of windows that ended
+            cleanupTimer = setInterval(() => {
+                run('DELETE FROM rate_limits WHERE reset_at <= ?', [Date.now()])
+                    .catch(error => logger.error(`Could not clean up rate limits: ${error.message}`));
+            }, windowMs);
+            cleanupTimer.unref();
+        },
+
+        // Count a hit in a single statement so concurrent gateway instances never lose one
+        increment(key) {
+            const now = Date.now();
+            return ready.then(() => new Promise((resolve, reject) => {
+                db.get(`
+                    INSERT INTO rate_limits (key, hits, reset_at) VALUES (?, 1, ?)
+                    ON CONFLICT(key) DO UPDATE SET
+                        hits = CASE WHEN reset_at <= ? THEN 1 ELSE hits + 1 END,
+                        reset_at = CASE WHEN reset_at <= ? THEN excluded.reset_at ELSE reset_at END
+                    RETURNING hits, reset_at
+                `, [key, now + windowMs, now, now], (err, row) => {
+                    if (err) {
+                        return reject(err);
+                    }
+                    resolve({ totalHits: row.hits, resetTime: new Date(row.reset_at) });
+                });
+            }));
+        },
+
+        decrement(key) {
+            return run('UPDATE rate_limits SET hits = MAX(hits - 1, 0) WHERE key = ?', [key]);
+        },
+
+        resetKey(key) {
+            return run('DELETE FROM rate_limits WHERE key = ?', [key]);
+        },
+
+        resetAll() {
+            return run('DELETE FROM rate_limits');
+        },
+
+        shutdown() {
+            clearInterval(cleanupTimer);
+            return new Promise((resolve) => db.close(() => resolve()));
+        }
+    };
+}
+
+// Create rate limit store configured by RATE_LIMIT_STORE
+function createRateLimitStore(type = RATE_LIMIT_STORE) {
+    switch (type) {
+        case 'memory':
+            return new MemoryStore();
+        case 'sqlite':
+            return createSqliteRateLimitStore(RATE_LIMIT_DB);
+        default:
+            throw new Error(`Unknown rate limit store '${type}'. Must be one of: memory, sqlite`);
+    }
+}
+
+module.exports = { createRateLimitStore, createSqliteRateLimitStore };
\ No newline at end of file
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const logger = require('../middleware/logger');
+
+// Service and instance fields stored in their own columns, anything else is kept under extra as JSON
+const SERVICE_COLUMNS = ['loadBalanceStrategy', 'policy', 'instances'];
+const INSTANCE_COLUMNS = ['apiName', 'protocol', 'host', 'port', 'url', 'enabled', 'weight', 'draining'];
+
+// Registry stored in a SQLite database, each save replaces the whole registry in a single transaction
+function createSqliteStorage(dbPath) {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+    const db = new sqlite3.Database(dbPath, (err) => {
+        if (err) {
+            logger.error(`Registry Database Error: ${err.message}`);
+        }
+    });
+
+    // Run a statement as a promise
+    const run = (query, params = []) => new Promise((resolve, reject) => {
+        db.run(query, params, (err) => err ? reject(err) : resolve());
+    });
+
+    const all = (query, params = []) => new Promise((resolve, reject) => {
+        db.all(query, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+
+    const ready = run(`
+        CREATE TABLE IF NOT EXISTS services (
+            api_name TEXT PRIMARY KEY,
+            load_balance_strategy TEXT,
+            policy TEXT,
+            extra TEXT
+        );
+    `).then(() => run(`
+        CREATE TABLE IF NOT EXISTS instances (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            api_name TEXT NOT NULL,
+            protocol TEXT,
+            host TEXT,
+            port TEXT,
+            url TEXT NOT NULL,
+            enabled INTEGER NOT NULL DEFAULT 1,
+            weight INTEGER NOT NULL DEFAULT 1,
+            draining INTEGER NOT NULL DEFAULT 0,
+            extra TEXT,
+            FOREIGN KEY (api_name) REFERENCES services(api_name) ON DELETE CASCADE
+        );
+    `));
+
+    return {
+        type: 'sqlite',
+
+        load() {
+            return ready
+                .then(() => Promise.all([
+                    all('SELECT * FROM services ORDER BY api_name'),
+                    all('SELECT * FROM instances ORDER BY id')
+                ]))
+                .then(([serviceRows, instanceRows]) => {
+                    if (serviceRows.length === 0) {
+                        return null;
+                    }
+                    const services = {};
+                    serviceRows.forEach(row => {
+                        services[row.api_name] = {
+                            ...(row.extra && JSON.parse(row.extra)),
+                            loadBalanceStrategy: row.load_balance_strategy,
+                            ...(row.policy && { policy: JSON.parse(row.policy) }),
+                            instances: []
+                        };
+                    });
+                    instanceRows.forEach(row => {
+                        if (!services[row.api_name]) {
+                            return;
+                        }
+                        services[row.api_name].instances.push({
+                            ...(row.extra && JSON.parse(row.extra)),
+                            apiName: row.api_name,
+                            protocol: row.protocol,
+                            host: row.host,
+                            port: row.port,
+                            url: row.url,
+                            enabled: Boolean(row.enabled),
+                            weight: row.weight,
+                            ...(row.draining && { draining: true })
+                        });
+                    });
+                    return { services };
+                });
+        },
+
+        save(data) {
+            const statements = [
+                () => run('DELETE FROM instances'),
+                () => run('DELETE FROM services')
+            ];
+            Object.entries(data.services).forEach(([apiName, service]) => {
+                const serviceExtra = {};
+                Object.keys(service).filter(key => !SERVICE_COLUMNS.includes(key)).forEach(key => serviceExtra[key] = service[key]);
+                statements.push(() => run(
+                    'INSERT INTO services (api_name, load_balance_strategy, policy, extra) VALUES (?, ?, ?, ?)',
+                    [apiName, service.loadBalanceStrategy, service.policy ? JSON.stringify(service.policy) : null,
+                        Object.keys(serviceExtra).length > 0 ? JSON.stringify(serviceExtra) : null]
+                ));
+                service.instances.forEach(instance => {
+                    const extra = {};
+                    Object.keys(instance).filter(key => !INSTANCE_COLUMNS.includes(key)).forEach(key => extra[key] = instance[key]);
+                    statements.push(() => run(
+                        'INSERT INTO instances (api_name, protocol, host, port, url, enabled, weight, draining, extra) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                        [apiName, instance.protocol, instance.host, String(instance.port), instance.url,
+                            instance.enabled ? 1 : 0, Number(instance.weight) || 1, instance.draining ? 1 : 0,
+                            Object.keys(extra).length > 0 ? JSON.stringify(extra) : null]
+                    ));
+                });
+            });
+
+            // Replace the whole registry atomically
+            return ready
+                .then(() => run('BEGIN IMMEDIATE TRANSACTION'))
+                .then(() => statements.reduce((chain, statement) => chain.then(statement), Promise.resolve()))
+                .then(() => run('COMMIT'))
+                .catch((error) => run('ROLLBACK').then(() => { throw error; }, () => { throw error; }));
+        },
+
+        close() {
+            return new Promise((resolve) => db.close(() => resolve()));
+        }
+    };
+}
+
+module.exports = createSqliteStorage;
\ No newline at end of file
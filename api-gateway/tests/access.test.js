@@ -0,0 +1,40 @@
+const access = require('../utils/access');
+
+const service = {
+    auth: {
+        default: 'protected',
+        routes: [
+            { method: 'POST', path: '/login', access: 'public' },
+            { method: 'GET', path: '/public/*', access: 'public' },
+            { method: '*', path: '/users/:id/avatar', access: 'public' }
+        ]
+    }
+};
+
+describe('API Gateway Route Access Tests', () => {
+    describe('Path matching', () => {
+        it('should match parameters and wildcards', () => {
+            expect(access.matchPath('/users/:id', '/users/42')).toBe(true);
+            expect(access.matchPath('/users/:id', '/users/42/notes')).toBe(false);
+            expect(access.matchPath('/public/*', '/public/docs/index.html')).toBe(true);
+            expect(access.matchPath('/login', '/login/')).toBe(true);
+        });
+    });
+
+    describe('Access resolution', () => {
+        it('should use the first matching route', () => {
+            expect(access.resolve(service, 'POST', '/login')).toBe('public');
+            expect(access.resolve(service, 'get', '/public/report.csv')).toBe('public');
+            expect(access.resolve(service, 'DELETE', '/users/3/avatar')).toBe('public');
+        });
+
+        it('should fall back to the default access', () => {
+            expect(access.resolve(service, 'GET', '/login')).toBe('protected');
+            expect(access.resolve({ auth: { routes: [] } }, 'GET', '/users')).toBe('protected');
+        });
+
+        it('should not authenticate services without auth configuration', () => {
+            expect(access.resolve({ instances: [] }, 'GET', '/users')).toBeNull();
+        });
+    });
+});
\ No newline at end of file
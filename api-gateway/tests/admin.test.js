@@ -0,0 +1,103 @@
+const { signToken } = require('./helpers/tokens');
+const express = require('express');
+const request = require('supertest');
+const adminRoutes = require('../routes/admin');
+const registry = require('../utils/registry');
+const { createMemoryStorage } = require('../storage');
+const loadbalancer = require('../utils/loadbalancer');
+
+const app = express();
+app.use(express.json());
+app.use('/admin/registry', adminRoutes);
+
+const adminToken = signToken({ id: 1, role: 'admin' });
+const salesRepToken = signToken({ id: 3, role: 'sales_rep' });
+
+describe('API Gateway Registry Administration Tests', () => {
+    beforeAll(() => {
+        registry.useStorage(createMemoryStorage({
+            services: {
+                testservice: {
+                    loadBalanceStrategy: 'ROUND_ROBIN',
+                    instances: [
+                        { apiName: 'testservice', protocol: 'http', host: 'localhost', port: '9001', url: 'http://localhost:9001/', enabled: true }
+                    ]
+                }
+            }
+        }));
+        return registry.load();
+    });
+
+    it('should return 401 without an admin token', async () => {
+        const res = await request(app).get('/admin/registry').set('Authorization', `Bearer ${salesRepToken}`);
+        expect(res.status).toBe(401);
+    });
+
+    it('should list services with their instances', async () => {
+        const res = await request(app).get('/admin/registry').set('Authorization', `Bearer ${adminToken}`);
+        expect(res.status).toBe(200);
+        const service = res.body.services.find(s => s.apiName === 'testservice');
+        expect(service.instances[0]).toMatchObject({ id: 'localhost:9001', weight: 1, draining: false, available: true });
+    });
+
+    it('should return 404 for an unknown instance', async () => {
+        const res = await request(app)
+            .get('/admin/registry/testservice/instances/localhost:9999')
+            .set('Authorization', `Bearer ${adminToken}`);
+        expect(res.status).toBe(404);
+    });
+
+    it('should change the weight of an instance', async () => {
+        const res = await request(app)
+            .patch('/admin/registry/testservice/instances/localhost:9001')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ weight: 4 });
+        expect(res.status).toBe(200);
+        expect(res.body.instance.weight).toBe(4);
+        expect(registry.services.testservice.instances[0].weight).toBe(4);
+    });
+
+    it('should return 400 for an invalid change', async () => {
+        const res = await request(app)
+            .patch('/admin/registry/testservice/instances/localhost:9001')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ enabled: 'yes' });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Enabled must be a boolean');
+    });
+
+    it('should stop sending requests to a draining instance', async () => {
+        const res = await request(app)
+            .post('/admin/registry/testservice/instances/localhost:9001/drain')
+            .set('Authorization', `Bearer ${adminToken}`);
+        expect(res.status).toBe(200);
+        expect(res.body.instance).toMatchObject({ draining: true, available: false });
+        expect(() => loadbalancer.ROUND_ROBIN(registry.services.testservice)).toThrow('No enabled and healthy instances available');
+    });
+
+    it('should update the public/protected route configuration of a service', async () => {
+        const res = await request(app)
+            .put('/admin/registry/testservice/auth')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ auth: { routes: [{ method: 'post', path: '/login', access: 'public' }] } });
+        expect(res.status).toBe(200);
+        expect(registry.services.testservice.auth).toEqual({ default: 'protected', routes: [{ method: 'POST', path: '/login', access: 'public' }] });
+    });
+
+    it('should return 400 for an invalid route access', async () => {
+        const res = await request(app)
+            .put('/admin/registry/testservice/auth')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ auth: { routes: [{ path: '/login', access: 'open' }] } });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe(`Access of route '/login' must be one of public, protected`);
+    });
+
+    it('should purge cached responses of a service', async () => {
+        const res = await request(app)
+            .delete('/admin/registry/testservice/cache?path=/customers')
+            .set('Authorization', `Bearer ${adminToken}`);
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ message: 'Cache purged successfully', purged: 0 });
+    });
+});
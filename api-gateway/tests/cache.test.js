@@ -0,0 +1,85 @@
+const cache = require('../utils/cache');
+
+const service = {
+    cache: {
+        routes: [
+            { path: '/customers', ttl: 15000 },
+            { path: '/customers/:id' }
+        ]
+    }
+};
+
+// Minimal request as seen by the proxy
+const requestFor = (url, role, id = 1) => ({
+    method: 'GET',
+    originalUrl: `/customermanagement${url}`,
+    servicePath: url.split('?')[0],
+    user: role ? { id, role } : undefined
+});
+
+describe('API Gateway Response Cache Tests', () => {
+    beforeEach(() => cache.reset());
+
+    describe('Cache configuration', () => {
+        it('should only cache GET requests of configured routes', () => {
+            expect(cache.findRoute(service, 'GET', '/customers/5')).toEqual({ path: '/customers/:id' });
+            expect(cache.findRoute(service, 'POST', '/customers')).toBeNull();
+            expect(cache.findRoute(service, 'GET', '/customers/5/notes')).toBeNull();
+            expect(cache.findRoute({ instances: [] }, 'GET', '/customers')).toBeNull();
+        });
+
+        it('should key requests by sorted query and role', () => {
+            const first = cache.key('customermanagement', requestFor('/customers?page=2&limit=10', 'manager'));
+            const second = cache.key('customermanagement', requestFor('/customers?limit=10&page=2', 'manager'));
+            const otherRole = cache.key('customermanagement', requestFor('/customers?limit=10&page=2', 'sales_rep'));
+
+            expect(first).toBe(second);
+            expect(first).not.toBe(otherRole);
+        });
+
+        it('should not share responses between users of the same role', () => {
+            const first = cache.key('customermanagement', requestFor('/customers', 'sales_rep', 3));
+            const other = cache.key('customermanagement', requestFor('/customers', 'sales_rep', 4));
+
+            expect(first).not.toBe(other);
+        });
+
+        it('should honor Cache-Control of the service', () => {
+            const route = service.cache.routes[0];
+            expect(cache.ttlFor(route, {})).toBe(15000);
+            expect(cache.ttlFor(route, { 'cache-control': 'public, max-age=5' })).toBe(5000);
+            expect(cache.ttlFor(route, { 'cache-control': 'max-age=60, s-maxage=10' })).toBe(10000);
+            expect(cache.ttlFor(route, { 'cache-control': 'no-store' })).toBe(0);
+            expect(cache.ttlFor(route, { 'cache-control': 'private, max-age=60' })).toBe(0);
+        });
+    });
+
+    describe('Invalidation', () => {
+        const store = (path) => {
+            const key = cache.key('customermanagement', requestFor(path, 'admin'));
+            cache.set(key, 'customermanagement', path, cache.generation('customermanagement'), { status: 200, headers: {}, body: Buffer.from('[]'), ttl: 10000 });
+            return key;
+        };
+
+        it('should purge the changed resource, its collection and sub-resources only', () => {
+            const list = store('/customers');
+            const changed = store('/customers/5');
+            const notes = store('/customers/5/notes');
+            const other = store('/customers/6');
+
+            expect(cache.purge('customermanagement', '/customers/5')).toBe(3);
+            expect(cache.get(list)).toBeNull();
+            expect(cache.get(changed)).toBeNull();
+            expect(cache.get(notes)).toBeNull();
+            expect(cache.get(other)).not.toBeNull();
+        });
+
+        it('should not store responses requested before an invalidation', () => {
+            const generation = cache.generation('customermanagement');
+            cache.purge('customermanagement', '/customers/5');
+
+            const stored = cache.set('key', 'customermanagement', '/customers', generation, { status: 200, headers: {}, body: Buffer.from('[]'), ttl: 10000 });
+            expect(stored).toBe(false);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,85 @@
+const circuitbreaker = require('../utils/circuitbreaker');
+const policy = require('../utils/policy');
+
+const url = 'http://localhost:9001/';
+const config = { failureThreshold: 3, resetTimeout: 1000 };
+
+describe('API Gateway Circuit Breaker Tests', () => {
+    beforeEach(() => {
+        circuitbreaker.reset();
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('Circuit state transitions', () => {
+        it('should open the circuit after consecutive failures reach the threshold', () => {
+            circuitbreaker.recordFailure(url, config);
+            circuitbreaker.recordFailure(url, config);
+            expect(circuitbreaker.allowsRequest(url)).toBe(true);
+
+            circuitbreaker.recordFailure(url, config);
+            expect(circuitbreaker.getState(url).state).toBe(circuitbreaker.OPEN);
+            expect(circuitbreaker.allowsRequest(url)).toBe(false);
+        });
+
+        it('should reset consecutive failures on success', () => {
+            circuitbreaker.recordFailure(url, config);
+            circuitbreaker.recordFailure(url, config);
+            circuitbreaker.recordSuccess(url);
+            circuitbreaker.recordFailure(url, config);
+            expect(circuitbreaker.getState(url).state).toBe(circuitbreaker.CLOSED);
+        });
+
+        it('should let a single trial request through after the cool-down', () => {
+            for (let i = 0; i < 3; i++) {
+                circuitbreaker.recordFailure(url, config);
+            }
+            jest.advanceTimersByTime(1000);
+            expect(circuitbreaker.allowsRequest(url)).toBe(true);
+
+            circuitbreaker.beforeRequest(url);
+            expect(circuitbreaker.getState(url).state).toBe(circuitbreaker.HALF_OPEN);
+            expect(circuitbreaker.allowsRequest(url)).toBe(false);
+        });
+
+        it('should close the circuit when the trial request succeeds', () => {
+            for (let i = 0; i < 3; i++) {
+                circuitbreaker.recordFailure(url, config);
+            }
+            jest.advanceTimersByTime(1000);
+            circuitbreaker.beforeRequest(url);
+            circuitbreaker.recordSuccess(url);
+            expect(circuitbreaker.getState(url).state).toBe(circuitbreaker.CLOSED);
+        });
+
+        it('should open the circuit again when the trial request fails', () => {
+            for (let i = 0; i < 3; i++) {
+                circuitbreaker.recordFailure(url, config);
+            }
+            jest.advanceTimersByTime(1000);
+            circuitbreaker.beforeRequest(url);
+            circuitbreaker.recordFailure(url, config);
+            expect(circuitbreaker.getState(url).state).toBe(circuitbreaker.OPEN);
+            expect(circuitbreaker.allowsRequest(url)).toBe(false);
+        });
+    });
+
+    describe('Service policy', () => {
+        it('should merge service policy with defaults', () => {
+            const servicePolicy = policy.get({ policy: { timeout: 2000, circuitBreaker: { failureThreshold: 2 } } });
+            expect(servicePolicy.timeout).toBe(2000);
+            expect(servicePolicy.retries).toBe(policy.DEFAULT.retries);
+            expect(servicePolicy.circuitBreaker).toEqual({ failureThreshold: 2, resetTimeout: policy.DEFAULT.circuitBreaker.resetTimeout });
+        });
+
+        it('should only retry idempotent methods on connection errors and gateway statuses', () => {
+            expect(policy.isRetryable('GET', { request: {} })).toBe(true);
+            expect(policy.isRetryable('DELETE', { response: { status: 503 } })).toBe(true);
+            expect(policy.isRetryable('PUT', { response: { status: 400 } })).toBe(false);
+            expect(policy.isRetryable('POST', { request: {} })).toBe(false);
+        });
+    });
+});
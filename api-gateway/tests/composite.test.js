@@ -0,0 +1,171 @@
+process.env.RATE_LIMIT_BUDGETS = JSON.stringify({ sales_rep: 2 });
+
+const { signToken } = require('./helpers/tokens');
+const express = require('express');
+const request = require('supertest');
+const compositeRoutes = require('../routes/composite');
+const registry = require('../utils/registry');
+const loadbalancer = require('../utils/loadbalancer');
+const circuitbreaker = require('../utils/circuitbreaker');
+const { createMemoryStorage } = require('../storage');
+
+const app = express();
+app.use('/composite', compositeRoutes);
+
+const token = signToken({ id: 2, role: 'manager' });
+const salesRepToken = signToken({ id: 5, role: 'sales_rep' });
+
+// Start an upstream service on a random port
+const startUpstream = (upstream) => new Promise(resolve => {
+    const server = upstream.listen(0, () => resolve(server));
+});
+
+const instanceOf = (apiName, port) => ({ apiName, protocol: 'http', host: 'localhost', port: String(port), url: `http://localhost:${port}/`, enabled: true });
+
+// Paginated list response of the services
+const page = (data) => ({ total: data.length, page: 1, limit: 100, totalPages: 1, data });
+
+// Sales of the customer with many sales
+const MANY_SALES = Array.from({ length: 20 }, (value, index) => ({ id: 100 + index, customer_id: 3, amount: 10, status: 'new' }));
+
+describe('API Gateway Composition Tests', () => {
+    const servers = [];
+    let customerPort;
+    let salesPort;
+    let events;
+    let notesInFlight;
+    let maxNotesInFlight;
+
+    const useServices = (salesInstancePort) => {
+        registry.useStorage(createMemoryStorage({
+            services: {
+                customermanagement: { loadBalanceStrategy: 'ROUND_ROBIN', policy: { retries: 0 }, instances: [instanceOf('customermanagement', customerPort)] },
+                salestracking: { loadBalanceStrategy: 'ROUND_ROBIN', policy: { retries: 0 }, instances: [instanceOf('salestracking', salesInstancePort)] }
+            }
+        }));
+        return registry.load();
+    };
+
+    beforeAll(async () => {
+        const customers = express();
+        customers.get('/customers/:id', (req, res) => {
+            if (req.params.id === '3') {
+                // Slow customer, answered after the other parts were asked for
+                return setTimeout(() => {
+                    events.push('customer');
+                    res.json({ message: 'Customer fetch successful', customer: { id: 3, name: 'Bob' } });
+                }, 100);
+            }
+            if (req.params.id !== '1') {
+                return res.status(404).json({ error: 'Customer not found' });
+            }
+            res.json({ message: 'Customer fetch successful', customer: { id: 1, name: 'Alice' } });
+        });
+        customers.get('/customers/:id/notes', (req, res) => res.json(page([{ id: 10, note: 'Called' }])));
+        servers.push(await startUpstream(customers));
+        customerPort = servers[0].address().port;
+
+        const sales = express();
+        sales.get('/sales', (req, res) => {
+            events.push('sales');
+            if (req.query.customer_id === '3') {
+                return res.json(page(MANY_SALES));
+            }
+            res.json(page([
+                { id: 5, customer_id: Number(req.query.customer_id), amount: 100, status: 'deal' },
+                { id: 6, customer_id: Number(req.query.customer_id), amount: 50.5, status: 'new' }
+            ]));
+        });
+        sales.get('/sales/:id/notes', (req, res) => {
+            notesInFlight++;
+            maxNotesInFlight = Math.max(maxNotesInFlight, notesInFlight);
+            setTimeout(() => {
+                notesInFlight--;
+                res.json(page([{ id: 20, sale_id: Number(req.params.id), note: 'Signed' }]));
+            }, 10);
+        });
+        servers.push(await startUpstream(sales));
+        salesPort = servers[1].address().port;
+    });
+
+    afterAll(() => Promise.all(servers.map(server => new Promise(resolve => server.close(resolve)))));
+
+    beforeEach(() => {
+        events = [];
+        notesInFlight = 0;
+        maxNotesInFlight = 0;
+        loadbalancer.reset();
+        circuitbreaker.reset();
+        return useServices(salesPort);
+    });
+
+    it('should require a token', async () => {
+        const res = await request(app).get('/composite/customers/1');
+
+        expect(res.statusCode).toEqual(401);
+    });
+
+    it('should merge customer, notes, sales and totals', async () => {
+        const res = await request(app).get('/composite/customers/1').set('Authorization', `Bearer ${token}`);
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.customer).toEqual({ id: 1, name: 'Alice' });
+        expect(res.body.notes).toHaveLength(1);
+        expect(res.body.sales.map(sale => sale.notes.length)).toEqual([1, 1]);
+        expect(res.body.totals).toEqual({
+            count: 2,
+            amount: 150.5,
+            byStatus: { deal: { count: 1, amount: 100 }, new: { count: 1, amount: 50.5 } }
+        });
+        expect(res.body.partial).toBe(false);
+    });
+
+    it('should return partial results when a service is down', async () => {
+        // Port of a server that was closed again, nothing listens there
+        const closed = await startUpstream(express());
+        const closedPort = closed.address().port;
+        await new Promise(resolve => closed.close(resolve));
+        await useServices(closedPort);
+
+        const res = await request(app).get('/composite/customers/1').set('Authorization', `Bearer ${token}`);
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.customer).toEqual({ id: 1, name: 'Alice' });
+        expect(res.body.sales).toBeNull();
+        expect(res.body.totals).toBeNull();
+        expect(res.body.partial).toBe(true);
+        expect(res.body.errors[0]).toMatchObject({ service: 'salestracking', resource: 'sales', status: null });
+    });
+
+    it('should read sales while the customer is read and limit concurrent notes requests', async () => {
+        const res = await request(app).get('/composite/customers/3').set('Authorization', `Bearer ${token}`);
+
+        expect(res.statusCode).toEqual(200);
+        expect(events.indexOf('sales')).toBeLessThan(events.indexOf('customer'));
+        expect(res.body.sales.map(sale => sale.id)).toEqual(MANY_SALES.map(sale => sale.id));
+        expect(res.body.sales.every(sale => sale.notes.length === 1)).toBe(true);
+        expect(maxNotesInFlight).toBeGreaterThan(1);
+        expect(maxNotesInFlight).toBeLessThanOrEqual(5);
+    });
+
+    it('should count requests against the rate limit of the caller', async () => {
+        const compose = () => request(app).get('/composite/customers/1').set('Authorization', `Bearer ${salesRepToken}`);
+
+        expect((await compose()).statusCode).toEqual(200);
+        const allowed = await compose();
+        expect(allowed.statusCode).toEqual(200);
+        expect(allowed.headers['ratelimit-limit']).toBe('2');
+        const res = await compose();
+
+        expect(res.statusCode).toEqual(429);
+        expect(res.body).toEqual({ message: 'Too many requests, please try again later.' });
+        expect((await request(app).get('/composite/customers/1').set('Authorization', `Bearer ${token}`)).statusCode).toEqual(200);
+    });
+
+    it('should forward client errors of the customer service', async () => {
+        const res = await request(app).get('/composite/customers/2').set('Authorization', `Bearer ${token}`);
+
+        expect(res.statusCode).toEqual(404);
+        expect(res.body).toEqual({ error: 'Customer not found' });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,116 @@
+const express = require('express');
+const request = require('supertest');
+const docsRoutes = require('../routes/docs');
+const registry = require('../utils/registry');
+const loadbalancer = require('../utils/loadbalancer');
+const circuitbreaker = require('../utils/circuitbreaker');
+const { createMemoryStorage } = require('../storage');
+
+const app = express();
+app.use('/docs', docsRoutes);
+
+// Start an upstream service on a random port
+const startUpstream = (upstream) => new Promise(resolve => {
+    const server = upstream.listen(0, () => resolve(server));
+});
+
+const instanceOf = (apiName, port) => ({ apiName, protocol: 'http', host: 'localhost', port: String(port), url: `http://localhost:${port}/`, enabled: true });
+
+// Small service document with a schema reference
+const serviceSpec = {
+    openapi: '3.0.3',
+    info: { title: 'User Management Service', version: '1.0.0' },
+    tags: [{ name: 'Users' }],
+    paths: {
+        '/login': { post: { tags: ['Users'], responses: { 200: { description: 'Login successful' } } } },
+        '/users/{id}': {
+            get: {
+                tags: ['Users'],
+                'x-roles': ['admin', 'manager'],
+                responses: { 200: { description: 'User found', content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } } }
+            }
+        }
+    },
+    components: { schemas: { User: { type: 'object', properties: { role: { $ref: '#/components/schemas/Role' } } }, Role: { type: 'string' } } }
+};
+
+describe('API Gateway Docs Tests', () => {
+    let server;
+    let closedPort;
+
+    beforeAll(async () => {
+        const users = express();
+        users.get('/openapi.json', (req, res) => res.json(serviceSpec));
+        server = await startUpstream(users);
+
+        // Port of a server that was closed again, nothing listens there
+        const closed = await startUpstream(express());
+        closedPort = closed.address().port;
+        await new Promise(resolve => closed.close(resolve));
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        loadbalancer.reset();
+        circuitbreaker.reset();
+        registry.useStorage(createMemoryStorage({
+            services: {
+                usermanagement: {
+                    loadBalanceStrategy: 'ROUND_ROBIN',
+                    policy: { retries: 0 },
+                    auth: { default: 'protected', routes: [{ method: 'POST', path: '/login', access: 'public' }] },
+                    instances: [instanceOf('usermanagement', server.address().port)]
+                },
+                salestracking: { loadBalanceStrategy: 'ROUND_ROBIN', policy: { retries: 0 }, instances: [instanceOf('salestracking', closedPort)] }
+            }
+        }));
+        return registry.load();
+    });
+
+    it('should merge service paths under their api name', async () => {
+        const res = await request(app).get('/docs/openapi.json');
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.openapi).toEqual('3.0.3');
+        expect(res.body.paths['/composite/customers/{id}']).toBeDefined();
+        expect(res.body.paths['/usermanagement/users/{id}'].get['x-roles']).toEqual(['admin', 'manager']);
+        expect(res.body.paths['/usermanagement/users/{id}'].get.tags).toEqual(['usermanagement - Users']);
+        expect(res.body['x-services'].usermanagement.title).toEqual('User Management Service');
+    });
+
+    it('should prefix component schemas and their references', async () => {
+        const res = await request(app).get('/docs/openapi.json');
+        const response = res.body.paths['/usermanagement/users/{id}'].get.responses['200'];
+
+        expect(response.content['application/json'].schema.$ref).toEqual('#/components/schemas/usermanagement_User');
+        expect(res.body.components.schemas.usermanagement_User.properties.role.$ref).toEqual('#/components/schemas/usermanagement_Role');
+        expect(res.body.components.schemas.usermanagement_Role).toEqual({ type: 'string' });
+    });
+
+    it('should document the access configured at the gateway', async () => {
+        const res = await request(app).get('/docs/openapi.json');
+
+        expect(res.body.paths['/usermanagement/login'].post.security).toEqual([]);
+        expect(res.body.paths['/usermanagement/users/{id}'].get.security).toEqual([{ bearerAuth: [] }]);
+    });
+
+    it('should list services whose document is unavailable', async () => {
+        const res = await request(app).get('/docs/openapi.json');
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body['x-unavailable-services']).toEqual(['salestracking']);
+        expect(Object.keys(res.body.paths).some(path => path.startsWith('/salestracking'))).toBe(false);
+    });
+
+    it('should serve the interactive docs page and its scripts', async () => {
+        const page = await request(app).get('/docs');
+        const initializer = await request(app).get('/docs/swagger-initializer.js');
+        const bundle = await request(app).get('/docs/swagger-ui-bundle.js');
+
+        expect(page.statusCode).toEqual(200);
+        expect(page.text).toContain('/docs/swagger-ui-bundle.js');
+        expect(initializer.text).toContain('/docs/openapi.json');
+        expect(bundle.statusCode).toEqual(200);
+    });
+});
\ No newline at end of file
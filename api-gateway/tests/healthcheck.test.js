@@ -0,0 +1,75 @@
+const healthcheck = require('../utils/healthcheck');
+const loadbalancer = require('../utils/loadbalancer');
+
+// Build a fresh service entry for each test
+const createService = () => ({
+    loadBalanceStrategy: 'ROUND_ROBIN',
+    index: 0,
+    instances: [
+        { apiName: 'testservice', url: 'http://localhost:9001/', enabled: true },
+        { apiName: 'testservice', url: 'http://localhost:9002/', enabled: true }
+    ]
+});
+
+describe('API Gateway Health Check Tests', () => {
+    beforeEach(() => {
+        healthcheck.reset();
+    });
+
+    describe('Health state transitions', () => {
+        it('should assume an instance that was never probed is healthy', () => {
+            expect(healthcheck.isHealthy('http://localhost:9001/')).toBe(true);
+        });
+
+        it('should mark an instance unhealthy only after 3 consecutive failures', () => {
+            const url = 'http://localhost:9001/';
+            healthcheck.recordFailure(url, 'timeout');
+            healthcheck.recordFailure(url, 'timeout');
+            expect(healthcheck.isHealthy(url)).toBe(true);
+
+            healthcheck.recordFailure(url, 'timeout');
+            expect(healthcheck.isHealthy(url)).toBe(false);
+            expect(healthcheck.getState(url).lastError).toBe('timeout');
+        });
+
+        it('should bring an unhealthy instance back after 2 consecutive successes', () => {
+            const url = 'http://localhost:9001/';
+            for (let i = 0; i < 3; i++) {
+                healthcheck.recordFailure(url, 'timeout');
+            }
+            healthcheck.recordSuccess(url);
+            expect(healthcheck.isHealthy(url)).toBe(false);
+
+            healthcheck.recordSuccess(url);
+            expect(healthcheck.isHealthy(url)).toBe(true);
+        });
+
+        it('should report health state grouped by service', () => {
+            const registry = { services: { testservice: createService() } };
+            const report = healthcheck.report(registry);
+            expect(report.testservice).toHaveLength(2);
+            expect(report.testservice[0]).toMatchObject({ url: 'http://localhost:9001/', enabled: true, healthy: true });
+        });
+    });
+
+    describe('Load balancing with health state', () => {
+        it('should skip unhealthy instances', () => {
+            const service = createService();
+            for (let i = 0; i < 3; i++) {
+                healthcheck.recordFailure('http://localhost:9002/', 'timeout');
+            }
+            for (let i = 0; i < 4; i++) {
+                expect(loadbalancer.ROUND_ROBIN(service)).toBe(0);
+            }
+        });
+
+        it('should throw if no instance is both enabled and healthy', () => {
+            const service = createService();
+            service.instances[0].enabled = false;
+            for (let i = 0; i < 3; i++) {
+                healthcheck.recordFailure('http://localhost:9002/', 'timeout');
+            }
+            expect(() => loadbalancer.ROUND_ROBIN(service)).toThrow('No enabled and healthy instances available');
+        });
+    });
+});
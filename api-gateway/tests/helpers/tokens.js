@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const jwks = require('../../utils/jwks');
+
+// Key pair standing in for the signing key of user-management, its public key is put in the key cache of the gateway
+const KID = 'test-key';
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const keySet = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' }] };
+jwks.useKeys(keySet);
+
+// Sign a token the way user-management does
+const signToken = (payload, options = {}) => {
+    return jwt.sign(payload, privateKey, { algorithm: 'RS256', keyid: KID, expiresIn: '1h', ...options });
+};
+
+module.exports = { KID, keySet, signToken };
\ No newline at end of file
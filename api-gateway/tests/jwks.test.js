@@ -0,0 +1,113 @@
+process.env.JWKS_REFRESH_INTERVAL = '1';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const express = require('express');
+const request = require('supertest');
+const registry = require('../utils/registry');
+const jwks = require('../utils/jwks');
+const revocation = require('../utils/revocation');
+const loadbalancer = require('../utils/loadbalancer');
+const circuitbreaker = require('../utils/circuitbreaker');
+const { authenticateUser } = require('../middleware/auth');
+const { createMemoryStorage } = require('../storage');
+
+const app = express();
+app.get('/protected', authenticateUser, (req, res) => res.json({ user: req.user }));
+
+// Signing key of user-management with its published JWK
+const createKey = (kid, type = 'rsa', options = { modulusLength: 2048 }) => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync(type, options);
+    const algorithm = type === 'rsa' ? 'RS256' : 'ES256';
+    return {
+        kid,
+        jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: algorithm, use: 'sig' },
+        sign: (payload) => jwt.sign(payload, privateKey, { algorithm, keyid: kid, expiresIn: '1h' })
+    };
+};
+
+// Start an upstream service on a random port
+const startUpstream = (upstream) => new Promise(resolve => {
+    const server = upstream.listen(0, () => resolve(server));
+});
+
+const instanceOf = (apiName, port) => ({ apiName, protocol: 'http', host: 'localhost', port: String(port), url: `http://localhost:${port}/`, enabled: true });
+
+describe('API Gateway JWKS Tests', () => {
+    const first = createKey('first');
+    const second = createKey('second', 'ec', { namedCurve: 'P-256' });
+    let server;
+    let published;
+    let fetches = 0;
+
+    const useUserService = (port) => {
+        registry.useStorage(createMemoryStorage({
+            services: { usermanagement: { loadBalanceStrategy: 'ROUND_ROBIN', policy: { retries: 0 }, instances: [instanceOf('usermanagement', port)] } }
+        }));
+        return registry.load();
+    };
+
+    beforeAll(async () => {
+        const users = express();
+        users.get('/.well-known/jwks.json', (req, res) => {
+            fetches++;
+            res.json({ keys: published.map(key => key.jwk) });
+        });
+        users.get('/token/verify', (req, res) => res.json({ message: 'Token is valid' }));
+        server = await startUpstream(users);
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        published = [first];
+        fetches = 0;
+        jwks.reset();
+        revocation.reset();
+        loadbalancer.reset();
+        circuitbreaker.reset();
+        return useUserService(server.address().port);
+    });
+
+    it('should verify tokens with the published keys and load them once', async () => {
+        await request(app).get('/protected').set('Authorization', `Bearer ${first.sign({ id: 2, role: 'manager' })}`);
+        const res = await request(app).get('/protected').set('Authorization', `Bearer ${first.sign({ id: 3, role: 'sales_rep' })}`);
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.user).toMatchObject({ id: 3, role: 'sales_rep' });
+        expect(fetches).toBe(1);
+    });
+
+    it('should load the keys again for a token signed with a rotated key', async () => {
+        await request(app).get('/protected').set('Authorization', `Bearer ${first.sign({ id: 2, role: 'manager' })}`);
+        published = [second, first];
+
+        const res = await request(app).get('/protected').set('Authorization', `Bearer ${second.sign({ id: 2, role: 'manager' })}`);
+
+        expect(res.statusCode).toEqual(200);
+        expect(fetches).toBe(2);
+    });
+
+    it('should reject tokens of unpublished keys and symmetric tokens', async () => {
+        const unpublished = await request(app).get('/protected').set('Authorization', `Bearer ${second.sign({ id: 1, role: 'admin' })}`);
+        const symmetric = jwt.sign({ id: 1, role: 'admin' }, 'shared_secret', { keyid: 'first', expiresIn: '1h' });
+        const hmac = await request(app).get('/protected').set('Authorization', `Bearer ${symmetric}`);
+
+        expect(unpublished.statusCode).toEqual(403);
+        expect(hmac.statusCode).toEqual(403);
+    });
+
+    it('should fail closed for unknown keys but keep loaded keys while the user service cannot be reached', async () => {
+        await request(app).get('/protected').set('Authorization', `Bearer ${first.sign({ id: 2, role: 'manager' })}`);
+        // Port of a server that was closed again, nothing listens there
+        const closed = await startUpstream(express());
+        const closedPort = closed.address().port;
+        await new Promise(resolve => closed.close(resolve));
+        await useUserService(closedPort);
+
+        const res = await request(app).get('/protected').set('Authorization', `Bearer ${second.sign({ id: 2, role: 'manager' })}`);
+
+        expect(res.statusCode).toEqual(503);
+        expect(await jwks.publicKey('first')).not.toBeNull();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,57 @@
+const lease = require('../utils/lease');
+const registry = require('../utils/registry');
+const { createMemoryStorage } = require('../storage');
+
+// Build a fresh registry for each test
+const createRegistry = () => {
+    registry.services = {
+        testservice: {
+            loadBalanceStrategy: 'ROUND_ROBIN',
+            index: 0,
+            instances: [
+                { apiName: 'testservice', url: 'http://localhost:9001/', enabled: true },
+                { apiName: 'testservice', url: 'http://localhost:9002/', enabled: true }
+            ]
+        }
+    };
+    return registry;
+};
+
+describe('API Gateway Registration Lease Tests', () => {
+    beforeEach(() => {
+        lease.reset();
+        jest.useFakeTimers();
+        registry.useStorage(createMemoryStorage());
+        jest.spyOn(registry, 'save');
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('should give instances loaded from registry a full lease', () => {
+        const registry = createRegistry();
+        expect(lease.sweep(registry)).toHaveLength(0);
+        expect(lease.getExpiry('http://localhost:9001/')).toBe(Date.now() + lease.TTL);
+    });
+
+    it('should unregister instances whose lease lapsed', () => {
+        const registry = createRegistry();
+        lease.sweep(registry);
+        jest.advanceTimersByTime(lease.TTL - 1000);
+        lease.renew('http://localhost:9002/');
+        jest.advanceTimersByTime(1000);
+
+        const expired = lease.sweep(registry);
+        expect(expired.map(instance => instance.url)).toEqual(['http://localhost:9001/']);
+        expect(registry.services.testservice.instances.map(instance => instance.url)).toEqual(['http://localhost:9002/']);
+        expect(registry.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not write registry when no lease lapsed', () => {
+        const registry = createRegistry();
+        lease.sweep(registry);
+        expect(registry.save).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,85 @@
+const loadbalancer = require('../utils/loadbalancer');
+const healthcheck = require('../utils/healthcheck');
+
+// Build a fresh service entry for each test
+const createService = (loadBalanceStrategy) => ({
+    loadBalanceStrategy,
+    index: 0,
+    instances: [
+        { apiName: 'testservice', url: 'http://localhost:9001/', enabled: true, weight: 3 },
+        { apiName: 'testservice', url: 'http://localhost:9002/', enabled: true, weight: 1 },
+        { apiName: 'testservice', url: 'http://localhost:9003/', enabled: false, weight: 5 }
+    ]
+});
+
+// Count how many times each instance index is selected
+const distribution = (service, times, req) => {
+    const counts = {};
+    for (let i = 0; i < times; i++) {
+        const index = loadbalancer[service.loadBalanceStrategy](service, req);
+        counts[index] = (counts[index] || 0) + 1;
+    }
+    return counts;
+};
+
+describe('API Gateway Load Balancer Tests', () => {
+    beforeEach(() => {
+        loadbalancer.reset();
+        healthcheck.reset();
+    });
+
+    describe('WEIGHTED_ROUND_ROBIN', () => {
+        it('should distribute requests proportionally to instance weights', () => {
+            const counts = distribution(createService('WEIGHTED_ROUND_ROBIN'), 8);
+            expect(counts).toEqual({ 0: 6, 1: 2 });
+        });
+
+        it('should treat instances without weight as weight 1', () => {
+            const service = createService('WEIGHTED_ROUND_ROBIN');
+            delete service.instances[0].weight;
+            const counts = distribution(service, 4);
+            expect(counts).toEqual({ 0: 2, 1: 2 });
+        });
+    });
+
+    describe('LEAST_CONNECTIONS', () => {
+        it('should forward to the instance with the fewest in-flight requests', () => {
+            const service = createService('LEAST_CONNECTIONS');
+            loadbalancer.acquire('http://localhost:9001/');
+            expect(loadbalancer.LEAST_CONNECTIONS(service)).toBe(1);
+
+            loadbalancer.acquire('http://localhost:9002/');
+            loadbalancer.acquire('http://localhost:9002/');
+            expect(loadbalancer.LEAST_CONNECTIONS(service)).toBe(0);
+
+            loadbalancer.release('http://localhost:9002/');
+            loadbalancer.release('http://localhost:9002/');
+            expect(loadbalancer.LEAST_CONNECTIONS(service)).toBe(1);
+        });
+    });
+
+    describe('RANDOM', () => {
+        it('should only select enabled instances', () => {
+            const counts = distribution(createService('RANDOM'), 50);
+            expect(counts[2]).toBeUndefined();
+        });
+    });
+
+    describe('IP_HASH', () => {
+        it('should forward the same client ip to the same instance', () => {
+            const service = createService('IP_HASH');
+            const counts = distribution(service, 10, { ip: '192.168.1.20' });
+            expect(Object.values(counts)).toEqual([10]);
+        });
+    });
+
+    describe('Unavailable instances', () => {
+        it('should throw if no instance is enabled', () => {
+            const service = createService('RANDOM');
+            service.instances.forEach(instance => instance.enabled = false);
+            loadbalancer.STRATEGIES.forEach(strategy => {
+                expect(() => loadbalancer[strategy](service, { ip: '127.0.0.1' })).toThrow('No enabled and healthy instances available');
+            });
+        });
+    });
+});
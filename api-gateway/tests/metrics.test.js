@@ -0,0 +1,67 @@
+const express = require('express');
+const request = require('supertest');
+const routes = require('../routes/index');
+const registry = require('../utils/registry');
+const metrics = require('../utils/metrics');
+const healthcheck = require('../utils/healthcheck');
+const circuitbreaker = require('../utils/circuitbreaker');
+const { createMemoryStorage } = require('../storage');
+
+const app = express();
+app.use('/', routes);
+
+const instanceUrl = 'http://localhost:9101/';
+
+describe('API Gateway Metrics Tests', () => {
+    beforeAll(() => {
+        registry.useStorage(createMemoryStorage({
+            services: {
+                reports: {
+                    loadBalanceStrategy: 'ROUND_ROBIN',
+                    instances: [
+                        { apiName: 'reports', protocol: 'http', host: 'localhost', port: '9101', url: instanceUrl, enabled: true }
+                    ]
+                }
+            }
+        }));
+        return registry.load();
+    });
+
+    beforeEach(() => {
+        metrics.reset();
+        healthcheck.reset();
+        circuitbreaker.reset();
+    });
+
+    it('should count upstream requests and errors per instance', async () => {
+        metrics.recordResponse('reports', instanceUrl, 'GET', 200, Date.now());
+        metrics.recordResponse('reports', instanceUrl, 'GET', 503, Date.now());
+        metrics.recordError('reports', instanceUrl, 'GET', { code: 'ECONNABORTED' }, Date.now());
+
+        const output = await metrics.render(registry);
+
+        expect(output).toContain(`gateway_upstream_requests_total{service="reports",instance="${instanceUrl}",method="GET",status="200"} 1`);
+        expect(output).toContain(`gateway_upstream_requests_total{service="reports",instance="${instanceUrl}",method="GET",status="error"} 1`);
+        expect(output).toContain(`gateway_upstream_errors_total{service="reports",instance="${instanceUrl}",reason="server_error"} 1`);
+        expect(output).toContain(`gateway_upstream_errors_total{service="reports",instance="${instanceUrl}",reason="timeout"} 1`);
+        expect(output).toContain(`gateway_upstream_request_duration_seconds_count{service="reports",instance="${instanceUrl}",method="GET"} 3`);
+    });
+
+    it('should report health and circuit state of every instance', async () => {
+        circuitbreaker.recordFailure(instanceUrl, { failureThreshold: 1, resetTimeout: 30000 });
+
+        const output = await metrics.render(registry);
+
+        expect(output).toContain(`gateway_instance_healthy{service="reports",instance="${instanceUrl}"} 1`);
+        expect(output).toContain(`gateway_instance_circuit_state{service="reports",instance="${instanceUrl}",state="OPEN"} 1`);
+        expect(output).toContain(`gateway_instance_circuit_state{service="reports",instance="${instanceUrl}",state="CLOSED"} 0`);
+    });
+
+    it('should expose metrics in Prometheus text format', async () => {
+        const res = await request(app).get('/metrics');
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.headers['content-type']).toContain('text/plain');
+        expect(res.text).toContain('# TYPE gateway_upstream_requests_total counter');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,291 @@
+process.env.GATEWAY_IDENTITY_SECRET = 'test_identity_secret';
+process.env.PROXY_BUFFER_LIMIT = '1kb';
+
+const { signToken } = require('./helpers/tokens');
+const zlib = require('zlib');
+const express = require('express');
+const request = require('supertest');
+const proxyRoutes = require('../routes/proxy');
+const registry = require('../utils/registry');
+const loadbalancer = require('../utils/loadbalancer');
+const circuitbreaker = require('../utils/circuitbreaker');
+const { createMemoryStorage } = require('../storage');
+const identity = require('../utils/identity');
+const cache = require('../utils/cache');
+const { tracing } = require('../middleware/tracing');
+
+const app = express();
+app.use(tracing('api-gateway'));
+app.use('/', proxyRoutes);
+
+// Start an upstream service on a random port
+const startUpstream = (upstream) => new Promise(resolve => {
+    const server = upstream.listen(0, () => resolve(server));
+});
+
+const instanceOf = (server) => {
+    const port = server.address().port;
+    return { apiName: 'reports', protocol: 'http', host: 'localhost', port: String(port), url: `http://localhost:${port}/`, enabled: true };
+};
+
+describe('API Gateway Proxy Tests', () => {
+    const servers = [];
+    let received;
+
+    const useInstances = (instances, auth) => {
+        registry.useStorage(createMemoryStorage({
+            services: {
+                reports: {
+                    loadBalanceStrategy: 'ROUND_ROBIN',
+                    ...(auth && { auth }),
+                    cache: { routes: [{ path: '/items', ttl: 10000 }] },
+                    policy: { timeout: 2000, retries: 1, circuitBreaker: { failureThreshold: 5, resetTimeout: 30000 } },
+                    instances
+                }
+            }
+        }));
+        return registry.load();
+    };
+
+    beforeAll(async () => {
+        const upstream = express();
+        const receiveUpload = (req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                received = { headers: req.headers, raw: Buffer.concat(chunks), body: Buffer.concat(chunks).toString() };
+                res.status(201).json({ size: received.body.length });
+            });
+        };
+        upstream.post('/upload', receiveUpload);
+        upstream.put('/upload', receiveUpload);
+        upstream.get('/export', (req, res) => {
+            received = { headers: req.headers, query: req.query };
+            res.set('ETag', '"v1"').type('text/csv').send('id,name\n1,Alice\n');
+        });
+        upstream.get('/whoami', (req, res) => {
+            received = { headers: req.headers };
+            res.json({ ok: true });
+        });
+        let itemsVersion = 0;
+        upstream.get('/items', (req, res) => {
+            received = { headers: req.headers };
+            res.set('ETag', `"items-${itemsVersion}"`).json({ version: itemsVersion });
+        });
+        upstream.put('/items/:id', (req, res) => {
+            itemsVersion++;
+            res.json({ updated: req.params.id });
+        });
+        upstream.get('/flaky', (req, res) => res.status(503).json({ error: 'Unavailable' }));
+        servers.push(await startUpstream(upstream));
+
+        const healthy = express();
+        healthy.get('/flaky', (req, res) => res.json({ ok: true }));
+        servers.push(await startUpstream(healthy));
+    });
+
+    afterAll(() => Promise.all(servers.map(server => new Promise(resolve => server.close(resolve)))));
+
+    beforeEach(() => {
+        received = null;
+        cache.reset();
+        loadbalancer.reset();
+        circuitbreaker.reset();
+        return useInstances([instanceOf(servers[0])]);
+    });
+
+    describe('Request forwarding', () => {
+        it('should stream non JSON request bodies unchanged', async () => {
+            const res = await request(app)
+                .post('/reports/upload')
+                .set('Content-Type', 'text/plain')
+                .send('raw body that is not json');
+
+            expect(res.statusCode).toEqual(201);
+            expect(received.body).toBe('raw body that is not json');
+            expect(received.headers['content-type']).toBe('text/plain');
+        });
+
+        it('should answer idempotent bodies over the buffer limit with 413 without proxying', async () => {
+            const res = await request(app)
+                .put('/reports/upload')
+                .set('Content-Type', 'text/plain')
+                .send('x'.repeat(2048));
+
+            expect(res.statusCode).toEqual(413);
+            expect(res.body.error).toBe('entity.too.large');
+            expect(received).toBeNull();
+        });
+
+        it('should stream compressed idempotent bodies unchanged', async () => {
+            const compressed = zlib.gzipSync('compressed body');
+            const res = await request(app)
+                .put('/reports/upload')
+                .set('Content-Type', 'text/plain')
+                .set('Content-Encoding', 'gzip')
+                .send(compressed);
+
+            expect(res.statusCode).toEqual(201);
+            expect(received.headers['content-encoding']).toBe('gzip');
+            expect(zlib.gunzipSync(received.raw).toString()).toBe('compressed body');
+        });
+
+        it('should drop hop-by-hop headers and add forwarding headers', async () => {
+            await request(app)
+                .get('/reports/export?from=2024-01-01')
+                .set('Connection', 'keep-alive, X-Internal-Hop')
+                .set('X-Internal-Hop', 'secret')
+                .set('Proxy-Authorization', 'Basic abc');
+
+            expect(received.query).toEqual({ from: '2024-01-01' });
+            expect(received.headers['x-internal-hop']).toBeUndefined();
+            expect(received.headers['proxy-authorization']).toBeUndefined();
+            expect(received.headers['x-forwarded-for']).toBeDefined();
+        });
+
+        it('should propagate the request id and continue the trace', async () => {
+            const res = await request(app)
+                .get('/reports/export')
+                .set('X-Request-Id', 'request-42')
+                .set('traceparent', '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01');
+
+            expect(res.headers['x-request-id']).toBe('request-42');
+            expect(received.headers['x-request-id']).toBe('request-42');
+            expect(received.headers.traceparent).toMatch(/^00-4bf92f3577b34da6a3ce929d0e0e4736-(?!00f067aa0ba902b7)[0-9a-f]{16}-01$/);
+        });
+    });
+
+    describe('Response forwarding', () => {
+        it('should pass through non JSON responses with Content-Type and ETag', async () => {
+            const res = await request(app).get('/reports/export');
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.headers['content-type']).toContain('text/csv');
+            expect(res.headers['etag']).toBe('"v1"');
+            expect(res.text).toBe('id,name\n1,Alice\n');
+        });
+
+        it('should retry idempotent requests on another instance after a retryable status', async () => {
+            await useInstances([instanceOf(servers[0]), instanceOf(servers[1])]);
+
+            const res = await request(app).get('/reports/flaky');
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body).toEqual({ ok: true });
+        });
+
+        it('should forward the upstream error status when no other instance is left', async () => {
+            const res = await request(app).get('/reports/flaky');
+
+            expect(res.statusCode).toEqual(503);
+            expect(res.body).toEqual({ error: 'Unavailable' });
+        });
+
+        it('should reject unknown service names', async () => {
+            const res = await request(app).get('/unknown/anything');
+
+            expect(res.statusCode).toEqual(400);
+        });
+    });
+
+    describe('Gateway authentication', () => {
+        const auth = { default: 'protected', routes: [{ method: 'GET', path: '/export', access: 'public' }] };
+        const token = signToken({ id: 7, role: 'sales_rep' });
+
+        beforeEach(() => useInstances([instanceOf(servers[0])], auth));
+
+        it('should reject protected routes without a token before proxying', async () => {
+            const res = await request(app).get('/reports/whoami');
+
+            expect(res.statusCode).toEqual(401);
+            expect(received).toBeNull();
+        });
+
+        it('should reject invalid tokens before proxying', async () => {
+            const res = await request(app).get('/reports/whoami').set('Authorization', 'Bearer invalid');
+
+            expect(res.statusCode).toEqual(403);
+            expect(received).toBeNull();
+        });
+
+        it('should forward a signed identity for valid tokens', async () => {
+            const res = await request(app).get('/reports/whoami').set('Authorization', `Bearer ${token}`);
+
+            expect(res.statusCode).toEqual(200);
+            expect(received.headers['x-user-id']).toBe('7');
+            expect(received.headers['x-user-role']).toBe('sales_rep');
+            const timestamp = received.headers['x-gateway-timestamp'];
+            expect(received.headers['x-gateway-signature']).toBe(identity.signature('GET', '/whoami', '7', 'sales_rep', timestamp));
+        });
+
+        it('should forward and sign the permissions of the token', async () => {
+            const permissionsToken = signToken({ id: 7, role: 'sales_rep', permissions: ['customers:read', 'sales:write'] });
+            const res = await request(app).get('/reports/whoami').set('Authorization', `Bearer ${permissionsToken}`);
+
+            expect(res.statusCode).toEqual(200);
+            expect(received.headers['x-user-permissions']).toBe('customers:read,sales:write');
+            const timestamp = received.headers['x-gateway-timestamp'];
+            expect(received.headers['x-gateway-signature']).toBe(identity.signature('GET', '/whoami', '7', 'sales_rep', timestamp, 'customers:read,sales:write'));
+        });
+
+        it('should sign the method and path of the forwarded request without its query string', async () => {
+            const res = await request(app).get('/reports/whoami?verbose=1').set('Authorization', `Bearer ${token}`);
+
+            expect(res.statusCode).toEqual(200);
+            const timestamp = received.headers['x-gateway-timestamp'];
+            expect(received.headers['x-gateway-signature']).toBe(identity.signature('GET', '/whoami', '7', 'sales_rep', timestamp));
+            expect(received.headers['x-gateway-signature']).not.toBe(identity.signature('DELETE', '/whoami', '7', 'sales_rep', timestamp));
+            expect(received.headers['x-gateway-signature']).not.toBe(identity.signature('GET', '/items', '7', 'sales_rep', timestamp));
+        });
+
+        it('should forward and sign the identity of service clients', async () => {
+            const clientToken = signToken({ clientId: 'sales-tracking', role: 'service', permissions: ['customers:read'] });
+            const res = await request(app).get('/reports/whoami').set('Authorization', `Bearer ${clientToken}`);
+
+            expect(res.statusCode).toEqual(200);
+            expect(received.headers['x-client-id']).toBe('sales-tracking');
+            expect(received.headers['x-user-id']).toBeUndefined();
+            expect(received.headers['x-user-role']).toBe('service');
+            const timestamp = received.headers['x-gateway-timestamp'];
+            expect(received.headers['x-gateway-signature']).toBe(identity.signature('GET', '/whoami', 'client:sales-tracking', 'service', timestamp, 'customers:read'));
+        });
+
+        it('should let public routes through and drop identity headers sent by clients', async () => {
+            const res = await request(app).get('/reports/export').set('X-User-Id', '1').set('X-User-Role', 'admin').set('X-Client-Id', 'reports');
+
+            expect(res.statusCode).toEqual(200);
+            expect(received.headers['x-user-id']).toBeUndefined();
+            expect(received.headers['x-client-id']).toBeUndefined();
+            expect(received.headers['x-user-role']).toBeUndefined();
+        });
+    });
+
+    describe('Response caching', () => {
+        it('should serve repeated reads from the cache', async () => {
+            const first = await request(app).get('/reports/items');
+            received = null;
+            const second = await request(app).get('/reports/items');
+
+            expect(first.headers['x-cache']).toBe('MISS');
+            expect(second.headers['x-cache']).toBe('HIT');
+            expect(second.body).toEqual(first.body);
+            expect(received).toBeNull();
+        });
+
+        it('should answer matching ETags with 304', async () => {
+            await request(app).get('/reports/items');
+            const res = await request(app).get('/reports/items').set('If-None-Match', '"items-0"');
+
+            expect(res.statusCode).toEqual(304);
+        });
+
+        it('should invalidate cached reads after a change of the resource', async () => {
+            await request(app).get('/reports/items');
+            await request(app).put('/reports/items/1').send({});
+            const res = await request(app).get('/reports/items');
+
+            expect(res.headers['x-cache']).toBe('MISS');
+            expect(res.body.version).toBeGreaterThan(0);
+        });
+    });
+});
\ No newline at end of file
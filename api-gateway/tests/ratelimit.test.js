@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { signToken } = require('./helpers/tokens');
+const express = require('express');
+const request = require('supertest');
+const { MemoryStore } = require('express-rate-limit');
+const ratelimit = require('../utils/ratelimit');
+const { createRateLimiter } = require('../middleware/ratelimit');
+const { createSqliteRateLimitStore } = require('../storage/ratelimit');
+
+const service = {
+    rateLimit: {
+        routes: [{ method: 'POST', path: '/login', budgets: { anonymous: 2 } }]
+    }
+};
+
+// Proxy-like app resolving the service and path the way the proxy routes do
+const createApp = () => {
+    const app = express();
+    app.all('/:apiName/*', (req, res, next) => {
+        req.service = service;
+        req.servicePath = `/${req.params[0]}`;
+        next();
+    }, createRateLimiter(new MemoryStore()), (req, res) => res.json({ ok: true }));
+    return app;
+};
+
+const salesRepToken = signToken({ id: 3, role: 'sales_rep' });
+
+describe('API Gateway Rate Limiting Tests', () => {
+    describe('Budgets', () => {
+        it('should use role budgets unless a route override sets one', () => {
+            const route = ratelimit.findRoute(service, 'post', '/login');
+
+            expect(ratelimit.limitFor(null, 'admin')).toBe(ratelimit.BUDGETS.admin);
+            expect(ratelimit.limitFor(route, 'anonymous')).toBe(2);
+            expect(ratelimit.limitFor(route, 'manager')).toBe(ratelimit.BUDGETS.manager);
+            expect(ratelimit.limitFor(null, 'unknown_role')).toBe(ratelimit.BUDGETS.anonymous);
+        });
+
+        it('should key callers by user id and fall back to IP', () => {
+            expect(ratelimit.keyFor('usermanagement', null, { id: 3, role: 'sales_rep' }, '10.0.0.1')).toBe('user:3');
+            expect(ratelimit.keyFor('usermanagement', null, null, '10.0.0.1')).toBe('ip:10.0.0.1');
+            expect(ratelimit.keyFor('usermanagement', service.rateLimit.routes[0], null, '10.0.0.1')).toBe('ip:10.0.0.1 usermanagement POST /login');
+        });
+
+        it('should key service clients by client id', () => {
+            const client = { clientId: 'sales-tracking', role: 'service' };
+
+            expect(ratelimit.keyFor('customermanagement', null, client, '10.0.0.1')).toBe('client:sales-tracking');
+            expect(ratelimit.limitFor(null, ratelimit.roleOf(client))).toBe(ratelimit.BUDGETS.service);
+        });
+    });
+
+    describe('Limiter', () => {
+        it('should send RateLimit headers with the budget of the role', async () => {
+            const res = await request(createApp()).get('/usermanagement/users').set('Authorization', `Bearer ${salesRepToken}`);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.headers['ratelimit-limit']).toBe(String(ratelimit.BUDGETS.sales_rep));
+            expect(res.headers['ratelimit-remaining']).toBe(String(ratelimit.BUDGETS.sales_rep - 1));
+            expect(res.headers['ratelimit-reset']).toBeDefined();
+        });
+
+        it('should reject requests over the budget of an overridden route', async () => {
+            const app = createApp();
+            await request(app).post('/usermanagement/login');
+            await request(app).post('/usermanagement/login');
+            const res = await request(app).post('/usermanagement/login');
+            const otherRoute = await request(app).get('/usermanagement/users');
+
+            expect(res.statusCode).toEqual(429);
+            expect(res.body.message).toBe('Too many requests, please try again later.');
+            expect(otherRoute.statusCode).toEqual(200);
+        });
+    });
+
+    describe('SQLite store', () => {
+        let tempDir;
+
+        beforeAll(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-gateway-ratelimit-'));
+        });
+
+        afterAll(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        it('should share counters between gateway instances using the same database', async () => {
+            const dbPath = path.join(tempDir, 'rate-limits.db');
+            const first = createSqliteRateLimitStore(dbPath);
+            const second = createSqliteRateLimitStore(dbPath);
+            first.init({ windowMs: 60000 });
+            second.init({ windowMs: 60000 });
+
+            await first.increment('user:3');
+            const result = await second.increment('user:3');
+
+            expect(result.totalHits).toBe(2);
+            expect(result.resetTime.getTime()).toBeGreaterThan(Date.now());
+            await first.shutdown();
+            await second.shutdown();
+        });
+    });
+});
\ No newline at end of file
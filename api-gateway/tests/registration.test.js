@@ -0,0 +1,113 @@
+process.env.REGISTRATION_SECRET = 'test_registration_secret';
+
+const { signToken } = require('./helpers/tokens');
+const express = require('express');
+const request = require('supertest');
+const routes = require('../routes/index');
+const registry = require('../utils/registry');
+const { createMemoryStorage } = require('../storage');
+const { validateRegistration } = require('../utils/validators');
+
+const app = express();
+app.use(express.json());
+app.use('/', routes);
+
+const registrationInfo = { apiName: 'notifications', protocol: 'http', host: 'localhost', port: 6001 };
+const adminToken = signToken({ id: 1, role: 'admin' });
+const managerToken = signToken({ id: 2, role: 'manager' });
+
+describe('API Gateway Registration Tests', () => {
+    beforeAll(() => {
+        registry.useStorage(createMemoryStorage({ services: {} }));
+        return registry.load();
+    });
+
+    describe('Registration payload validation', () => {
+        it('should require api name, protocol, host and port', () => {
+            expect(validateRegistration({ apiName: 'notifications' })).toBe('Api name, protocol, host and port are required');
+        });
+
+        it('should reject api names used by gateway routes', () => {
+            expect(validateRegistration({ ...registrationInfo, apiName: 'services' })).toBe(`Api name 'services' is reserved by the gateway`);
+        });
+
+        it('should reject invalid ports and weights', () => {
+            expect(validateRegistration({ ...registrationInfo, port: 70000 })).toBe('Port must be an integer between 1 and 65535');
+            expect(validateRegistration({ ...registrationInfo, weight: 0 })).toBe('Weight must be a positive integer');
+        });
+    });
+
+    describe('Registration authentication', () => {
+        it('should return 401 without a registration secret or admin token', async () => {
+            const res = await request(app).post('/register').send(registrationInfo);
+            expect(res.status).toBe(401);
+            expect(res.body.error).toBe('Access denied. Admin token or registration secret required.');
+        });
+
+        it('should return 401 for a wrong registration secret', async () => {
+            const res = await request(app).post('/register').set('X-Registration-Secret', 'wrong').send(registrationInfo);
+            expect(res.status).toBe(401);
+        });
+
+        it('should return 401 for a non-admin token on admin routes', async () => {
+            const res = await request(app).delete('/services/notifications').set('Authorization', `Bearer ${managerToken}`);
+            expect(res.status).toBe(401);
+            expect(res.body.error).toBe('Access denied. Admin token required.');
+        });
+    });
+
+    describe('POST /register', () => {
+        it('should return 400 for an invalid payload', async () => {
+            const res = await request(app).post('/register').set('X-Registration-Secret', 'test_registration_secret').send({ ...registrationInfo, protocol: 'ftp' });
+            expect(res.status).toBe(400);
+            expect(res.body.message).toBe('Protocol must be either http or https');
+        });
+
+        it('should create a service entry for a new api name', async () => {
+            const res = await request(app).post('/register').set('X-Registration-Secret', 'test_registration_secret').send(registrationInfo);
+            expect(res.status).toBe(200);
+            expect(registry.services.notifications).toMatchObject({ loadBalanceStrategy: 'ROUND_ROBIN' });
+            expect(registry.services.notifications.instances).toEqual([{
+                apiName: 'notifications',
+                protocol: 'http',
+                host: 'localhost',
+                port: '6001',
+                url: 'http://localhost:6001/',
+                enabled: true,
+                weight: 1
+            }]);
+        });
+
+        it('should refresh the lease instead of failing when registering again', async () => {
+            const res = await request(app).post('/register').set('X-Registration-Secret', 'test_registration_secret').send(registrationInfo);
+            expect(res.status).toBe(200);
+            expect(res.body.message).toBe(`Registration refreshed for 'notifications'`);
+            expect(registry.services.notifications.instances).toHaveLength(1);
+        });
+    });
+
+    describe('Unknown services', () => {
+        it('should return 404 when enabling an instance of an unknown service', async () => {
+            const res = await request(app).post('/enableOrDisable/unknown').set('Authorization', `Bearer ${adminToken}`).send({ url: 'http://localhost:6001/', enabled: false });
+            expect(res.status).toBe(404);
+        });
+
+        it('should return 404 for a heartbeat of an unknown service', async () => {
+            const res = await request(app).post('/heartbeat').set('X-Registration-Secret', 'test_registration_secret').send({ ...registrationInfo, apiName: 'unknown' });
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('DELETE /services/:apiName', () => {
+        it('should remove a service with all of its instances', async () => {
+            const res = await request(app).delete('/services/notifications').set('Authorization', `Bearer ${adminToken}`);
+            expect(res.status).toBe(200);
+            expect(registry.services.notifications).toBeUndefined();
+        });
+
+        it('should return 404 for an unknown service', async () => {
+            const res = await request(app).delete('/services/notifications').set('Authorization', `Bearer ${adminToken}`);
+            expect(res.status).toBe(404);
+        });
+    });
+});
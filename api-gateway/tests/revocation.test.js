@@ -0,0 +1,133 @@
+const { signToken } = require('./helpers/tokens');
+const express = require('express');
+const request = require('supertest');
+const registry = require('../utils/registry');
+const revocation = require('../utils/revocation');
+const loadbalancer = require('../utils/loadbalancer');
+const circuitbreaker = require('../utils/circuitbreaker');
+const { authenticateUser, authenticateAdmin, authenticateAdminOrService } = require('../middleware/auth');
+const { createMemoryStorage } = require('../storage');
+
+const app = express();
+app.get('/protected', authenticateUser, (req, res) => res.json({ user: req.user }));
+app.get('/admin', authenticateAdmin, (req, res) => res.json({ user: req.user }));
+app.post('/register', authenticateAdminOrService, (req, res) => res.json({ actor: req.actor }));
+
+const validToken = signToken({ id: 2, role: 'manager', tokenVersion: 0 });
+const revokedToken = signToken({ id: 3, role: 'sales_rep', tokenVersion: 0 });
+const adminToken = signToken({ id: 1, role: 'admin', tokenVersion: 0 });
+const revokedAdminToken = signToken({ id: 4, role: 'admin', tokenVersion: 0 });
+
+// Start an upstream service on a random port
+const startUpstream = (upstream) => new Promise(resolve => {
+    const server = upstream.listen(0, () => resolve(server));
+});
+
+const instanceOf = (apiName, port) => ({ apiName, protocol: 'http', host: 'localhost', port: String(port), url: `http://localhost:${port}/`, enabled: true });
+
+describe('API Gateway Token Revocation Tests', () => {
+    let server;
+    let verifications = 0;
+
+    const useUserService = (port) => {
+        registry.useStorage(createMemoryStorage({
+            services: port ? { usermanagement: { loadBalanceStrategy: 'ROUND_ROBIN', policy: { retries: 0 }, instances: [instanceOf('usermanagement', port)] } } : {}
+        }));
+        return registry.load();
+    };
+
+    beforeAll(async () => {
+        const users = express();
+        users.get('/token/verify', (req, res) => {
+            verifications++;
+            if ([`Bearer ${revokedToken}`, `Bearer ${revokedAdminToken}`].includes(req.header('Authorization'))) {
+                return res.status(403).json({ error: 'Token has been revoked.' });
+            }
+            res.json({ message: 'Token is valid' });
+        });
+        server = await startUpstream(users);
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        verifications = 0;
+        revocation.reset();
+        loadbalancer.reset();
+        circuitbreaker.reset();
+        return useUserService(server.address().port);
+    });
+
+    it('should accept tokens the user service still considers valid', async () => {
+        const res = await request(app).get('/protected').set('Authorization', `Bearer ${validToken}`);
+
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.user).toMatchObject({ id: 2, role: 'manager' });
+    });
+
+    it('should reject revoked tokens', async () => {
+        const res = await request(app).get('/protected').set('Authorization', `Bearer ${revokedToken}`);
+
+        expect(res.statusCode).toEqual(403);
+        expect(res.body).toEqual({ error: 'Token has been revoked.' });
+    });
+
+    it('should verify a token once within the cache TTL', async () => {
+        await request(app).get('/protected').set('Authorization', `Bearer ${validToken}`);
+        await request(app).get('/protected').set('Authorization', `Bearer ${validToken}`);
+
+        expect(verifications).toBe(1);
+    });
+
+    it('should fail closed when the user service cannot be reached', async () => {
+        // Port of a server that was closed again, nothing listens there
+        const closed = await startUpstream(express());
+        const closedPort = closed.address().port;
+        await new Promise(resolve => closed.close(resolve));
+        await useUserService(closedPort);
+
+        const res = await request(app).get('/protected').set('Authorization', `Bearer ${validToken}`);
+
+        expect(res.statusCode).toEqual(503);
+    });
+
+    it('should accept admin tokens the user service still considers valid on admin routes', async () => {
+        const res = await request(app).get('/admin').set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.statusCode).toEqual(200);
+        expect(verifications).toBe(1);
+    });
+
+    it('should reject revoked admin tokens on admin routes', async () => {
+        const res = await request(app).get('/admin').set('Authorization', `Bearer ${revokedAdminToken}`);
+
+        expect(res.statusCode).toEqual(401);
+        expect(res.body).toEqual({ error: 'Access denied. Admin token required.' });
+    });
+
+    it('should reject revoked admin tokens on routes open to registering services', async () => {
+        const res = await request(app).post('/register').set('Authorization', `Bearer ${revokedAdminToken}`);
+
+        expect(res.statusCode).toEqual(401);
+    });
+
+    it('should answer 503 on admin routes when the user service cannot be reached', async () => {
+        const closed = await startUpstream(express());
+        const closedPort = closed.address().port;
+        await new Promise(resolve => closed.close(resolve));
+        await useUserService(closedPort);
+
+        const res = await request(app).get('/admin').set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.statusCode).toEqual(503);
+    });
+
+    it('should only verify signatures without a registered user service', async () => {
+        await useUserService(null);
+
+        const res = await request(app).get('/protected').set('Authorization', `Bearer ${revokedToken}`);
+
+        expect(res.statusCode).toEqual(200);
+        expect(verifications).toBe(0);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const registry = require('../utils/registry');
+const loadbalancer = require('../utils/loadbalancer');
+const { createFileStorage, createMemoryStorage } = require('../storage');
+const createSqliteStorage = require('../storage/sqlite');
+
+const registryData = {
+    services: {
+        testservice: {
+            loadBalanceStrategy: 'WEIGHTED_ROUND_ROBIN',
+            policy: { timeout: 2000 },
+            auth: { default: 'protected', routes: [{ method: 'POST', path: '/login', access: 'public' }] },
+            instances: [
+                { apiName: 'testservice', protocol: 'http', host: 'localhost', port: '9001', url: 'http://localhost:9001/', enabled: true, weight: 2 },
+                { apiName: 'testservice', protocol: 'http', host: 'localhost', port: '9002', url: 'http://localhost:9002/', enabled: false, weight: 1, draining: true }
+            ]
+        }
+    }
+};
+
+describe('API Gateway Registry Storage Tests', () => {
+    let tempDir;
+
+    beforeAll(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-gateway-registry-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe('File storage', () => {
+        it('should return null when the registry file does not exist', async () => {
+            const storage = createFileStorage(path.join(tempDir, 'missing.json'));
+            expect(await storage.load()).toBeNull();
+        });
+
+        it('should save through a temporary file and leave no temporary file behind', async () => {
+            const filePath = path.join(tempDir, 'registry.json');
+            const storage = createFileStorage(filePath);
+            await storage.save(registryData);
+
+            expect(await storage.load()).toEqual(registryData);
+            expect(fs.readdirSync(tempDir)).toEqual(['registry.json']);
+        });
+    });
+
+    describe('SQLite storage', () => {
+        it('should save and load the same registry', async () => {
+            const storage = createSqliteStorage(path.join(tempDir, 'registry.db'));
+            expect(await storage.load()).toBeNull();
+
+            await storage.save(registryData);
+            await storage.save(registryData);
+            expect(await storage.load()).toEqual(registryData);
+            await storage.close();
+        });
+    });
+
+    describe('Registry', () => {
+        beforeEach(() => {
+            registry.useStorage(createMemoryStorage(registryData));
+            return registry.load();
+        });
+
+        it('should not persist the round robin index', async () => {
+            const storage = createMemoryStorage();
+            registry.useStorage(storage);
+            registry.services.testservice.loadBalanceStrategy = 'ROUND_ROBIN';
+            loadbalancer.ROUND_ROBIN(registry.services.testservice);
+            await registry.save();
+
+            const saved = await storage.load();
+            expect(saved.services.testservice).not.toHaveProperty('index');
+        });
+
+        it('should write saves one after another in call order', async () => {
+            const writes = [];
+            registry.useStorage({
+                type: 'test',
+                load: () => Promise.resolve(null),
+                save: (data) => new Promise((resolve) => {
+                    writes.push(`start ${Object.keys(data.services).length}`);
+                    setTimeout(() => {
+                        writes.push(`end ${Object.keys(data.services).length}`);
+                        resolve();
+                    }, 10);
+                })
+            });
+
+            registry.services.second = { loadBalanceStrategy: 'ROUND_ROBIN', instances: [] };
+            const first = registry.save();
+            delete registry.services.second;
+            const second = registry.save();
+            await Promise.all([first, second]);
+
+            expect(writes).toEqual(['start 2', 'end 2', 'start 1', 'end 1']);
+        });
+
+        it('should keep saving after a failed save', async () => {
+            let attempts = 0;
+            registry.useStorage({
+                type: 'test',
+                load: () => Promise.resolve(null),
+                save: () => ++attempts === 1 ? Promise.reject(new Error('disk full')) : Promise.resolve()
+            });
+
+            await expect(registry.save()).rejects.toThrow('disk full');
+            await expect(registry.save()).resolves.toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,57 @@
+const express = require('express');
+const request = require('supertest');
+const { tracing, traceHeaders, parseTraceparent } = require('../middleware/tracing');
+const { requestContext } = require('../utils/context');
+
+const app = express();
+app.use(tracing('api-gateway'));
+app.get('/trace', (req, res) => {
+    // Context must survive asynchronous work done while handling the request
+    setImmediate(() => res.json({ context: requestContext.getStore(), headers: traceHeaders() }));
+});
+
+const traceparent = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+describe('API Gateway Tracing Tests', () => {
+    describe('Request ids', () => {
+        it('should generate a request id when none is sent', async () => {
+            const res = await request(app).get('/trace');
+
+            expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+            expect(res.body.context.requestId).toBe(res.headers['x-request-id']);
+        });
+
+        it('should honor an incoming request id', async () => {
+            const res = await request(app).get('/trace').set('X-Request-Id', 'client-request-1');
+
+            expect(res.headers['x-request-id']).toBe('client-request-1');
+            expect(res.body.headers['x-request-id']).toBe('client-request-1');
+        });
+
+        it('should replace request ids that are unsafe to log', async () => {
+            const res = await request(app).get('/trace').set('X-Request-Id', 'bad id\twith tab');
+
+            expect(res.headers['x-request-id']).not.toBe('bad id\twith tab');
+        });
+    });
+
+    describe('Trace context', () => {
+        it('should continue an incoming trace with a new span', async () => {
+            const res = await request(app).get('/trace').set('traceparent', traceparent);
+            const { context, headers } = res.body;
+
+            expect(context.traceId).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+            expect(context.parentSpanId).toBe('00f067aa0ba902b7');
+            expect(headers.traceparent).toBe(`00-${context.traceId}-${context.spanId}-01`);
+        });
+
+        it('should start a new trace for missing or invalid traceparent headers', async () => {
+            const res = await request(app).get('/trace').set('traceparent', '00-00000000000000000000000000000000-00f067aa0ba902b7-01');
+
+            expect(res.body.context.traceId).toMatch(/^[0-9a-f]{32}$/);
+            expect(res.body.context.traceId).not.toBe('00000000000000000000000000000000');
+            expect(res.body.context.parentSpanId).toBeNull();
+            expect(parseTraceparent('invalid')).toBeNull();
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,42 @@
+const access = {};
+
+// Access modes of a proxied route
+access.PUBLIC = 'public';
+access.PROTECTED = 'protected';
+access.MODES = [access.PUBLIC, access.PROTECTED];
+
+// Check if a route pattern such as '/users/:id' or '/reports/*' matches a service path
+access.matchPath = (pattern, path) => {
+    const patternSegments = pattern.split('/').filter(Boolean);
+    const pathSegments = path.split('/').filter(Boolean);
+
+    for (let i = 0; i < patternSegments.length; i++) {
+        if (patternSegments[i] === '*') {
+            return true;
+        }
+        if (i >= pathSegments.length || (!patternSegments[i].startsWith(':') && patternSegments[i] !== pathSegments[i])) {
+            return false;
+        }
+    }
+    return patternSegments.length === pathSegments.length;
+};
+
+// Find the route entry of the "auth" configuration matching a request, first match wins
+access.findRoute = (service, method, path) => {
+    const routes = (service.auth && service.auth.routes) || [];
+    return routes.find(route => {
+        const methodMatches = !route.method || route.method === '*' || route.method.toUpperCase() === method.toUpperCase();
+        return methodMatches && access.matchPath(route.path, path);
+    });
+};
+
+// Access mode of a request to a service - Returns null when the gateway does not authenticate the service
+access.resolve = (service, method, path) => {
+    if (!service.auth) {
+        return null;
+    }
+    const route = access.findRoute(service, method, path);
+    return route ? route.access : (service.auth.default || access.PROTECTED);
+};
+
+module.exports = access;
\ No newline at end of file
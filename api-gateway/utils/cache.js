@@ -0,0 +1,115 @@
+const access = require('./access');
+require('dotenv').config();
+
+const CACHE_DEFAULT_TTL = Number(process.env.CACHE_DEFAULT_TTL) || 30000; // 30 seconds
+const CACHE_MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 1000;
+const CACHE_MAX_BODY_SIZE = Number(process.env.CACHE_MAX_BODY_SIZE) || 1024 * 1024; // 1 MB
+
+const cache = {};
+
+cache.MAX_BODY_SIZE = CACHE_MAX_BODY_SIZE;
+
+// Only safe requests are served from the cache, these methods invalidate it
+cache.MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Cached responses kept in memory by cache key, oldest entries are evicted first
+const entries = new Map();
+// Invalidation counter of each service, responses requested before an invalidation are not stored
+const generations = new Map();
+
+// Find the cached route of the "cache" configuration matching a GET request, first match wins
+cache.findRoute = (service, method, path) => {
+    if (method !== 'GET' || !service.cache) {
+        return null;
+    }
+    const routes = service.cache.routes || [];
+    return routes.find(route => access.matchPath(route.path, path)) || null;
+};
+
+// Cache key of a request from method, service path, sorted query and the caller
+// Services scope records to their owners, so callers with the same role do not share responses
+cache.key = (apiName, req) => {
+    const queryIndex = req.originalUrl.indexOf('?');
+    const query = new URLSearchParams(queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex + 1));
+    query.sort();
+    const caller = req.user ? `${req.user.role}:${req.user.clientId || req.user.id}` : 'anonymous';
+    return `${req.method} ${apiName} ${req.servicePath}?${query.toString()} ${caller}`;
+};
+
+// Lifetime of a response in ms, s-maxage or max-age of the service win over the configured TTL - Returns 0 if not cacheable
+cache.ttlFor = (route, headers) => {
+    const cacheControl = String(headers['cache-control'] || '').toLowerCase();
+    if (headers['set-cookie'] || /(^|,)\s*(no-store|no-cache|private)\b/.test(cacheControl)) {
+        return 0;
+    }
+    const maxAge = /s-maxage=(\d+)/.exec(cacheControl) || /(?:^|[,\s])max-age=(\d+)/.exec(cacheControl);
+    if (maxAge) {
+        return Number(maxAge[1]) * 1000;
+    }
+    return route.ttl !== undefined ? Number(route.ttl) : CACHE_DEFAULT_TTL;
+};
+
+// Get a cached response that has not expired
+cache.get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+        return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+    }
+    return entry;
+};
+
+// Store a response unless the service was invalidated since the request was sent
+cache.set = (key, apiName, path, generation, { status, headers, body, ttl }) => {
+    if (generation !== cache.generation(apiName) || ttl <= 0 || body.length > CACHE_MAX_BODY_SIZE) {
+        return false;
+    }
+    entries.delete(key);
+    if (entries.size >= CACHE_MAX_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+    }
+    entries.set(key, { apiName, path, status, headers, body, etag: headers.etag, storedAt: Date.now(), expiresAt: Date.now() + ttl });
+    return true;
+};
+
+// Current invalidation counter of a service
+cache.generation = (apiName) => {
+    return generations.get(apiName) || 0;
+};
+
+// Check if two service paths are the same resource or one contains the other
+const relatedPaths = (first, second) => {
+    const firstSegments = first.split('/').filter(Boolean);
+    const secondSegments = second.split('/').filter(Boolean);
+    const length = Math.min(firstSegments.length, secondSegments.length);
+    return firstSegments.slice(0, length).every((segment, index) => segment === secondSegments[index]);
+};
+
+// Drop cached responses of a service for a path and its collections and sub-resources, all of them without a path
+cache.purge = (apiName, path) => {
+    generations.set(apiName, cache.generation(apiName) + 1);
+    let purged = 0;
+    entries.forEach((entry, key) => {
+        if (entry.apiName === apiName && (!path || relatedPaths(entry.path, path))) {
+            entries.delete(key);
+            purged++;
+        }
+    });
+    return purged;
+};
+
+// Number of cached responses of a service
+cache.size = (apiName) => {
+    return [...entries.values()].filter(entry => entry.apiName === apiName).length;
+};
+
+// Clear all cached responses
+cache.reset = () => {
+    entries.clear();
+    generations.clear();
+};
+
+module.exports = cache;
\ No newline at end of file
@@ -0,0 +1,93 @@
+const logger = require('../middleware/logger');
+
+const circuitbreaker = {};
+
+// Circuit states
+circuitbreaker.CLOSED = 'CLOSED';
+circuitbreaker.OPEN = 'OPEN';
+circuitbreaker.HALF_OPEN = 'HALF_OPEN';
+
+// Circuit state of each instance kept in memory by instance url, never written to registry.json
+const circuits = new Map();
+
+// Get circuit of an instance, circuits start closed
+circuitbreaker.getState = (url) => {
+    if (!circuits.has(url)) {
+        circuits.set(url, {
+            state: circuitbreaker.CLOSED,
+            consecutiveFailures: 0,
+            openedAt: null,
+            retryAt: null
+        });
+    }
+    return circuits.get(url);
+};
+
+// Closed circuits and open circuits whose cool-down is over can receive requests,
+// a half-open circuit already has its single trial request in flight
+circuitbreaker.allowsRequest = (url) => {
+    const circuit = circuitbreaker.getState(url);
+    if (circuit.state === circuitbreaker.OPEN) {
+        return Date.now() >= circuit.retryAt;
+    }
+    return circuit.state === circuitbreaker.CLOSED;
+};
+
+// Called right before forwarding a request, an open circuit past its cool-down becomes half-open
+circuitbreaker.beforeRequest = (url) => {
+    const circuit = circuitbreaker.getState(url);
+    if (circuit.state === circuitbreaker.OPEN && Date.now() >= circuit.retryAt) {
+        circuit.state = circuitbreaker.HALF_OPEN;
+        logger.info(`Circuit for '${url}' is half-open, sending trial request`);
+    }
+};
+
+// Successful request closes the circuit
+circuitbreaker.recordSuccess = (url) => {
+    const circuit = circuitbreaker.getState(url);
+    if (circuit.state !== circuitbreaker.CLOSED) {
+        logger.info(`Circuit for '${url}' closed`);
+    }
+    circuit.state = circuitbreaker.CLOSED;
+    circuit.consecutiveFailures = 0;
+    circuit.openedAt = null;
+    circuit.retryAt = null;
+};
+
+// Failed request opens the circuit after failureThreshold consecutive failures or a failed trial request
+circuitbreaker.recordFailure = (url, config) => {
+    const circuit = circuitbreaker.getState(url);
+    circuit.consecutiveFailures++;
+
+    if (circuit.state === circuitbreaker.HALF_OPEN || circuit.consecutiveFailures >= config.failureThreshold) {
+        circuit.state = circuitbreaker.OPEN;
+        circuit.openedAt = Date.now();
+        circuit.retryAt = circuit.openedAt + config.resetTimeout;
+        logger.warn(`Circuit for '${url}' opened after ${circuit.consecutiveFailures} consecutive failures`);
+    }
+};
+
+// Circuit summary of all registered instances grouped by service
+circuitbreaker.report = (registry) => {
+    const report = {};
+    Object.entries(registry.services).forEach(([apiName, service]) => {
+        report[apiName] = service.instances.map(instance => {
+            const circuit = circuitbreaker.getState(instance.url);
+            return {
+                url: instance.url,
+                state: circuit.state,
+                consecutiveFailures: circuit.consecutiveFailures,
+                openedAt: circuit.openedAt && new Date(circuit.openedAt).toISOString(),
+                retryAt: circuit.retryAt && new Date(circuit.retryAt).toISOString()
+            };
+        });
+    });
+    return report;
+};
+
+// Clear all circuits
+circuitbreaker.reset = () => {
+    circuits.clear();
+};
+
+module.exports = circuitbreaker;
\ No newline at end of file
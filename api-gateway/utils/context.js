@@ -0,0 +1,6 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Trace context of the request being handled, read by the logger so every line carries it
+const requestContext = new AsyncLocalStorage();
+
+module.exports = { requestContext };
\ No newline at end of file
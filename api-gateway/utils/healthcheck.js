@@ -0,0 +1,126 @@
+const axios = require('axios');
+const logger = require('../middleware/logger');
+require('dotenv').config();
+
+const HEALTH_CHECK_INTERVAL = Number(process.env.HEALTH_CHECK_INTERVAL) || 10000; // 10 seconds
+const HEALTH_CHECK_TIMEOUT = Number(process.env.HEALTH_CHECK_TIMEOUT) || 3000; // 3 seconds
+const UNHEALTHY_THRESHOLD = Number(process.env.HEALTH_CHECK_UNHEALTHY_THRESHOLD) || 3; // Failures before marking unhealthy
+const HEALTHY_THRESHOLD = Number(process.env.HEALTH_CHECK_HEALTHY_THRESHOLD) || 2; // Successes before marking healthy again
+
+const healthcheck = {};
+
+// Health state of each instance kept in memory by instance url, never written to registry.json
+const states = new Map();
+let timer = null;
+
+// Get health state of an instance, instances that were never probed are assumed healthy
+healthcheck.getState = (url) => {
+    if (!states.has(url)) {
+        states.set(url, {
+            healthy: true,
+            consecutiveFailures: 0,
+            consecutiveSuccesses: 0,
+            lastCheckedAt: null,
+            lastError: null
+        });
+    }
+    return states.get(url);
+};
+
+// Check if an instance is considered healthy
+healthcheck.isHealthy = (url) => {
+    return healthcheck.getState(url).healthy;
+};
+
+// Record a successful probe, bring instance back after HEALTHY_THRESHOLD consecutive successes
+healthcheck.recordSuccess = (url) => {
+    const state = healthcheck.getState(url);
+    state.consecutiveFailures = 0;
+    state.consecutiveSuccesses++;
+    state.lastCheckedAt = new Date().toISOString();
+    state.lastError = null;
+
+    if (!state.healthy && state.consecutiveSuccesses >= HEALTHY_THRESHOLD) {
+        state.healthy = true;
+        logger.info(`Instance '${url}' is healthy again`);
+    }
+    return state;
+};
+
+// Record a failed probe, mark instance unhealthy after UNHEALTHY_THRESHOLD consecutive failures
+healthcheck.recordFailure = (url, error) => {
+    const state = healthcheck.getState(url);
+    state.consecutiveSuccesses = 0;
+    state.consecutiveFailures++;
+    state.lastCheckedAt = new Date().toISOString();
+    state.lastError = error;
+
+    if (state.healthy && state.consecutiveFailures >= UNHEALTHY_THRESHOLD) {
+        state.healthy = false;
+        logger.warn(`Instance '${url}' marked unhealthy after ${state.consecutiveFailures} failed health checks: ${error}`);
+    }
+    return state;
+};
+
+// Send a health check request to a single instance
+healthcheck.probe = async (instance) => {
+    try {
+        await axios({
+            method: 'GET',
+            url: `${instance.url}health`,
+            timeout: HEALTH_CHECK_TIMEOUT
+        });
+        return healthcheck.recordSuccess(instance.url);
+    } catch (error) {
+        const reason = error.response ? `status ${error.response.status}` : error.message;
+        return healthcheck.recordFailure(instance.url, reason);
+    }
+};
+
+// Probe every registered instance of every service
+healthcheck.probeAll = (registry) => {
+    const probes = [];
+    Object.values(registry.services).forEach(service => {
+        service.instances.forEach(instance => probes.push(healthcheck.probe(instance)));
+    });
+    return Promise.all(probes);
+};
+
+// Start probing registered instances periodically
+healthcheck.start = (registry) => {
+    if (timer) {
+        return;
+    }
+    timer = setInterval(() => healthcheck.probeAll(registry), HEALTH_CHECK_INTERVAL);
+    // Do not keep the process alive only for health checks
+    timer.unref();
+    logger.info(`Health checks started with ${HEALTH_CHECK_INTERVAL}ms interval`);
+};
+
+// Stop periodic health checks
+healthcheck.stop = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+// Health summary of all registered instances grouped by service
+healthcheck.report = (registry) => {
+    const report = {};
+    Object.entries(registry.services).forEach(([apiName, service]) => {
+        report[apiName] = service.instances.map(instance => ({
+            url: instance.url,
+            enabled: instance.enabled,
+            ...healthcheck.getState(instance.url)
+        }));
+    });
+    return report;
+};
+
+// Clear all recorded health states
+healthcheck.reset = () => {
+    states.clear();
+};
+
+module.exports = healthcheck;
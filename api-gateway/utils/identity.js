@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+const GATEWAY_IDENTITY_SECRET = process.env.GATEWAY_IDENTITY_SECRET;
+
+const identity = {};
+
+// Headers carrying the identity verified by the gateway to the services
+identity.HEADERS = {
+    userId: 'x-user-id',
+    clientId: 'x-client-id',
+    role: 'x-user-role',
+    permissions: 'x-user-permissions',
+    timestamp: 'x-gateway-timestamp',
+    signature: 'x-gateway-signature'
+};
+
+// Signature of an identity, services recompute it with the shared GATEWAY_IDENTITY_SECRET
+// The subject is the user id, or "client:<id>" for machine tokens of service clients
+// The method and path of the forwarded request are signed first, so a signed identity cannot be replayed on another route
+// Permissions are only part of the signed message when there are any
+identity.signature = (method, path, subject, role, timestamp, permissions = '') => {
+    const message = `${method} ${path}\n${subject}:${role}:${timestamp}${permissions ? `:${permissions}` : ''}`;
+    return crypto.createHmac('sha256', GATEWAY_IDENTITY_SECRET).update(message).digest('hex');
+};
+
+// Signed gateway headers of a request sent to url, with the identity of the verified token payload when there is one,
+// empty if no identity secret is configured. Machine tokens name a service client in X-Client-Id instead of a user
+// The path is signed as the instance receives it, normalized like the http client does and without the query string
+identity.headersFor = (user, method, url) => {
+    if (!GATEWAY_IDENTITY_SECRET) {
+        return {};
+    }
+    const timestamp = String(Date.now());
+    const client = Boolean(user && user.clientId);
+    const subject = !user ? '' : client ? `client:${user.clientId}` : String(user.id);
+    const role = user ? user.role : '';
+    const permissions = user && Array.isArray(user.permissions) ? user.permissions.join(',') : '';
+    const path = new URL(url).pathname;
+    return {
+        ...(user && !client && { [identity.HEADERS.userId]: subject }),
+        ...(client && { [identity.HEADERS.clientId]: user.clientId }),
+        ...(user && { [identity.HEADERS.role]: role }),
+        ...(permissions && { [identity.HEADERS.permissions]: permissions }),
+        [identity.HEADERS.timestamp]: timestamp,
+        [identity.HEADERS.signature]: identity.signature(method.toUpperCase(), path, subject, role, timestamp, permissions)
+    };
+};
+
+// Remove identity headers sent by clients, only the gateway may set them
+identity.strip = (headers) => {
+    Object.values(identity.HEADERS).forEach(name => delete headers[name]);
+    return headers;
+};
+
+module.exports = identity;
\ No newline at end of file
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const upstream = require('./upstream');
+const logger = require('../middleware/logger');
+require('dotenv').config();
+
+// Service publishing the public keys that verify tokens, and the route it publishes them on
+const JWKS_SERVICE = process.env.JWKS_SERVICE || 'usermanagement';
+const JWKS_PATH = '/.well-known/jwks.json';
+const JWKS_CACHE_TTL = Number(process.env.JWKS_CACHE_TTL) || 10 * 60 * 1000; // 10 minutes
+const JWKS_REFRESH_INTERVAL = Number(process.env.JWKS_REFRESH_INTERVAL) || 30000; // 30 seconds
+
+const jwks = {};
+
+// Algorithms tokens may be signed with, never symmetric ones so a public key cannot be used as HMAC secret
+jwks.ALGORITHMS = ['RS256', 'ES256'];
+
+// Public keys by kid of the last loaded key set
+let keys = new Map();
+let loadedAt = 0;
+let pending = null;
+
+// Replace the cached keys with the keys of a JSON Web Key Set
+jwks.useKeys = (keySet) => {
+    const usable = (keySet.keys || []).filter(jwk => jwk.kid && jwks.ALGORITHMS.includes(jwk.alg));
+    keys = new Map(usable.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+    loadedAt = Date.now();
+};
+
+// Load the key set from the key service, concurrent callers share one request
+const loadKeys = (req) => {
+    if (!pending) {
+        pending = upstream.get(JWKS_SERVICE, JWKS_PATH, req).then((keySet) => {
+            jwks.useKeys(keySet);
+            logger.info(`Loaded ${keys.size} signing keys from service '${JWKS_SERVICE}'`);
+        }).finally(() => {
+            pending = null;
+        });
+    }
+    return pending;
+};
+
+// Public key of a kid - Resolves null if the key service does not publish it, rejects when the keys cannot be loaded
+// The key set is loaded again after JWKS_CACHE_TTL, and for an unknown kid at most every JWKS_REFRESH_INTERVAL
+jwks.publicKey = async (kid, req) => {
+    const age = Date.now() - loadedAt;
+    const known = keys.has(kid);
+    if (age > JWKS_CACHE_TTL || (!known && age > JWKS_REFRESH_INTERVAL)) {
+        try {
+            await loadKeys(req);
+        } catch (error) {
+            // Known keys keep verifying tokens while the key service cannot be reached
+            logger.error(`Signing keys could not be loaded from service '${JWKS_SERVICE}': ${error.message}`);
+            if (!known) {
+                throw error;
+            }
+        }
+    }
+    return keys.get(kid) || null;
+};
+
+// Forget the cached keys
+jwks.reset = () => {
+    keys = new Map();
+    loadedAt = 0;
+};
+
+module.exports = jwks;
\ No newline at end of file
@@ -0,0 +1,82 @@
+const logger = require('../middleware/logger');
+require('dotenv').config();
+
+const REGISTRATION_TTL = Number(process.env.REGISTRATION_TTL) || 30000; // 30 seconds without heartbeat before deregistration
+const LEASE_CHECK_INTERVAL = Number(process.env.LEASE_CHECK_INTERVAL) || 5000; // 5 seconds
+
+const lease = {};
+
+// Lease expiry time of each instance kept in memory by instance url, never written to registry.json
+const leases = new Map();
+let timer = null;
+
+lease.TTL = REGISTRATION_TTL;
+
+// Renew lease of an instance on registration or heartbeat - Returns new expiry time
+lease.renew = (url) => {
+    const expiresAt = Date.now() + REGISTRATION_TTL;
+    leases.set(url, expiresAt);
+    return expiresAt;
+};
+
+// Get lease expiry time of an instance, instances loaded from registry.json get a full lease on first lookup
+lease.getExpiry = (url) => {
+    return leases.has(url) ? leases.get(url) : lease.renew(url);
+};
+
+// Forget lease of an unregistered instance
+lease.remove = (url) => {
+    leases.delete(url);
+};
+
+// Remove instances whose lease lapsed from registry - Returns removed instances
+lease.sweep = (registry) => {
+    const now = Date.now();
+    const expired = [];
+
+    Object.values(registry.services).forEach(service => {
+        service.instances = service.instances.filter(instance => {
+            if (lease.getExpiry(instance.url) > now) {
+                return true;
+            }
+            expired.push(instance);
+            lease.remove(instance.url);
+            logger.warn(`Lease expired for '${instance.apiName}' at '${instance.url}', instance unregistered`);
+            return false;
+        });
+    });
+
+    if (expired.length > 0) {
+        // Update local record of the current service registrations
+        registry.save().catch((error) => {
+            logger.error(`Could not unregister expired instances\n${error}`);
+        });
+    }
+    return expired;
+};
+
+// Start checking leases periodically
+lease.start = (registry) => {
+    if (timer) {
+        return;
+    }
+    timer = setInterval(() => lease.sweep(registry), LEASE_CHECK_INTERVAL);
+    // Do not keep the process alive only for lease checks
+    timer.unref();
+    logger.info(`Lease checks started with ${REGISTRATION_TTL}ms registration TTL`);
+};
+
+// Stop periodic lease checks
+lease.stop = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+// Clear all leases
+lease.reset = () => {
+    leases.clear();
+};
+
+module.exports = lease;
\ No newline at end of file
@@ -1,20 +1,138 @@
+const healthcheck = require('./healthcheck');
+const circuitbreaker = require('./circuitbreaker');
+
 const loadbalancer = {};
 
-// Round Robin - Loop services one by one and forward request if enabled
+// Supported load balancing strategies, each one returns the index of the instance to forward to
+loadbalancer.STRATEGIES = ['ROUND_ROBIN', 'WEIGHTED_ROUND_ROBIN', 'LEAST_CONNECTIONS', 'RANDOM', 'IP_HASH'];
+
+// Strategy of services that do not specify one
+loadbalancer.DEFAULT_STRATEGY = 'ROUND_ROBIN';
+
+// In-flight proxied requests and smooth weighted round robin state by instance url, kept in memory only
+const connections = new Map();
+const currentWeights = new Map();
+// Last round robin index of each service, kept in memory only
+let roundRobinIndexes = new WeakMap();
+
+// Round Robin - Loop services one by one and forward request if available
 loadbalancer.ROUND_ROBIN = (service) => {
-    const newIndex = ++service.index >= service.instances.length ? 0 : service.index;
-    service.index = newIndex;
+    const lastIndex = roundRobinIndexes.has(service) ? roundRobinIndexes.get(service) : -1;
+    const newIndex = lastIndex + 1 >= service.instances.length ? 0 : lastIndex + 1;
+    roundRobinIndexes.set(service, newIndex);
 
-    if (!service.instances.some(instance => instance.enabled)) {
-        throw new Error('No enabled instances available');
+    if (!service.instances.some(loadbalancer.isAvailable)) {
+        throw new Error('No enabled and healthy instances available');
     }    
 
     return loadbalancer.isEnabled(service, newIndex, loadbalancer.ROUND_ROBIN);
 };
 
-// Find an enabled service in services recursively
+// Weighted Round Robin - Smooth weighted round robin, an instance with weight 3 gets 3 of every 4 requests against weight 1
+loadbalancer.WEIGHTED_ROUND_ROBIN = (service) => {
+    const indexes = loadbalancer.availableIndexes(service);
+    let totalWeight = 0;
+    let selected = indexes[0];
+
+    indexes.forEach(index => {
+        const instance = service.instances[index];
+        const weight = loadbalancer.getWeight(instance);
+        currentWeights.set(instance.url, (currentWeights.get(instance.url) || 0) + weight);
+        totalWeight += weight;
+        if (currentWeights.get(instance.url) > currentWeights.get(service.instances[selected].url)) {
+            selected = index;
+        }
+    });
+
+    const selectedUrl = service.instances[selected].url;
+    currentWeights.set(selectedUrl, currentWeights.get(selectedUrl) - totalWeight);
+    return selected;
+};
+
+// Least Connections - Forward to the instance with the fewest in-flight requests
+loadbalancer.LEAST_CONNECTIONS = (service) => {
+    const indexes = loadbalancer.availableIndexes(service);
+    return indexes.reduce((selected, index) => {
+        return loadbalancer.getConnections(service.instances[index].url) < loadbalancer.getConnections(service.instances[selected].url)
+            ? index
+            : selected;
+    });
+};
+
+// Random - Forward to a randomly chosen available instance
+loadbalancer.RANDOM = (service) => {
+    const indexes = loadbalancer.availableIndexes(service);
+    return indexes[Math.floor(Math.random() * indexes.length)];
+};
+
+// IP Hash - Same client ip is forwarded to the same instance as long as available instances do not change
+loadbalancer.IP_HASH = (service, req) => {
+    const indexes = loadbalancer.availableIndexes(service);
+    const ip = (req && req.ip) || '';
+    let hash = 0;
+    for (let i = 0; i < ip.length; i++) {
+        hash = (hash * 31 + ip.charCodeAt(i)) >>> 0;
+    }
+    return indexes[hash % indexes.length];
+};
+
+// Find an available service in services recursively
 loadbalancer.isEnabled = (service, index, loadBalanceStrategy) => {
-    return service.instances[index].enabled ? index : loadBalanceStrategy(service);
+    return loadbalancer.isAvailable(service.instances[index]) ? index : loadBalanceStrategy(service);
+};
+
+// Instance can receive requests only if it is enabled, not draining, passing health checks and its circuit allows it
+loadbalancer.isAvailable = (instance) => {
+    return instance.enabled && !instance.draining && healthcheck.isHealthy(instance.url) && circuitbreaker.allowsRequest(instance.url);
+};
+
+// Select an instance with the service strategy, skipping already tried instances on retries - Returns -1 if none left
+loadbalancer.select = (service, req, excludedUrls = []) => {
+    const index = loadbalancer[service.loadBalanceStrategy || loadbalancer.DEFAULT_STRATEGY](service, req);
+    if (!excludedUrls.includes(service.instances[index].url)) {
+        return index;
+    }
+    const untried = loadbalancer.availableIndexes(service).filter(i => !excludedUrls.includes(service.instances[i].url));
+    return untried.length > 0 ? untried[0] : -1;
+};
+
+// Get indexes of available instances of a service
+loadbalancer.availableIndexes = (service) => {
+    const indexes = [];
+    service.instances.forEach((instance, index) => {
+        if (loadbalancer.isAvailable(instance)) {
+            indexes.push(index);
+        }
+    });
+    if (indexes.length === 0) {
+        throw new Error('No enabled and healthy instances available');
+    }
+    return indexes;
+};
+
+// Instances registered without a weight count as weight 1
+loadbalancer.getWeight = (instance) => {
+    return Number(instance.weight) > 0 ? Number(instance.weight) : 1;
+};
+
+// Track in-flight proxied requests of an instance
+loadbalancer.acquire = (url) => {
+    connections.set(url, loadbalancer.getConnections(url) + 1);
+};
+
+loadbalancer.release = (url) => {
+    connections.set(url, Math.max(loadbalancer.getConnections(url) - 1, 0));
+};
+
+loadbalancer.getConnections = (url) => {
+    return connections.get(url) || 0;
+};
+
+// Clear in-memory load balancing state
+loadbalancer.reset = () => {
+    connections.clear();
+    currentWeights.clear();
+    roundRobinIndexes = new WeakMap();
 };
 
 module.exports = loadbalancer;
\ No newline at end of file
@@ -0,0 +1,128 @@
+const client = require('prom-client');
+const healthcheck = require('./healthcheck');
+const circuitbreaker = require('./circuitbreaker');
+const loadbalancer = require('./loadbalancer');
+
+const metrics = {};
+
+// Metrics of the gateway are kept in their own registry, exposed in Prometheus text format on /metrics
+metrics.register = new client.Registry();
+client.collectDefaultMetrics({ register: metrics.register, prefix: 'gateway_' });
+
+// Requests sent to an instance, status is 'error' when no response was received
+const upstreamRequests = new client.Counter({
+    name: 'gateway_upstream_requests_total',
+    help: 'Requests proxied to service instances',
+    labelNames: ['service', 'instance', 'method', 'status'],
+    registers: [metrics.register]
+});
+
+// Time until the instance responded with its headers or the request failed
+const upstreamDuration = new client.Histogram({
+    name: 'gateway_upstream_request_duration_seconds',
+    help: 'Latency of requests proxied to service instances',
+    labelNames: ['service', 'instance', 'method'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [metrics.register]
+});
+
+const upstreamErrors = new client.Counter({
+    name: 'gateway_upstream_errors_total',
+    help: 'Failed requests to service instances by reason (timeout, connection, server_error)',
+    labelNames: ['service', 'instance', 'reason'],
+    registers: [metrics.register]
+});
+
+const cacheRequests = new client.Counter({
+    name: 'gateway_cache_requests_total',
+    help: 'Lookups of cacheable requests in the gateway cache by result (hit, miss)',
+    labelNames: ['service', 'result'],
+    registers: [metrics.register]
+});
+
+const rateLimitRejections = new client.Counter({
+    name: 'gateway_rate_limit_rejections_total',
+    help: 'Proxied requests rejected by the gateway rate limiter by role',
+    labelNames: ['service', 'role'],
+    registers: [metrics.register]
+});
+
+// Runtime state of every registered instance, read from the gateway state on each scrape
+const instanceHealthy = new client.Gauge({
+    name: 'gateway_instance_healthy',
+    help: 'Health check state of an instance (1 healthy, 0 unhealthy)',
+    labelNames: ['service', 'instance'],
+    registers: [metrics.register]
+});
+
+const instanceCircuit = new client.Gauge({
+    name: 'gateway_instance_circuit_state',
+    help: 'Circuit breaker state of an instance, 1 for the current state',
+    labelNames: ['service', 'instance', 'state'],
+    registers: [metrics.register]
+});
+
+const instanceConnections = new client.Gauge({
+    name: 'gateway_instance_connections',
+    help: 'In-flight requests of an instance',
+    labelNames: ['service', 'instance'],
+    registers: [metrics.register]
+});
+
+// Record a response received from an instance
+metrics.recordResponse = (apiName, url, method, status, startedAt) => {
+    upstreamRequests.inc({ service: apiName, instance: url, method, status });
+    upstreamDuration.observe({ service: apiName, instance: url, method }, (Date.now() - startedAt) / 1000);
+    if (status >= 500) {
+        upstreamErrors.inc({ service: apiName, instance: url, reason: 'server_error' });
+    }
+};
+
+// Record a request that got no response from an instance
+metrics.recordError = (apiName, url, method, error, startedAt) => {
+    const reason = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 'timeout' : 'connection';
+    upstreamRequests.inc({ service: apiName, instance: url, method, status: 'error' });
+    upstreamDuration.observe({ service: apiName, instance: url, method }, (Date.now() - startedAt) / 1000);
+    upstreamErrors.inc({ service: apiName, instance: url, reason });
+};
+
+// Record a lookup in the gateway cache
+metrics.recordCache = (apiName, result) => {
+    cacheRequests.inc({ service: apiName, result });
+};
+
+// Record a request rejected by the rate limiter
+metrics.recordRateLimitRejection = (apiName, role) => {
+    rateLimitRejections.inc({ service: apiName, role });
+};
+
+// Refresh instance state gauges from the registry, instances that were removed disappear from the output
+metrics.collectInstanceState = (registry) => {
+    instanceHealthy.reset();
+    instanceCircuit.reset();
+    instanceConnections.reset();
+    Object.entries(registry.services).forEach(([apiName, service]) => {
+        service.instances.forEach(instance => {
+            const labels = { service: apiName, instance: instance.url };
+            const circuit = circuitbreaker.getState(instance.url);
+            instanceHealthy.set(labels, healthcheck.isHealthy(instance.url) ? 1 : 0);
+            [circuitbreaker.CLOSED, circuitbreaker.OPEN, circuitbreaker.HALF_OPEN].forEach(state => {
+                instanceCircuit.set({ ...labels, state }, circuit.state === state ? 1 : 0);
+            });
+            instanceConnections.set(labels, loadbalancer.getConnections(instance.url));
+        });
+    });
+};
+
+// Metrics in Prometheus text format
+metrics.render = (registry) => {
+    metrics.collectInstanceState(registry);
+    return metrics.register.metrics();
+};
+
+// Clear recorded metrics
+metrics.reset = () => {
+    metrics.register.resetMetrics();
+};
+
+module.exports = metrics;
\ No newline at end of file
@@ -0,0 +1,91 @@
+const access = require('./access');
+const gatewaySpec = require('../docs/openapi.json');
+
+// HTTP methods that are operations of an OpenAPI path item
+const OPERATION_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+const openapi = {};
+
+// Copy of a value with every local "$ref" to a component schema renamed with the api name prefix
+openapi.prefixRefs = (value, apiName) => {
+    if (Array.isArray(value)) {
+        return value.map(item => openapi.prefixRefs(item, apiName));
+    }
+    if (value && typeof value === 'object') {
+        const copy = {};
+        Object.entries(value).forEach(([key, item]) => {
+            copy[key] = key === '$ref' && typeof item === 'string'
+                ? item.replace(/^#\/components\/schemas\//, `#/components/schemas/${apiName}_`)
+                : openapi.prefixRefs(item, apiName);
+        });
+        return copy;
+    }
+    return value;
+};
+
+// Security requirement of an operation as enforced by the gateway's "auth" configuration, undefined keeps the service's own
+openapi.securityFor = (service, method, path) => {
+    const mode = service && access.resolve(service, method, path);
+    if (mode === access.PUBLIC) {
+        return [];
+    }
+    if (mode === access.PROTECTED) {
+        return [{ bearerAuth: [] }];
+    }
+    return undefined;
+};
+
+// Add the paths, tags and component schemas of a service document under its api name prefix
+openapi.addService = (combined, apiName, spec, service) => {
+    const tagOf = (tag) => `${apiName} - ${tag}`;
+
+    (spec.tags || []).forEach(tag => combined.tags.push({ ...tag, name: tagOf(tag.name) }));
+
+    Object.entries(spec.paths || {}).forEach(([path, pathItem]) => {
+        const prefixed = openapi.prefixRefs(pathItem, apiName);
+        OPERATION_METHODS.forEach(method => {
+            const operation = prefixed[method];
+            if (!operation) {
+                return;
+            }
+            // Operations without a tag are grouped under the service name
+            operation.tags = operation.tags ? operation.tags.map(tagOf) : [apiName];
+            const security = openapi.securityFor(service, method, path);
+            if (security) {
+                operation.security = security;
+            }
+        });
+        combined.paths[`/${apiName}${path}`] = prefixed;
+    });
+
+    const schemas = (spec.components && spec.components.schemas) || {};
+    Object.entries(schemas).forEach(([name, schema]) => {
+        combined.components.schemas[`${apiName}_${name}`] = openapi.prefixRefs(schema, apiName);
+    });
+    const securitySchemes = (spec.components && spec.components.securitySchemes) || {};
+    Object.entries(securitySchemes).forEach(([name, scheme]) => {
+        // Every service verifies the same bearer tokens, the first definition of a scheme wins
+        if (!combined.components.securitySchemes[name]) {
+            combined.components.securitySchemes[name] = scheme;
+        }
+    });
+
+    combined['x-services'][apiName] = { ...spec.info };
+};
+
+// Combined document of the gateway's own routes and the documents of registered services ({ apiName: spec })
+openapi.merge = (specs, services = {}, unavailable = []) => {
+    const combined = JSON.parse(JSON.stringify(gatewaySpec));
+    combined.components.schemas = combined.components.schemas || {};
+    combined.components.securitySchemes = combined.components.securitySchemes || {};
+    combined.tags = combined.tags || [];
+    combined['x-services'] = {};
+
+    Object.keys(specs).sort().forEach(apiName => {
+        openapi.addService(combined, apiName, specs[apiName], services[apiName]);
+    });
+    combined['x-unavailable-services'] = unavailable;
+    return combined;
+};
+
+module.exports = openapi;
\ No newline at end of file
@@ -0,0 +1,42 @@
+const policy = {};
+
+// Default proxy policy of a service, can be overridden under "policy" of the service entry in registry.json
+policy.DEFAULT = {
+    timeout: 10000, // Upstream request timeout in ms
+    retries: 2, // Retries on another instance for idempotent methods
+    circuitBreaker: {
+        failureThreshold: 5, // Consecutive failures before the circuit of an instance opens
+        resetTimeout: 30000 // Cool-down in ms before an open circuit lets a trial request through
+    }
+};
+
+// Only idempotent methods are retried on another instance
+policy.IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Upstream statuses that are worth retrying on another instance
+policy.RETRYABLE_STATUSES = [502, 503, 504];
+
+// Merge service policy from registry with defaults
+policy.get = (service) => {
+    const servicePolicy = service.policy || {};
+    return {
+        ...policy.DEFAULT,
+        ...servicePolicy,
+        circuitBreaker: { ...policy.DEFAULT.circuitBreaker, ...servicePolicy.circuitBreaker }
+    };
+};
+
+// Check if a request may be sent to another instance after a failure
+policy.isRetryable = (method, error) => {
+    if (!policy.IDEMPOTENT_METHODS.includes(method.toUpperCase())) {
+        return false;
+    }
+    return !error.response || policy.RETRYABLE_STATUSES.includes(error.response.status);
+};
+
+// Check if a request may be sent to another instance after an upstream response with the given status
+policy.isRetryableStatus = (method, status) => {
+    return policy.isRetryable(method, { response: { status } });
+};
+
+module.exports = policy;
\ No newline at end of file
@@ -0,0 +1,49 @@
+const access = require('./access');
+require('dotenv').config();
+
+const RATE_LIMIT_WINDOW = Number(process.env.RATE_LIMIT_WINDOW) || 15 * 60 * 1000; // 15 minutes
+
+const ratelimit = {};
+
+ratelimit.WINDOW = RATE_LIMIT_WINDOW;
+
+// Requests allowed per window for each role, callers without a verified token are limited by IP as anonymous
+ratelimit.BUDGETS = {
+    admin: 1000,
+    manager: 600,
+    sales_rep: 300,
+    customer: 100,
+    service: 1000,
+    anonymous: 100,
+    ...(process.env.RATE_LIMIT_BUDGETS && JSON.parse(process.env.RATE_LIMIT_BUDGETS))
+};
+
+// Find the route override of the "rateLimit" configuration matching a request, first match wins
+ratelimit.findRoute = (service, method, path) => {
+    const routes = (service.rateLimit && service.rateLimit.routes) || [];
+    return routes.find(route => {
+        const methodMatches = !route.method || route.method === '*' || route.method.toUpperCase() === method.toUpperCase();
+        return methodMatches && access.matchPath(route.path, path);
+    }) || null;
+};
+
+// Role a caller is limited as
+ratelimit.roleOf = (user) => {
+    return user && user.role ? user.role : 'anonymous';
+};
+
+// Requests allowed per window for a role, a matching route override wins over the role budget
+ratelimit.limitFor = (route, role) => {
+    if (route && route.budgets && route.budgets[role] !== undefined) {
+        return Number(route.budgets[role]);
+    }
+    return ratelimit.BUDGETS[role] !== undefined ? ratelimit.BUDGETS[role] : ratelimit.BUDGETS.anonymous;
+};
+
+// Counter key of a caller, requests to an overridden route are counted separately from the rest of the caller's requests
+ratelimit.keyFor = (apiName, route, user, ip) => {
+    const caller = !user ? `ip:${ip}` : user.clientId ? `client:${user.clientId}` : `user:${user.id}`;
+    return route ? `${caller} ${apiName} ${(route.method || '*').toUpperCase()} ${route.path}` : caller;
+};
+
+module.exports = ratelimit;
\ No newline at end of file
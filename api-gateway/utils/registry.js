@@ -0,0 +1,58 @@
+const logger = require('../middleware/logger');
+const { createStorage } = require('../storage');
+
+// In-memory registry shared by the gateway, changed synchronously by route handlers and persisted through the storage
+const registry = {
+    services: {}
+};
+
+let storage = null;
+// Saves are chained so a snapshot is never written while a previous one is still being written
+let saveQueue = Promise.resolve();
+
+// Use a specific storage, tests use memory storage
+registry.useStorage = (newStorage) => {
+    storage = newStorage;
+};
+
+registry.getStorage = () => {
+    if (!storage) {
+        storage = createStorage();
+    }
+    return storage;
+};
+
+// Load registry from storage, replacing the in-memory services
+registry.load = () => {
+    return registry.getStorage().load().then((data) => {
+        registry.services = (data && data.services) || {};
+        logger.info(`Registry loaded from ${registry.getStorage().type} storage with ${Object.keys(registry.services).length} services`);
+        return registry;
+    });
+};
+
+// Persisted form of the registry, runtime state such as the round robin index is left out
+registry.serialize = () => {
+    const services = {};
+    Object.entries(registry.services).forEach(([apiName, service]) => {
+        const { index, ...persisted } = service;
+        services[apiName] = { ...persisted, instances: service.instances.map(instance => ({ ...instance })) };
+    });
+    return { services };
+};
+
+// Persist the current registry once all earlier saves are done
+registry.save = () => {
+    const snapshot = registry.serialize();
+    const result = saveQueue.then(() => registry.getStorage().save(snapshot));
+    // A failed save must not block the ones queued after it
+    saveQueue = result.catch(() => {});
+    return result;
+};
+
+// Wait for queued saves to finish
+registry.flush = () => {
+    return saveQueue;
+};
+
+module.exports = registry;
\ No newline at end of file
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const registry = require('./registry');
+const upstream = require('./upstream');
+require('dotenv').config();
+
+// Service issuing user tokens and the route it verifies them on
+const TOKEN_VERIFY_SERVICE = process.env.TOKEN_VERIFY_SERVICE || 'usermanagement';
+const TOKEN_VERIFY_PATH = '/token/verify';
+const TOKEN_VERIFY_CACHE_TTL = Number(process.env.TOKEN_VERIFY_CACHE_TTL) || 5000; // 5 seconds
+const TOKEN_VERIFY_CACHE_SIZE = 10000;
+
+const revocation = {};
+
+// Recent verification results by token hash, so a burst of requests with one token is verified once
+const results = new Map();
+
+// Remember a verification result, expired results are dropped once the cache is full
+const remember = (key, revoked) => {
+    if (results.size >= TOKEN_VERIFY_CACHE_SIZE) {
+        const now = Date.now();
+        results.forEach((result, cachedKey) => {
+            if (result.expiresAt <= now) {
+                results.delete(cachedKey);
+            }
+        });
+        if (results.size >= TOKEN_VERIFY_CACHE_SIZE) {
+            results.clear();
+        }
+    }
+    results.set(key, { revoked, expiresAt: Date.now() + TOKEN_VERIFY_CACHE_TTL });
+};
+
+// Ask the token service whether the JWT of a request, already verified by signature, was revoked
+// Resolves true if revoked, rejects when the token service is registered but cannot be reached
+// Without a registered token service there is nothing to ask and tokens are only verified by signature
+revocation.isRevoked = async (req) => {
+    if (!registry.services[TOKEN_VERIFY_SERVICE]) {
+        return false;
+    }
+    const key = crypto.createHash('sha256').update(req.header('Authorization')).digest('hex');
+    const cached = results.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.revoked;
+    }
+
+    let revoked;
+    try {
+        await upstream.get(TOKEN_VERIFY_SERVICE, TOKEN_VERIFY_PATH, req);
+        revoked = false;
+    } catch (error) {
+        if (!error.response || ![401, 403].includes(error.response.status)) {
+            throw error;
+        }
+        revoked = true;
+    }
+    remember(key, revoked);
+    return revoked;
+};
+
+// Forget all verification results
+revocation.reset = () => {
+    results.clear();
+};
+
+module.exports = revocation;
\ No newline at end of file
@@ -0,0 +1,96 @@
+const axios = require('axios');
+const registry = require('./registry');
+const loadbalancer = require('./loadbalancer');
+const circuitbreaker = require('./circuitbreaker');
+const policy = require('./policy');
+const metrics = require('./metrics');
+const identity = require('./identity');
+const logger = require('../middleware/logger');
+const { traceHeaders } = require('../middleware/tracing');
+
+// Page size used when reading every page of a paginated list
+const PAGE_SIZE = 100;
+
+const upstream = {};
+
+// Headers of a GET request to url made by the gateway on behalf of the caller of req
+upstream.headersFor = (req, url) => {
+    return {
+        accept: 'application/json',
+        ...(req.header('Authorization') && { authorization: req.header('Authorization') }),
+        'x-forwarded-for': req.ip,
+        ...traceHeaders(),
+        ...identity.headersFor(req.user, 'GET', url)
+    };
+};
+
+// GET a JSON resource from an instance of a service picked by its load balancer, with the proxy's retry and circuit policy
+upstream.get = async (apiName, path, req, params) => {
+    const service = registry.services[apiName];
+    if (!service) {
+        throw new Error(`Service '${apiName}' is not registered`);
+    }
+    const servicePolicy = policy.get(service);
+    const triedUrls = [];
+    let lastError;
+
+    for (let attempt = 0; attempt <= servicePolicy.retries; attempt++) {
+        // Throws when no instance is available at all
+        const index = loadbalancer.select(service, req, triedUrls);
+        if (index === -1) {
+            break;
+        }
+        const url = service.instances[index].url;
+        const target = `${url}${path.replace(/^\//, '')}`;
+        triedUrls.push(url);
+
+        circuitbreaker.beforeRequest(url);
+        loadbalancer.acquire(url);
+        const startedAt = Date.now();
+        try {
+            const response = await axios({
+                method: 'GET',
+                url: target,
+                params,
+                headers: upstream.headersFor(req, target),
+                timeout: servicePolicy.timeout
+            });
+            metrics.recordResponse(apiName, url, 'GET', response.status, startedAt);
+            circuitbreaker.recordSuccess(url);
+            return response.data;
+        } catch (error) {
+            lastError = error;
+            if (error.response) {
+                metrics.recordResponse(apiName, url, 'GET', error.response.status, startedAt);
+            } else {
+                metrics.recordError(apiName, url, 'GET', error, startedAt);
+            }
+            // Only server side failures count towards opening the circuit
+            if (!error.response || error.response.status >= 500) {
+                logger.error(`Error request to ${target}: ${error.message}`);
+                circuitbreaker.recordFailure(url, servicePolicy.circuitBreaker);
+            } else {
+                circuitbreaker.recordSuccess(url);
+            }
+            if (!policy.isRetryable('GET', error)) {
+                break;
+            }
+        } finally {
+            loadbalancer.release(url);
+        }
+    }
+    throw lastError || new Error(`No enabled and healthy instances available`);
+};
+
+// GET every page of a paginated list ({ totalPages, data }) and return all items, pages after the first are read in parallel
+upstream.getAllPages = async (apiName, path, req, params = {}) => {
+    const first = await upstream.get(apiName, path, req, { ...params, page: 1, limit: PAGE_SIZE });
+    const pages = [];
+    for (let page = 2; page <= first.totalPages; page++) {
+        pages.push(upstream.get(apiName, path, req, { ...params, page, limit: PAGE_SIZE }));
+    }
+    const rest = await Promise.all(pages);
+    return rest.reduce((items, result) => items.concat(result.data), first.data);
+};
+
+module.exports = upstream;
\ No newline at end of file
@@ -0,0 +1,66 @@
+const access = require('./access');
+
+// Names used by the gateway's own routes, a service registered under one of them could not be reached through the proxy
+const RESERVED_API_NAMES = ['health', 'register', 'unregister', 'heartbeat', 'enableOrDisable', 'loadBalanceStrategy', 'circuitBreakers', 'services', 'admin', 'metrics', 'composite', 'docs'];
+
+// Check if the api name format is valid - Returns an error message if invalid, or null if valid
+function validateApiName(apiName) {
+    if (typeof apiName !== 'string' || !/^[a-z0-9-]+$/.test(apiName)) {
+        return 'Api name must contain only lowercase letters, numbers and dashes';
+    } else if (RESERVED_API_NAMES.includes(apiName)) {
+        return `Api name '${apiName}' is reserved by the gateway`;
+    }
+    return null;
+}
+
+// Check if the registration payload is valid - Returns an error message if invalid, or null if valid
+function validateRegistration(registrationInfo) {
+    const { apiName, protocol, host, port, weight } = registrationInfo;
+
+    if (!apiName || !protocol || !host || !port) {
+        return 'Api name, protocol, host and port are required';
+    }
+
+    const apiNameError = validateApiName(apiName);
+    if (apiNameError) {
+        return apiNameError;
+    } else if (!['http', 'https'].includes(protocol)) {
+        return 'Protocol must be either http or https';
+    } else if (!/^[a-zA-Z0-9.-]+$/.test(host)) {
+        return 'Invalid host format';
+    } else if (!Number.isInteger(Number(port)) || Number(port) < 1 || Number(port) > 65535) {
+        return 'Port must be an integer between 1 and 65535';
+    } else if (weight !== undefined && (!Number.isInteger(Number(weight)) || Number(weight) < 1)) {
+        return 'Weight must be a positive integer';
+    }
+    return null;
+}
+
+// Check if the "auth" configuration of a service is valid - Returns an error message if invalid, or null if valid
+function validateAuthConfig(auth) {
+    if (!auth || typeof auth !== 'object' || Array.isArray(auth)) {
+        return 'Auth configuration must be an object';
+    } else if (auth.default !== undefined && !access.MODES.includes(auth.default)) {
+        return `Default access must be one of ${access.MODES.join(', ')}`;
+    } else if (auth.routes !== undefined && !Array.isArray(auth.routes)) {
+        return 'Routes must be an array';
+    }
+
+    const routes = auth.routes || [];
+    for (const route of routes) {
+        if (!route || typeof route.path !== 'string' || !route.path.startsWith('/')) {
+            return 'Every route needs a path starting with /';
+        } else if (route.method !== undefined && (typeof route.method !== 'string' || !/^([A-Za-z]+|\*)$/.test(route.method))) {
+            return `Invalid method for route '${route.path}'`;
+        } else if (!access.MODES.includes(route.access)) {
+            return `Access of route '${route.path}' must be one of ${access.MODES.join(', ')}`;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    validateApiName,
+    validateRegistration,
+    validateAuthConfig
+};
\ No newline at end of file
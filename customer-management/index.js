@@ -1,31 +1,105 @@
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const { authenticateToken, authorizeRole } = require('./middleware/auth');
+const { authenticateToken, authorize, scopeRecords } = require('./middleware/auth');
 const { rateLimiter, securityMiddleware, requestLogger } = require('./middleware/security');
-const { validateName, validateEmail, validatePhone } = require('./utils/validators');
+const { validateName, validateEmail, validatePhone, validateUserId, validateCustomerVisible } = require('./utils/validators');
 const logger = require('./middleware/logger');
+const { tracing } = require('./middleware/tracing');
+const { requestMetrics, metricsHandler } = require('./middleware/metrics');
 const db = require('./utils/db');
+const registration = require('./utils/registration');
+const { ownUserId, ownerScope, canAssign } = require('./utils/teams');
+const { userById } = require('./utils/users');
+const openapi = require('./docs/openapi.json');
 
 dotenv.config();
 const app = express();
 const PROTOCOL = process.env.PROTOCOL || 'http';
 const HOST = process.env.HOST || 'localhost';
 const PORT = process.env.PORT || 4001;
-const API_GATEWAY_URL = process.env.API_GATEWAY_URL || 'http://localhost:3000';
 
 // Security Middleware
 app.use(cors());
 app.use(securityMiddleware);
+
+// Health Check - Registered before logging and rate limiting so gateway probes are neither logged nor throttled
+app.get('/health', (req, res) => {
+    db.get('SELECT 1', [], (err) => {
+        if (err) {
+            logger.error(`Health check failed: ${err.message}`);
+            return res.status(503).json({ status: 'DOWN', database: 'DOWN', error: err.message });
+        }
+        res.json({ status: 'UP', database: 'UP' });
+    });
+});
+
+// Service metrics in Prometheus text format, not logged or throttled like the health check
+app.get('/metrics', metricsHandler);
+
+// OpenAPI document of the service routes, merged by the gateway into its combined docs
+app.get('/openapi.json', (req, res) => {
+    res.json(openapi);
+});
+
+// Request id and trace span of every request, used by the logger and the request log
+app.use(tracing('customermanagement'));
+app.use(requestMetrics);
 app.use(requestLogger);
 app.use(rateLimiter);
 
 app.use(express.json());
 
+// Check that no other customer is linked to a user - Calls back with an error message if one is
+function checkUserLink(userId, customerId, callback) {
+    if (userId === undefined || userId === null) {
+        return callback(null, null);
+    }
+    db.get('SELECT id FROM customers WHERE user_id = ? AND id IS NOT ?', [userId, customerId], (err, linked) => {
+        callback(err, linked ? `Customer ID ${linked.id} is already linked to this user` : null);
+    });
+}
+
+// Check in user-management that a user being linked to a customer exists and has the customer role
+// Calls back with an error message if not, and with an error when user-management cannot be reached
+function checkLinkedUser(userId, callback) {
+    if (userId === undefined || userId === null) {
+        return callback(null, null);
+    }
+    userById(userId).then((user) => {
+        if (!user) {
+            return callback(null, `User ID ${userId} does not exist`);
+        }
+        callback(null, user.role === 'customer' ? null : `User ID ${userId} does not have the customer role`);
+    }, callback);
+}
+
+// Customer with an id among the customers the user can access - Calls back with no customer if missing or out of scope
+function scopedCustomer(req, id, callback) {
+    const scope = ownerScope(req.owners);
+    const query = `SELECT id, name, email, phone, company, user_id, owner_user_id FROM customers WHERE id = ?${scope.clause}`;
+    db.get(query, [id, ...scope.params], callback);
+}
+
+// Validate the owner given to customers, a user id or null for shared customers - Returns an error message, or null if valid
+function validateOwner(ownerUserId) {
+    if (ownerUserId !== null && (!Number.isInteger(ownerUserId) || ownerUserId <= 0)) {
+        return 'Owner must be a user id or null';
+    }
+    return null;
+}
+
+// Customer linked to the logged in user - Calls back with no customer if the user has no customer profile
+function linkedCustomer(req, callback) {
+    const query = 'SELECT id, name, email, phone, company, created_at, updated_at FROM customers WHERE user_id = ?';
+    db.get(query, [req.user.id], callback);
+}
+
 // Create Customer
-app.post('/customers', authenticateToken, authorizeRole(['admin', 'manager', 'sales_rep']), (req, res) => {
-    const { name, email, phone, company } = req.body;
+app.post('/customers', authenticateToken, authorize('customers:write'), scopeRecords, (req, res) => {
+    const { name, email, phone, company, userId } = req.body;
+    // Customers are owned by the user creating them unless given to another owner, customers of service clients are shared
+    const ownerUserId = req.body.ownerUserId === undefined ? ownUserId(req) : req.body.ownerUserId;
 
     // Check all required fields are filled in
     if (!name || !email) {
@@ -55,6 +129,26 @@ app.post('/customers', authenticateToken, authorizeRole(['admin', 'manager', 'sa
             return res.status(400).json({ error: phoneError });
         }
     }
+
+    // Validate the linked user, the user of the customer self-service routes
+    if (userId !== undefined) {
+        const userIdError = validateUserId(userId);
+        if (userIdError) {
+            logger.warn(`Customer creation failed: ${userIdError}`);
+            return res.status(400).json({ error: userIdError });
+        }
+    }
+
+    // Validate the owner, only users allowed to assign customers create them for others
+    const ownerError = validateOwner(ownerUserId);
+    if (ownerError) {
+        logger.warn(`Customer creation failed: ${ownerError}`);
+        return res.status(400).json({ error: ownerError });
+    }
+    if (ownerUserId !== ownUserId(req) && (!req.user.permissions.includes('customers:assign') || !canAssign(req.owners, ownerUserId))) {
+        logger.warn(`Customer creation failed: User ID ${req.user.id} cannot give customers to owner ${ownerUserId}`);
+        return res.status(403).json({ error: 'Access denied. Cannot give customers to this owner.' });
+    }
     
     // Test if customer already exists in db with same email
     db.get('SELECT id, name, email FROM customers WHERE email = ?', [email], async (err, customer) => {
@@ -65,24 +159,41 @@ app.post('/customers', authenticateToken, authorizeRole(['admin', 'manager', 'sa
             logger.warn('Customer creation failed: A customer already exists in db with same email');
             return res.status(400).json({ error: 'Another customer already exists with this email' });
         }
-        // Create the new customer in db
-        const query = 'INSERT INTO customers (name, email, phone, company) VALUES (?, ?, ?, ?)';
-        db.run(query, [name, email, phone, company], function(err) {
+        checkUserLink(userId, null, (err, linkError) => {
             if (err) {
                 logger.error(`Database Error: ${err.message}`);
-                return res.status(500).json({ error: err.message });
+                return res.status(500).json({ error: 'Database error' });
+            } else if (linkError) {
+                logger.warn(`Customer creation failed: ${linkError}`);
+                return res.status(400).json({ error: linkError });
             }
-            logger.info(`Customer created: ID ${this.lastID}, Name: ${name}, Email: ${email}, Phone: ${phone}, Company: ${company}`);
-            res.status(201).json({ message:"Customer creation succesfull", 
-                                   customer: { id: this.lastID, name, email, phone, company } 
-                                });
+            checkLinkedUser(userId, (err, userError) => {
+                if (err) {
+                    return res.status(503).json({ error: 'Could not verify the linked user. Please try again later.' });
+                } else if (userError) {
+                    logger.warn(`Customer creation failed: ${userError}`);
+                    return res.status(400).json({ error: userError });
+                }
+                // Create the new customer in db
+                const query = 'INSERT INTO customers (name, email, phone, company, user_id, owner_user_id) VALUES (?, ?, ?, ?, ?, ?)';
+                db.run(query, [name, email, phone, company, userId || null, ownerUserId], function(err) {
+                    if (err) {
+                        logger.error(`Database Error: ${err.message}`);
+                        return res.status(500).json({ error: err.message });
+                    }
+                    logger.info(`Customer created: ID ${this.lastID}, Name: ${name}, Email: ${email}, Phone: ${phone}, Company: ${company}, User: ${userId || 'none'}, Owner: ${ownerUserId || 'shared'}`);
+                    res.status(201).json({ message:"Customer creation succesfull", 
+                                           customer: { id: this.lastID, name, email, phone, company, user_id: userId || null, owner_user_id: ownerUserId } 
+                                        });
+                });
+            });
         });
     });
 });
 
 // Get All Customers
-app.get('/customers', authenticateToken, authorizeRole(['admin', 'manager', 'sales_rep']), (req, res) => {
-    let { page, limit, name, email, phone, company, sortBy, sortOrder, updated_at, created_at } = req.query;
+app.get('/customers', authenticateToken, authorize('customers:read'), scopeRecords, (req, res) => {
+    let { page, limit, name, email, phone, company, user_id, owner_user_id, sortBy, sortOrder, updated_at, created_at } = req.query;
 
     // Default pagination values
     page = Math.abs(parseInt(page)) || 1;
@@ -100,9 +211,11 @@ app.get('/customers', authenticateToken, authorizeRole(['admin', 'manager', 'sal
     }
     
     // Query and parameters
-    let baseQuery = 'SELECT id, name, email, phone, company, created_at, updated_at FROM customers WHERE 1=1';
-    let countQuery = `SELECT COUNT(*) AS total FROM customers WHERE 1=1`;
-    let filterParams = [];
+    // Only customers of owners the user can access, and shared customers
+    const scope = ownerScope(req.owners);
+    let baseQuery = `SELECT id, name, email, phone, company, user_id, owner_user_id, created_at, updated_at FROM customers WHERE 1=1${scope.clause}`;
+    let countQuery = `SELECT COUNT(*) AS total FROM customers WHERE 1=1${scope.clause}`;
+    let filterParams = [...scope.params];
 
     if (name) {
         baseQuery += ' AND name LIKE ?';
@@ -127,6 +240,18 @@ app.get('/customers', authenticateToken, authorizeRole(['admin', 'manager', 'sal
         countQuery += ' AND company LIKE ?';
         filterParams.push(`%${company}%`);
     }
+
+    if (user_id) {
+        baseQuery += ' AND user_id = ?';
+        countQuery += ' AND user_id = ?';
+        filterParams.push(user_id);
+    }
+
+    if (owner_user_id) {
+        baseQuery += ' AND owner_user_id = ?';
+        countQuery += ' AND owner_user_id = ?';
+        filterParams.push(owner_user_id);
+    }
     
     if (updated_at) {
         baseQuery += ' AND updated_at LIKE ?';
@@ -170,10 +295,9 @@ app.get('/customers', authenticateToken, authorizeRole(['admin', 'manager', 'sal
 });
 
 // Get Customer by ID
-app.get('/customers/:id', authenticateToken, authorizeRole(['admin', 'manager', 'sales_rep']), (req, res) => {
+app.get('/customers/:id', authenticateToken, authorize('customers:read'), scopeRecords, (req, res) => {
     const { id } = req.params;
-    const query = 'SELECT id, name, email, phone, company FROM customers WHERE id = ?';
-    db.get(query, [id], (err, customer) => {
+    scopedCustomer(req, id, (err, customer) => {
         if (err) {
             logger.error(`Database Error: ${err.message}`);
             return res.status(500).json({ error: err.message });
@@ -187,12 +311,12 @@ app.get('/customers/:id', authenticateToken, authorizeRole(['admin', 'manager',
 });
 
 // Update Customer
-app.put('/customers/:id', authenticateToken, authorizeRole(['admin', 'manager', 'sales_rep']), (req, res) => {
+app.put('/customers/:id', authenticateToken, authorize('customers:write'), scopeRecords, (req, res) => {
     const { id } = req.params;
-    let { name, email, phone, company } = req.body;
+    let { name, email, phone, company, userId } = req.body;
     
     // Check customer exists in db
-    db.get('SELECT id, name, email, phone, company FROM customers WHERE id = ?', [id], (err, customer) => {
+    scopedCustomer(req, id, (err, customer) => {
         if (err) {
             logger.error(`Database Error: ${err.message}`);
             return res.status(500).json({ error: 'Database error' });
@@ -234,27 +358,55 @@ app.put('/customers/:id', authenticateToken, authorizeRole(['admin', 'manager',
         if (!company) {
             company = customer.company
         }
+        // Validate the linked user, null unlinks the customer from its user
+        if (userId !== undefined) {
+            const userIdError = validateUserId(userId);
+            if (userIdError) {
+                logger.warn(`Customer update failed: ${userIdError}`);
+                return res.status(400).json({ error: userIdError });
+            }
+        } else {
+            userId = customer.user_id
+        }
 
-        // Update customer
-        const query = 'UPDATE customers SET name = ?, email = ?, phone = ?, company = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
-        db.run(query, [name, email, phone, company, id], function(err) {
+        checkUserLink(userId, customer.id, (err, linkError) => {
             if (err) {
                 logger.error(`Database Error: ${err.message}`);
-                return res.status(500).json({ error: err.message });
+                return res.status(500).json({ error: 'Database error' });
+            } else if (linkError) {
+                logger.warn(`Customer update failed: ${linkError}`);
+                return res.status(400).json({ error: linkError });
             }
-            logger.info(`Customer updated: ID ${id}, Name: ${name}, Email: ${email}, Phone: ${phone}, Company: ${company}`);
-            res.json({ message: 'Customer updated successfully', customer: customer });
+            // Only a user newly linked is checked, an unchanged link was checked when it was made
+            checkLinkedUser(userId === customer.user_id ? null : userId, (err, userError) => {
+                if (err) {
+                    return res.status(503).json({ error: 'Could not verify the linked user. Please try again later.' });
+                } else if (userError) {
+                    logger.warn(`Customer update failed: ${userError}`);
+                    return res.status(400).json({ error: userError });
+                }
+                // Update customer
+                const query = 'UPDATE customers SET name = ?, email = ?, phone = ?, company = ?, user_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+                db.run(query, [name, email, phone, company, userId, id], function(err) {
+                    if (err) {
+                        logger.error(`Database Error: ${err.message}`);
+                        return res.status(500).json({ error: err.message });
+                    }
+                    logger.info(`Customer updated: ID ${id}, Name: ${name}, Email: ${email}, Phone: ${phone}, Company: ${company}, User: ${userId || 'none'}`);
+                    res.json({ message: 'Customer updated successfully', customer: customer });
+                });
+            });
         });
     });
     
 });
 
 // Delete Customer
-app.delete('/customers/:id', authenticateToken, authorizeRole(['admin', 'manager']), (req, res) => {
+app.delete('/customers/:id', authenticateToken, authorize('customers:delete'), scopeRecords, (req, res) => {
     const { id } = req.params;
 
     // Check customer exists in db
-    db.get('SELECT id, name, email, phone, company FROM customers WHERE id = ?', [id], (err, customer) => {
+    scopedCustomer(req, id, (err, customer) => {
         if (err) {
             logger.error(`Database Error: ${err.message}`);
             return res.status(500).json({ error: 'Database error' });
@@ -275,18 +427,88 @@ app.delete('/customers/:id', authenticateToken, authorizeRole(['admin', 'manager
     });
 });
 
+// Give a Customer to another owner, null shares it (customers:assign)
+app.put('/customers/:id/owner', authenticateToken, authorize('customers:assign'), scopeRecords, (req, res) => {
+    const { id } = req.params;
+    const { ownerUserId } = req.body;
+
+    const ownerError = ownerUserId === undefined ? 'Owner is required' : validateOwner(ownerUserId);
+    if (ownerError) {
+        logger.warn(`Customer owner change failed: ${ownerError}`);
+        return res.status(400).json({ error: ownerError });
+    }
+    if (!canAssign(req.owners, ownerUserId)) {
+        logger.warn(`Customer owner change failed: User ID ${req.user.id} cannot give customers to owner ${ownerUserId}`);
+        return res.status(403).json({ error: 'Access denied. Cannot give customers to this owner.' });
+    }
+
+    // Check customer exists in db
+    scopedCustomer(req, id, (err, customer) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!customer) {
+            logger.warn(`Customer owner change failed: Customer not found in db`);
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+        const query = 'UPDATE customers SET owner_user_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+        db.run(query, [ownerUserId, id], function(err) {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: err.message });
+            }
+            logger.info(`Customer ID ${id} given from owner ${customer.owner_user_id || 'shared'} to owner ${ownerUserId || 'shared'} by user ID ${req.user.id}`);
+            res.json({ message: 'Customer owner updated successfully', customer: { ...customer, owner_user_id: ownerUserId } });
+        });
+    });
+});
+
+// Move every Customer of one owner to another owner, null shares them (customers:assign)
+app.post('/customers/reassign', authenticateToken, authorize('customers:assign'), scopeRecords, (req, res) => {
+    const { fromUserId, toUserId } = req.body;
+
+    const ownerError = fromUserId === undefined || toUserId === undefined || fromUserId === null
+        ? 'fromUserId and toUserId are required'
+        : validateOwner(fromUserId) || validateOwner(toUserId);
+    if (ownerError) {
+        logger.warn(`Customer reassignment failed: ${ownerError}`);
+        return res.status(400).json({ error: ownerError });
+    }
+    if (!canAssign(req.owners, fromUserId) || !canAssign(req.owners, toUserId)) {
+        logger.warn(`Customer reassignment failed: User ID ${req.user.id} cannot move customers from owner ${fromUserId} to owner ${toUserId}`);
+        return res.status(403).json({ error: 'Access denied. Cannot move customers between these owners.' });
+    }
+
+    const query = 'UPDATE customers SET owner_user_id = ?, updated_at = CURRENT_TIMESTAMP WHERE owner_user_id = ?';
+    db.run(query, [toUserId, fromUserId], function(err) {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: err.message });
+        }
+        logger.info(`Moved ${this.changes} customers from owner ${fromUserId} to owner ${toUserId || 'shared'} by user ID ${req.user.id}`);
+        res.json({ message: 'Customers reassigned successfully', reassigned: this.changes });
+    });
+});
+
 // Add Note to Customer
-app.post('/customers/:id/notes', authenticateToken, authorizeRole(['admin', 'manager', 'sales_rep']), (req, res) => {
+app.post('/customers/:id/notes', authenticateToken, authorize('notes:write'), scopeRecords, (req, res) => {
     const { id } = req.params;
-    const { note } = req.body;
+    const { note, customerVisible = false } = req.body;
 
     if (!note) {
         logger.warn(`Note creation failed for customer ID ${id}: Missing note content`);
         return res.status(400).json({ error: 'Note content is required' });
     }
+
+    // Validate whether the customer can read the note
+    const visibleError = validateCustomerVisible(customerVisible);
+    if (visibleError) {
+        logger.warn(`Note creation failed for customer ID ${id}: ${visibleError}`);
+        return res.status(400).json({ error: visibleError });
+    }
     
     // Check customer exists in db
-    db.get('SELECT id, name, email, phone, company FROM customers WHERE id = ?', [id], (err, customer) => {
+    scopedCustomer(req, id, (err, customer) => {
         if (err) {
             logger.error(`Database Error: ${err.message}`);
             return res.status(500).json({ error: 'Database error' });
@@ -295,21 +517,21 @@ app.post('/customers/:id/notes', authenticateToken, authorizeRole(['admin', 'man
             return res.status(400).json({ error: 'Customer not found' });
         }
         // Add note
-        const query = 'INSERT INTO customer_notes (customer_id, note) VALUES (?, ?)';
-        db.run(query, [id, note], function(err) {
+        const query = 'INSERT INTO customer_notes (customer_id, note, customer_visible) VALUES (?, ?, ?)';
+        db.run(query, [id, note, customerVisible ? 1 : 0], function(err) {
             if (err) {
                 logger.error(`Database Error: ${err.message}`);
                 return res.status(500).json({ error: err.message });
             }
-            logger.info(`Note added for customer ID ${id}: Note ID ${this.lastID}`);
-            res.status(201).json({ message: "Note added successfully", id: this.lastID, customer_id: id, note: note });
+            logger.info(`Note added for customer ID ${id}: Note ID ${this.lastID}${customerVisible ? ', visible to the customer' : ''}`);
+            res.status(201).json({ message: "Note added successfully", id: this.lastID, customer_id: id, note: note, customer_visible: customerVisible });
         });
 
     }); 
 });
 
 // Get Notes for a Customer
-app.get('/customers/:id/notes', authenticateToken, authorizeRole(['admin', 'manager', 'sales_rep']), (req, res) => {
+app.get('/customers/:id/notes', authenticateToken, authorize('notes:read'), scopeRecords, (req, res) => {
     const { id } = req.params;
     let { page, limit, sortBy, sortOrder, content } = req.query;
 
@@ -345,40 +567,59 @@ app.get('/customers/:id/notes', authenticateToken, authorizeRole(['admin', 'mana
     const countQuery = 'SELECT COUNT(*) AS total FROM customer_notes WHERE customer_id = ?';
     const countQueryParams = [...filterParams];
 
-    db.get(countQuery, countQueryParams, (err, countResult) => {
+    // Check customer exists in db
+    scopedCustomer(req, id, (err, customer) => {
         if (err) {
-            logger.error(`Database Error (Count): ${err.message}`);
-            return res.status(500).json({ error: err.message });
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!customer) {
+            logger.warn(`Get notes failed: Customer not found in db`);
+            return res.status(404).json({ error: 'Customer not found' });
         }
-        db.all(paginatedQuery, paginatedParams, (err, rows) => {
+        db.get(countQuery, countQueryParams, (err, countResult) => {
             if (err) {
-                logger.error(`Database Error: ${err.message}`);
+                logger.error(`Database Error (Count): ${err.message}`);
                 return res.status(500).json({ error: err.message });
             }
-            logger.info(`Fetched ${rows.length} notes for customer ID ${id}`);
-            res.json({
-                total: countResult.total,
-                page,
-                limit,
-                totalPages: Math.ceil(countResult.total / limit),
-                data: rows
+            db.all(paginatedQuery, paginatedParams, (err, rows) => {
+                if (err) {
+                    logger.error(`Database Error: ${err.message}`);
+                    return res.status(500).json({ error: err.message });
+                }
+                logger.info(`Fetched ${rows.length} notes for customer ID ${id}`);
+                res.json({
+                    total: countResult.total,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(countResult.total / limit),
+                    data: rows
+                });
             });
         });
     });
 });
 
 // Update a Note
-app.put('/customers/:id/notes/:noteId', authenticateToken, authorizeRole(['admin', 'manager', 'sales_rep']), (req, res) => {
+app.put('/customers/:id/notes/:noteId', authenticateToken, authorize('notes:write'), scopeRecords, (req, res) => {
     const { id, noteId } = req.params;
-    const { note } = req.body;
+    const { note, customerVisible } = req.body;
 
     if (!note) {
         logger.warn(`Note update failed: Missing updated content for Note ID ${noteId}`);
         return res.status(400).json({ error: 'Updated note content is required' });
     }
 
+    // Validate whether the customer can read the note, unchanged when not given
+    if (customerVisible !== undefined) {
+        const visibleError = validateCustomerVisible(customerVisible);
+        if (visibleError) {
+            logger.warn(`Note update failed for Note ID ${noteId}: ${visibleError}`);
+            return res.status(400).json({ error: visibleError });
+        }
+    }
+
     // Check customer exists in db
-    db.get('SELECT id, name, email, phone, company FROM customers WHERE id = ?', [id], (err, customer) => {
+    scopedCustomer(req, id, (err, customer) => {
         if (err) {
             logger.error(`Database Error: ${err.message}`);
             return res.status(500).json({ error: 'Database error' });
@@ -387,7 +628,7 @@ app.put('/customers/:id/notes/:noteId', authenticateToken, authorizeRole(['admin
             return res.status(400).json({ error: 'Customer not found' });
         }
         // Check if the note exists for the customer
-        db.get('SELECT id FROM customer_notes WHERE id = ? AND customer_id = ?', [noteId, id], (err, oldNote) => {
+        db.get('SELECT id, customer_visible FROM customer_notes WHERE id = ? AND customer_id = ?', [noteId, id], (err, oldNote) => {
             if (err) {
                 logger.error(`Database Error: ${err.message}`);
                 return res.status(500).json({ error: 'Database error' });
@@ -395,9 +636,10 @@ app.put('/customers/:id/notes/:noteId', authenticateToken, authorizeRole(['admin
                 logger.warn(`Update note failed: Note not found for customer ID ${id}`);
                 return res.status(400).json({ error: `Note not found for the specified customer ID ${id}` });
             }
+            const visible = customerVisible === undefined ? oldNote.customer_visible : (customerVisible ? 1 : 0);
             // Update note
-            const query = 'UPDATE customer_notes SET note = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
-            db.run(query, [note, noteId], function(err) {
+            const query = 'UPDATE customer_notes SET note = ?, customer_visible = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+            db.run(query, [note, visible, noteId], function(err) {
                 if (err) {
                     logger.error(`Database Error: ${err.message}`);
                     return res.status(500).json({ error: err.message });
@@ -410,11 +652,11 @@ app.put('/customers/:id/notes/:noteId', authenticateToken, authorizeRole(['admin
 });
 
 // Delete a Note
-app.delete('/customers/:id/notes/:noteId', authenticateToken, authorizeRole(['admin', 'manager']), (req, res) => {
+app.delete('/customers/:id/notes/:noteId', authenticateToken, authorize('notes:delete'), scopeRecords, (req, res) => {
     const { id, noteId } = req.params;
 
     // Check customer exists in db
-    db.get('SELECT id, name, email, phone, company FROM customers WHERE id = ?', [id], (err, customer) => {
+    scopedCustomer(req, id, (err, customer) => {
         if (err) {
             logger.error(`Database Error: ${err.message}`);
             return res.status(500).json({ error: 'Database error' });
@@ -444,39 +686,169 @@ app.delete('/customers/:id/notes/:noteId', authenticateToken, authorizeRole(['ad
     });
 });
 
-app.listen(PORT, () => {
-    const url = API_GATEWAY_URL + "/register";
-
-    axios({
-        method: 'POST',
-        url: url,
-        headers: {'Content-Type': 'application/json'},
-        data: {
-            apiName: "customermanagement",
-            protocol: PROTOCOL,
-            host: HOST,
-            port: PORT
+// Get own Customer Profile (Customer self-service)
+app.get('/me', authenticateToken, authorize('portal:access'), (req, res) => {
+    linkedCustomer(req, (err, customer) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!customer) {
+            logger.warn(`No customer profile linked to user ID ${req.user.id}`);
+            return res.status(404).json({ error: 'No customer profile is linked to this user' });
+        }
+        logger.info(`Fetched own customer profile ID ${customer.id} of user ID ${req.user.id}`);
+        res.json({ message: "Customer profile fetch successful", customer: customer });
+    });
+});
+
+// Update own Customer Profile (Customer self-service)
+app.put('/me', authenticateToken, authorize('portal:access'), (req, res) => {
+    let { name, email, phone, company } = req.body;
+
+    linkedCustomer(req, (err, customer) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!customer) {
+            logger.warn(`Update own customer profile failed: No customer profile linked to user ID ${req.user.id}`);
+            return res.status(404).json({ error: 'No customer profile is linked to this user' });
+        }
+        // Validate name format
+        if (name) {
+            const nameError = validateName(name);
+            if (nameError) {
+                logger.warn(`Update own customer profile failed: ${nameError}`);
+                return res.status(400).json({ error: nameError });
+            }
+        } else {
+            name = customer.name
         }
-    }).then((response) => {
-        logger.info(response.data);
-        console.log(response.data);
-    }).catch((error) => {
-        if (error.response) {
-            // Server responded with a status other than 2xx
-            logger.error('Response error:', error.response.status, error.response.data);
-            console.error('Response error:', error.response.status, error.response.data);
-        } else if (error.request) {
-            // Request was made but no response received
-            logger.error(`No response received from ${url}`);
-            console.error(`No response received from ${url}`);
+        // Validate email format
+        if (email) {
+            const emailError = validateEmail(email);
+            if (emailError) {
+                logger.warn(`Update own customer profile failed: ${emailError}`);
+                return res.status(400).json({ error: emailError });
+            }
         } else {
-            // Something else happened during the request
-            logger.error('Error:', error.message);
-            console.error('Error:', error.message);
+            email = customer.email
         }
+        // Validate phone format
+        if (phone) {
+            const phoneError = validatePhone(phone);
+            if (phoneError) {
+                logger.warn(`Update own customer profile failed: ${phoneError}`);
+                return res.status(400).json({ error: phoneError });
+            }
+        } else {
+            phone = customer.phone
+        }
+        // Check company field provided
+        if (!company) {
+            company = customer.company
+        }
+
+        // Test if another customer already exists in db with same email
+        db.get('SELECT id FROM customers WHERE email = ? AND id != ?', [email, customer.id], (err, other) => {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: 'Database error' });
+            } else if (other) {
+                logger.warn('Update own customer profile failed: Another customer already exists in db with same email');
+                return res.status(400).json({ error: 'Another customer already exists with this email' });
+            }
+            // Update customer
+            const query = 'UPDATE customers SET name = ?, email = ?, phone = ?, company = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+            db.run(query, [name, email, phone, company, customer.id], function(err) {
+                if (err) {
+                    logger.error(`Database Error: ${err.message}`);
+                    return res.status(500).json({ error: err.message });
+                }
+                logger.info(`Own customer profile updated: ID ${customer.id} by user ID ${req.user.id}`);
+                res.json({ message: 'Customer profile updated successfully', customer: { id: customer.id, name, email, phone, company } });
+            });
+        });
     });
-    if (process.env.NODE_ENV !== 'test') {
-        logger.info(`Customer Management Service running on port ${PORT}`);
-        console.log(`Customer Management Service running on port ${PORT}`);
-    }
 });
+
+// Get Notes of own Customer Profile marked customer visible (Customer self-service)
+app.get('/me/notes', authenticateToken, authorize('portal:access'), (req, res) => {
+    let { page, limit, sortOrder } = req.query;
+
+    // Default pagination values
+    page = Math.abs(parseInt(page)) || 1;
+    limit = Math.abs(parseInt(limit)) || 10;
+    const offset = (page - 1) * limit;
+
+    // Newest notes first unless asked otherwise
+    sortOrder = sortOrder === 'asc' ? 'ASC' : 'DESC';
+
+    linkedCustomer(req, (err, customer) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!customer) {
+            logger.warn(`Get own notes failed: No customer profile linked to user ID ${req.user.id}`);
+            return res.status(404).json({ error: 'No customer profile is linked to this user' });
+        }
+        const countQuery = 'SELECT COUNT(*) AS total FROM customer_notes WHERE customer_id = ? AND customer_visible = 1';
+        const query = `SELECT id, note, created_at, updated_at FROM customer_notes WHERE customer_id = ? AND customer_visible = 1 ORDER BY created_at ${sortOrder} LIMIT ? OFFSET ?`;
+        db.get(countQuery, [customer.id], (err, countResult) => {
+            if (err) {
+                logger.error(`Database Error (Count): ${err.message}`);
+                return res.status(500).json({ error: err.message });
+            }
+            db.all(query, [customer.id, limit, offset], (err, rows) => {
+                if (err) {
+                    logger.error(`Database Error: ${err.message}`);
+                    return res.status(500).json({ error: err.message });
+                }
+                logger.info(`Fetched ${rows.length} customer visible notes for customer ID ${customer.id}`);
+                res.json({
+                    total: countResult.total,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(countResult.total / limit),
+                    data: rows
+                });
+            });
+        });
+    });
+});
+
+// Registration details sent to the gateway
+const registrationInfo = {
+    apiName: "customermanagement",
+    protocol: PROTOCOL,
+    host: HOST,
+    port: PORT
+};
+
+// Start listening and register to the gateway - Only when started as the service, tests load the app without it
+function start() {
+    const server = app.listen(PORT, () => {
+        // Register to the gateway and keep the registration lease alive with heartbeats
+        registration.register(registrationInfo);
+        registration.startHeartbeat(registrationInfo);
+        if (process.env.NODE_ENV !== 'test') {
+            logger.info(`Customer Management Service running on port ${PORT}`);
+            console.log(`Customer Management Service running on port ${PORT}`);
+        }
+    });
+
+    // Unregister from the gateway before shutting down
+    const shutdown = (signal) => {
+        logger.info(`Customer Management Service received ${signal}, shutting down`);
+        registration.unregister(registrationInfo).finally(() => {
+            server.close(() => process.exit(0));
+        });
+    };
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+if (require.main === module) {
+    start();
+}
+
+module.exports = app;
\ No newline at end of file
@@ -1,36 +1,85 @@
 const jwt = require('jsonwebtoken');
 const logger = require('./logger');
+const { verifyGatewayIdentity } = require('../utils/identity');
+const { recordAuthFailure } = require('./metrics');
+const { isTokenRevoked } = require('../utils/revocation');
+const { ALGORITHMS, publicKey } = require('../utils/jwks');
+const { accessibleOwners } = require('../utils/teams');
 require('dotenv').config();
 
-const SECRET_KEY = process.env.SECRET_KEY;
-
 // Middleware to authenticate JWT Token
 function authenticateToken(req, res, next) {
+    // Requests forwarded by the gateway carry the identity it already verified
+    const gatewayUser = verifyGatewayIdentity(req);
+    if (gatewayUser) {
+        req.user = gatewayUser;
+        return next();
+    }
+
     const token = req.header('Authorization');
     if (!token) {
         logger.error(`Access denied. No token provided.`);
+        recordAuthFailure('missing_token');
         return res.status(401).json({ error: 'Access denied. No token provided.' });
     }
 
-    jwt.verify(token.replace('Bearer ', ''), SECRET_KEY, (err, user) => {
-        if (err) {
-            logger.error(`Access denied. Invalid or expired token.`);
-            return res.status(403).json({ error: 'Invalid or expired token.' });
+    const bearer = token.replace('Bearer ', '');
+    const rejectInvalid = () => {
+        logger.error(`Access denied. Invalid or expired token.`);
+        recordAuthFailure('invalid_token');
+        res.status(403).json({ error: 'Invalid or expired token.' });
+    };
+    // Tokens are verified with the public key user-management published for their kid
+    const decoded = jwt.decode(bearer, { complete: true });
+    if (!decoded || !decoded.header.kid) {
+        return rejectInvalid();
+    }
+    publicKey(decoded.header.kid).then((key) => {
+        if (!key) {
+            return rejectInvalid();
         }
-        req.user = user;
-        next();
+        jwt.verify(bearer, key, { algorithms: ALGORITHMS }, (err, user) => {
+            if (err) {
+                return rejectInvalid();
+            }
+            // Tokens sent directly to the service are checked for revocation with user-management
+            isTokenRevoked(bearer).then((revoked) => {
+                if (revoked) {
+                    logger.error(`Access denied. Token of ${user.clientId ? `service client ${user.clientId}` : `user ${user.id}`} has been revoked.`);
+                    recordAuthFailure('revoked_token');
+                    return res.status(403).json({ error: 'Token has been revoked.' });
+                }
+                req.user = user;
+                next();
+            }, () => {
+                res.status(503).json({ error: 'Could not verify token. Please try again later.' });
+            });
+        });
+    }, () => {
+        res.status(503).json({ error: 'Could not verify token. Please try again later.' });
     });
 }
 
-// Middleware to authorize based on role
-function authorizeRole(roles) {
+// Middleware to authorize based on a permission granted by the role of the user
+function authorize(permission) {
     return (req, res, next) => {
-        if (!req.user || !roles.includes(req.user.role)) {
-            logger.error(`Access denied. Unauthorized role.`);
-            return res.status(403).json({ error: 'Access denied. Unauthorized role.' });
+        if (!req.user || !Array.isArray(req.user.permissions) || !req.user.permissions.includes(permission)) {
+            logger.error(`Access denied. Missing permission ${permission}.`);
+            recordAuthFailure('missing_permission');
+            return res.status(403).json({ error: `Access denied. Missing permission ${permission}.` });
         }
         next();
     };
 }
 
-module.exports = { authenticateToken, authorizeRole };
+// Middleware to resolve the owners whose records the user can access into req.owners, null for every owner
+function scopeRecords(req, res, next) {
+    accessibleOwners(req).then((owners) => {
+        req.owners = owners;
+        next();
+    }, () => {
+        res.status(503).json({ error: 'Could not load the team of the user. Please try again later.' });
+    });
+}
+
+module.exports = { authenticateToken, authorize, scopeRecords };
@@ -0,0 +1,93 @@
+const client = require('prom-client');
+const logger = require('./logger');
+
+// Metrics of the service are kept in their own registry, exposed in Prometheus text format on /metrics
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const requestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Latency of handled requests by route',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [register]
+});
+
+const queryDuration = new client.Histogram({
+    name: 'db_query_duration_seconds',
+    help: 'Duration of SQLite queries by method and statement type',
+    labelNames: ['method', 'statement'],
+    buckets: [0.0005, 0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1],
+    registers: [register]
+});
+
+const authFailures = new client.Counter({
+    name: 'auth_failures_total',
+    help: 'Rejected requests by reason (missing_token, invalid_token, unauthorized_role, unauthorized_action)',
+    labelNames: ['reason'],
+    registers: [register]
+});
+
+const rateLimitRejections = new client.Counter({
+    name: 'rate_limit_rejections_total',
+    help: 'Requests rejected by the rate limiter',
+    registers: [register]
+});
+
+// Observe request latency by route pattern once the response is sent, so ids do not create new series
+function requestMetrics(req, res, next) {
+    const end = requestDuration.startTimer();
+    res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        end({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+}
+
+// Query methods whose duration is observed until their callback runs
+const QUERY_METHODS = ['run', 'get', 'all', 'each', 'exec'];
+
+// Observe duration of queries of a database that are given a callback
+function observeQueries(db) {
+    QUERY_METHODS.forEach(method => {
+        const query = db[method].bind(db);
+        db[method] = (...args) => {
+            const last = args.length - 1;
+            const callback = args[last];
+            if (typeof callback === 'function') {
+                const statement = String(args[0]).trim().split(/\s+/)[0].toUpperCase();
+                const end = queryDuration.startTimer({ method, statement });
+                args[last] = function (...callbackArgs) {
+                    end();
+                    return callback.apply(this, callbackArgs);
+                };
+            }
+            query(...args);
+            return db;
+        };
+    });
+    return db;
+}
+
+// Count a rejected authentication or authorization
+function recordAuthFailure(reason) {
+    authFailures.inc({ reason });
+}
+
+// Count a request rejected by the rate limiter
+function recordRateLimitRejection() {
+    rateLimitRejections.inc();
+}
+
+// Metrics in Prometheus text format
+async function metricsHandler(req, res) {
+    try {
+        res.set('Content-Type', register.contentType);
+        res.send(await register.metrics());
+    } catch (error) {
+        logger.error(`Could not collect metrics: ${error.message}`);
+        res.status(500).json({ error: `Could not collect metrics: ${error.message}` });
+    }
+}
+
+module.exports = { register, requestMetrics, observeQueries, recordAuthFailure, recordRateLimitRejection, metricsHandler };
\ No newline at end of file
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const express = require('express');
+
+// Environment of the service under test, set before the app is loaded - Test files may set their own first
+process.env.DATABASE_FILE = ':memory:';
+process.env.GATEWAY_IDENTITY_SECRET = 'test_gateway_identity_secret';
+process.env.SERVICE_CLIENT_ID = 'customermanagement';
+process.env.SERVICE_CLIENT_SECRET = 'test_client_secret';
+
+// Permissions of the default roles of user-management
+const ROLE_PERMISSIONS = {
+    admin: ['customers:read', 'customers:write', 'customers:delete', 'customers:assign', 'notes:read', 'notes:write', 'notes:delete', 'records:all'],
+    manager: ['customers:read', 'customers:write', 'customers:delete', 'customers:assign', 'notes:read', 'notes:write', 'notes:delete', 'records:team'],
+    sales_rep: ['customers:read', 'customers:write', 'notes:read', 'notes:write'],
+    customer: ['portal:access']
+};
+
+// State of the fake gateway: the machine token it issues, member ids by manager id, users by id, whether user-management is down
+// and the requests it answered
+const gateway = { token: 'test-machine-token', teams: {}, users: {}, usersDown: false, tokenRequests: 0, teamRequests: [], userRequests: [] };
+
+// Fake gateway answering the requests the service sends to user-management
+function fakeGateway() {
+    const fake = express();
+    const basic = `Basic ${Buffer.from(`${process.env.SERVICE_CLIENT_ID}:${process.env.SERVICE_CLIENT_SECRET}`).toString('base64')}`;
+    fake.post('/usermanagement/oauth/token', (req, res) => {
+        gateway.tokenRequests++;
+        if (req.header('Authorization') !== basic) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+        res.json({ access_token: gateway.token, token_type: 'Bearer', expires_in: 900 });
+    });
+    fake.get('/usermanagement/users/:id/team', (req, res) => {
+        gateway.teamRequests.push(req.header('Authorization'));
+        if (req.header('Authorization') !== `Bearer ${gateway.token}`) {
+            return res.status(403).json({ error: 'Invalid or expired token.' });
+        }
+        const members = gateway.teams[req.params.id];
+        if (!members) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ manager: { id: Number(req.params.id) }, members: members.map(id => ({ id })) });
+    });
+    fake.get('/usermanagement/users/:id', (req, res) => {
+        gateway.userRequests.push(req.header('Authorization'));
+        if (gateway.usersDown) {
+            return res.status(503).json({ error: 'Service Unavailable' });
+        }
+        if (req.header('Authorization') !== `Bearer ${gateway.token}`) {
+            return res.status(403).json({ error: 'Invalid or expired token.' });
+        }
+        const user = gateway.users[req.params.id];
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ message: 'User fetch successful', user });
+    });
+    return fake;
+}
+
+let server;
+let db;
+
+// Resolve once the tables are created, which happens in the background after the database opens
+async function databaseReady() {
+    for (let attempt = 0; attempt < 200; attempt++) {
+        const index = await new Promise(resolve => {
+            db.get(`SELECT name FROM sqlite_master WHERE type = 'index' AND name = 'customers_user_id'`, [], (err, row) => resolve(!err && row));
+        });
+        if (index) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Database was not initialized');
+}
+
+// Start the fake gateway and load the app pointed at it - Resolves the app once its tables are created
+async function startService() {
+    server = await new Promise(resolve => {
+        const listening = fakeGateway().listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    process.env.API_GATEWAY_URL = `http://127.0.0.1:${server.address().port}`;
+    const app = require('../../index');
+    db = require('../../utils/db');
+    await databaseReady();
+    return app;
+}
+
+// Close the database and the fake gateway
+function stopService() {
+    return Promise.all([
+        new Promise(resolve => db.close(resolve)),
+        new Promise(resolve => server.close(resolve))
+    ]);
+}
+
+// Supertest plugin setting the identity headers of a user with a role, signed for the method and path of the request
+// as the gateway forwards them - Use as request(app).get('/path').use(asUser(id, role))
+function asUser(id, role) {
+    return (req) => {
+        const permissions = ROLE_PERMISSIONS[role].join(',');
+        const timestamp = String(Date.now());
+        const signature = crypto.createHmac('sha256', process.env.GATEWAY_IDENTITY_SECRET)
+            .update(`${req.method} ${new URL(req.url).pathname}\n${id}:${role}:${timestamp}:${permissions}`)
+            .digest('hex');
+        return req.set({
+            'X-User-Id': String(id),
+            'X-User-Role': role,
+            'X-User-Permissions': permissions,
+            'X-Gateway-Timestamp': timestamp,
+            'X-Gateway-Signature': signature
+        });
+    };
+}
+
+module.exports = { gateway, startService, stopService, asUser };
\ No newline at end of file
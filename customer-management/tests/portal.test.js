@@ -0,0 +1,121 @@
+const request = require('supertest');
+const { gateway, startService, stopService, asUser } = require('./helpers/app');
+
+describe('Customer Management Portal Tests', () => {
+    let app;
+    const REP = 11;
+    const PORTAL_USER = 50;
+    const OTHER_PORTAL_USER = 51;
+    const UNLINKED_PORTAL_USER = 52;
+
+    beforeAll(async () => {
+        gateway.teams = { [REP]: [] };
+        gateway.users = {
+            [REP]: { id: REP, role: 'sales_rep' },
+            [PORTAL_USER]: { id: PORTAL_USER, role: 'customer' },
+            [OTHER_PORTAL_USER]: { id: OTHER_PORTAL_USER, role: 'customer' },
+            [UNLINKED_PORTAL_USER]: { id: UNLINKED_PORTAL_USER, role: 'customer' }
+        };
+        app = await startService();
+    });
+
+    afterAll(() => stopService());
+
+    const rep = () => asUser(REP, 'sales_rep');
+    const createCustomer = (body) => request(app).post('/customers').use(rep()).send(body);
+    const updateCustomer = (id, body) => request(app).put(`/customers/${id}`).use(rep()).send(body);
+
+    describe('User link', () => {
+        it('should link a customer to a user with the customer role', async () => {
+            const res = await createCustomer({ name: 'Portal Customer', email: 'portal@example.com', userId: PORTAL_USER });
+
+            expect(res.status).toBe(201);
+            expect(res.body.customer.user_id).toBe(PORTAL_USER);
+            gateway.userRequests.forEach(authorization => expect(authorization).toBe(`Bearer ${gateway.token}`));
+        });
+
+        it('should refuse to link unknown users and users without the customer role', async () => {
+            const unknown = await createCustomer({ name: 'Unknown User', email: 'unknown@example.com', userId: 999 });
+            expect(unknown.status).toBe(400);
+            expect(unknown.body.error).toBe('User ID 999 does not exist');
+
+            const staff = await createCustomer({ name: 'Staff User', email: 'staff@example.com', userId: REP });
+            expect(staff.status).toBe(400);
+            expect(staff.body.error).toBe(`User ID ${REP} does not have the customer role`);
+        });
+
+        it('should check users newly linked by an update', async () => {
+            const customer = (await createCustomer({ name: 'Later Linked', email: 'later@example.com' })).body.customer;
+
+            expect((await updateCustomer(customer.id, { userId: REP })).status).toBe(400);
+            expect((await updateCustomer(customer.id, { userId: 999 })).status).toBe(400);
+            expect((await updateCustomer(customer.id, { userId: OTHER_PORTAL_USER })).status).toBe(200);
+            expect((await updateCustomer(customer.id, { userId: PORTAL_USER })).body.error).toMatch(/is already linked to this user/);
+        });
+
+        it('should answer 503 when the user cannot be verified, but keep unchanged links working', async () => {
+            const customer = (await createCustomer({ name: 'Unverified', email: 'unverified@example.com' })).body.customer;
+            gateway.usersDown = true;
+
+            const res = await updateCustomer(customer.id, { userId: UNLINKED_PORTAL_USER });
+            const unchanged = await request(app).get('/customers?limit=100').use(rep());
+            const linked = unchanged.body.data.find(row => row.user_id === PORTAL_USER);
+            const rename = await updateCustomer(linked.id, { name: 'Portal Customer Renamed' });
+            gateway.usersDown = false;
+
+            expect(res.status).toBe(503);
+            expect(res.body.error).toBe('Could not verify the linked user. Please try again later.');
+            expect(rename.status).toBe(200);
+        });
+    });
+
+    describe('Self-service', () => {
+        const portal = (userId = PORTAL_USER) => asUser(userId, 'customer');
+        let customer;
+
+        beforeAll(async () => {
+            const res = await request(app).get('/customers?limit=100').use(rep());
+            customer = res.body.data.find(row => row.user_id === PORTAL_USER);
+            await request(app).post(`/customers/${customer.id}/notes`).use(rep()).send({ note: 'Visible to the customer', customerVisible: true });
+            await request(app).post(`/customers/${customer.id}/notes`).use(rep()).send({ note: 'Internal only' });
+        });
+
+        it('should return the profile linked to the user', async () => {
+            const res = await request(app).get('/me').use(portal());
+
+            expect(res.status).toBe(200);
+            expect(res.body.customer.id).toBe(customer.id);
+        });
+
+        it('should answer 404 to users without a linked customer and 403 to staff', async () => {
+            expect((await request(app).get('/me').use(portal(UNLINKED_PORTAL_USER))).status).toBe(404);
+            expect((await request(app).get('/me').use(rep())).status).toBe(403);
+        });
+
+        it('should update the own profile without changing the user link', async () => {
+            const res = await request(app).put('/me').use(portal()).send({ company: 'Acme', userId: OTHER_PORTAL_USER });
+
+            expect(res.status).toBe(200);
+            expect(res.body.customer.company).toBe('Acme');
+            const profile = await request(app).get('/me').use(portal());
+            expect(profile.body.customer.company).toBe('Acme');
+            expect(profile.body.customer.id).toBe(customer.id);
+        });
+
+        it('should refuse an email of another customer', async () => {
+            const res = await request(app).put('/me').use(portal()).send({ email: 'later@example.com' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Another customer already exists with this email');
+        });
+
+        it('should only return notes marked customer visible', async () => {
+            const res = await request(app).get('/me/notes').use(portal());
+
+            expect(res.status).toBe(200);
+            expect(res.body.total).toBe(1);
+            expect(res.body.data.map(note => note.note)).toEqual(['Visible to the customer']);
+            expect(res.body.data[0].customer_visible).toBeUndefined();
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,145 @@
+const request = require('supertest');
+const { gateway, startService, stopService, asUser } = require('./helpers/app');
+
+describe('Customer Management Scoping Tests', () => {
+    let app;
+    const ADMIN = 1;
+    const MANAGER = 10;
+    const REP = 11;
+    const TEAMMATE = 12;
+    const OTHER_REP = 20;
+
+    beforeAll(async () => {
+        gateway.teams = { [MANAGER]: [REP, TEAMMATE], [REP]: [], [TEAMMATE]: [], [OTHER_REP]: [] };
+        app = await startService();
+    });
+
+    afterAll(() => stopService());
+
+    let counter = 0;
+    // Create a customer as a user - Resolves the created customer
+    const createCustomer = async (userId, role, body = {}) => {
+        counter++;
+        const res = await request(app).post('/customers').use(asUser(userId, role))
+            .send({ name: `Customer ${String.fromCharCode(64 + counter)}`, email: `customer${counter}@example.com`, ...body });
+        expect(res.status).toBe(201);
+        return res.body.customer;
+    };
+    const listIds = async (userId, role) => {
+        const res = await request(app).get('/customers?limit=100').use(asUser(userId, role));
+        return res.body.data.map(customer => customer.id);
+    };
+
+    describe('Visibility', () => {
+        let own;
+        let teammates;
+        let others;
+        let shared;
+
+        beforeAll(async () => {
+            own = await createCustomer(REP, 'sales_rep');
+            teammates = await createCustomer(TEAMMATE, 'sales_rep');
+            others = await createCustomer(OTHER_REP, 'sales_rep');
+            shared = await createCustomer(ADMIN, 'admin', { ownerUserId: null });
+        });
+
+        it('should show sales reps their own and shared customers only', async () => {
+            const ids = await listIds(REP, 'sales_rep');
+
+            expect(ids).toEqual(expect.arrayContaining([own.id, shared.id]));
+            expect(ids).not.toContain(teammates.id);
+            expect(ids).not.toContain(others.id);
+            expect((await request(app).get(`/customers/${others.id}`).use(asUser(REP, 'sales_rep'))).status).toBe(404);
+            expect((await request(app).get(`/customers/${shared.id}`).use(asUser(REP, 'sales_rep'))).status).toBe(200);
+        });
+
+        it('should show managers the customers of their team', async () => {
+            const ids = await listIds(MANAGER, 'manager');
+
+            expect(ids).toEqual(expect.arrayContaining([own.id, teammates.id, shared.id]));
+            expect(ids).not.toContain(others.id);
+            expect((await request(app).get(`/customers/${others.id}`).use(asUser(MANAGER, 'manager'))).status).toBe(404);
+        });
+
+        it('should show admins every customer', async () => {
+            expect(await listIds(ADMIN, 'admin')).toEqual(expect.arrayContaining([own.id, teammates.id, others.id, shared.id]));
+        });
+    });
+
+    describe('Team lookup', () => {
+        it('should ask for the team with the machine token of the service, not the token of the user', async () => {
+            await listIds(MANAGER, 'manager');
+
+            expect(gateway.teamRequests.length).toBeGreaterThan(0);
+            gateway.teamRequests.forEach(authorization => expect(authorization).toBe(`Bearer ${gateway.token}`));
+            expect(gateway.tokenRequests).toBe(1);
+        });
+
+        it('should request a new machine token when the old one is rejected', async () => {
+            gateway.teams[30] = [31];
+            gateway.token = 'rotated-machine-token';
+
+            const res = await request(app).get('/customers').use(asUser(30, 'manager'));
+
+            expect(res.status).toBe(200);
+            expect(gateway.tokenRequests).toBe(2);
+        });
+
+        it('should answer 503 when the team cannot be loaded', async () => {
+            const res = await request(app).get('/customers').use(asUser(99, 'manager'));
+
+            expect(res.status).toBe(503);
+            expect(res.body.error).toBe('Could not load the team of the user. Please try again later.');
+        });
+    });
+
+    describe('Assignment', () => {
+        it('should only let sales reps create customers they own', async () => {
+            const res = await request(app).post('/customers').use(asUser(REP, 'sales_rep'))
+                .send({ name: 'Given Away', email: 'given@example.com', ownerUserId: TEAMMATE });
+
+            expect(res.status).toBe(403);
+        });
+
+        it('should let managers give customers to their team only', async () => {
+            const customer = await createCustomer(MANAGER, 'manager', { ownerUserId: REP });
+            const owner = (ownerUserId) => request(app).put(`/customers/${customer.id}/owner`).use(asUser(MANAGER, 'manager')).send({ ownerUserId });
+
+            expect(customer.owner_user_id).toBe(REP);
+            expect((await owner(OTHER_REP)).status).toBe(403);
+            const res = await owner(TEAMMATE);
+            expect(res.status).toBe(200);
+            expect(res.body.customer.owner_user_id).toBe(TEAMMATE);
+            expect((await owner(null)).body.customer.owner_user_id).toBeNull();
+        });
+
+        it('should move the book of a rep to another rep of the team', async () => {
+            const first = await createCustomer(REP, 'sales_rep');
+            const second = await createCustomer(REP, 'sales_rep');
+            const reassign = (userId, role, body) => request(app).post('/customers/reassign').use(asUser(userId, role)).send(body);
+
+            expect((await reassign(REP, 'sales_rep', { fromUserId: REP, toUserId: TEAMMATE })).status).toBe(403);
+            expect((await reassign(MANAGER, 'manager', { fromUserId: REP, toUserId: OTHER_REP })).status).toBe(403);
+            const res = await reassign(MANAGER, 'manager', { fromUserId: REP, toUserId: TEAMMATE });
+
+            expect(res.status).toBe(200);
+            expect(res.body.reassigned).toBeGreaterThanOrEqual(2);
+            const ids = await listIds(TEAMMATE, 'sales_rep');
+            expect(ids).toEqual(expect.arrayContaining([first.id, second.id]));
+            expect(await listIds(REP, 'sales_rep')).not.toContain(first.id);
+        });
+    });
+
+    describe('Gateway identity', () => {
+        it('should only accept an identity for the method and path it was signed for', async () => {
+            const customer = await createCustomer(ADMIN, 'admin');
+            const other = await createCustomer(ADMIN, 'admin');
+            // Headers the gateway signed for reading the customer
+            const signed = asUser(ADMIN, 'admin')({ method: 'GET', url: `http://127.0.0.1/customers/${customer.id}`, set: headers => headers });
+
+            expect((await request(app).get(`/customers/${customer.id}?fields=all`).set(signed)).status).toBe(200);
+            expect((await request(app).get(`/customers/${other.id}`).set(signed)).status).toBe(401);
+            expect((await request(app).delete(`/customers/${customer.id}`).set(signed)).status).toBe(401);
+        });
+    });
+});
\ No newline at end of file
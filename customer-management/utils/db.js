@@ -1,34 +1,77 @@
 const sqlite3 = require('sqlite3').verbose();
 const logger = require('../middleware/logger');
+const { bindQueryCallbacks } = require('./context');
+const { observeQueries } = require('../middleware/metrics');
+require('dotenv').config();
 
-const db = new sqlite3.Database('./database/customer-management.db', (err) => {
+// SQLite file of the service, tests use ':memory:'
+const DATABASE_FILE = process.env.DATABASE_FILE || './database/customer-management.db';
+
+const db = new sqlite3.Database(DATABASE_FILE, (err) => {
     if (err) {
         logger.error(`Database Error: ${err.message}`);
         console.error(err.message);
     } else {
         console.log('Connected to the SQLite database.');
-        db.run(`
-            CREATE TABLE IF NOT EXISTS customers (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name TEXT NOT NULL,
-                email TEXT UNIQUE NOT NULL,
-                phone TEXT,
-                company TEXT,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            );
-        `);
-        db.run(`
-            CREATE TABLE IF NOT EXISTS customer_notes (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                customer_id INTEGER NOT NULL,
-                note TEXT NOT NULL,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
-            );
-        `);
+        // Tables are created before earlier versions of them are migrated
+        db.serialize(() => {
+            db.run(`
+                CREATE TABLE IF NOT EXISTS customers (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL,
+                    email TEXT UNIQUE NOT NULL,
+                    phone TEXT,
+                    company TEXT,
+                    user_id INTEGER,
+                    owner_user_id INTEGER,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                );
+            `);
+            db.run(`
+                CREATE TABLE IF NOT EXISTS customer_notes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    customer_id INTEGER NOT NULL,
+                    note TEXT NOT NULL,
+                    customer_visible INTEGER NOT NULL DEFAULT 0,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+                );
+            `);
+            // Databases created by earlier versions lack the user link and owner of customers and the visibility of notes
+            addColumnIfMissing('customers', 'user_id', 'INTEGER', () => {
+                // A user is linked to one customer at most
+                db.run('CREATE UNIQUE INDEX IF NOT EXISTS customers_user_id ON customers (user_id)');
+            });
+            addColumnIfMissing('customers', 'owner_user_id', 'INTEGER');
+            addColumnIfMissing('customer_notes', 'customer_visible', 'INTEGER NOT NULL DEFAULT 0');
+        });
     }
 });
 
+// Add a column to a table created by an earlier version of the service, then call back when the column exists
+function addColumnIfMissing(table, column, definition, callback = () => {}) {
+    db.all(`PRAGMA table_info(${table})`, [], (err, columns) => {
+        if (err) {
+            return logger.error(`Database Error: ${err.message}`);
+        }
+        if (columns.some(existing => existing.name === column)) {
+            return callback();
+        }
+        db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, [], (err) => {
+            if (err) {
+                return logger.error(`Database Error: ${err.message}`);
+            }
+            logger.info(`Added column ${column} to table ${table}`);
+            callback();
+        });
+    });
+}
+
+// Keep the request context in query callbacks so their log lines carry the request id
+bindQueryCallbacks(db);
+// Observe query durations for /metrics
+observeQueries(db);
+
 module.exports = db;
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../middleware/logger');
+const { traceHeaders } = require('../middleware/tracing');
+require('dotenv').config();
+
+const API_GATEWAY_URL = process.env.API_GATEWAY_URL || 'http://localhost:3000';
+const TOKEN_VERIFY_URL = process.env.TOKEN_VERIFY_URL || `${API_GATEWAY_URL}/usermanagement/token/verify`;
+const TOKEN_VERIFY_TIMEOUT = Number(process.env.TOKEN_VERIFY_TIMEOUT) || 3000; // 3 seconds
+const TOKEN_VERIFY_CACHE_TTL = Number(process.env.TOKEN_VERIFY_CACHE_TTL) || 5000; // 5 seconds
+const TOKEN_VERIFY_CACHE_SIZE = 10000;
+
+// Recent verification results by token hash, so a burst of requests with one token is verified once
+const results = new Map();
+
+// Remember a verification result, expired results are dropped once the cache is full
+function remember(key, revoked) {
+    if (results.size >= TOKEN_VERIFY_CACHE_SIZE) {
+        const now = Date.now();
+        results.forEach((result, cachedKey) => {
+            if (result.expiresAt <= now) {
+                results.delete(cachedKey);
+            }
+        });
+        if (results.size >= TOKEN_VERIFY_CACHE_SIZE) {
+            results.clear();
+        }
+    }
+    results.set(key, { revoked, expiresAt: Date.now() + TOKEN_VERIFY_CACHE_TTL });
+}
+
+// Ask user-management whether a JWT that passed signature verification was revoked
+// Resolves true if revoked, rejects when user-management cannot be reached
+async function isTokenRevoked(token) {
+    const key = crypto.createHash('sha256').update(token).digest('hex');
+    const cached = results.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.revoked;
+    }
+
+    let revoked;
+    try {
+        await axios.get(TOKEN_VERIFY_URL, {
+            headers: { authorization: `Bearer ${token}`, ...traceHeaders() },
+            timeout: TOKEN_VERIFY_TIMEOUT
+        });
+        revoked = false;
+    } catch (error) {
+        if (!error.response || ![401, 403].includes(error.response.status)) {
+            logger.error(`Token verification failed: ${error.response ? `status ${error.response.status}` : error.message}`);
+            throw error;
+        }
+        revoked = true;
+    }
+    remember(key, revoked);
+    return revoked;
+}
+
+module.exports = { isTokenRevoked };
\ No newline at end of file
@@ -0,0 +1,78 @@
+const axios = require('axios');
+const logger = require('../middleware/logger');
+const { asService } = require('./credentials');
+require('dotenv').config();
+
+const API_GATEWAY_URL = process.env.API_GATEWAY_URL || 'http://localhost:3000';
+const TEAM_URL = process.env.TEAM_URL || `${API_GATEWAY_URL}/usermanagement/users/:id/team`;
+const TEAM_TIMEOUT = Number(process.env.TEAM_TIMEOUT) || 3000; // 3 seconds
+const TEAM_CACHE_TTL = Number(process.env.TEAM_CACHE_TTL) || 5000; // 5 seconds
+const TEAM_CACHE_SIZE = 10000;
+
+// Permissions letting a user access records beyond their own and the shared ones
+const RECORDS_ALL = 'records:all';
+const RECORDS_TEAM = 'records:team';
+
+// Recent team members by manager id, so a burst of requests of one manager asks user-management once
+const teams = new Map();
+
+// Ids of the members of the team managed by the user of a request, asked from user-management with the machine token of the service
+async function teamMembers(req) {
+    const managerId = Number(req.user.id);
+    const cached = teams.get(managerId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.members;
+    }
+
+    try {
+        const response = await asService(headers => axios.get(TEAM_URL.replace(':id', managerId), { headers, timeout: TEAM_TIMEOUT }));
+        const members = response.data.members.map(member => member.id);
+        if (teams.size >= TEAM_CACHE_SIZE) {
+            teams.clear();
+        }
+        teams.set(managerId, { members, expiresAt: Date.now() + TEAM_CACHE_TTL });
+        return members;
+    } catch (error) {
+        logger.error(`Team lookup failed: ${error.response ? `status ${error.response.status}` : error.message}`);
+        throw error;
+    }
+}
+
+// Id of the user of a request as owner of records, null for service clients which own no records
+function ownUserId(req) {
+    return req.user.clientId ? null : Number(req.user.id);
+}
+
+// Owners whose records the user of a request can access - Resolves null when the user can access records of every owner
+async function accessibleOwners(req) {
+    const permissions = req.user.permissions || [];
+    if (permissions.includes(RECORDS_ALL)) {
+        return null;
+    }
+    // Service clients without records:all only access shared records
+    if (req.user.clientId) {
+        return [];
+    }
+    if (permissions.includes(RECORDS_TEAM)) {
+        return [Number(req.user.id), ...await teamMembers(req)];
+    }
+    return [Number(req.user.id)];
+}
+
+// SQL condition limiting a query to records of accessible owners and shared records without an owner
+function ownerScope(owners, column = 'owner_user_id') {
+    if (owners === null) {
+        return { clause: '', params: [] };
+    }
+    if (owners.length === 0) {
+        return { clause: ` AND ${column} IS NULL`, params: [] };
+    }
+    return { clause: ` AND (${column} IS NULL OR ${column} IN (${owners.map(() => '?').join(', ')}))`, params: owners };
+}
+
+// Check a user with accessible owners can give records to an owner, null shares the records
+function canAssign(owners, ownerUserId) {
+    return owners === null || ownerUserId === null || owners.includes(ownerUserId);
+}
+
+module.exports = { ownUserId, accessibleOwners, ownerScope, canAssign };
\ No newline at end of file
@@ -0,0 +1,25 @@
+const axios = require('axios');
+const logger = require('../middleware/logger');
+const { asService } = require('./credentials');
+require('dotenv').config();
+
+const API_GATEWAY_URL = process.env.API_GATEWAY_URL || 'http://localhost:3000';
+const USER_URL = process.env.USER_URL || `${API_GATEWAY_URL}/usermanagement/users/:id`;
+const USER_TIMEOUT = Number(process.env.USER_TIMEOUT) || 3000; // 3 seconds
+
+// Ask user-management for a user with the machine token of the service
+// Resolves the user, or null if there is no user with the id, rejects when user-management cannot be reached
+async function userById(id) {
+    try {
+        const response = await asService(headers => axios.get(USER_URL.replace(':id', encodeURIComponent(id)), { headers, timeout: USER_TIMEOUT }));
+        return response.data.user;
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            return null;
+        }
+        logger.error(`User lookup failed: ${error.response ? `status ${error.response.status}` : error.message}`);
+        throw error;
+    }
+}
+
+module.exports = { userById };
\ No newline at end of file
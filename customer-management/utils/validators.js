@@ -27,8 +27,26 @@ function validatePhone(phone) {
     return null;
 }
 
+// Check if the id of the user linked to a customer is valid, null unlinks - Returns an error message if invalid, or null if valid
+function validateUserId(userId) {
+    if (userId !== null && (!Number.isInteger(userId) || userId <= 0)) {
+        return 'User id must be a positive integer or null';
+    }
+    return null;
+}
+
+// Check if the customer visibility of a note is valid - Returns an error message if invalid, or null if valid
+function validateCustomerVisible(customerVisible) {
+    if (typeof customerVisible !== 'boolean') {
+        return 'customerVisible must be true or false';
+    }
+    return null;
+}
+
 module.exports = {
     validateName,
     validateEmail,
-    validatePhone
+    validatePhone,
+    validateUserId,
+    validateCustomerVisible
 };
@@ -1,52 +1,116 @@
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const { authenticateToken, authorizeRole } = require('./middleware/auth');
+const { authenticateToken, authorize, scopeRecords } = require('./middleware/auth');
 const { rateLimiter, securityMiddleware, requestLogger } = require('./middleware/security');
 const logger = require('./middleware/logger');
+const { tracing } = require('./middleware/tracing');
+const { requestMetrics, metricsHandler } = require('./middleware/metrics');
 const db = require('./utils/db');
+const registration = require('./utils/registration');
+const { linkedCustomer, customerById } = require('./utils/customers');
+const { ownUserId, ownerScope, canAssign } = require('./utils/teams');
+const openapi = require('./docs/openapi.json');
 
 dotenv.config();
 const app = express();
 const PROTOCOL = process.env.PROTOCOL || 'http';
 const HOST = process.env.HOST || 'localhost';
 const PORT = process.env.PORT || 5001;
-const API_GATEWAY_URL = process.env.API_GATEWAY_URL || 'http://localhost:3000';
 
 // Security Middleware
 app.use(cors());
 app.use(securityMiddleware);
+
+// Health Check - Registered before logging and rate limiting so gateway probes are neither logged nor throttled
+app.get('/health', (req, res) => {
+    db.get('SELECT 1', [], (err) => {
+        if (err) {
+            logger.error(`Health check failed: ${err.message}`);
+            return res.status(503).json({ status: 'DOWN', database: 'DOWN', error: err.message });
+        }
+        res.json({ status: 'UP', database: 'UP' });
+    });
+});
+
+// Service metrics in Prometheus text format, not logged or throttled like the health check
+app.get('/metrics', metricsHandler);
+
+// OpenAPI document of the service routes, merged by the gateway into its combined docs
+app.get('/openapi.json', (req, res) => {
+    res.json(openapi);
+});
+
+// Request id and trace span of every request, used by the logger and the request log
+app.use(tracing('salestracking'));
+app.use(requestMetrics);
 app.use(requestLogger);
 app.use(rateLimiter);
 
 app.use(express.json());
 
+// Sales entry with an id among the sales entries the user can access - Calls back with no sale if missing or out of scope
+function scopedSale(req, id, callback) {
+    const scope = ownerScope(req.owners);
+    const query = `SELECT id, customer_id, amount, status, owner_user_id FROM sales WHERE id = ?${scope.clause}`;
+    db.get(query, [id, ...scope.params], callback);
+}
+
+// Validate the owner given to sales entries, a user id or null for shared entries - Returns an error message, or null if valid
+function validateOwner(ownerUserId) {
+    if (ownerUserId !== null && (!Number.isInteger(ownerUserId) || ownerUserId <= 0)) {
+        return 'Owner must be a user id or null';
+    }
+    return null;
+}
+
 // Create Sales Entry
-app.post('/sales', authenticateToken, authorizeRole(['admin', 'manager', 'sales_rep']), (req, res) => {
+app.post('/sales', authenticateToken, authorize('sales:write'), scopeRecords, (req, res) => {
     const { customer_id, amount, status } = req.body;
+    // Sales entries are owned by the user creating them unless given to another owner, those of service clients are shared
+    const ownerUserId = req.body.ownerUserId === undefined ? ownUserId(req) : req.body.ownerUserId;
     const validStatuses = ['new', 'on going', 'deal', 'closed'];
     if (!customer_id || !amount || !status || !validStatuses.includes(status)) {
         logger.warn('Sales creation failed: Missing or invalid fields');
         return res.status(400).json({ error: 'Customer ID, amount, and valid status are required' });
     }
-    
-    const query = 'INSERT INTO sales (customer_id, amount, status) VALUES (?, ?, ?)';
-    db.run(query, [customer_id, amount, status], function(err) {
-        if (err) {
-            logger.error(`Database Error: ${err.message}`);
-            return res.status(500).json({ error: err.message });
+
+    // Validate the owner, only users allowed to assign sales entries create them for others
+    const ownerError = validateOwner(ownerUserId);
+    if (ownerError) {
+        logger.warn(`Sales creation failed: ${ownerError}`);
+        return res.status(400).json({ error: ownerError });
+    }
+    if (ownerUserId !== ownUserId(req) && (!req.user.permissions.includes('sales:assign') || !canAssign(req.owners, ownerUserId))) {
+        logger.warn(`Sales creation failed: User ID ${req.user.id} cannot give sales entries to owner ${ownerUserId}`);
+        return res.status(403).json({ error: 'Access denied. Cannot give sales entries to this owner.' });
+    }
+
+    // Sales entries are only created for customers the user can access, others are reported as missing
+    customerById(customer_id).then((customer) => {
+        if (!customer || !canAssign(req.owners, customer.owner_user_id)) {
+            logger.warn(`Sales creation failed: Customer ID ${customer_id} not found or not accessible to user ID ${req.user.id}`);
+            return res.status(404).json({ error: 'Customer not found' });
         }
-        logger.info(`Sales entry created: ID ${this.lastID}, Customer ID: ${customer_id}, Amount: ${amount}, Status: ${status}`);
-        res.status(201).json({ message: "Sales entry created successfully", 
-                               sales_entry: { id: this.lastID, customer_id, amount, status } 
-                            });
+        const query = 'INSERT INTO sales (customer_id, amount, status, owner_user_id) VALUES (?, ?, ?, ?)';
+        db.run(query, [customer_id, amount, status, ownerUserId], function(err) {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: err.message });
+            }
+            logger.info(`Sales entry created: ID ${this.lastID}, Customer ID: ${customer_id}, Amount: ${amount}, Status: ${status}, Owner: ${ownerUserId || 'shared'}`);
+            res.status(201).json({ message: "Sales entry created successfully", 
+                                   sales_entry: { id: this.lastID, customer_id, amount, status, owner_user_id: ownerUserId } 
+                                });
+        });
+    }, () => {
+        res.status(503).json({ error: 'Could not load the customer. Please try again later.' });
     });
 });
 
 // Get Sales Entries
-app.get('/sales', authenticateToken, authorizeRole(['admin', 'manager', 'sales_rep']), (req, res) => {
-    let { status, customer_id, sortBy, order, page, limit } = req.query;
+app.get('/sales', authenticateToken, authorize('sales:read'), scopeRecords, (req, res) => {
+    let { status, customer_id, owner_user_id, sortBy, order, page, limit } = req.query;
 
     // Default values for pagination
     page = Math.abs(parseInt(page)) || 1;
@@ -63,9 +127,10 @@ app.get('/sales', authenticateToken, authorizeRole(['admin', 'manager', 'sales_r
         return res.status(400).json({ error: `Invalid sortBy field. Must be one of: ${validSortFields.join(', ')}` });
     }
 
-    // Base query and parameters for filtering
-    let baseQuery = 'SELECT * FROM sales WHERE 1=1';
-    const filterParams = [];
+    // Base query and parameters for filtering, only sales entries of owners the user can access and shared ones
+    const scope = ownerScope(req.owners);
+    let baseQuery = `SELECT * FROM sales WHERE 1=1${scope.clause}`;
+    const filterParams = [...scope.params];
 
     if (status) {
         baseQuery += ' AND status = ?';
@@ -77,12 +142,17 @@ app.get('/sales', authenticateToken, authorizeRole(['admin', 'manager', 'sales_r
         filterParams.push(customer_id);
     }
 
+    if (owner_user_id) {
+        baseQuery += ' AND owner_user_id = ?';
+        filterParams.push(owner_user_id);
+    }
+
     // Add sorting and pagination to the query
     const paginatedQuery = `${baseQuery} ORDER BY ${sortBy} ${order} LIMIT ? OFFSET ?`;
     const paginatedParams = [...filterParams, limit, offset];
 
     // Count query for total sales (ignores pagination)
-    const countQuery = 'SELECT COUNT(*) AS total FROM sales WHERE 1=1';
+    const countQuery = baseQuery.replace('SELECT *', 'SELECT COUNT(*) AS total');
     const countQueryParams = [...filterParams];
 
     // Get Sales
@@ -109,7 +179,7 @@ app.get('/sales', authenticateToken, authorizeRole(['admin', 'manager', 'sales_r
 });
 
 // Update Sales Entry
-app.put('/sales/:id', authenticateToken, authorizeRole(['admin', 'manager', 'sales_rep']), (req, res) => {
+app.put('/sales/:id', authenticateToken, authorize('sales:write'), scopeRecords, (req, res) => {
     const { id } = req.params;
     const { amount, status } = req.body;
     const validStatuses = ['new', 'on going', 'deal', 'closed'];
@@ -119,7 +189,7 @@ app.put('/sales/:id', authenticateToken, authorizeRole(['admin', 'manager', 'sal
     }
     
     // Check if sales entry exists in db
-    db.get('SELECT id, customer_id, amount, status FROM sales WHERE id = ?', [id], (err, sale) => {
+    scopedSale(req, id, (err, sale) => {
         if (err) {
             logger.error(`Database Error: ${err.message}`);
             return res.status(500).json({ error: 'Database error' });
@@ -141,11 +211,11 @@ app.put('/sales/:id', authenticateToken, authorizeRole(['admin', 'manager', 'sal
 });
 
 // Delete Sales Entry
-app.delete('/sales/:id', authenticateToken, authorizeRole(['admin', 'manager']), (req, res) => {
+app.delete('/sales/:id', authenticateToken, authorize('sales:delete'), scopeRecords, (req, res) => {
     const { id } = req.params;
 
     // Check if sales entry exists in db
-    db.get('SELECT id, customer_id, amount, status FROM sales WHERE id = ?', [id], (err, sale) => {
+    scopedSale(req, id, (err, sale) => {
         if (err) {
             logger.error(`Database Error: ${err.message}`);
             return res.status(500).json({ error: 'Database error' });
@@ -166,18 +236,87 @@ app.delete('/sales/:id', authenticateToken, authorizeRole(['admin', 'manager']),
     });
 });
 
+// Give a Sales Entry to another owner, null shares it (sales:assign)
+app.put('/sales/:id/owner', authenticateToken, authorize('sales:assign'), scopeRecords, (req, res) => {
+    const { id } = req.params;
+    const { ownerUserId } = req.body;
+
+    const ownerError = ownerUserId === undefined ? 'Owner is required' : validateOwner(ownerUserId);
+    if (ownerError) {
+        logger.warn(`Sales owner change failed: ${ownerError}`);
+        return res.status(400).json({ error: ownerError });
+    }
+    if (!canAssign(req.owners, ownerUserId)) {
+        logger.warn(`Sales owner change failed: User ID ${req.user.id} cannot give sales entries to owner ${ownerUserId}`);
+        return res.status(403).json({ error: 'Access denied. Cannot give sales entries to this owner.' });
+    }
+
+    // Check if sales entry exists in db
+    scopedSale(req, id, (err, sale) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!sale) {
+            logger.warn(`Sales owner change failed: Sales entry not found in db`);
+            return res.status(404).json({ error: 'Sales entry not found' });
+        }
+        const query = 'UPDATE sales SET owner_user_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+        db.run(query, [ownerUserId, id], function(err) {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: err.message });
+            }
+            logger.info(`Sales entry ID ${id} given from owner ${sale.owner_user_id || 'shared'} to owner ${ownerUserId || 'shared'} by user ID ${req.user.id}`);
+            res.json({ message: 'Sales entry owner updated successfully', sales_entry: { ...sale, owner_user_id: ownerUserId } });
+        });
+    });
+});
+
+// Move every Sales Entry of one owner to another owner, null shares them (sales:assign)
+app.post('/sales/reassign', authenticateToken, authorize('sales:assign'), scopeRecords, (req, res) => {
+    const { fromUserId, toUserId } = req.body;
+
+    const ownerError = fromUserId === undefined || toUserId === undefined || fromUserId === null
+        ? 'fromUserId and toUserId are required'
+        : validateOwner(fromUserId) || validateOwner(toUserId);
+    if (ownerError) {
+        logger.warn(`Sales reassignment failed: ${ownerError}`);
+        return res.status(400).json({ error: ownerError });
+    }
+    if (!canAssign(req.owners, fromUserId) || !canAssign(req.owners, toUserId)) {
+        logger.warn(`Sales reassignment failed: User ID ${req.user.id} cannot move sales entries from owner ${fromUserId} to owner ${toUserId}`);
+        return res.status(403).json({ error: 'Access denied. Cannot move sales entries between these owners.' });
+    }
+
+    const query = 'UPDATE sales SET owner_user_id = ?, updated_at = CURRENT_TIMESTAMP WHERE owner_user_id = ?';
+    db.run(query, [toUserId, fromUserId], function(err) {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: err.message });
+        }
+        logger.info(`Moved ${this.changes} sales entries from owner ${fromUserId} to owner ${toUserId || 'shared'} by user ID ${req.user.id}`);
+        res.json({ message: 'Sales entries reassigned successfully', reassigned: this.changes });
+    });
+});
+
 // Add Note to Sale
-app.post('/sales/:id/notes', authenticateToken, authorizeRole(['admin', 'manager', 'sales_rep']), (req, res) => {
+app.post('/sales/:id/notes', authenticateToken, authorize('notes:write'), scopeRecords, (req, res) => {
     const { id } = req.params;
-    const { note } = req.body;
+    const { note, customerVisible = false } = req.body;
     
     if (!note) {
         logger.warn(`Sale note creation failed for Sale ID ${id}: Missing note content`);
         return res.status(400).json({ error: 'Note content is required' });
     }
 
+    // Validate whether the customer of the sale can read the note
+    if (typeof customerVisible !== 'boolean') {
+        logger.warn(`Sale note creation failed for Sale ID ${id}: Invalid customerVisible`);
+        return res.status(400).json({ error: 'customerVisible must be true or false' });
+    }
+
     // Check if sales entry exists in db
-    db.get('SELECT id, customer_id, amount, status FROM sales WHERE id = ?', [id], (err, sale) => {
+    scopedSale(req, id, (err, sale) => {
         if (err) {
             logger.error(`Database Error: ${err.message}`);
             return res.status(500).json({ error: 'Database error' });
@@ -186,22 +325,22 @@ app.post('/sales/:id/notes', authenticateToken, authorizeRole(['admin', 'manager
             return res.status(400).json({ error: 'Sales entry not found' });
         }
         // Add note
-        const query = 'INSERT INTO sales_notes (sale_id, note) VALUES (?, ?)';
-        db.run(query, [id, note], function(err) {
+        const query = 'INSERT INTO sales_notes (sale_id, note, customer_visible) VALUES (?, ?, ?)';
+        db.run(query, [id, note, customerVisible ? 1 : 0], function(err) {
             if (err) {
                 logger.error(`Database Error: ${err.message}`);
                 return res.status(500).json({ error: err.message });
             }
-            logger.info(`Note added to Sale ID ${id}: Note ID ${this.lastID}`);
-            res.status(201).json({ message: "Note added successfully", id: this.lastID, sale_id: id, note: note });
+            logger.info(`Note added to Sale ID ${id}: Note ID ${this.lastID}${customerVisible ? ', visible to the customer' : ''}`);
+            res.status(201).json({ message: "Note added successfully", id: this.lastID, sale_id: id, note: note, customer_visible: customerVisible });
         });
     });
 });
 
 // Get Sales Notes
-app.get('/sales/:id/notes', authenticateToken, authorizeRole(['admin', 'manager', 'sales_rep']), (req, res) => {
+app.get('/sales/:id/notes', authenticateToken, authorize('notes:read'), scopeRecords, (req, res) => {
     const { id } = req.params;
-    let { page, limit, sortBy, order, content } = req.query;
+    let { page, limit, sortBy, order, content, updated_at, created_at } = req.query;
 
     // Default pagination values
     page = Math.abs(parseInt(page)) || 1;
@@ -248,41 +387,57 @@ app.get('/sales/:id/notes', authenticateToken, authorizeRole(['admin', 'manager'
     // No pagination for count
     const countQueryParams = [...filterParams];
     
-    // Get sales notes
-    db.get(countQuery, countQueryParams, (err, countResult) => {
+    // Check if sales entry exists in db
+    scopedSale(req, id, (err, sale) => {
         if (err) {
-            logger.error(`Database Error (Count): ${err.message}`);
-            return res.status(500).json({ error: err.message });
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!sale) {
+            logger.warn(`Get sales notes failed: Sales entry not found in db`);
+            return res.status(404).json({ error: 'Sales entry not found' });
         }
-        db.all(paginatedQuery, paginatedParams, (err, rows) => {
+        // Get sales notes
+        db.get(countQuery, countQueryParams, (err, countResult) => {
             if (err) {
-                logger.error(`Database Error: ${err.message}`);
+                logger.error(`Database Error (Count): ${err.message}`);
                 return res.status(500).json({ error: err.message });
             }
-            logger.info(`Fetched ${rows.length} notes for Sale ID ${id}`);
-            res.json({
-                total: countResult.total,
-                page,
-                limit,
-                totalPages: Math.ceil(countResult.total / limit),
-                data: rows
+            db.all(paginatedQuery, paginatedParams, (err, rows) => {
+                if (err) {
+                    logger.error(`Database Error: ${err.message}`);
+                    return res.status(500).json({ error: err.message });
+                }
+                logger.info(`Fetched ${rows.length} notes for Sale ID ${id}`);
+                res.json({
+                    total: countResult.total,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(countResult.total / limit),
+                    data: rows
+                });
             });
         });
     });
 });
 
 // Update a Sales Note
-app.put('/sales/:id/notes/:noteId', authenticateToken, authorizeRole(['admin', 'manager', 'sales_rep']), (req, res) => {
+app.put('/sales/:id/notes/:noteId', authenticateToken, authorize('notes:write'), scopeRecords, (req, res) => {
     const { id, noteId } = req.params;
-    const { note } = req.body;
+    const { note, customerVisible } = req.body;
 
     if (!note) {
         logger.warn(`Sales note update failed: Missing note content for Note ID ${noteId}`);
         return res.status(400).json({ error: 'Updated note content is required' });
     }
 
+    // Validate whether the customer of the sale can read the note, unchanged when not given
+    if (customerVisible !== undefined && typeof customerVisible !== 'boolean') {
+        logger.warn(`Sales note update failed: Invalid customerVisible for Note ID ${noteId}`);
+        return res.status(400).json({ error: 'customerVisible must be true or false' });
+    }
+
     // Check if sales entry exists in db
-    db.get('SELECT id, customer_id, amount, status FROM sales WHERE id = ?', [id], (err, sale) => {
+    scopedSale(req, id, (err, sale) => {
         if (err) {
             logger.error(`Database Error: ${err.message}`);
             return res.status(500).json({ error: 'Database error' });
@@ -291,7 +446,7 @@ app.put('/sales/:id/notes/:noteId', authenticateToken, authorizeRole(['admin', '
             return res.status(400).json({ error: 'Sales entry not found' });
         }
         // Check if note exists for the sales entry
-        db.get('SELECT id FROM sales_notes WHERE id = ? AND sale_id = ?', [noteId, id], (err, oldNote) => {
+        db.get('SELECT id, customer_visible FROM sales_notes WHERE id = ? AND sale_id = ?', [noteId, id], (err, oldNote) => {
             if (err) {
                 logger.error(`Database Error: ${err.message}`);
                 return res.status(500).json({ error: 'Database error' });
@@ -299,9 +454,10 @@ app.put('/sales/:id/notes/:noteId', authenticateToken, authorizeRole(['admin', '
                 logger.warn(`Update note failed: Note not found for sales entry ID ${id}`);
                 return res.status(400).json({ error: `Note not found for the specified sales entry ID ${id}` });
             }
+            const visible = customerVisible === undefined ? oldNote.customer_visible : (customerVisible ? 1 : 0);
             // Update note
-            const query = 'UPDATE sales_notes SET note = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
-            db.run(query, [note, noteId], function(err) {
+            const query = 'UPDATE sales_notes SET note = ?, customer_visible = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+            db.run(query, [note, visible, noteId], function(err) {
                 if (err) {
                     logger.error(`Database Error: ${err.message}`);
                     return res.status(500).json({ error: err.message });
@@ -314,11 +470,11 @@ app.put('/sales/:id/notes/:noteId', authenticateToken, authorizeRole(['admin', '
 });
 
 // Delete a Sales Note
-app.delete('/sales/:id/notes/:noteId', authenticateToken, authorizeRole(['admin', 'manager']), (req, res) => {
+app.delete('/sales/:id/notes/:noteId', authenticateToken, authorize('notes:delete'), scopeRecords, (req, res) => {
     const { id, noteId } = req.params;
 
     // Check if sales entry exists in db
-    db.get('SELECT id, customer_id, amount, status FROM sales WHERE id = ?', [id], (err, sale) => {
+    scopedSale(req, id, (err, sale) => {
         if (err) {
             logger.error(`Database Error: ${err.message}`);
             return res.status(500).json({ error: 'Database error' });
@@ -349,40 +505,148 @@ app.delete('/sales/:id/notes/:noteId', authenticateToken, authorizeRole(['admin'
     });
 });
 
-app.listen(PORT, () => {
-    const url = API_GATEWAY_URL + "/register";
-
-    axios({
-        method: 'POST',
-        url: url,
-        headers: {'Content-Type': 'application/json'},
-        data: {
-            apiName: "salestracking",
-            protocol: PROTOCOL,
-            host: HOST,
-            port: PORT
+// Customer linked to the user of a self-service request - Responds with an error and calls back with nothing when there is none
+function withLinkedCustomer(req, res, callback) {
+    linkedCustomer(req).then((customer) => {
+        if (!customer) {
+            logger.warn(`No customer profile linked to user ID ${req.user.id}`);
+            return res.status(404).json({ error: 'No customer profile is linked to this user' });
         }
-    }).then((response) => {
-        logger.info(response.data);
-        console.log(response.data);
-    }).catch((error) => {
-        if (error.response) {
-            // Server responded with a status other than 2xx
-            logger.error('Response error:', error.response.status, error.response.data);
-            console.error('Response error:', error.response.status, error.response.data);
-        } else if (error.request) {
-            // Request was made but no response received
-            logger.error(`No response received from ${url}`);
-            console.error(`No response received from ${url}`);
-        } else {
-            // Something else happened during the request
-            logger.error('Error:', error.message);
-            console.error('Error:', error.message);
+        callback(customer);
+    }, () => {
+        res.status(503).json({ error: 'Could not load the customer profile. Please try again later.' });
+    });
+}
+
+// Get own Sales Entries (Customer self-service)
+app.get('/me/sales', authenticateToken, authorize('portal:access'), (req, res) => {
+    let { status, page, limit, order } = req.query;
+
+    // Default values for pagination
+    page = Math.abs(parseInt(page)) || 1;
+    limit = Math.abs(parseInt(limit)) || 10;
+    const offset = (page - 1) * limit;
+
+    // Newest sales entries first unless asked otherwise
+    order = order && order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+    withLinkedCustomer(req, res, (customer) => {
+        let baseQuery = 'SELECT id, amount, status, created_at, updated_at FROM sales WHERE customer_id = ?';
+        const filterParams = [customer.id];
+
+        if (status) {
+            baseQuery += ' AND status = ?';
+            filterParams.push(status);
         }
+
+        const paginatedQuery = `${baseQuery} ORDER BY created_at ${order} LIMIT ? OFFSET ?`;
+        const countQuery = baseQuery.replace('SELECT id, amount, status, created_at, updated_at', 'SELECT COUNT(*) AS total');
+
+        db.get(countQuery, filterParams, (err, countResult) => {
+            if (err) {
+                logger.error(`Database Error (Count): ${err.message}`);
+                return res.status(500).json({ error: err.message });
+            }
+            db.all(paginatedQuery, [...filterParams, limit, offset], (err, rows) => {
+                if (err) {
+                    logger.error(`Database Error: ${err.message}`);
+                    return res.status(500).json({ error: err.message });
+                }
+                logger.info(`Fetched ${rows.length} own sales entries of customer ID ${customer.id}`);
+                res.json({
+                    total: countResult.total,
+                    page,
+                    limit,
+                    totalPages: Math.ceil(countResult.total / limit),
+                    data: rows
+                });
+            });
+        });
     });
+});
 
-    if (process.env.NODE_ENV !== 'test') {
-        logger.info(`Sales Tracking Service running on port ${PORT}`);
-        console.log(`Sales Tracking Service running on port ${PORT}`);
-    }
+// Get Notes of an own Sales Entry marked customer visible (Customer self-service)
+app.get('/me/sales/:id/notes', authenticateToken, authorize('portal:access'), (req, res) => {
+    const { id } = req.params;
+    let { page, limit, order } = req.query;
+
+    // Default pagination values
+    page = Math.abs(parseInt(page)) || 1;
+    limit = Math.abs(parseInt(limit)) || 10;
+    const offset = (page - 1) * limit;
+
+    // Newest notes first unless asked otherwise
+    order = order && order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+    withLinkedCustomer(req, res, (customer) => {
+        // Sales entries of other customers are reported as missing
+        db.get('SELECT id FROM sales WHERE id = ? AND customer_id = ?', [id, customer.id], (err, sale) => {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: 'Database error' });
+            } else if (!sale) {
+                logger.warn(`Get own sales notes failed: Sales entry ${id} not found for customer ID ${customer.id}`);
+                return res.status(404).json({ error: 'Sales entry not found' });
+            }
+            const countQuery = 'SELECT COUNT(*) AS total FROM sales_notes WHERE sale_id = ? AND customer_visible = 1';
+            const query = `SELECT id, note, created_at, updated_at FROM sales_notes WHERE sale_id = ? AND customer_visible = 1 ORDER BY created_at ${order} LIMIT ? OFFSET ?`;
+            db.get(countQuery, [id], (err, countResult) => {
+                if (err) {
+                    logger.error(`Database Error (Count): ${err.message}`);
+                    return res.status(500).json({ error: err.message });
+                }
+                db.all(query, [id, limit, offset], (err, rows) => {
+                    if (err) {
+                        logger.error(`Database Error: ${err.message}`);
+                        return res.status(500).json({ error: err.message });
+                    }
+                    logger.info(`Fetched ${rows.length} customer visible notes for Sale ID ${id}`);
+                    res.json({
+                        total: countResult.total,
+                        page,
+                        limit,
+                        totalPages: Math.ceil(countResult.total / limit),
+                        data: rows
+                    });
+                });
+            });
+        });
+    });
 });
+
+// Registration details sent to the gateway
+const registrationInfo = {
+    apiName: "salestracking",
+    protocol: PROTOCOL,
+    host: HOST,
+    port: PORT
+};
+
+// Start listening and register to the gateway - Only when started as the service, tests load the app without it
+function start() {
+    const server = app.listen(PORT, () => {
+        // Register to the gateway and keep the registration lease alive with heartbeats
+        registration.register(registrationInfo);
+        registration.startHeartbeat(registrationInfo);
+        if (process.env.NODE_ENV !== 'test') {
+            logger.info(`Sales Tracking Service running on port ${PORT}`);
+            console.log(`Sales Tracking Service running on port ${PORT}`);
+        }
+    });
+
+    // Unregister from the gateway before shutting down
+    const shutdown = (signal) => {
+        logger.info(`Sales Tracking Service received ${signal}, shutting down`);
+        registration.unregister(registrationInfo).finally(() => {
+            server.close(() => process.exit(0));
+        });
+    };
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+if (require.main === module) {
+    start();
+}
+
+module.exports = app;
\ No newline at end of file
@@ -1,18 +1,26 @@
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const morgan = require('morgan');
+const { recordRateLimitRejection } = require('./metrics');
+const { isFromGateway } = require('../utils/identity');
 
 // Security headers
 const securityMiddleware = helmet();
 
-// Logging middleware
-const requestLogger = morgan('combined');
+// Logging middleware - Combined format followed by the request id assigned by the tracing middleware
+morgan.token('request-id', (req) => req.requestId || '-');
+const requestLogger = morgan(':remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent" request_id=:request-id');
 
-// Rate Limiting middleware
+// Rate Limiting middleware - Requests forwarded by the gateway are limited there per user and role
 const rateLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // Limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again later.'
+    skip: (req) => isFromGateway(req),
+    message: 'Too many requests from this IP, please try again later.',
+    handler: (req, res, next, options) => {
+        recordRateLimitRejection();
+        res.status(options.statusCode).send(options.message);
+    }
 });
 
 module.exports = { securityMiddleware, requestLogger, rateLimiter };
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+const { requestContext } = require('../utils/context');
+
+// Incoming request ids are only honored when they are safe to write to the logs
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+// W3C trace context: version-traceId-parentId-flags
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+// Random lowercase hex id of the given size in bytes
+function randomId(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Parse a traceparent header - Returns trace id, parent span id and flags, or null if missing or invalid
+function parseTraceparent(header) {
+    const match = TRACEPARENT_PATTERN.exec(header || '');
+    if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+        return null;
+    }
+    return { traceId: match[1], parentSpanId: match[2], flags: match[3] };
+}
+
+// Give every request an X-Request-Id and a span of the W3C trace, and handle the rest of the request inside that context
+function tracing(serviceName) {
+    return (req, res, next) => {
+        const requestId = REQUEST_ID_PATTERN.test(req.header('X-Request-Id') || '') ? req.header('X-Request-Id') : crypto.randomUUID();
+        const parent = parseTraceparent(req.header('traceparent'));
+        const context = {
+            requestId,
+            traceId: parent ? parent.traceId : randomId(16),
+            spanId: randomId(8),
+            parentSpanId: parent ? parent.parentSpanId : null,
+            flags: parent ? parent.flags : '01'
+        };
+        req.requestId = requestId;
+        res.setHeader('X-Request-Id', requestId);
+
+        const start = process.hrtime.bigint();
+        requestContext.run(context, () => {
+            // One span line per request, the parent span links it to the caller's span line
+            res.on('finish', () => requestContext.run(context, () => {
+                const duration = Number(process.hrtime.bigint() - start) / 1e6;
+                logger.info(`[SPAN] ${serviceName} ${req.method} ${req.originalUrl} ${res.statusCode} ${duration.toFixed(1)}ms parent=${context.parentSpanId || 'none'}`);
+            }));
+            next();
+        });
+    };
+}
+
+// Headers propagating the trace of the current request to an outgoing request
+function traceHeaders() {
+    const context = requestContext.getStore();
+    if (!context) {
+        return {};
+    }
+    return {
+        'x-request-id': context.requestId,
+        traceparent: `00-${context.traceId}-${context.spanId}-${context.flags}`
+    };
+}
+
+module.exports = { tracing, traceHeaders, parseTraceparent };
\ No newline at end of file
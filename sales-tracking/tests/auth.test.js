@@ -0,0 +1,74 @@
+process.env.JWKS_REFRESH_INTERVAL = '200';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { gateway, startService, stopService } = require('./helpers/app');
+
+// Signing key of user-management with its published JWK
+const createKey = (kid) => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    return {
+        jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'ES256', use: 'sig' },
+        sign: (payload) => jwt.sign(payload, privateKey, { algorithm: 'ES256', keyid: kid, expiresIn: '1h' })
+    };
+};
+
+describe('Sales Tracking Token Verification Tests', () => {
+    let app;
+    const first = createKey('first');
+    const second = createKey('second');
+    const unknown = createKey('unknown');
+    const payload = { id: 11, role: 'sales_rep', permissions: ['sales:read'] };
+
+    beforeAll(async () => {
+        gateway.jwks = { keys: [first.jwk] };
+        app = await startService();
+    });
+
+    afterAll(() => stopService());
+
+    const listSales = (token) => request(app).get('/sales').set('Authorization', `Bearer ${token}`);
+    // Let the interval between key set fetches for unknown kids pass
+    const refreshIntervalPassed = () => new Promise(resolve => setTimeout(resolve, 250));
+
+    it('should accept tokens signed with a published key', async () => {
+        const res = await listSales(first.sign(payload));
+
+        expect(res.status).toBe(200);
+        expect(gateway.jwksRequests).toBe(1);
+    });
+
+    it('should fetch the keys exactly once for an unknown kid and reject the token', async () => {
+        await refreshIntervalPassed();
+        const before = gateway.jwksRequests;
+
+        const res = await listSales(unknown.sign(payload));
+
+        expect(res.status).toBe(403);
+        expect(res.body.error).toBe('Invalid or expired token.');
+        expect(gateway.jwksRequests).toBe(before + 1);
+        expect((await listSales(unknown.sign(payload))).status).toBe(403);
+        expect(gateway.jwksRequests).toBe(before + 1);
+    });
+
+    it('should pick up a rotated key and keep accepting the old one', async () => {
+        gateway.jwks = { keys: [second.jwk, first.jwk] };
+        await refreshIntervalPassed();
+        const before = gateway.jwksRequests;
+
+        expect((await listSales(second.sign(payload))).status).toBe(200);
+        expect((await listSales(first.sign(payload))).status).toBe(200);
+        expect(gateway.jwksRequests).toBe(before + 1);
+    });
+
+    it('should reject tokens of a key user-management no longer publishes', async () => {
+        gateway.jwks = { keys: [second.jwk] };
+        await refreshIntervalPassed();
+
+        // Known keys are only dropped once the key set is fetched again
+        expect((await listSales(unknown.sign(payload))).status).toBe(403);
+        expect((await listSales(first.sign(payload))).status).toBe(403);
+        expect((await listSales(second.sign(payload))).status).toBe(200);
+    });
+});
\ No newline at end of file
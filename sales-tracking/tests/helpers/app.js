@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const express = require('express');
+
+// Environment of the service under test, set before the app is loaded - Test files may set their own first
+process.env.DATABASE_FILE = ':memory:';
+process.env.GATEWAY_IDENTITY_SECRET = 'test_gateway_identity_secret';
+process.env.SERVICE_CLIENT_ID = 'salestracking';
+process.env.SERVICE_CLIENT_SECRET = 'test_client_secret';
+
+// Permissions of the default roles of user-management
+const ROLE_PERMISSIONS = {
+    admin: ['sales:read', 'sales:write', 'sales:delete', 'sales:assign', 'notes:read', 'notes:write', 'notes:delete', 'records:all'],
+    manager: ['sales:read', 'sales:write', 'sales:delete', 'sales:assign', 'notes:read', 'notes:write', 'notes:delete', 'records:team'],
+    sales_rep: ['sales:read', 'sales:write', 'notes:read', 'notes:write'],
+    customer: ['portal:access']
+};
+
+// State of the fake gateway: the machine token it issues, member ids by manager id, customers by id, whether customer-management is down,
+// the signing keys user-management publishes and the requests it answered
+const gateway = {
+    token: 'test-machine-token',
+    teams: {},
+    customers: {},
+    customersDown: false,
+    jwks: { keys: [] },
+    tokenRequests: 0,
+    teamRequests: [],
+    customerRequests: [],
+    jwksRequests: 0
+};
+
+// Fake gateway answering the requests the service sends to user-management and customer-management
+function fakeGateway() {
+    const fake = express();
+    const basic = `Basic ${Buffer.from(`${process.env.SERVICE_CLIENT_ID}:${process.env.SERVICE_CLIENT_SECRET}`).toString('base64')}`;
+    fake.post('/usermanagement/oauth/token', (req, res) => {
+        gateway.tokenRequests++;
+        if (req.header('Authorization') !== basic) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+        res.json({ access_token: gateway.token, token_type: 'Bearer', expires_in: 900 });
+    });
+    fake.get('/usermanagement/users/:id/team', (req, res) => {
+        gateway.teamRequests.push(req.header('Authorization'));
+        if (req.header('Authorization') !== `Bearer ${gateway.token}`) {
+            return res.status(403).json({ error: 'Invalid or expired token.' });
+        }
+        const members = gateway.teams[req.params.id];
+        if (!members) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ manager: { id: Number(req.params.id) }, members: members.map(id => ({ id })) });
+    });
+    fake.get('/usermanagement/.well-known/jwks.json', (req, res) => {
+        gateway.jwksRequests++;
+        res.json(gateway.jwks);
+    });
+    fake.get('/usermanagement/token/verify', (req, res) => {
+        res.json({ message: 'Token is valid' });
+    });
+    fake.get('/customermanagement/customers/:id', (req, res) => {
+        gateway.customerRequests.push(req.header('Authorization'));
+        if (gateway.customersDown) {
+            return res.status(503).json({ error: 'Service Unavailable' });
+        }
+        if (req.header('Authorization') !== `Bearer ${gateway.token}`) {
+            return res.status(403).json({ error: 'Invalid or expired token.' });
+        }
+        const customer = gateway.customers[req.params.id];
+        if (!customer) {
+            return res.status(404).json({ error: 'Customer not found' });
+        }
+        res.json({ message: 'Customer fetch successful', customer });
+    });
+    return fake;
+}
+
+let server;
+let db;
+
+// Resolve once the tables are created, which happens in the background after the database opens
+async function databaseReady() {
+    for (let attempt = 0; attempt < 200; attempt++) {
+        const columns = await new Promise(resolve => {
+            db.all('PRAGMA table_info(sales_notes)', [], (err, rows) => resolve(err ? [] : rows));
+        });
+        if (columns.some(column => column.name === 'customer_visible')) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Database was not initialized');
+}
+
+// Start the fake gateway and load the app pointed at it - Resolves the app once its tables are created
+async function startService() {
+    server = await new Promise(resolve => {
+        const listening = fakeGateway().listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    process.env.API_GATEWAY_URL = `http://127.0.0.1:${server.address().port}`;
+    const app = require('../../index');
+    db = require('../../utils/db');
+    await databaseReady();
+    return app;
+}
+
+// Close the database and the fake gateway
+function stopService() {
+    return Promise.all([
+        new Promise(resolve => db.close(resolve)),
+        new Promise(resolve => server.close(resolve))
+    ]);
+}
+
+// Supertest plugin setting the identity headers of a user with a role, signed for the method and path of the request
+// as the gateway forwards them - Use as request(app).get('/path').use(asUser(id, role))
+function asUser(id, role) {
+    return (req) => {
+        const permissions = ROLE_PERMISSIONS[role].join(',');
+        const timestamp = String(Date.now());
+        const signature = crypto.createHmac('sha256', process.env.GATEWAY_IDENTITY_SECRET)
+            .update(`${req.method} ${new URL(req.url).pathname}\n${id}:${role}:${timestamp}:${permissions}`)
+            .digest('hex');
+        return req.set({
+            'X-User-Id': String(id),
+            'X-User-Role': role,
+            'X-User-Permissions': permissions,
+            'X-Gateway-Timestamp': timestamp,
+            'X-Gateway-Signature': signature
+        });
+    };
+}
+
+module.exports = { gateway, startService, stopService, asUser };
\ No newline at end of file
@@ -0,0 +1,146 @@
+const request = require('supertest');
+const { gateway, startService, stopService, asUser } = require('./helpers/app');
+
+describe('Sales Tracking Scoping Tests', () => {
+    let app;
+    const ADMIN = 1;
+    const MANAGER = 10;
+    const REP = 11;
+    const TEAMMATE = 12;
+    const OTHER_REP = 20;
+
+    // Customers in customer-management by owner
+    const CUSTOMER_OF_REP = 100;
+    const CUSTOMER_OF_TEAMMATE = 101;
+    const CUSTOMER_OF_OTHER_REP = 102;
+    const SHARED_CUSTOMER = 103;
+
+    beforeAll(async () => {
+        gateway.teams = { [MANAGER]: [REP, TEAMMATE], [REP]: [], [TEAMMATE]: [], [OTHER_REP]: [] };
+        gateway.customers = {
+            [CUSTOMER_OF_REP]: { id: CUSTOMER_OF_REP, name: 'Alice', owner_user_id: REP },
+            [CUSTOMER_OF_TEAMMATE]: { id: CUSTOMER_OF_TEAMMATE, name: 'Bob', owner_user_id: TEAMMATE },
+            [CUSTOMER_OF_OTHER_REP]: { id: CUSTOMER_OF_OTHER_REP, name: 'Carol', owner_user_id: OTHER_REP },
+            [SHARED_CUSTOMER]: { id: SHARED_CUSTOMER, name: 'Dave', owner_user_id: null }
+        };
+        app = await startService();
+    });
+
+    afterAll(() => stopService());
+
+    const postSale = (userId, role, body) => request(app).post('/sales').use(asUser(userId, role)).send({ amount: 100, status: 'new', ...body });
+    // Create a sales entry as a user - Resolves the created sales entry
+    const createSale = async (userId, role, body) => {
+        const res = await postSale(userId, role, body);
+        expect(res.status).toBe(201);
+        return res.body.sales_entry;
+    };
+    const listIds = async (userId, role) => {
+        const res = await request(app).get('/sales?limit=100').use(asUser(userId, role));
+        return res.body.data.map(sale => sale.id);
+    };
+
+    describe('Customer check', () => {
+        it('should let sales reps create sales entries for their own and shared customers', async () => {
+            expect((await postSale(REP, 'sales_rep', { customer_id: CUSTOMER_OF_REP })).status).toBe(201);
+            expect((await postSale(REP, 'sales_rep', { customer_id: SHARED_CUSTOMER })).status).toBe(201);
+        });
+
+        it('should answer 404 for customers of other owners and unknown customers', async () => {
+            const res = await postSale(REP, 'sales_rep', { customer_id: CUSTOMER_OF_OTHER_REP });
+
+            expect(res.status).toBe(404);
+            expect(res.body.error).toBe('Customer not found');
+            expect((await postSale(REP, 'sales_rep', { customer_id: CUSTOMER_OF_TEAMMATE })).status).toBe(404);
+            expect((await postSale(REP, 'sales_rep', { customer_id: 999 })).status).toBe(404);
+        });
+
+        it('should let managers create sales entries for customers of their team', async () => {
+            expect((await postSale(MANAGER, 'manager', { customer_id: CUSTOMER_OF_TEAMMATE, ownerUserId: TEAMMATE })).status).toBe(201);
+            expect((await postSale(MANAGER, 'manager', { customer_id: CUSTOMER_OF_OTHER_REP })).status).toBe(404);
+        });
+
+        it('should let admins create sales entries for every customer', async () => {
+            expect((await postSale(ADMIN, 'admin', { customer_id: CUSTOMER_OF_OTHER_REP })).status).toBe(201);
+        });
+
+        it('should read customers with the machine token of the service', async () => {
+            expect(gateway.customerRequests.length).toBeGreaterThan(0);
+            gateway.customerRequests.forEach(authorization => expect(authorization).toBe(`Bearer ${gateway.token}`));
+            expect(gateway.tokenRequests).toBe(1);
+        });
+
+        it('should answer 503 without creating the sales entry when customer-management is down', async () => {
+            gateway.customersDown = true;
+            const before = await listIds(REP, 'sales_rep');
+
+            const res = await postSale(REP, 'sales_rep', { customer_id: CUSTOMER_OF_REP });
+            gateway.customersDown = false;
+
+            expect(res.status).toBe(503);
+            expect(res.body.error).toBe('Could not load the customer. Please try again later.');
+            expect(await listIds(REP, 'sales_rep')).toEqual(before);
+        });
+    });
+
+    describe('Visibility', () => {
+        let own;
+        let teammates;
+        let others;
+        let shared;
+
+        beforeAll(async () => {
+            own = await createSale(REP, 'sales_rep', { customer_id: CUSTOMER_OF_REP });
+            teammates = await createSale(TEAMMATE, 'sales_rep', { customer_id: CUSTOMER_OF_TEAMMATE });
+            others = await createSale(OTHER_REP, 'sales_rep', { customer_id: CUSTOMER_OF_OTHER_REP });
+            shared = await createSale(ADMIN, 'admin', { customer_id: SHARED_CUSTOMER, ownerUserId: null });
+        });
+
+        it('should show sales reps their own and shared sales entries only', async () => {
+            const ids = await listIds(REP, 'sales_rep');
+
+            expect(ids).toEqual(expect.arrayContaining([own.id, shared.id]));
+            expect(ids).not.toContain(teammates.id);
+            expect(ids).not.toContain(others.id);
+            expect((await request(app).put(`/sales/${others.id}`).use(asUser(REP, 'sales_rep')).send({ amount: 1, status: 'deal' })).status).toBe(400);
+        });
+
+        it('should show managers the sales entries of their team', async () => {
+            const ids = await listIds(MANAGER, 'manager');
+
+            expect(ids).toEqual(expect.arrayContaining([own.id, teammates.id, shared.id]));
+            expect(ids).not.toContain(others.id);
+        });
+
+        it('should show admins every sales entry', async () => {
+            expect(await listIds(ADMIN, 'admin')).toEqual(expect.arrayContaining([own.id, teammates.id, others.id, shared.id]));
+        });
+    });
+
+    describe('Assignment', () => {
+        it('should let managers give sales entries to their team only', async () => {
+            const sale = await createSale(MANAGER, 'manager', { customer_id: CUSTOMER_OF_REP, ownerUserId: REP });
+            const owner = (ownerUserId) => request(app).put(`/sales/${sale.id}/owner`).use(asUser(MANAGER, 'manager')).send({ ownerUserId });
+
+            expect((await owner(OTHER_REP)).status).toBe(403);
+            const res = await owner(TEAMMATE);
+            expect(res.status).toBe(200);
+            expect(res.body.sales_entry.owner_user_id).toBe(TEAMMATE);
+        });
+
+        it('should move the book of a rep to another rep of the team', async () => {
+            const first = await createSale(REP, 'sales_rep', { customer_id: CUSTOMER_OF_REP });
+            const second = await createSale(REP, 'sales_rep', { customer_id: SHARED_CUSTOMER });
+            const reassign = (userId, role, body) => request(app).post('/sales/reassign').use(asUser(userId, role)).send(body);
+
+            expect((await reassign(REP, 'sales_rep', { fromUserId: REP, toUserId: TEAMMATE })).status).toBe(403);
+            expect((await reassign(MANAGER, 'manager', { fromUserId: REP, toUserId: OTHER_REP })).status).toBe(403);
+            const res = await reassign(MANAGER, 'manager', { fromUserId: REP, toUserId: TEAMMATE });
+
+            expect(res.status).toBe(200);
+            expect(res.body.reassigned).toBeGreaterThanOrEqual(2);
+            expect(await listIds(TEAMMATE, 'sales_rep')).toEqual(expect.arrayContaining([first.id, second.id]));
+            expect(await listIds(REP, 'sales_rep')).not.toContain(first.id);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,27 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Trace context of the request being handled, read by the logger so every line carries it
+const requestContext = new AsyncLocalStorage();
+
+// Query methods whose callbacks are run in the context of the caller
+const QUERY_METHODS = ['run', 'get', 'all', 'each', 'exec'];
+
+// sqlite3 callbacks lose the async context, wrap the query methods of a database so their callbacks keep it
+function bindQueryCallbacks(db) {
+    QUERY_METHODS.forEach(method => {
+        const query = db[method].bind(db);
+        db[method] = (...args) => {
+            const context = requestContext.getStore();
+            if (context) {
+                args = args.map(arg => typeof arg === 'function'
+                    ? function (...callbackArgs) { return requestContext.run(context, () => arg.apply(this, callbackArgs)); }
+                    : arg);
+            }
+            query(...args);
+            return db;
+        };
+    });
+    return db;
+}
+
+module.exports = { requestContext, bindQueryCallbacks };
\ No newline at end of file
@@ -0,0 +1,66 @@
+const axios = require('axios');
+const logger = require('../middleware/logger');
+const { traceHeaders } = require('../middleware/tracing');
+require('dotenv').config();
+
+const API_GATEWAY_URL = process.env.API_GATEWAY_URL || 'http://localhost:3000';
+const CLIENT_TOKEN_URL = process.env.CLIENT_TOKEN_URL || `${API_GATEWAY_URL}/usermanagement/oauth/token`;
+const CLIENT_TOKEN_TIMEOUT = Number(process.env.CLIENT_TOKEN_TIMEOUT) || 3000; // 3 seconds
+const SERVICE_CLIENT_ID = process.env.SERVICE_CLIENT_ID;
+const SERVICE_CLIENT_SECRET = process.env.SERVICE_CLIENT_SECRET;
+// Tokens are renewed a little before they expire, so none expires on its way to another service
+const CLIENT_TOKEN_RENEW_MARGIN = 30 * 1000; // 30 seconds
+
+// Machine token of the service with its expiry, and the token request in progress shared by concurrent callers
+let current = null;
+let pending = null;
+
+// Ask user-management for a machine token with the client credentials of the service
+async function requestToken() {
+    if (!SERVICE_CLIENT_ID || !SERVICE_CLIENT_SECRET) {
+        logger.error('Client token request failed: SERVICE_CLIENT_ID and SERVICE_CLIENT_SECRET are not set');
+        throw new Error('Service client credentials are not configured');
+    }
+    try {
+        const response = await axios.post(CLIENT_TOKEN_URL, { grant_type: 'client_credentials' }, {
+            auth: { username: SERVICE_CLIENT_ID, password: SERVICE_CLIENT_SECRET },
+            headers: traceHeaders(),
+            timeout: CLIENT_TOKEN_TIMEOUT
+        });
+        current = { token: response.data.access_token, expiresAt: Date.now() + response.data.expires_in * 1000 };
+        return current.token;
+    } catch (error) {
+        logger.error(`Client token request failed: ${error.response ? `status ${error.response.status}` : error.message}`);
+        throw error;
+    }
+}
+
+// Machine token of the service, requested again once it is about to expire
+function serviceToken() {
+    if (current && current.expiresAt - CLIENT_TOKEN_RENEW_MARGIN > Date.now()) {
+        return Promise.resolve(current.token);
+    }
+    if (!pending) {
+        pending = requestToken().finally(() => {
+            pending = null;
+        });
+    }
+    return pending;
+}
+
+// Send a request authorized as the service - request(headers) is repeated once with a new token if the token was rejected,
+// which happens after the permissions or the secret of the client changed
+async function asService(request) {
+    const send = async () => request({ authorization: `Bearer ${await serviceToken()}`, ...traceHeaders() });
+    try {
+        return await send();
+    } catch (error) {
+        if (!error.response || ![401, 403].includes(error.response.status)) {
+            throw error;
+        }
+        current = null;
+        return send();
+    }
+}
+
+module.exports = { asService };
\ No newline at end of file
@@ -0,0 +1,46 @@
+const axios = require('axios');
+const logger = require('../middleware/logger');
+const { traceHeaders } = require('../middleware/tracing');
+const { asService } = require('./credentials');
+require('dotenv').config();
+
+const API_GATEWAY_URL = process.env.API_GATEWAY_URL || 'http://localhost:3000';
+const CUSTOMER_PROFILE_URL = process.env.CUSTOMER_PROFILE_URL || `${API_GATEWAY_URL}/customermanagement/me`;
+const CUSTOMER_PROFILE_TIMEOUT = Number(process.env.CUSTOMER_PROFILE_TIMEOUT) || 3000; // 3 seconds
+const CUSTOMER_URL = process.env.CUSTOMER_URL || `${API_GATEWAY_URL}/customermanagement/customers/:id`;
+const CUSTOMER_TIMEOUT = Number(process.env.CUSTOMER_TIMEOUT) || 3000; // 3 seconds
+
+// Ask customer-management for the customer linked to the user of a request, with the token of the request
+// Resolves the customer, or null if no customer is linked to the user, rejects when customer-management cannot be reached
+async function linkedCustomer(req) {
+    try {
+        const response = await axios.get(CUSTOMER_PROFILE_URL, {
+            headers: { authorization: req.header('Authorization') || '', ...traceHeaders() },
+            timeout: CUSTOMER_PROFILE_TIMEOUT
+        });
+        return response.data.customer;
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            return null;
+        }
+        logger.error(`Customer profile lookup failed: ${error.response ? `status ${error.response.status}` : error.message}`);
+        throw error;
+    }
+}
+
+// Ask customer-management for a customer with the machine token of the service, which reads customers of every owner
+// Resolves the customer, or null if there is no customer with the id, rejects when customer-management cannot be reached
+async function customerById(id) {
+    try {
+        const response = await asService(headers => axios.get(CUSTOMER_URL.replace(':id', encodeURIComponent(id)), { headers, timeout: CUSTOMER_TIMEOUT }));
+        return response.data.customer;
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            return null;
+        }
+        logger.error(`Customer lookup failed: ${error.response ? `status ${error.response.status}` : error.message}`);
+        throw error;
+    }
+}
+
+module.exports = { linkedCustomer, customerById };
\ No newline at end of file
@@ -1,34 +1,70 @@
 const sqlite3 = require('sqlite3').verbose();
 const logger = require('../middleware/logger');
+const { bindQueryCallbacks } = require('./context');
+const { observeQueries } = require('../middleware/metrics');
+require('dotenv').config();
 
-const db = new sqlite3.Database('./database/sales-tracking.db', (err) => {
+// SQLite file of the service, tests use ':memory:'
+const DATABASE_FILE = process.env.DATABASE_FILE || './database/sales-tracking.db';
+
+const db = new sqlite3.Database(DATABASE_FILE, (err) => {
     if (err) {
         logger.error(`Database Error: ${err.message}`);
         console.error(err.message);
     } else {
         console.log('Connected to the Sales Tracking SQLite database.');
-        db.run(`
-            CREATE TABLE IF NOT EXISTS sales (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                customer_id INTEGER NOT NULL,
-                amount REAL NOT NULL,
-                status TEXT CHECK(status IN ('new', 'on going', 'deal', 'closed')) NOT NULL,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
-            );
-        `);
-        db.run(`
-            CREATE TABLE IF NOT EXISTS sales_notes (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                sale_id INTEGER NOT NULL,
-                note TEXT NOT NULL,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE CASCADE
-            );
-        `);
+        // Tables are created before earlier versions of them are migrated
+        db.serialize(() => {
+            db.run(`
+                CREATE TABLE IF NOT EXISTS sales (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    customer_id INTEGER NOT NULL,
+                    amount REAL NOT NULL,
+                    status TEXT CHECK(status IN ('new', 'on going', 'deal', 'closed')) NOT NULL,
+                    owner_user_id INTEGER,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
+                );
+            `);
+            db.run(`
+                CREATE TABLE IF NOT EXISTS sales_notes (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    sale_id INTEGER NOT NULL,
+                    note TEXT NOT NULL,
+                    customer_visible INTEGER NOT NULL DEFAULT 0,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (sale_id) REFERENCES sales(id) ON DELETE CASCADE
+                );
+            `);
+            // Databases created by earlier versions lack the owner of sales entries and the visibility of notes
+            addColumnIfMissing('sales', 'owner_user_id', 'INTEGER');
+            addColumnIfMissing('sales_notes', 'customer_visible', 'INTEGER NOT NULL DEFAULT 0');
+        });
     }
 });
 
+// Add a column to a table created by an earlier version of the service
+function addColumnIfMissing(table, column, definition) {
+    db.all(`PRAGMA table_info(${table})`, [], (err, columns) => {
+        if (err) {
+            return logger.error(`Database Error: ${err.message}`);
+        }
+        if (!columns.some(existing => existing.name === column)) {
+            db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, [], (err) => {
+                if (err) {
+                    return logger.error(`Database Error: ${err.message}`);
+                }
+                logger.info(`Added column ${column} to table ${table}`);
+            });
+        }
+    });
+}
+
+// Keep the request context in query callbacks so their log lines carry the request id
+bindQueryCallbacks(db);
+// Observe query durations for /metrics
+observeQueries(db);
+
 module.exports = db;
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../middleware/logger');
+const { traceHeaders } = require('../middleware/tracing');
+require('dotenv').config();
+
+const API_GATEWAY_URL = process.env.API_GATEWAY_URL || 'http://localhost:3000';
+const JWKS_URL = process.env.JWKS_URL || `${API_GATEWAY_URL}/usermanagement/.well-known/jwks.json`;
+const JWKS_TIMEOUT = Number(process.env.JWKS_TIMEOUT) || 3000; // 3 seconds
+const JWKS_CACHE_TTL = Number(process.env.JWKS_CACHE_TTL) || 10 * 60 * 1000; // 10 minutes
+const JWKS_REFRESH_INTERVAL = Number(process.env.JWKS_REFRESH_INTERVAL) || 30000; // 30 seconds
+
+// Algorithms tokens may be signed with, never symmetric ones so a public key cannot be used as HMAC secret
+const ALGORITHMS = ['RS256', 'ES256'];
+
+// Public keys by kid of the last fetched key set
+let keys = new Map();
+let fetchedAt = 0;
+let pending = null;
+
+// Fetch the key set published by user-management, concurrent callers share one request
+function fetchKeys() {
+    if (!pending) {
+        pending = axios.get(JWKS_URL, { headers: traceHeaders(), timeout: JWKS_TIMEOUT }).then((response) => {
+            const usable = (response.data.keys || []).filter(jwk => jwk.kid && ALGORITHMS.includes(jwk.alg));
+            keys = new Map(usable.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+            fetchedAt = Date.now();
+            logger.info(`Loaded ${keys.size} signing keys from ${JWKS_URL}`);
+        }).finally(() => {
+            pending = null;
+        });
+    }
+    return pending;
+}
+
+// Public key of a kid - Resolves null if user-management does not publish it, rejects when the keys cannot be fetched
+// The key set is fetched again after JWKS_CACHE_TTL, and for an unknown kid at most every JWKS_REFRESH_INTERVAL
+async function publicKey(kid) {
+    const age = Date.now() - fetchedAt;
+    const known = keys.has(kid);
+    if (age > JWKS_CACHE_TTL || (!known && age > JWKS_REFRESH_INTERVAL)) {
+        try {
+            await fetchKeys();
+        } catch (error) {
+            // Known keys keep verifying tokens while user-management cannot be reached
+            logger.error(`Signing keys could not be fetched: ${error.response ? `status ${error.response.status}` : error.message}`);
+            if (!known) {
+                throw error;
+            }
+        }
+    }
+    return keys.get(kid) || null;
+}
+
+module.exports = { ALGORITHMS, publicKey };
\ No newline at end of file
@@ -0,0 +1,86 @@
+const axios = require('axios');
+const logger = require('../middleware/logger');
+require('dotenv').config();
+
+const API_GATEWAY_URL = process.env.API_GATEWAY_URL || 'http://localhost:3000';
+const REGISTRATION_SECRET = process.env.REGISTRATION_SECRET;
+const HEARTBEAT_INTERVAL = Number(process.env.HEARTBEAT_INTERVAL) || 10000; // 10 seconds, must stay below gateway REGISTRATION_TTL
+
+// Gateway only accepts registrations presenting the shared registration secret
+const gatewayHeaders = {'Content-Type': 'application/json', 'X-Registration-Secret': REGISTRATION_SECRET};
+
+let heartbeatTimer = null;
+
+// Log failed requests sent to the gateway
+function logGatewayError(url, error) {
+    if (error.response) {
+        // Server responded with a status other than 2xx
+        logger.error('Response error:', error.response.status, error.response.data);
+        console.error('Response error:', error.response.status, error.response.data);
+    } else if (error.request) {
+        // Request was made but no response received
+        logger.error(`No response received from ${url}`);
+        console.error(`No response received from ${url}`);
+    } else {
+        // Something else happened during the request
+        logger.error('Error:', error.message);
+        console.error('Error:', error.message);
+    }
+}
+
+// Send a service registration request to gateway which holds record of api services under routes/registry.json
+function register(registrationInfo) {
+    const url = API_GATEWAY_URL + "/register";
+    return axios({
+        method: 'POST',
+        url: url,
+        headers: gatewayHeaders,
+        data: registrationInfo
+    }).then((response) => {
+        logger.info(response.data);
+        console.log(response.data);
+    }).catch((error) => logGatewayError(url, error));
+}
+
+// Periodically renew the registration lease, register again if the gateway no longer knows this instance
+function startHeartbeat(registrationInfo) {
+    if (heartbeatTimer) {
+        return;
+    }
+    const url = API_GATEWAY_URL + "/heartbeat";
+    heartbeatTimer = setInterval(() => {
+        axios({
+            method: 'POST',
+            url: url,
+            headers: gatewayHeaders,
+            data: registrationInfo
+        }).catch((error) => {
+            if (error.response && error.response.status === 404) {
+                logger.warn('Registration lease lapsed, registering again');
+                return register(registrationInfo);
+            }
+            logGatewayError(url, error);
+        });
+    }, HEARTBEAT_INTERVAL);
+    heartbeatTimer.unref();
+}
+
+// Stop heartbeats and remove this instance from the gateway registry
+function unregister(registrationInfo) {
+    if (heartbeatTimer) {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+    const url = API_GATEWAY_URL + "/unregister";
+    return axios({
+        method: 'POST',
+        url: url,
+        headers: gatewayHeaders,
+        data: registrationInfo,
+        timeout: 5000
+    }).then((response) => {
+        logger.info(response.data);
+    }).catch((error) => logGatewayError(url, error));
+}
+
+module.exports = { register, startHeartbeat, unregister };
\ No newline at end of file
@@ -1,30 +1,91 @@
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { authenticateToken, authorizeRole, authorizeSelfOrRole } = require('./middleware/auth');
+const { authenticateToken, authenticateTokenOrChallenge, usersOnly, authorize, authorizeSelfOr } = require('./middleware/auth');
 const { rateLimiter, securityMiddleware, requestLogger } = require('./middleware/security');
 const { validateName, validateEmail, validatePassword } = require('./utils/validators');
 const logger = require('./middleware/logger');
+const { tracing } = require('./middleware/tracing');
+const { requestMetrics, metricsHandler, recordAuthFailure } = require('./middleware/metrics');
 const db = require('./utils/db');
+const registration = require('./utils/registration');
+const { createMailer } = require('./mailer');
+const twofactor = require('./utils/twofactor');
+const { issueTokens, issueClientToken, revokeUserTokens, rotateRefreshToken, createPasswordResetToken, consumePasswordResetToken, deleteUserCredentials } = require('./utils/tokens');
+const { lockoutRemaining, recordFailedLogin, resetLockout } = require('./utils/lockout');
+const { validateRoleName, validatePermissions, roleExists, outranks, listRoles, saveRole, deleteRole } = require('./utils/roles');
+const { PERMISSIONS, BUILT_IN_ROLES } = require('./utils/permissions');
+const { teamOf, setManager, dissolveTeam } = require('./utils/teams');
+const { validateStatus, isActive, setStatus } = require('./utils/status');
+const { publicJwks, listKeys, createKey, retireKey } = require('./utils/keys');
+const { basicCredentials, validateClientId, listClients, permissionsOfClient, saveClient, rotateSecret, deleteClient, authenticateClient } = require('./utils/clients');
+const openapi = require('./docs/openapi.json');
 require('dotenv').config();
 const app = express();
 const PROTOCOL = process.env.PROTOCOL || 'http';
 const HOST = process.env.HOST || 'localhost';
 const PORT = process.env.PORT || 3001;
-const API_GATEWAY_URL = process.env.API_GATEWAY_URL || 'http://localhost:3000';
-const SECRET_KEY = process.env.SECRET_KEY;
 const BCRYPT_SALT = Number(process.env.BCRYPT_SALT) || 10;
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@localhost';
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password';
+
+// Transport of password reset mails
+const mailer = createMailer();
 
 // Security Middleware
 app.use(cors());
 app.use(securityMiddleware);
+
+// Health Check - Registered before logging and rate limiting so gateway probes are neither logged nor throttled
+app.get('/health', (req, res) => {
+    db.get('SELECT 1', [], (err) => {
+        if (err) {
+            logger.error(`Health check failed: ${err.message}`);
+            return res.status(503).json({ status: 'DOWN', database: 'DOWN', error: err.message });
+        }
+        res.json({ status: 'UP', database: 'UP' });
+    });
+});
+
+// Service metrics in Prometheus text format, not logged or throttled like the health check
+app.get('/metrics', metricsHandler);
+
+// OpenAPI document of the service routes, merged by the gateway into its combined docs
+app.get('/openapi.json', (req, res) => {
+    res.json(openapi);
+});
+
+// Request id and trace span of every request, used by the logger and the request log
+app.use(tracing('usermanagement'));
+app.use(requestMetrics);
 app.use(requestLogger);
 app.use(rateLimiter);
 
 app.use(express.json());
 
+// Finish a login whose factors were all verified - Clears failed logins and responds with new tokens
+function completeLogin(user, res, extra = {}) {
+    resetLockout(user.id, (err) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        issueTokens(user, (err, tokens) => {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            logger.info(`Successful user login: ID ${user.id}, Role: ${user.role}`);
+            console.log(`Successful user login: ID ${user.id}, Role: ${user.role}`);
+            res.status(200).json({ message: "User login successful",
+                       user: { id: user.id, name: user.name, email: user.email, role: user.role },
+                       ...tokens,
+                       ...extra
+                    });
+        });
+    });
+}
+
 // Create New User
 app.post('/create', async (req, res) => {
     const { name, email, password, role } = req.body;
@@ -57,33 +118,36 @@ app.post('/create', async (req, res) => {
     }
 
     // Check if role is valid
-    const roles = ['admin', 'manager', 'sales_rep', 'customer']
-    if (!roles.includes(role)) {
-        logger.warn('User creation failed: Invalid role specified');
-        return res.status(400).json({ error: 'Invalid role specified' });
-    }
-    
-    // Test if user already exists in db with same email
-    db.get('SELECT id, name, email, role FROM users WHERE email = ?', [email], async (err, user) => {
+    roleExists(role, (err, exists) => {
         if (err) {
             logger.error(`Database Error: ${err.message}`);
             return res.status(500).json({ error: 'Database error' });
-        } else if (user) {
-            logger.warn('User creation failed: A user already exists in db with same email');
-            return res.status(400).json({ error: 'Another user already exists with this email' });
+        } else if (!exists) {
+            logger.warn('User creation failed: Invalid role specified');
+            return res.status(400).json({ error: 'Invalid role specified' });
         }
-        // Create the new user in db
-        const hashedPassword = await bcrypt.hash(password, BCRYPT_SALT);
-        const query = 'INSERT INTO users (name, email, password, role) VALUES (?, ?, ?, ?)';
-        db.run(query, [name, email, hashedPassword, role], function(err) {
+        // Test if user already exists in db with same email
+        db.get('SELECT id, name, email, role FROM users WHERE email = ?', [email], async (err, user) => {
             if (err) {
                 logger.error(`Database Error: ${err.message}`);
-                return res.status(500).json({ error: err.message });
+                return res.status(500).json({ error: 'Database error' });
+            } else if (user) {
+                logger.warn('User creation failed: A user already exists in db with same email');
+                return res.status(400).json({ error: 'Another user already exists with this email' });
             }
-            logger.info(`User created: ID ${this.lastID}, Name: ${name}, Role: ${role}`);
-            res.status(201).json({ message: "User creation successful", 
-                                   user: { id: this.lastID, name, email, role }
-                                });
+            // Create the new user in db
+            const hashedPassword = await bcrypt.hash(password, BCRYPT_SALT);
+            const query = 'INSERT INTO users (name, email, password, role) VALUES (?, ?, ?, ?)';
+            db.run(query, [name, email, hashedPassword, role], function(err) {
+                if (err) {
+                    logger.error(`Database Error: ${err.message}`);
+                    return res.status(500).json({ error: err.message });
+                }
+                logger.info(`User created: ID ${this.lastID}, Name: ${name}, Role: ${role}`);
+                res.status(201).json({ message: "User creation successful", 
+                                       user: { id: this.lastID, name, email, role }
+                                    });
+            });
         });
     });
 });
@@ -102,28 +166,474 @@ app.post('/login', async (req, res) => {
     db.get(query, [email], async (err, user) => {
         if (err || !user) {
             logger.warn('User login failed: Invalid user');
+            recordAuthFailure('invalid_credentials');
             return res.status(401).json({ error: 'Invalid credentials' });
         }
+
+        // Locked accounts are refused before the password is checked
+        const remaining = lockoutRemaining(user);
+        if (remaining > 0) {
+            logger.warn(`User login failed: Account ID ${user.id} is locked until ${user.locked_until}`);
+            recordAuthFailure('account_locked');
+            res.set('Retry-After', String(Math.ceil(remaining / 1000)));
+            return res.status(423).json({ error: 'Account is temporarily locked due to too many failed logins. Please try again later.' });
+        }
         
         const validPassword = await bcrypt.compare(password, user.password);
         if (!validPassword) {
-            logger.warn('User login failed: Invalid password');
-            return res.status(401).json({ error: 'Invalid credentials' });
+            logger.warn(`User login failed: Invalid password for ID ${user.id}`);
+            recordAuthFailure('invalid_credentials');
+            return recordFailedLogin(user, (err) => {
+                if (err) {
+                    logger.error(`Database Error: ${err.message}`);
+                }
+                res.status(401).json({ error: 'Invalid credentials' });
+            });
+        }
+
+        // Suspended and deactivated accounts are only told apart from wrong passwords once the password is right
+        if (!isActive(user)) {
+            logger.warn(`User login failed: Account ID ${user.id} is ${user.status}`);
+            recordAuthFailure('inactive_account');
+            return res.status(403).json({ error: `Account is ${user.status}. Please contact an administrator.` });
         }
         
-        const token = jwt.sign({ id: user.id, role: user.role }, SECRET_KEY, { expiresIn: '1h' });
-        logger.info(`Successful user login: ID ${user.id}, Role: ${user.role}`);
-        console.log(`Successful user login: ID ${user.id}, Role: ${user.role}`);
-        res.status(200).json({ message: "User login successful",
-                   user: { id: user.id, name: user.name, email: user.email, role: user.role },
-                   token
+        // Second step of the login with a TOTP code, or enrollment first when the role requires it
+        if (user.totp_enabled) {
+            logger.info(`User login waiting for two-factor code: ID ${user.id}`);
+            return res.status(200).json({ message: 'Two-factor authentication required',
+                       twoFactorRequired: true,
+                       challengeToken: twofactor.signChallenge(user, twofactor.CHALLENGE_LOGIN)
+                    });
+        }
+        if (twofactor.isRequired(user)) {
+            logger.warn(`User login waiting for two-factor setup: ID ${user.id}, Role: ${user.role}`);
+            return res.status(200).json({ message: 'Two-factor authentication setup required',
+                       twoFactorSetupRequired: true,
+                       challengeToken: twofactor.signChallenge(user, twofactor.CHALLENGE_SETUP)
+                    });
+        }
+        completeLogin(user, res);
+    });
+});
+
+// Second login step - Exchange the challenge token of the first step and a TOTP or recovery code for tokens
+app.post('/login/2fa', (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+        logger.warn('Two-factor login failed: Missing required fields');
+        return res.status(400).json({ error: 'Challenge token and a code or recovery code are required' });
+    }
+    const challenge = twofactor.verifyChallenge(challengeToken, twofactor.CHALLENGE_LOGIN);
+    if (!challenge) {
+        logger.warn('Two-factor login failed: Invalid or expired challenge token');
+        recordAuthFailure('invalid_challenge');
+        return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+
+    db.get('SELECT * FROM users WHERE id = ?', [challenge.id], (err, user) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!user || user.token_version !== challenge.tokenVersion) {
+            logger.warn('Two-factor login failed: Challenge token has been revoked');
+            recordAuthFailure('invalid_challenge');
+            return res.status(401).json({ error: 'Invalid or expired challenge token' });
+        }
+
+        const remaining = lockoutRemaining(user);
+        if (remaining > 0) {
+            logger.warn(`Two-factor login failed: Account ID ${user.id} is locked until ${user.locked_until}`);
+            recordAuthFailure('account_locked');
+            res.set('Retry-After', String(Math.ceil(remaining / 1000)));
+            return res.status(423).json({ error: 'Account is temporarily locked due to too many failed logins. Please try again later.' });
+        }
+
+        twofactor.verifySecondFactor(user, { code, recoveryCode }, (err, accepted) => {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            if (!accepted) {
+                // Wrong codes count towards the account lockout like wrong passwords
+                logger.warn(`Two-factor login failed: Invalid code for ID ${user.id}`);
+                recordAuthFailure('invalid_two_factor_code');
+                return recordFailedLogin(user, (err) => {
+                    if (err) {
+                        logger.error(`Database Error: ${err.message}`);
+                    }
+                    res.status(401).json({ error: 'Invalid two-factor code' });
                 });
+            }
+            completeLogin(user, res);
+        });
     });
 });
 
-// Get Users (Admin & Manager Only)
-app.get('/users', authenticateToken, authorizeRole(['admin', 'manager']), (req, res) => {
-    let { page, limit, role, id, name, sortBy, sortOrder, updated_at, created_at } = req.query;
+// Start two-factor enrollment - Returns a new secret and its provisioning URI for authenticator apps
+// Users whose role requires two-factor authentication enroll with the challenge token of their login
+app.post('/2fa/setup', authenticateTokenOrChallenge(twofactor.CHALLENGE_SETUP), usersOnly, (req, res) => {
+    db.get('SELECT id, email, totp_enabled FROM users WHERE id = ?', [req.user.id], (err, user) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!user) {
+            logger.warn('Two-factor setup failed: User not found');
+            return res.status(404).json({ error: 'User not found' });
+        } else if (user.totp_enabled) {
+            logger.warn(`Two-factor setup failed: Already enabled for ID ${user.id}`);
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+        twofactor.startSetup(user, (err, setup) => {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            logger.info(`Two-factor setup started: ID ${user.id}`);
+            res.json({ message: 'Two-factor setup started, confirm it with a code from your authenticator app', ...setup });
+        });
+    });
+});
+
+// Confirm two-factor enrollment with a code - Returns recovery codes, and tokens when enrolling during login
+app.post('/2fa/enable', authenticateTokenOrChallenge(twofactor.CHALLENGE_SETUP), usersOnly, (req, res) => {
+    const { code } = req.body;
+    if (!code) {
+        logger.warn('Two-factor enable failed: Missing code');
+        return res.status(400).json({ error: 'Code is required' });
+    }
+
+    db.get('SELECT * FROM users WHERE id = ?', [req.user.id], (err, user) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!user) {
+            logger.warn('Two-factor enable failed: User not found');
+            return res.status(404).json({ error: 'User not found' });
+        } else if (user.totp_enabled) {
+            logger.warn(`Two-factor enable failed: Already enabled for ID ${user.id}`);
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        } else if (req.challenge && user.token_version !== req.challenge.tokenVersion) {
+            logger.warn('Two-factor enable failed: Challenge token has been revoked');
+            return res.status(401).json({ error: 'Invalid or expired challenge token' });
+        }
+        twofactor.enable(user, code, (err, recoveryCodes) => {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: 'Database error' });
+            } else if (!recoveryCodes) {
+                logger.warn(`Two-factor enable failed: Invalid code for ID ${user.id}`);
+                recordAuthFailure('invalid_two_factor_code');
+                return res.status(400).json({ error: 'Invalid two-factor code' });
+            }
+            if (req.challenge) {
+                return completeLogin(user, res, { recoveryCodes });
+            }
+            res.json({ message: 'Two-factor authentication enabled, store the recovery codes in a safe place', recoveryCodes });
+        });
+    });
+});
+
+// Turn two-factor authentication off, requires the password and a code - Not allowed for roles that require it
+app.post('/2fa/disable', authenticateToken, usersOnly, (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) {
+        logger.warn('Two-factor disable failed: Missing required fields');
+        return res.status(400).json({ error: 'Password and a code or recovery code are required' });
+    }
+
+    db.get('SELECT * FROM users WHERE id = ?', [req.user.id], async (err, user) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!user) {
+            logger.warn('Two-factor disable failed: User not found');
+            return res.status(404).json({ error: 'User not found' });
+        } else if (!user.totp_enabled) {
+            logger.warn(`Two-factor disable failed: Not enabled for ID ${user.id}`);
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        } else if (twofactor.isRequired(user)) {
+            logger.warn(`Two-factor disable failed: Mandatory for role ${user.role} of ID ${user.id}`);
+            return res.status(403).json({ error: 'Two-factor authentication is mandatory for your role' });
+        }
+
+        const validPassword = await bcrypt.compare(password, user.password);
+        if (!validPassword) {
+            logger.warn(`Two-factor disable failed: Invalid password for ID ${user.id}`);
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+        twofactor.verifySecondFactor(user, { code, recoveryCode }, (err, accepted) => {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: 'Database error' });
+            } else if (!accepted) {
+                logger.warn(`Two-factor disable failed: Invalid code for ID ${user.id}`);
+                recordAuthFailure('invalid_two_factor_code');
+                return res.status(401).json({ error: 'Invalid two-factor code' });
+            }
+            twofactor.disable(user.id, (err) => {
+                if (err) {
+                    logger.error(`Database Error: ${err.message}`);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                res.json({ message: 'Two-factor authentication disabled' });
+            });
+        });
+    });
+});
+
+// Replace the recovery codes, requires a current TOTP code
+app.post('/2fa/recovery-codes', authenticateToken, usersOnly, (req, res) => {
+    const { code } = req.body;
+    if (!code) {
+        logger.warn('Recovery code renewal failed: Missing code');
+        return res.status(400).json({ error: 'Code is required' });
+    }
+
+    db.get('SELECT * FROM users WHERE id = ?', [req.user.id], (err, user) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!user) {
+            logger.warn('Recovery code renewal failed: User not found');
+            return res.status(404).json({ error: 'User not found' });
+        } else if (!user.totp_enabled) {
+            logger.warn(`Recovery code renewal failed: Two-factor authentication not enabled for ID ${user.id}`);
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+        twofactor.verifySecondFactor(user, { code }, (err, accepted) => {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: 'Database error' });
+            } else if (!accepted) {
+                logger.warn(`Recovery code renewal failed: Invalid code for ID ${user.id}`);
+                recordAuthFailure('invalid_two_factor_code');
+                return res.status(401).json({ error: 'Invalid two-factor code' });
+            }
+            twofactor.regenerateRecoveryCodes(user.id, (err, recoveryCodes) => {
+                if (err) {
+                    logger.error(`Database Error: ${err.message}`);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                logger.info(`Recovery codes renewed: ID ${user.id}`);
+                res.json({ message: 'Recovery codes renewed, earlier codes no longer work', recoveryCodes });
+            });
+        });
+    });
+});
+
+// Exchange a refresh token for a new access token and refresh token
+app.post('/token/refresh', (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+        logger.warn('Token refresh failed: Missing refresh token');
+        return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    rotateRefreshToken(refreshToken, (err, result) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (result.error) {
+            logger.warn(`Token refresh failed: ${result.error}`);
+            recordAuthFailure('invalid_refresh_token');
+            return res.status(401).json({ error: result.error });
+        }
+        logger.info(`Tokens refreshed: ID ${result.user.id}`);
+        res.json({ message: 'Token refresh successful', ...result.tokens });
+    });
+});
+
+// Issue a machine token to a service client (OAuth2 client credentials grant)
+// Client credentials are sent with HTTP Basic authentication, or as client_id and client_secret in a form or JSON body
+app.post('/oauth/token', express.urlencoded({ extended: false }), (req, res) => {
+    const { grant_type: grantType, scope } = req.body;
+    let { client_id: clientId, client_secret: clientSecret } = req.body;
+    const authorization = req.header('Authorization') || '';
+    res.set('Cache-Control', 'no-store');
+    // Malformed HTTP Basic credentials fail client authentication
+    if (authorization.startsWith('Basic ')) {
+        const credentials = basicCredentials(authorization.slice(6));
+        if (!credentials) {
+            logger.warn('Client token request failed: Malformed Basic credentials');
+            recordAuthFailure('invalid_client');
+            res.set('WWW-Authenticate', 'Basic realm="oauth"');
+            return res.status(401).json({ error: 'invalid_client', error_description: 'Malformed client credentials' });
+        }
+        ({ clientId, clientSecret } = credentials);
+    }
+
+    if (grantType !== 'client_credentials') {
+        logger.warn(`Client token request failed: Unsupported grant type ${grantType}`);
+        return res.status(400).json({ error: 'unsupported_grant_type', error_description: 'Only the client_credentials grant is supported' });
+    }
+    if (!clientId || !clientSecret) {
+        logger.warn('Client token request failed: Missing client credentials');
+        return res.status(400).json({ error: 'invalid_request', error_description: 'Client id and client secret are required' });
+    }
+
+    authenticateClient(clientId, clientSecret, (err, client) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!client) {
+            logger.warn(`Client token request failed: Invalid credentials of client ${clientId}`);
+            recordAuthFailure('invalid_client');
+            if (authorization.startsWith('Basic ')) {
+                res.set('WWW-Authenticate', 'Basic realm="oauth"');
+            }
+            return res.status(401).json({ error: 'invalid_client', error_description: 'Unknown client or wrong client secret' });
+        }
+        permissionsOfClient(client.client_id, (err, permissions) => {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            // A scope narrows the token to some of the permissions of the client
+            const requested = scope ? [...new Set(String(scope).split(' ').filter(Boolean))] : permissions;
+            const denied = requested.filter(permission => !permissions.includes(permission));
+            if (denied.length > 0) {
+                logger.warn(`Client token request failed: Client ${client.client_id} requested permissions ${denied.join(', ')}`);
+                return res.status(400).json({ error: 'invalid_scope', error_description: `Permissions not granted to the client: ${denied.join(', ')}` });
+            }
+            issueClientToken(client, requested, (err, issued) => {
+                if (err) {
+                    logger.error(`Database Error: ${err.message}`);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                logger.info(`Machine token issued: Client ${client.client_id}, Permissions: ${requested.join(', ') || 'none'}`);
+                res.json({ access_token: issued.token, token_type: 'Bearer', expires_in: issued.expiresIn, scope: requested.join(' ') });
+            });
+        });
+    });
+});
+
+// Logout - Revokes every access and refresh token of the user
+app.post('/logout', authenticateToken, usersOnly, (req, res) => {
+    revokeUserTokens(req.user.id, 'logout', (err) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        logger.info(`User logged out: ID ${req.user.id}`);
+        res.json({ message: 'User logout successful' });
+    });
+});
+
+// Request a password reset - Mails a single use reset token if the email belongs to a user
+app.post('/password/forgot', (req, res) => {
+    const { email } = req.body;
+    if (!email) {
+        logger.warn('Password reset request failed: Missing email');
+        return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // Same response whether or not the email is known, so it cannot be used to find accounts
+    const response = { message: 'If the email belongs to a user, a password reset link has been sent' };
+    db.get('SELECT id, name, email, status FROM users WHERE email = ?', [email], (err, user) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!user) {
+            logger.warn('Password reset requested for unknown email');
+            return res.json(response);
+        } else if (!isActive(user)) {
+            logger.warn(`Password reset requested for ${user.status} account ID ${user.id}`);
+            return res.json(response);
+        }
+        createPasswordResetToken(user.id, (err, token) => {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            const link = `${PASSWORD_RESET_URL}?token=${encodeURIComponent(token)}`;
+            mailer.send({
+                from: MAIL_FROM,
+                to: user.email,
+                subject: 'Password reset',
+                text: `Hello ${user.name},\n\nUse the link below to choose a new password. It can be used once and expires soon.\n\n${link}\n\nReset token: ${token}\n\nIf you did not ask for a password reset, ignore this mail.`
+            }).then(() => {
+                logger.info(`Password reset mail sent: ID ${user.id}`);
+            }, (error) => {
+                logger.error(`Password reset mail to ID ${user.id} failed: ${error.message}`);
+            });
+            res.json(response);
+        });
+    });
+});
+
+// Reset a password with a token from a password reset mail
+app.post('/password/reset', async (req, res) => {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+        logger.warn('Password reset failed: Token and new password are required');
+        return res.status(400).json({ error: 'Token and new password are required' });
+    }
+
+    // Validate password format
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+        logger.warn(`Password reset failed: ${passwordError}`);
+        return res.status(400).json({ error: passwordError });
+    }
+
+    const hashedNewPassword = await bcrypt.hash(newPassword, BCRYPT_SALT);
+    consumePasswordResetToken(token, (err, userId) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!userId) {
+            logger.warn('Password reset failed: Invalid or expired token');
+            recordAuthFailure('invalid_reset_token');
+            return res.status(400).json({ error: 'Invalid or expired password reset token' });
+        }
+        const query = 'UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+        db.run(query, [hashedNewPassword, userId], (err) => {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            // The owner of the mailbox proved who they are, end existing sessions and lift a login lockout
+            revokeUserTokens(userId, 'password reset', (err) => {
+                if (err) {
+                    logger.error(`Database Error: ${err.message}`);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                resetLockout(userId, (err) => {
+                    if (err) {
+                        logger.error(`Database Error: ${err.message}`);
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+                    logger.info(`Successful password reset: ID ${userId}`);
+                    res.json({ message: 'Password reset successful' });
+                });
+            });
+        });
+    });
+});
+
+// Public keys verifying access tokens as a JSON Web Key Set, fetched by the gateway and the other services
+app.get('/.well-known/jwks.json', (req, res) => {
+    publicJwks((err, jwks) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json(jwks);
+    });
+});
+
+// Check that an access token is valid and not revoked, used by other services for tokens they receive directly
+app.get('/token/verify', authenticateToken, (req, res) => {
+    if (req.user.clientId) {
+        return res.json({ message: 'Token is valid', client: { clientId: req.user.clientId, role: req.user.role } });
+    }
+    res.json({ message: 'Token is valid', user: { id: req.user.id, role: req.user.role } });
+});
+
+// Get Users (users:read)
+app.get('/users', authenticateToken, authorize('users:read'), (req, res) => {
+    let { page, limit, role, id, name, locked, manager_id, status, sortBy, sortOrder, updated_at, created_at } = req.query;
 
     // Default pagination values
     page = Math.abs(parseInt(page)) || 1;
@@ -140,8 +650,14 @@ app.get('/users', authenticateToken, authorizeRole(['admin', 'manager']), (req,
         return res.status(400).json({ error: `Invalid sortBy field. Must be one of: ${validSortFields.join(', ')}` });
     }
 
+    // Validate status filter
+    const statusError = status && validateStatus(status);
+    if (statusError) {
+        return res.status(400).json({ error: statusError });
+    }
+
     // Query with filters
-    let baseQuery = 'SELECT id, name, email, role, created_at, updated_at FROM users WHERE 1=1';
+    let baseQuery = 'SELECT id, name, email, role, manager_id, status, totp_enabled AS two_factor_enabled, failed_login_attempts, locked_until, created_at, updated_at FROM users WHERE 1=1';
     let countQuery = `SELECT COUNT(*) AS total FROM users WHERE 1=1`;
     let filterParams = [];
 
@@ -152,6 +668,23 @@ app.get('/users', authenticateToken, authorizeRole(['admin', 'manager']), (req,
         filterParams.push(role);
     }
 
+    // Filtering for status, deactivated users are only listed when asked for
+    if (status) {
+        baseQuery += ' AND status = ?';
+        countQuery += ' AND status = ?';
+        filterParams.push(status);
+    } else {
+        baseQuery += ` AND status != 'deactivated'`;
+        countQuery += ` AND status != 'deactivated'`;
+    }
+
+    // Filtering for members of the team of a manager
+    if (manager_id) {
+        baseQuery += ' AND manager_id = ?';
+        countQuery += ' AND manager_id = ?';
+        filterParams.push(manager_id);
+    }
+
     // Filtering for name
     if (name) {
         baseQuery += ' AND name LIKE ?';
@@ -159,6 +692,14 @@ app.get('/users', authenticateToken, authorizeRole(['admin', 'manager']), (req,
         filterParams.push(`%${name}%`);
     }
 
+    // Filtering for currently locked or unlocked accounts
+    if (locked === 'true' || locked === 'false') {
+        const lockedFilter = locked === 'true' ? ' AND locked_until > ?' : ' AND (locked_until IS NULL OR locked_until <= ?)';
+        baseQuery += lockedFilter;
+        countQuery += lockedFilter;
+        filterParams.push(new Date().toISOString());
+    }
+
     // Filtering for updated date-time
     if (updated_at) {
         baseQuery += ' AND updated_at LIKE ?';
@@ -196,16 +737,16 @@ app.get('/users', authenticateToken, authorizeRole(['admin', 'manager']), (req,
                 page,
                 limit,
                 totalPages: Math.ceil(countResult.total / limit),
-                data: rows
+                data: rows.map(row => ({ ...row, two_factor_enabled: Boolean(row.two_factor_enabled), locked: lockoutRemaining(row) > 0 }))
             });
         });
     });
 });
 
-// Get User by ID (Admin & Manager Only)
-app.get('/users/:id', authenticateToken, authorizeRole(['admin', 'manager']), (req, res) => {
+// Get User by ID (users:read)
+app.get('/users/:id', authenticateToken, authorize('users:read'), (req, res) => {
     const { id } = req.params;
-    const query = 'SELECT id, name, email, role FROM users WHERE id = ?';
+    const query = 'SELECT id, name, email, role, manager_id, status, totp_enabled AS two_factor_enabled, failed_login_attempts, locked_until FROM users WHERE id = ?';
     db.get(query, [id], (err, user) => {
         if (err) {
             logger.error(`Database Error: ${err.message}`);
@@ -215,12 +756,12 @@ app.get('/users/:id', authenticateToken, authorizeRole(['admin', 'manager']), (r
             return res.status(404).json({ error: 'User not found' });
         }
         logger.info(`Fetched user details for ID ${id}`);
-        res.json({ message: "User fetch successful", user: user });
+        res.json({ message: "User fetch successful", user: { ...user, two_factor_enabled: Boolean(user.two_factor_enabled), locked: lockoutRemaining(user) > 0 } });
     });
 });
 
-// Update User (Admin & Manager Only)
-app.put('/users/:id', authenticateToken, authorizeRole(['admin', 'manager']), (req, res) => {
+// Update User (users:write) - Changing the role also needs roles:manage
+app.put('/users/:id', authenticateToken, authorize('users:write'), (req, res) => {
     const { id } = req.params;
     let { name, email, role } = req.body;
 
@@ -253,31 +794,47 @@ app.put('/users/:id', authenticateToken, authorizeRole(['admin', 'manager']), (r
         } else {
             email = user.email
         }
-        // Check if role is valid
-        if (role) {
-            const roles = ['admin', 'manager', 'sales_rep', 'customer']
-            if (!roles.includes(role)) {
-                logger.warn('Invalid role specified');
-                return res.status(400).json({ error: 'Invalid role specified' });
-            }
-        } else {
+        if (!role) {
             role = user.role
+        } else if (role !== user.role && !req.user.permissions.includes('roles:manage')) {
+            logger.warn(`User update failed: User ID ${req.user.id} may not change the role of user ID ${id}`);
+            return res.status(403).json({ error: 'Changing the role of a user requires the roles:manage permission' });
         }
-        // Update user
-        const query = 'UPDATE users SET name = ?, email = ?, role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
-        db.run(query, [name, email, role, id], function(err) {
+        // Check if role is valid
+        roleExists(role, (err, exists) => {
             if (err) {
                 logger.error(`Database Error: ${err.message}`);
-                return res.status(500).json({ error: err.message });
+                return res.status(500).json({ error: 'Database error' });
+            } else if (!exists) {
+                logger.warn('Invalid role specified');
+                return res.status(400).json({ error: 'Invalid role specified' });
             }
-            logger.info(`User updated successfully ID ${id} Name: ${name}, Email: ${email}, Role: ${role}`);
-            res.json({ message: 'User updated successfully' });
+            // Update user
+            const query = 'UPDATE users SET name = ?, email = ?, role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+            db.run(query, [name, email, role, id], function(err) {
+                if (err) {
+                    logger.error(`Database Error: ${err.message}`);
+                    return res.status(500).json({ error: err.message });
+                }
+                logger.info(`User updated successfully ID ${id} Name: ${name}, Email: ${email}, Role: ${role}`);
+                if (role === user.role) {
+                    return res.json({ message: 'User updated successfully' });
+                }
+                // Tokens of the user still carry the old role
+                revokeUserTokens(user.id, 'role change', (err) => {
+                    if (err) {
+                        logger.error(`Database Error: ${err.message}`);
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+                    res.json({ message: 'User updated successfully' });
+                });
+            });
         });
     });
 });
 
 // Update Password (Self Only)
-app.put('/users/:id/reset-password', authenticateToken, authorizeSelfOrRole([]), async (req, res) => {
+app.put('/users/:id/reset-password', authenticateToken, authorizeSelfOr(), async (req, res) => {
     const { id } = req.params;
     const { oldPassword, newPassword } = req.body;
     
@@ -294,7 +851,7 @@ app.put('/users/:id/reset-password', authenticateToken, authorizeSelfOrRole([]),
     }
     
     // Check user exists in db
-    const query = 'SELECT password FROM users WHERE id = ?';
+    const query = 'SELECT id, role, password, token_version FROM users WHERE id = ?';
     db.get(query, [id], async (err, user) => {
         if (err) {
             logger.error(`Database Error: ${err.message}`);
@@ -318,156 +875,488 @@ app.put('/users/:id/reset-password', authenticateToken, authorizeSelfOrRole([]),
                 return res.status(500).json({ error: err.message });
             }
             logger.info(`Successful password update: ID ${id}`);
-            res.json({ message: 'Password updated successfully' });
+            // End every other session and give the current one new tokens
+            revokeUserTokens(user.id, 'password change', (err) => {
+                if (err) {
+                    logger.error(`Database Error: ${err.message}`);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                issueTokens({ ...user, token_version: user.token_version + 1 }, (err, tokens) => {
+                    if (err) {
+                        logger.error(`Database Error: ${err.message}`);
+                        return res.status(500).json({ error: 'Database error' });
+                    }
+                    res.json({ message: 'Password updated successfully', ...tokens });
+                });
+            });
         });
     });
 });
 
-// Delete User (Admin Only)
-app.delete('/users/:id', authenticateToken, authorizeRole(['admin']), (req, res) => {
+// Deactivate User (users:delete) - The user is kept so records they own or created still name them
+app.delete('/users/:id', authenticateToken, authorize('users:delete'), (req, res) => {
     const { id } = req.params;
 
     // Check user exists in db
-    db.get('SELECT id, name, email, role FROM users WHERE id = ?', [id], (err, user) => {
+    db.get('SELECT id, name, email, role, status FROM users WHERE id = ?', [id], (err, user) => {
         if (err) {
             logger.error(`Database Error: ${err.message}`);
             return res.status(500).json({ error: 'Database error' });
         } else if (!user) {
             logger.warn(`Delete user failed: User not found in db`);
             return res.status(400).json({ error: 'User not found' });
+        } else if (user.status === 'deactivated') {
+            logger.warn(`Delete user failed: User ID ${id} is already deactivated`);
+            return res.status(409).json({ error: 'User is already deactivated' });
         }
-        // Delete user
-        const query = 'DELETE FROM users WHERE id = ?';
-        db.run(query, [id], function(err) {
+        // Access tokens of a deactivated user fail the token version and status check
+        setStatus(user.id, 'deactivated', `deactivated by user ID ${req.user.id}`, (err) => {
             if (err) {
                 logger.error(`Database Error: ${err.message}`);
                 return res.status(500).json({ error: err.message });
             }
-            logger.info(`User deleted successfully ID ${id}`);
-            res.json({ message: 'User deleted successfully', user: user });
+            logger.info(`User deactivated successfully ID ${id}`);
+            res.json({ message: 'User deactivated successfully', user: { ...user, status: 'deactivated' } });
         });
     });
 });
 
-// Update User (Self or Admin Only)
-app.put('/users/:id', authenticateToken, authorizeSelfOrRole(['admin']), (req, res) => {
+// Suspend a User or lift a suspension (users:suspend) - Deactivated users are brought back with /restore
+// Users cannot change their own status or the status of a user whose role grants permissions they do not have
+app.put('/users/:id/status', authenticateToken, authorize('users:suspend'), (req, res) => {
     const { id } = req.params;
-    let { name, email, role } = req.body;
+    const { status } = req.body;
+
+    if (status !== 'active' && status !== 'suspended') {
+        logger.warn('Set user status failed: Invalid status');
+        return res.status(400).json({ error: 'Status must be active or suspended' });
+    }
 
     // Check user exists in db
-    db.get('SELECT id, name, email, role FROM users WHERE id = ?', [id], (err, user) => {
+    db.get('SELECT id, role, status FROM users WHERE id = ?', [id], (err, user) => {
         if (err) {
             logger.error(`Database Error: ${err.message}`);
             return res.status(500).json({ error: 'Database error' });
         } else if (!user) {
-            logger.warn(`Delete user failed: User not found in db`);
-            return res.status(400).json({ error: 'User not found' });
+            logger.warn(`Set user status failed: User not found in db`);
+            return res.status(404).json({ error: 'User not found' });
+        } else if (user.id === req.user.id) {
+            logger.warn(`Set user status failed: User ID ${id} tried to change their own status`);
+            return res.status(403).json({ error: 'You cannot change your own status' });
+        } else if (user.status === 'deactivated') {
+            logger.warn(`Set user status failed: User ID ${id} is deactivated`);
+            return res.status(409).json({ error: 'User is deactivated, restore the user instead' });
         }
-        // Validate name format
-        if (name) {
-            const nameError = validateName(name);
-            if (nameError) {
-                logger.warn(`User update failed: ${nameError}`);
-                return res.status(400).json({ error: nameError });
+        outranks(user.role, req.user.permissions, (err, higher) => {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: 'Database error' });
+            } else if (higher) {
+                logger.warn(`Set user status failed: Role ${user.role} of user ID ${id} outranks user ID ${req.user.id}`);
+                return res.status(403).json({ error: 'You cannot change the status of a user whose role outranks yours' });
+            } else if (user.status === status) {
+                return res.json({ message: `User is already ${status}`, user: { id: user.id, status } });
             }
-        } else {
-            name = user.name
+            setStatus(user.id, status, `${status === 'suspended' ? 'suspended' : 'suspension lifted'} by user ID ${req.user.id}`, (err) => {
+                if (err) {
+                    logger.error(`Database Error: ${err.message}`);
+                    return res.status(500).json({ error: 'Database error' });
+                }
+                res.json({ message: status === 'suspended' ? 'User suspended successfully' : 'User suspension lifted', user: { id: user.id, status } });
+            });
+        });
+    });
+});
+
+// Restore a deactivated User (users:restore) - Earlier tokens stay revoked, the user logs in again
+app.post('/users/:id/restore', authenticateToken, authorize('users:restore'), (req, res) => {
+    const { id } = req.params;
+
+    // Check user exists in db
+    db.get('SELECT id, status FROM users WHERE id = ?', [id], (err, user) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!user) {
+            logger.warn(`Restore user failed: User not found in db`);
+            return res.status(404).json({ error: 'User not found' });
+        } else if (user.status !== 'deactivated') {
+            logger.warn(`Restore user failed: User ID ${id} is not deactivated`);
+            return res.status(409).json({ error: 'User is not deactivated' });
         }
-        // Validate email format
-        if (email) {
-            const emailError = validateEmail(email);
-            if (emailError) {
-                logger.warn(`User update failed: ${emailError}`);
-                return res.status(400).json({ error: emailError });
+        setStatus(user.id, 'active', `restored by user ID ${req.user.id}`, (err) => {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: 'Database error' });
             }
-        } else {
-            email = user.email
+            res.json({ message: 'User restored successfully', user: { id: user.id, status: 'active' } });
+        });
+    });
+});
+
+// Permanently delete a deactivated User (users:purge) - Records in other services keep the id of the purged user
+app.delete('/users/:id/purge', authenticateToken, authorize('users:purge'), (req, res) => {
+    const { id } = req.params;
+
+    // Check user exists in db
+    db.get('SELECT id, name, email, role, status FROM users WHERE id = ?', [id], (err, user) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!user) {
+            logger.warn(`Purge user failed: User not found in db`);
+            return res.status(404).json({ error: 'User not found' });
+        } else if (user.status !== 'deactivated') {
+            logger.warn(`Purge user failed: User ID ${id} is ${user.status}`);
+            return res.status(409).json({ error: 'Only deactivated users can be purged, deactivate the user first' });
         }
-        // Check if role is valid
-        if (role) {
-            const roles = ['admin', 'manager', 'sales_rep', 'customer']
-            if (!roles.includes(role)) {
-                logger.warn('Invalid role specified');
-                return res.status(400).json({ error: 'Invalid role specified' });
+        const query = 'DELETE FROM users WHERE id = ?';
+        db.run(query, [id], function(err) {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: err.message });
             }
-        } else {
-            role = user.role
+            deleteUserCredentials(user.id, (err) => {
+                if (err) {
+                    logger.error(`Database Error: ${err.message}`);
+                    return res.status(500).json({ error: err.message });
+                }
+                // Members of the team of a purged manager are left without a team
+                dissolveTeam(user.id, (err) => {
+                    if (err) {
+                        logger.error(`Database Error: ${err.message}`);
+                        return res.status(500).json({ error: err.message });
+                    }
+                    logger.warn(`User purged ID ${id} by user ID ${req.user.id}`);
+                    res.json({ message: 'User purged successfully', user: user });
+                });
+            });
+        });
+    });
+});
+
+// Unlock User locked out by failed logins (users:unlock)
+app.post('/users/:id/unlock', authenticateToken, authorize('users:unlock'), (req, res) => {
+    const { id } = req.params;
+
+    // Check user exists in db
+    db.get('SELECT id, locked_until FROM users WHERE id = ?', [id], (err, user) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!user) {
+            logger.warn(`Unlock user failed: User not found in db`);
+            return res.status(404).json({ error: 'User not found' });
         }
-        // Update user
-        const query = 'UPDATE users SET name = ?, email = ?, role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
-        db.run(query, [name, email, role, id], function(err) {
+        resetLockout(user.id, (err) => {
             if (err) {
                 logger.error(`Database Error: ${err.message}`);
                 return res.status(500).json({ error: err.message });
             }
-            logger.info(`User updated successfully ID ${id} Name: ${name}, Email: ${email}, Role: ${role}`);
-            res.json({ message: 'User updated successfully' });
+            logger.warn(`Account unlocked: ID ${id} by user ID ${req.user.id}${lockoutRemaining(user) > 0 ? `, was locked until ${user.locked_until}` : ''}`);
+            res.json({ message: 'User unlocked successfully' });
         });
     });
 });
 
-/*
-// Delete User (Self or Admin Only)
-app.delete('/users/:id', authenticateToken, authorizeSelfOrRole(['admin']), (req, res) => {
+// Get the Team a User manages (Self or users:read) - Used by the services to scope records of managers
+app.get('/users/:id/team', authenticateToken, authorizeSelfOr('users:read'), (req, res) => {
+    const { id } = req.params;
+
+    teamOf(id, (err, team) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!team) {
+            logger.warn(`Get team failed: User not found in db`);
+            return res.status(404).json({ error: 'User not found' });
+        }
+        logger.info(`Fetched team of user ID ${id} with ${team.members.length} members`);
+        res.json(team);
+    });
+});
+
+// Set the Manager of a User, null removes the user from their team (teams:manage)
+app.put('/users/:id/manager', authenticateToken, authorize('teams:manage'), (req, res) => {
     const { id } = req.params;
-    const query = 'DELETE FROM users WHERE id = ?';
+    const { managerId } = req.body;
+
+    if (managerId === undefined || (managerId !== null && (!Number.isInteger(managerId) || managerId <= 0))) {
+        logger.warn('Set manager failed: Invalid manager id');
+        return res.status(400).json({ error: 'managerId must be a user id or null' });
+    }
 
     // Check user exists in db
-    db.get('SELECT id, name, email, role FROM users WHERE id = ?', [id], (err, user) => {
+    db.get('SELECT id FROM users WHERE id = ?', [id], (err, user) => {
         if (err) {
+            logger.error(`Database Error: ${err.message}`);
             return res.status(500).json({ error: 'Database error' });
+        } else if (!user) {
+            logger.warn(`Set manager failed: User not found in db`);
+            return res.status(404).json({ error: 'User not found' });
         }
-        if (!user) {
-            return res.status(400).json({ error: 'User not found' });
+        setManager(user.id, managerId, (err, refusal) => {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: 'Database error' });
+            } else if (refusal) {
+                logger.warn(`Set manager failed: ${refusal}`);
+                return res.status(400).json({ error: refusal });
+            }
+            res.json({ message: managerId === null ? 'User removed from their team' : 'Manager updated successfully', user: { id: user.id, manager_id: managerId } });
+        });
+    });
+});
+
+// Get Permissions that roles can grant (roles:read)
+app.get('/permissions', authenticateToken, authorize('roles:read'), (req, res) => {
+    res.json(Object.keys(PERMISSIONS).map(name => ({ name, description: PERMISSIONS[name] })));
+});
+
+// Get Roles with their permissions (roles:read)
+app.get('/roles', authenticateToken, authorize('roles:read'), (req, res) => {
+    listRoles((err, roles) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
         }
-        // Delete user
-        db.run(query, [id], function(err) {
+        res.json(roles);
+    });
+});
+
+// Get Role by name (roles:read)
+app.get('/roles/:role', authenticateToken, authorize('roles:read'), (req, res) => {
+    listRoles((err, roles) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        const role = roles.find(role => role.name === req.params.role);
+        if (!role) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+        res.json(role);
+    });
+});
+
+// Create a Role or replace its permissions (roles:manage)
+app.put('/roles/:role', authenticateToken, authorize('roles:manage'), (req, res) => {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    const nameError = validateRoleName(role);
+    if (nameError) {
+        logger.warn(`Role update failed: ${nameError}`);
+        return res.status(400).json({ error: nameError });
+    }
+    if (BUILT_IN_ROLES.includes(role)) {
+        logger.warn(`Role update failed: Role ${role} cannot be changed`);
+        return res.status(400).json({ error: `Role ${role} cannot be changed` });
+    }
+    const permissionsError = validatePermissions(permissions);
+    if (permissionsError) {
+        logger.warn(`Role update failed: ${permissionsError}`);
+        return res.status(400).json({ error: permissionsError });
+    }
+    saveRole(role, permissions, (err, created) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.status(created ? 201 : 200).json({
+            message: created ? 'Role created successfully' : 'Role updated successfully',
+            role: { name: role, permissions: [...new Set(permissions)] }
+        });
+    });
+});
+
+// Delete a Role no user has (roles:manage)
+app.delete('/roles/:role', authenticateToken, authorize('roles:manage'), (req, res) => {
+    const { role } = req.params;
+
+    roleExists(role, (err, exists) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!exists) {
+            logger.warn('Delete role failed: Role not found in db');
+            return res.status(404).json({ error: 'Role not found' });
+        }
+        deleteRole(role, (err, refusal) => {
             if (err) {
                 logger.error(`Database Error: ${err.message}`);
-                return res.status(500).json({ error: err.message });
+                return res.status(500).json({ error: 'Database error' });
+            } else if (refusal) {
+                logger.warn(`Delete role failed: ${refusal}`);
+                return res.status(400).json({ error: refusal });
             }
-            logger.info(`User deleted successfully ID ${id}`);
-            res.json({ message: 'User deleted successfully' });
+            res.json({ message: 'Role deleted successfully' });
         });
     });
 });
-*/
-
-app.listen(PORT, () => {
-    // Send a service registration request to gateway which holds record of api services under routes/registry.json
-    const url = API_GATEWAY_URL + "/register";
-    axios({
-        method: 'POST',
-        url: url,
-        headers: {'Content-Type': 'application/json'},
-        data: {
-            apiName: "usermanagement",
-            protocol: PROTOCOL,
-            host: HOST,
-            port: PORT
-        }
-    }).then((response) => {
-        logger.info(response.data);
-        console.log(response.data);
-    }).catch((error) => {
-        if (error.response) {
-            // Server responded with a status other than 2xx
-            logger.error('Response error:', error.response.status, error.response.data);
-            console.error('Response error:', error.response.status, error.response.data);
-        } else if (error.request) {
-            // Request was made but no response received
-            logger.error(`No response received from ${url}`);
-            console.error(`No response received from ${url}`);
-        } else {
-            // Something else happened during the request
-            logger.error('Error:', error.message);
-            console.error('Error:', error.message);
+
+// Get Service Clients with their permissions (clients:manage)
+app.get('/clients', authenticateToken, authorize('clients:manage'), (req, res) => {
+    listClients(null, (err, clients) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
         }
+        res.json(clients);
     });
-    if (process.env.NODE_ENV !== 'test') {
-        logger.info(`User Management Service running on port ${PORT}`);
-        console.log(`User Management Service running on port ${PORT}`);
+});
+
+// Get Service Client by id (clients:manage)
+app.get('/clients/:clientId', authenticateToken, authorize('clients:manage'), (req, res) => {
+    listClients(req.params.clientId, (err, clients) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (clients.length === 0) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+        res.json(clients[0]);
+    });
+});
+
+// Register a Service Client or replace its permissions (clients:manage)
+// The secret of a new client is only returned in this response
+app.put('/clients/:clientId', authenticateToken, authorize('clients:manage'), (req, res) => {
+    const { clientId } = req.params;
+    const { description, permissions } = req.body;
+
+    const idError = validateClientId(clientId);
+    if (idError) {
+        logger.warn(`Client update failed: ${idError}`);
+        return res.status(400).json({ error: idError });
+    }
+    const permissionsError = validatePermissions(permissions);
+    if (permissionsError) {
+        logger.warn(`Client update failed: ${permissionsError}`);
+        return res.status(400).json({ error: permissionsError });
     }
+    saveClient(clientId, description, permissions, (err, clientSecret) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        const client = { clientId, description: description || null, permissions: [...new Set(permissions)] };
+        if (clientSecret) {
+            return res.status(201).json({ message: 'Client created successfully, store the secret as it cannot be shown again', client, clientSecret });
+        }
+        res.json({ message: 'Client updated successfully, earlier machine tokens no longer work', client });
+    });
 });
 
+// Replace the secret of a Service Client (clients:manage)
+app.post('/clients/:clientId/secret', authenticateToken, authorize('clients:manage'), (req, res) => {
+    rotateSecret(req.params.clientId, (err, clientSecret) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!clientSecret) {
+            logger.warn('Client secret rotation failed: Client not found in db');
+            return res.status(404).json({ error: 'Client not found' });
+        }
+        res.json({ message: 'Client secret replaced, the earlier secret and machine tokens no longer work', clientSecret });
+    });
+});
+
+// Delete a Service Client (clients:manage)
+app.delete('/clients/:clientId', authenticateToken, authorize('clients:manage'), (req, res) => {
+    deleteClient(req.params.clientId, (err, deleted) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!deleted) {
+            logger.warn('Delete client failed: Client not found in db');
+            return res.status(404).json({ error: 'Client not found' });
+        }
+        res.json({ message: 'Client deleted successfully' });
+    });
+});
+
+// Get Signing Keys without their private part (keys:manage)
+app.get('/keys', authenticateToken, authorize('keys:manage'), (req, res) => {
+    listKeys((err, keys) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        }
+        res.json(keys);
+    });
+});
+
+// Create a new Signing Key, earlier keys keep verifying the tokens they signed (keys:manage)
+app.post('/keys/rotate', authenticateToken, authorize('keys:manage'), (req, res) => {
+    createKey((err, kid) => {
+        if (err) {
+            logger.error(`Key generation error: ${err.message}`);
+            return res.status(500).json({ error: 'Key generation error' });
+        }
+        logger.info(`Signing keys rotated by user ID ${req.user.id}, new key ${kid}`);
+        res.status(201).json({ message: 'Signing key created, it signs every new token', kid });
+    });
+});
+
+// Retire a Signing Key, tokens it signed stop working (keys:manage)
+app.delete('/keys/:kid', authenticateToken, authorize('keys:manage'), (req, res) => {
+    const { kid } = req.params;
+
+    listKeys((err, keys) => {
+        if (err) {
+            logger.error(`Database Error: ${err.message}`);
+            return res.status(500).json({ error: 'Database error' });
+        } else if (!keys.some(key => key.kid === kid)) {
+            logger.warn('Retire key failed: Key not found in db');
+            return res.status(404).json({ error: 'Key not found' });
+        }
+        retireKey(kid, (err, refusal) => {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: 'Database error' });
+            } else if (refusal) {
+                logger.warn(`Retire key failed: ${refusal}`);
+                return res.status(400).json({ error: refusal });
+            }
+            res.json({ message: 'Signing key retired' });
+        });
+    });
+});
+
+// Registration details sent to the gateway
+const registrationInfo = {
+    apiName: "usermanagement",
+    protocol: PROTOCOL,
+    host: HOST,
+    port: PORT
+};
+
+// Start listening and register to the gateway - Only when started as the service, tests load the app without it
+function start() {
+    const server = app.listen(PORT, () => {
+        // Register to the gateway and keep the registration lease alive with heartbeats
+        registration.register(registrationInfo);
+        registration.startHeartbeat(registrationInfo);
+        if (process.env.NODE_ENV !== 'test') {
+            logger.info(`User Management Service running on port ${PORT}`);
+            console.log(`User Management Service running on port ${PORT}`);
+        }
+    });
+
+    // Unregister from the gateway before shutting down
+    const shutdown = (signal) => {
+        logger.info(`User Management Service received ${signal}, shutting down`);
+        registration.unregister(registrationInfo).finally(() => {
+            server.close(() => process.exit(0));
+        });
+    };
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+if (require.main === module) {
+    start();
+}
+
 module.exports = app;
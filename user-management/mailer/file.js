@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Mails written as JSON files to an outbox directory instead of being sent, for development and tests
+function createFileTransport(outboxDir) {
+    return {
+        type: 'file',
+
+        send(message) {
+            const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+            const mail = { ...message, sentAt: new Date().toISOString() };
+            return fs.promises.mkdir(outboxDir, { recursive: true })
+                .then(() => fs.promises.writeFile(path.join(outboxDir, fileName), JSON.stringify(mail, null, 2)))
+                .then(() => ({ id: fileName }));
+        }
+    };
+}
+
+module.exports = createFileTransport;
\ No newline at end of file
@@ -0,0 +1,26 @@
+const createFileTransport = require('./file');
+require('dotenv').config();
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'file'; // file or smtp
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || './outbox';
+
+// Create the mail transport configured by MAIL_TRANSPORT
+function createMailer(type = MAIL_TRANSPORT) {
+    switch (type) {
+        case 'file':
+            return createFileTransport(MAIL_OUTBOX_DIR);
+        case 'smtp':
+            // Required lazily so nodemailer is only loaded when it is used
+            return require('./smtp')({
+                host: process.env.SMTP_HOST || 'localhost',
+                port: Number(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                user: process.env.SMTP_USER,
+                password: process.env.SMTP_PASSWORD
+            });
+        default:
+            throw new Error(`Unknown mail transport '${type}'. Must be one of: file, smtp`);
+    }
+}
+
+module.exports = { createMailer, createFileTransport };
\ No newline at end of file
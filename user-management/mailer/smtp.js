@@ -0,0 +1,21 @@
+const nodemailer = require('nodemailer');
+
+// Mails sent through an SMTP server
+function createSmtpTransport({ host, port, secure, user, password }) {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user && { auth: { user, pass: password } })
+    });
+
+    return {
+        type: 'smtp',
+
+        send(message) {
+            return transporter.sendMail(message).then(info => ({ id: info.messageId }));
+        }
+    };
+}
+
+module.exports = createSmtpTransport;
\ No newline at end of file
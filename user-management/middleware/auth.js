@@ -1,48 +1,103 @@
-const jwt = require('jsonwebtoken');
 const logger = require('./logger');
+const { verifyGatewayIdentity } = require('../utils/identity');
+const { recordAuthFailure } = require('./metrics');
+const { isTokenCurrent } = require('../utils/tokens');
+const { verifyToken } = require('../utils/keys');
+const { verifyChallenge } = require('../utils/twofactor');
 require('dotenv').config();
 
-const SECRET_KEY = process.env.SECRET_KEY;
-
 // Authenticate JWT Token
 function authenticateToken(req, res, next) {
+    // Requests forwarded by the gateway carry the identity it already verified
+    const gatewayUser = verifyGatewayIdentity(req);
+    if (gatewayUser) {
+        req.user = gatewayUser;
+        return next();
+    }
+
     const token = req.header('Authorization');
     if (!token) {
         logger.error(`Access denied. No token provided.`);
+        recordAuthFailure('missing_token');
         return res.status(401).json({ error: 'Access denied. No token provided.' });
     }
 
-    jwt.verify(token.replace('Bearer ', ''), SECRET_KEY, (err, user) => {
+    verifyToken(token.replace('Bearer ', ''), (err, user) => {
         if (err) {
             logger.error(`Access denied. Invalid or expired token.`);
+            recordAuthFailure('invalid_token');
             return res.status(403).json({ error: 'Invalid or expired token.' });
         }
-        req.user = user;
-        next();
+        // Tokens issued before a logout, password change, role change, suspension or deactivation carry an outdated token version,
+        // machine tokens of service clients before a permission change, secret rotation or delete
+        isTokenCurrent(user, (err, current) => {
+            if (err) {
+                logger.error(`Database Error: ${err.message}`);
+                return res.status(500).json({ error: 'Database error' });
+            }
+            if (!current) {
+                logger.error(`Access denied. Token of ${user.clientId ? `service client ${user.clientId}` : `user ${user.id}`} has been revoked.`);
+                recordAuthFailure('revoked_token');
+                return res.status(403).json({ error: 'Token has been revoked.' });
+            }
+            req.user = user;
+            next();
+        });
     });
 }
 
-// Authorize based on role
-function authorizeRole(roles) {
+// Reject machine tokens of service clients on routes acting on the account of the logged in user
+function usersOnly(req, res, next) {
+    if (req.user && req.user.clientId) {
+        logger.error(`Access denied. Service client ${req.user.clientId} used a route for users.`);
+        recordAuthFailure('client_token');
+        return res.status(403).json({ error: 'Access denied. Only available to users.' });
+    }
+    next();
+}
+
+// Authenticate with an access token, or with a challenge token for a purpose sent as "challengeToken" in the body
+function authenticateTokenOrChallenge(purpose) {
+    return (req, res, next) => {
+        if (!req.body || !req.body.challengeToken) {
+            return authenticateToken(req, res, next);
+        }
+        const challenge = verifyChallenge(req.body.challengeToken, purpose);
+        if (!challenge) {
+            logger.error(`Access denied. Invalid or expired challenge token.`);
+            recordAuthFailure('invalid_challenge');
+            return res.status(401).json({ error: 'Invalid or expired challenge token.' });
+        }
+        req.user = challenge;
+        req.challenge = challenge;
+        next();
+    };
+}
+
+// Authorize based on a permission granted by the role of the user
+function authorize(permission) {
     return (req, res, next) => {
-        if (!req.user || !roles.includes(req.user.role)) {
-            logger.error(`Access denied. Unauthorized role.`);
-            return res.status(403).json({ error: 'Access denied. Unauthorized role.' });
+        if (!req.user || !Array.isArray(req.user.permissions) || !req.user.permissions.includes(permission)) {
+            logger.error(`Access denied. Missing permission ${permission}.`);
+            recordAuthFailure('missing_permission');
+            return res.status(403).json({ error: `Access denied. Missing permission ${permission}.` });
         }
         next();
     };
 }
 
-// Check if the user is updating their own account
-function authorizeSelfOrRole(roles) {
+// Check if the user is acting on their own account, or has a permission to act on other accounts
+function authorizeSelfOr(permission) {
     return (req, res, next) => {
         const userId = parseInt(req.params.id, 10);
-        if (!req.user || (req.user.id !== userId && !roles.includes(req.user.role))) {
+        const permitted = permission && req.user && Array.isArray(req.user.permissions) && req.user.permissions.includes(permission);
+        if (!req.user || (req.user.id !== userId && !permitted)) {
             logger.error(`Access denied. Unauthorized action.`);
+            recordAuthFailure('unauthorized_action');
             return res.status(403).json({ error: 'Access denied. Unauthorized action.' });
         }
         next();
     };
 }
 
-module.exports = { authenticateToken, authorizeRole, authorizeSelfOrRole };
+module.exports = { authenticateToken, authenticateTokenOrChallenge, usersOnly, authorize, authorizeSelfOr };
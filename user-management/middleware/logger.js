@@ -1,11 +1,25 @@
 const winston = require('winston');
+const { requestContext } = require('../utils/context');
+
+// Add the trace context of the request being handled to every log entry
+const traceContext = winston.format((info) => {
+    const context = requestContext.getStore();
+    if (context) {
+        info.requestId = context.requestId;
+        info.traceId = context.traceId;
+        info.spanId = context.spanId;
+    }
+    return info;
+});
 
 const logger = winston.createLogger({
     level: 'info',
     format: winston.format.combine(
+        traceContext(),
         winston.format.timestamp(),
-        winston.format.printf(({ timestamp, level, message }) => {
-            return `${timestamp} [${level.toUpperCase()}]: ${message}`;
+        winston.format.printf(({ timestamp, level, message, requestId, traceId, spanId }) => {
+            const trace = requestId ? ` [request_id=${requestId} trace_id=${traceId} span_id=${spanId}]` : '';
+            return `${timestamp} [${level.toUpperCase()}]${trace}: ${message}`;
         })
     ),
     transports: [
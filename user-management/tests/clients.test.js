@@ -0,0 +1,190 @@
+const { app, db, dbGet, databaseReady, closeDatabase, createLoggedInUser } = require('./helpers/app');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { saveClient } = require('../utils/clients');
+
+describe('User Management Service Client Tests', () => {
+    let admin;
+
+    beforeAll(async () => {
+        await databaseReady();
+        admin = await createLoggedInUser('admin');
+    });
+
+    afterAll(() => closeDatabase());
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const asAdmin = (req) => req.set('Authorization', `Bearer ${admin.token}`);
+    const basic = (username, password) => `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+    // Register a client with permissions - Resolves its secret
+    const registerClient = async (clientId, permissions) => {
+        const res = await asAdmin(request(app).put(`/clients/${clientId}`)).send({ permissions });
+        expect(res.status).toBe(201);
+        return res.body.clientSecret;
+    };
+    const requestToken = (clientId, clientSecret, form = {}) => request(app).post('/oauth/token')
+        .set('Authorization', basic(encodeURIComponent(clientId), encodeURIComponent(clientSecret)))
+        .type('form').send({ grant_type: 'client_credentials', ...form });
+    const verify = (token) => request(app).get('/token/verify').set('Authorization', `Bearer ${token}`);
+    const saveClientAsync = (clientId, permissions) => new Promise((resolve, reject) => {
+        saveClient(clientId, null, permissions, (err, secret) => err ? reject(err) : resolve(secret));
+    });
+
+    describe('Client credentials grant', () => {
+        let secret;
+
+        beforeAll(async () => {
+            secret = await registerClient('reporting', ['users:read', 'customers:read']);
+        });
+
+        it('should issue a machine token for HTTP Basic credentials', async () => {
+            const res = await requestToken('reporting', secret);
+
+            expect(res.status).toBe(200);
+            expect(res.headers['cache-control']).toBe('no-store');
+            expect(res.body).toEqual({ access_token: expect.any(String), token_type: 'Bearer', expires_in: expect.any(Number), scope: 'customers:read users:read' });
+            const payload = jwt.decode(res.body.access_token);
+            expect(payload.clientId).toBe('reporting');
+            expect(payload.role).toBe('service');
+            expect(payload.id).toBeUndefined();
+            expect((await verify(res.body.access_token)).body.client).toEqual({ clientId: 'reporting', role: 'service' });
+        });
+
+        it('should accept the credentials in the form body', async () => {
+            const res = await request(app).post('/oauth/token').type('form')
+                .send({ grant_type: 'client_credentials', client_id: 'reporting', client_secret: secret });
+
+            expect(res.status).toBe(200);
+        });
+
+        it('should narrow the token to a requested scope', async () => {
+            const res = await requestToken('reporting', secret, { scope: 'users:read' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.scope).toBe('users:read');
+            expect(jwt.decode(res.body.access_token).permissions).toEqual(['users:read']);
+        });
+
+        it('should refuse a scope beyond the permissions of the client', async () => {
+            const res = await requestToken('reporting', secret, { scope: 'users:read users:write' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('invalid_scope');
+        });
+
+        it('should refuse other grant types and missing credentials', async () => {
+            expect((await requestToken('reporting', secret, { grant_type: 'password' })).body.error).toBe('unsupported_grant_type');
+            expect((await request(app).post('/oauth/token').type('form').send({ grant_type: 'client_credentials' })).body.error).toBe('invalid_request');
+        });
+
+        it('should answer invalid_client with a Basic challenge for wrong credentials', async () => {
+            const res = await requestToken('reporting', 'wrong-secret');
+
+            expect(res.status).toBe(401);
+            expect(res.body.error).toBe('invalid_client');
+            expect(res.headers['www-authenticate']).toBe('Basic realm="oauth"');
+        });
+
+        it('should answer invalid_client for Basic credentials without a colon', async () => {
+            const res = await request(app).post('/oauth/token')
+                .set('Authorization', `Basic ${Buffer.from('reporting').toString('base64')}`)
+                .type('form').send({ grant_type: 'client_credentials' });
+
+            expect(res.status).toBe(401);
+            expect(res.body.error).toBe('invalid_client');
+            expect(res.headers['www-authenticate']).toBe('Basic realm="oauth"');
+        });
+
+        it('should answer invalid_client for Basic credentials with a malformed escape', async () => {
+            const res = await request(app).post('/oauth/token')
+                .set('Authorization', basic('reporting', '%E0%A4%A'))
+                .type('form').send({ grant_type: 'client_credentials' });
+
+            expect(res.status).toBe(401);
+            expect(res.body.error).toBe('invalid_client');
+        });
+    });
+
+    describe('Revocation', () => {
+        it('should revoke machine tokens when the permissions of the client change', async () => {
+            const secret = await registerClient('billing', ['customers:read']);
+            const { access_token: token } = (await requestToken('billing', secret)).body;
+            expect((await verify(token)).status).toBe(200);
+
+            const res = await asAdmin(request(app).put('/clients/billing')).send({ permissions: ['customers:read', 'sales:read'] });
+
+            expect(res.status).toBe(200);
+            expect((await verify(token)).body.error).toBe('Token has been revoked.');
+            const renewed = await requestToken('billing', secret);
+            expect(renewed.body.scope).toBe('customers:read sales:read');
+            expect((await verify(renewed.body.access_token)).status).toBe(200);
+        });
+
+        it('should revoke machine tokens and the old secret when the secret is rotated', async () => {
+            const secret = await registerClient('exports', ['sales:read']);
+            const { access_token: token } = (await requestToken('exports', secret)).body;
+
+            const res = await asAdmin(request(app).post('/clients/exports/secret'));
+
+            expect(res.status).toBe(200);
+            expect((await verify(token)).status).toBe(403);
+            expect((await requestToken('exports', secret)).status).toBe(401);
+            expect((await requestToken('exports', res.body.clientSecret)).status).toBe(200);
+        });
+
+        it('should revoke machine tokens of a deleted client', async () => {
+            const secret = await registerClient('archive', ['sales:read']);
+            const { access_token: token } = (await requestToken('archive', secret)).body;
+
+            expect((await asAdmin(request(app).delete('/clients/archive'))).status).toBe(200);
+
+            expect((await verify(token)).status).toBe(403);
+        });
+    });
+
+    describe('Saving clients', () => {
+        it('should roll back every change when a statement fails', async () => {
+            const secret = await registerClient('audit', ['users:read']);
+            const before = await dbGet('SELECT token_version FROM service_clients WHERE client_id = ?', ['audit']);
+            const run = db.run;
+            jest.spyOn(db, 'run').mockImplementation(function(query, params, callback) {
+                if (query.startsWith('INSERT INTO client_permissions') && params[1] === 'sales:read') {
+                    return callback(new Error('SQLITE_IOERR: disk I/O error'));
+                }
+                return run.apply(this, arguments);
+            });
+
+            await expect(saveClientAsync('audit', ['customers:read', 'sales:read'])).rejects.toThrow('SQLITE_IOERR');
+            jest.restoreAllMocks();
+
+            expect(await dbGet('SELECT token_version FROM service_clients WHERE client_id = ?', ['audit'])).toEqual(before);
+            expect((await requestToken('audit', secret)).body.scope).toBe('users:read');
+            expect(await saveClientAsync('audit', ['notes:read'])).toBeNull();
+        });
+
+        it('should not register a client whose permissions failed to be saved', async () => {
+            const run = db.run;
+            jest.spyOn(db, 'run').mockImplementation(function(query, params, callback) {
+                if (query.startsWith('INSERT INTO client_permissions')) {
+                    return callback(new Error('SQLITE_IOERR: disk I/O error'));
+                }
+                return run.apply(this, arguments);
+            });
+
+            await expect(saveClientAsync('partial', ['users:read'])).rejects.toThrow('SQLITE_IOERR');
+
+            expect(await dbGet('SELECT client_id FROM service_clients WHERE client_id = ?', ['partial'])).toBeUndefined();
+        });
+
+        it('should serialize concurrent saves of a client', async () => {
+            const sets = [['users:read'], ['customers:read', 'customers:write'], ['sales:read'], ['notes:read', 'notes:write']];
+
+            const responses = await Promise.all(sets.map(permissions => asAdmin(request(app).put('/clients/importer')).send({ permissions })));
+
+            expect(responses.map(res => res.status).sort()).toEqual([200, 200, 200, 201]);
+            const client = await asAdmin(request(app).get('/clients/importer'));
+            expect(sets.map(set => [...set].sort())).toContainEqual(client.body.permissions);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Environment of the service under test, set before the app is loaded - Test files may set their own first
+process.env.DATABASE_FILE = ':memory:';
+process.env.SECRET_KEY = process.env.SECRET_KEY || 'test_secret_key';
+process.env.BCRYPT_SALT = '4';
+process.env.TWO_FACTOR_REQUIRED_ROLES = process.env.TWO_FACTOR_REQUIRED_ROLES || ',';
+process.env.MAIL_OUTBOX_DIR = path.join(os.tmpdir(), `user-management-outbox-${crypto.randomBytes(4).toString('hex')}`);
+
+const request = require('supertest');
+const app = require('../../index');
+const db = require('../../utils/db');
+const { PERMISSIONS } = require('../../utils/permissions');
+
+const PASSWORD = 'Passw0rd!x';
+
+// Promise versions of the sqlite callbacks
+const dbGet = (query, params = []) => new Promise((resolve, reject) => {
+    db.get(query, params, (err, row) => err ? reject(err) : resolve(row));
+});
+const dbRun = (query, params = []) => new Promise((resolve, reject) => {
+    db.run(query, params, (err) => err ? reject(err) : resolve());
+});
+
+// Resolve once the tables are created and the roles are seeded, which happens in the background after the database opens
+async function databaseReady() {
+    for (let attempt = 0; attempt < 200; attempt++) {
+        const seeded = await dbGet('SELECT COUNT(*) AS total FROM known_permissions').catch(() => null);
+        const clients = await dbGet(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'client_permissions'`).catch(() => null);
+        if (seeded && seeded.total === Object.keys(PERMISSIONS).length && clients) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Database was not initialized');
+}
+
+// Close the database and drop the mails written by the test file
+function closeDatabase() {
+    return new Promise(resolve => db.close(resolve))
+        .then(() => fs.promises.rm(process.env.MAIL_OUTBOX_DIR, { recursive: true, force: true }));
+}
+
+// Create a user through the public create route - Resolves the created user
+async function createUser(role, email = `${role.replace(/_/g, '')}${crypto.randomBytes(3).toString('hex')}@example.com`) {
+    const res = await request(app).post('/create').send({ name: 'Test User', email, password: PASSWORD, role });
+    if (res.status !== 201) {
+        throw new Error(`User could not be created: ${res.body.error}`);
+    }
+    return res.body.user;
+}
+
+// Log a user in with the test password - Resolves the response
+function login(email, password = PASSWORD) {
+    return request(app).post('/login').send({ email, password });
+}
+
+// Create a user and log them in - Resolves the user with their access and refresh token
+async function createLoggedInUser(role) {
+    const user = await createUser(role);
+    const res = await login(user.email);
+    return { ...user, token: res.body.token, refreshToken: res.body.refreshToken };
+}
+
+// Mails written to the outbox for an address, oldest first - Waits a little since mails are sent after the response
+async function mailsTo(email) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const files = await fs.promises.readdir(process.env.MAIL_OUTBOX_DIR).catch(() => []);
+        const mails = (await Promise.all(files.sort().map(file => fs.promises.readFile(path.join(process.env.MAIL_OUTBOX_DIR, file), 'utf8'))))
+            .map(content => JSON.parse(content))
+            .filter(mail => mail.to === email);
+        if (mails.length > 0) {
+            return mails;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return [];
+}
+
+module.exports = { app, db, dbGet, dbRun, databaseReady, closeDatabase, createUser, login, createLoggedInUser, mailsTo, PASSWORD };
\ No newline at end of file
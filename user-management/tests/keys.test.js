@@ -0,0 +1,138 @@
+const { app, db, dbGet, dbRun, databaseReady, closeDatabase, createUser, login } = require('./helpers/app');
+const crypto = require('crypto');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+describe('User Management Signing Key Tests', () => {
+    let admin;
+
+    beforeAll(() => databaseReady());
+
+    afterAll(() => closeDatabase());
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const kidOf = (token) => jwt.decode(token, { complete: true }).header.kid;
+    const verify = (token) => request(app).get('/token/verify').set('Authorization', `Bearer ${token}`);
+    const jwksKids = async () => (await request(app).get('/.well-known/jwks.json')).body.keys.map(key => key.kid);
+    const asAdmin = (req) => req.set('Authorization', `Bearer ${admin.token}`);
+    // Count the queries loading the signing keys from the database
+    const countKeyLoads = () => {
+        const all = db.all;
+        const loads = { count: 0 };
+        jest.spyOn(db, 'all').mockImplementation(function(query) {
+            if (query.includes('FROM signing_keys')) {
+                loads.count++;
+            }
+            return all.apply(this, arguments);
+        });
+        return loads;
+    };
+
+    it('should create a single first key for concurrent first logins', async () => {
+        const users = await Promise.all([1, 2, 3, 4, 5].map(() => createUser('sales_rep')));
+        expect(await dbGet('SELECT COUNT(*) AS total FROM signing_keys')).toEqual({ total: 0 });
+
+        const responses = await Promise.all(users.map(user => login(user.email)));
+
+        responses.forEach(res => expect(res.status).toBe(200));
+        expect(await dbGet('SELECT COUNT(*) AS total FROM signing_keys')).toEqual({ total: 1 });
+        expect(new Set(responses.map(res => kidOf(res.body.token))).size).toBe(1);
+    });
+
+    describe('Rotation', () => {
+        let oldKid;
+        let oldToken;
+        let newKid;
+
+        beforeAll(async () => {
+            const user = await createUser('admin');
+            admin = { ...user, token: (await login(user.email)).body.token };
+            oldToken = admin.token;
+            oldKid = kidOf(oldToken);
+        });
+
+        it('should sign new tokens with the rotated key and keep verifying older tokens', async () => {
+            const res = await asAdmin(request(app).post('/keys/rotate'));
+
+            expect(res.status).toBe(201);
+            newKid = res.body.kid;
+            expect(newKid).not.toBe(oldKid);
+            const user = await createUser('sales_rep');
+            const { token } = (await login(user.email)).body;
+            expect(kidOf(token)).toBe(newKid);
+            expect((await verify(token)).status).toBe(200);
+            expect((await verify(oldToken)).status).toBe(200);
+        });
+
+        it('should publish the old and the new key', async () => {
+            const res = await request(app).get('/.well-known/jwks.json');
+
+            expect(res.status).toBe(200);
+            expect(res.body.keys.map(key => key.kid)).toEqual(expect.arrayContaining([oldKid, newKid]));
+            res.body.keys.forEach(key => {
+                expect(key.use).toBe('sig');
+                expect(key.d).toBeUndefined();
+            });
+            const keys = await asAdmin(request(app).get('/keys'));
+            expect(keys.body.find(key => key.kid === newKid).signing).toBe(true);
+            expect(keys.body.find(key => key.kid === oldKid).signing).toBe(false);
+        });
+
+        it('should refuse to retire the signing key', async () => {
+            const res = await asAdmin(request(app).delete(`/keys/${newKid}`));
+
+            expect(res.status).toBe(400);
+        });
+
+        it('should stop verifying and publishing a retired key', async () => {
+            const user = await createUser('admin');
+            admin = { ...user, token: (await login(user.email)).body.token };
+
+            expect((await asAdmin(request(app).delete(`/keys/${oldKid}`))).status).toBe(200);
+
+            expect((await verify(oldToken)).status).toBe(403);
+            expect(await jwksKids()).not.toContain(oldKid);
+        });
+    });
+
+    describe('Unknown kid', () => {
+        let payload;
+
+        beforeAll(async () => {
+            const user = await createUser('sales_rep');
+            const { token } = (await login(user.email)).body;
+            const { iat, exp, ...claims } = jwt.decode(token);
+            payload = claims;
+        });
+
+        // Sign a token with a key pair and kid of its own
+        const signWithNewKey = () => {
+            const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+            const kid = crypto.randomBytes(8).toString('hex');
+            const token = jwt.sign(payload, privateKey, { algorithm: 'ES256', keyid: kid, expiresIn: '5m' });
+            return { kid, token, publicKey: publicKey.export({ type: 'spki', format: 'pem' }), privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }) };
+        };
+
+        it('should reload the keys exactly once for an unknown kid and reject the token', async () => {
+            const { token } = signWithNewKey();
+            const loads = countKeyLoads();
+
+            const res = await verify(token);
+
+            expect(res.status).toBe(403);
+            expect(loads.count).toBe(1);
+        });
+
+        it('should accept a key created by another instance after one reload', async () => {
+            const key = signWithNewKey();
+            await dbRun('INSERT INTO signing_keys (kid, algorithm, private_key, public_key) VALUES (?, ?, ?, ?)', [key.kid, 'ES256', key.privateKey, key.publicKey]);
+            const loads = countKeyLoads();
+
+            expect((await verify(key.token)).status).toBe(200);
+            expect(loads.count).toBe(1);
+            expect((await verify(key.token)).status).toBe(200);
+            expect(loads.count).toBe(1);
+        });
+    });
+});
\ No newline at end of file
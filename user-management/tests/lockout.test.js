@@ -0,0 +1,104 @@
+process.env.LOGIN_MAX_ATTEMPTS = '3';
+process.env.LOGIN_LOCKOUT_DURATION = '60000';
+process.env.LOGIN_LOCKOUT_MAX_DURATION = '180000';
+
+const { app, dbGet, dbRun, databaseReady, closeDatabase, createUser, createLoggedInUser, login } = require('./helpers/app');
+const request = require('supertest');
+
+describe('User Management Lockout Tests', () => {
+    beforeAll(() => databaseReady());
+
+    afterAll(() => closeDatabase());
+
+    const failLogins = async (email, times) => {
+        for (let i = 0; i < times; i++) {
+            await login(email, 'Wr0ngPassword!');
+        }
+    };
+    // Let the current lockout of a user end without waiting for it
+    const expireLockout = (userId) => dbRun('UPDATE users SET locked_until = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), userId]);
+
+    it('should lock the account after LOGIN_MAX_ATTEMPTS failed logins and answer 423 with Retry-After', async () => {
+        const user = await createUser('sales_rep');
+        await failLogins(user.email, 2);
+        expect((await login(user.email)).status).toBe(200);
+
+        await failLogins(user.email, 3);
+        const res = await login(user.email);
+
+        expect(res.status).toBe(423);
+        expect(Number(res.headers['retry-after'])).toBeGreaterThan(55);
+        expect(Number(res.headers['retry-after'])).toBeLessThanOrEqual(60);
+    });
+
+    it('should refuse even the right password while locked without counting it', async () => {
+        const user = await createUser('sales_rep');
+        await failLogins(user.email, 3);
+
+        expect((await login(user.email)).status).toBe(423);
+        const row = await dbGet('SELECT failed_login_attempts, lockout_count FROM users WHERE id = ?', [user.id]);
+        expect(row).toEqual({ failed_login_attempts: 0, lockout_count: 1 });
+    });
+
+    it('should double the lockout for every lockout before a successful login, up to the maximum', async () => {
+        const user = await createUser('sales_rep');
+        const retryAfter = async () => Number((await login(user.email)).headers['retry-after']);
+
+        await failLogins(user.email, 3);
+        expect(await retryAfter()).toBeLessThanOrEqual(60);
+
+        await expireLockout(user.id);
+        await failLogins(user.email, 3);
+        expect(await retryAfter()).toBeGreaterThan(115);
+        expect(await retryAfter()).toBeLessThanOrEqual(120);
+
+        await expireLockout(user.id);
+        await failLogins(user.email, 3);
+        expect(await retryAfter()).toBeGreaterThan(175);
+        expect(await retryAfter()).toBeLessThanOrEqual(180);
+    });
+
+    it('should reset the failed logins and the backoff after a successful login', async () => {
+        const user = await createUser('sales_rep');
+        await failLogins(user.email, 3);
+        await expireLockout(user.id);
+
+        expect((await login(user.email)).status).toBe(200);
+        const row = await dbGet('SELECT failed_login_attempts, lockout_count, locked_until FROM users WHERE id = ?', [user.id]);
+        expect(row).toEqual({ failed_login_attempts: 0, lockout_count: 0, locked_until: null });
+
+        await failLogins(user.email, 2);
+        expect((await login(user.email)).status).toBe(200);
+    });
+
+    describe('POST /users/:id/unlock', () => {
+        it('should unlock a locked account', async () => {
+            const admin = await createLoggedInUser('admin');
+            const user = await createUser('sales_rep');
+            await failLogins(user.email, 3);
+
+            const res = await request(app).post(`/users/${user.id}/unlock`).set('Authorization', `Bearer ${admin.token}`);
+
+            expect(res.status).toBe(200);
+            expect((await login(user.email)).status).toBe(200);
+        });
+
+        it('should require the users:unlock permission', async () => {
+            const manager = await createLoggedInUser('manager');
+            const user = await createUser('sales_rep');
+
+            const res = await request(app).post(`/users/${user.id}/unlock`).set('Authorization', `Bearer ${manager.token}`);
+
+            expect(res.status).toBe(403);
+            expect(res.body.error).toBe('Access denied. Missing permission users:unlock.');
+        });
+
+        it('should answer 404 for unknown users', async () => {
+            const admin = await createLoggedInUser('admin');
+
+            const res = await request(app).post('/users/9999/unlock').set('Authorization', `Bearer ${admin.token}`);
+
+            expect(res.status).toBe(404);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,106 @@
+const { app, dbGet, dbRun, databaseReady, closeDatabase, createLoggedInUser, login, mailsTo } = require('./helpers/app');
+const request = require('supertest');
+
+describe('User Management Password Reset Tests', () => {
+    beforeAll(() => databaseReady());
+
+    afterAll(() => closeDatabase());
+
+    const forgot = (email) => request(app).post('/password/forgot').send({ email });
+    const reset = (token, newPassword = 'N3wPassword!') => request(app).post('/password/reset').send({ token, newPassword });
+    // Reset token of the latest password reset mail to an address
+    const mailedToken = async (email, count = 1) => {
+        let mails = await mailsTo(email);
+        for (let attempt = 0; mails.length < count && attempt < 50; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            mails = await mailsTo(email);
+        }
+        return mails[mails.length - 1].text.match(/Reset token: (\S+)/)[1];
+    };
+
+    describe('POST /password/forgot', () => {
+        it('should give the same response whether or not the email belongs to a user', async () => {
+            const user = await createLoggedInUser('sales_rep');
+
+            const known = await forgot(user.email);
+            const unknown = await forgot('nobody@example.com');
+
+            expect(known.status).toBe(200);
+            expect(unknown.status).toBe(200);
+            expect(known.body).toEqual(unknown.body);
+            expect(await mailsTo('nobody@example.com')).toEqual([]);
+        });
+
+        it('should mail a reset token that is only stored as a hash', async () => {
+            const user = await createLoggedInUser('sales_rep');
+            await forgot(user.email);
+
+            const token = await mailedToken(user.email);
+            const row = await dbGet('SELECT token_hash FROM password_reset_tokens WHERE user_id = ?', [user.id]);
+
+            expect(token).toBeDefined();
+            expect(row.token_hash).not.toBe(token);
+        });
+    });
+
+    describe('POST /password/reset', () => {
+        it('should set the new password and revoke the tokens of the user', async () => {
+            const user = await createLoggedInUser('sales_rep');
+            const before = await dbGet('SELECT token_version FROM users WHERE id = ?', [user.id]);
+            await forgot(user.email);
+
+            const res = await reset(await mailedToken(user.email));
+
+            expect(res.status).toBe(200);
+            const after = await dbGet('SELECT token_version FROM users WHERE id = ?', [user.id]);
+            expect(after.token_version).toBe(before.token_version + 1);
+            expect((await request(app).get('/token/verify').set('Authorization', `Bearer ${user.token}`)).status).toBe(403);
+            expect((await request(app).post('/token/refresh').send({ refreshToken: user.refreshToken })).status).toBe(401);
+            expect((await login(user.email)).status).toBe(401);
+            expect((await login(user.email, 'N3wPassword!')).status).toBe(200);
+        });
+
+        it('should accept a reset token only once', async () => {
+            const user = await createLoggedInUser('sales_rep');
+            await forgot(user.email);
+            const token = await mailedToken(user.email);
+
+            expect((await reset(token)).status).toBe(200);
+            const again = await reset(token, 'An0therPassword!');
+
+            expect(again.status).toBe(400);
+            expect(again.body.error).toBe('Invalid or expired password reset token');
+        });
+
+        it('should reject expired reset tokens', async () => {
+            const user = await createLoggedInUser('sales_rep');
+            await forgot(user.email);
+            const token = await mailedToken(user.email);
+            await dbRun('UPDATE password_reset_tokens SET expires_at = ? WHERE user_id = ?', [new Date(Date.now() - 1000).toISOString(), user.id]);
+
+            expect((await reset(token)).status).toBe(400);
+            expect((await login(user.email)).status).toBe(200);
+        });
+
+        it('should invalidate earlier reset tokens when a new one is requested', async () => {
+            const user = await createLoggedInUser('sales_rep');
+            await forgot(user.email);
+            const first = await mailedToken(user.email);
+            await forgot(user.email);
+            const second = await mailedToken(user.email, 2);
+
+            expect((await reset(first)).status).toBe(400);
+            expect((await reset(second)).status).toBe(200);
+        });
+
+        it('should validate the new password', async () => {
+            const user = await createLoggedInUser('sales_rep');
+            await forgot(user.email);
+
+            const res = await reset(await mailedToken(user.email), 'short');
+
+            expect(res.status).toBe(400);
+            expect((await login(user.email)).status).toBe(200);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,92 @@
+const { app, db, dbGet, databaseReady, closeDatabase, createUser, createLoggedInUser } = require('./helpers/app');
+const request = require('supertest');
+const { saveRole } = require('../utils/roles');
+
+describe('User Management Role Tests', () => {
+    let admin;
+
+    beforeAll(async () => {
+        await databaseReady();
+        admin = await createLoggedInUser('admin');
+    });
+
+    afterAll(() => closeDatabase());
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const putRole = (role, permissions) => request(app).put(`/roles/${role}`).set('Authorization', `Bearer ${admin.token}`).send({ permissions });
+    const saveRoleAsync = (role, permissions) => new Promise((resolve, reject) => {
+        saveRole(role, permissions, (err, created) => err ? reject(err) : resolve(created));
+    });
+    const permissionsOf = async (role) => (await request(app).get(`/roles/${role}`).set('Authorization', `Bearer ${admin.token}`)).body.permissions;
+
+    it('should create a role and replace its permissions', async () => {
+        expect((await putRole('auditor', ['users:read', 'roles:read'])).status).toBe(201);
+
+        const res = await putRole('auditor', ['customers:read']);
+
+        expect(res.status).toBe(200);
+        expect(await permissionsOf('auditor')).toEqual(['customers:read']);
+    });
+
+    it('should roll back every change when a statement fails', async () => {
+        await putRole('reviewer', ['users:read']);
+        const user = await createUser('reviewer');
+        const before = await dbGet('SELECT token_version FROM users WHERE id = ?', [user.id]);
+        const run = db.run;
+        jest.spyOn(db, 'run').mockImplementation(function(query, params, callback) {
+            if (query.startsWith('INSERT INTO role_permissions') && params[1] === 'sales:read') {
+                return callback(new Error('SQLITE_IOERR: disk I/O error'));
+            }
+            return run.apply(this, arguments);
+        });
+
+        await expect(saveRoleAsync('reviewer', ['customers:read', 'sales:read', 'notes:read'])).rejects.toThrow('SQLITE_IOERR');
+        jest.restoreAllMocks();
+
+        expect(await permissionsOf('reviewer')).toEqual(['users:read']);
+        expect(await dbGet('SELECT token_version FROM users WHERE id = ?', [user.id])).toEqual(before);
+        // No transaction was left open
+        expect(await saveRoleAsync('reviewer', ['notes:read'])).toBe(false);
+        expect(await permissionsOf('reviewer')).toEqual(['notes:read']);
+    });
+
+    it('should roll back a role that failed to be created', async () => {
+        const run = db.run;
+        jest.spyOn(db, 'run').mockImplementation(function(query, params, callback) {
+            if (query.startsWith('UPDATE users SET token_version')) {
+                return callback(new Error('SQLITE_IOERR: disk I/O error'));
+            }
+            return run.apply(this, arguments);
+        });
+
+        await expect(saveRoleAsync('trainee', ['users:read'])).rejects.toThrow('SQLITE_IOERR');
+
+        expect(await dbGet('SELECT name FROM roles WHERE name = ?', ['trainee'])).toBeUndefined();
+        expect(await dbGet('SELECT COUNT(*) AS total FROM role_permissions WHERE role = ?', ['trainee'])).toEqual({ total: 0 });
+    });
+
+    it('should serialize concurrent saves of a role', async () => {
+        const sets = [['users:read'], ['customers:read', 'customers:write'], ['sales:read'], ['notes:read', 'notes:write'], ['teams:manage']];
+
+        const responses = await Promise.all(sets.map(permissions => putRole('analyst', permissions)));
+
+        expect(responses.map(res => res.status).sort()).toEqual([200, 200, 200, 200, 201]);
+        const permissions = await permissionsOf('analyst');
+        expect(sets.map(set => [...set].sort())).toContainEqual(permissions);
+    });
+
+    it('should need roles:manage to change the role of a user', async () => {
+        const manager = await createLoggedInUser('manager');
+        const user = await createUser('sales_rep');
+        const asManager = (body) => request(app).put(`/users/${user.id}`).set('Authorization', `Bearer ${manager.token}`).send(body);
+
+        const res = await asManager({ role: 'admin' });
+
+        expect(res.status).toBe(403);
+        expect(res.body.error).toBe('Changing the role of a user requires the roles:manage permission');
+        expect(await dbGet('SELECT role FROM users WHERE id = ?', [user.id])).toEqual({ role: 'sales_rep' });
+        expect((await asManager({ name: 'Renamed User', role: 'sales_rep' })).status).toBe(200);
+        expect((await request(app).put(`/users/${user.id}`).set('Authorization', `Bearer ${admin.token}`).send({ role: 'manager' })).status).toBe(200);
+    });
+});
\ No newline at end of file
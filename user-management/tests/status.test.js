@@ -0,0 +1,241 @@
+const { app, dbGet, dbRun, databaseReady, closeDatabase, createUser, createLoggedInUser, login, mailsTo } = require('./helpers/app');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { isTokenCurrent } = require('../utils/tokens');
+
+describe('User Management Account Status Tests', () => {
+    let admin;
+
+    beforeAll(async () => {
+        await databaseReady();
+        admin = await createLoggedInUser('admin');
+    });
+
+    afterAll(() => closeDatabase());
+
+    const asAdmin = (req) => req.set('Authorization', `Bearer ${admin.token}`);
+    const verify = (token) => request(app).get('/token/verify').set('Authorization', `Bearer ${token}`);
+    const refresh = (refreshToken) => request(app).post('/token/refresh').send({ refreshToken });
+    const deactivate = (id) => asAdmin(request(app).delete(`/users/${id}`));
+    const setStatus = (id, status) => asAdmin(request(app).put(`/users/${id}/status`)).send({ status });
+    const purge = (id) => asAdmin(request(app).delete(`/users/${id}/purge`));
+    const listIds = async (query = '') => (await asAdmin(request(app).get(`/users?limit=100${query}`))).body.data.map(user => user.id);
+    const isTokenCurrentAsync = (payload) => new Promise((resolve, reject) => {
+        isTokenCurrent(payload, (err, current) => err ? reject(err) : resolve(current));
+    });
+
+    describe('Deactivation', () => {
+        it('should revoke the tokens of a deactivated user and refuse their login', async () => {
+            const user = await createLoggedInUser('sales_rep');
+
+            const res = await deactivate(user.id);
+
+            expect(res.status).toBe(200);
+            expect(res.body.user.status).toBe('deactivated');
+            expect((await verify(user.token)).body.error).toBe('Token has been revoked.');
+            expect((await refresh(user.refreshToken)).status).toBe(401);
+            const loginRes = await login(user.email);
+            expect(loginRes.status).toBe(403);
+            expect(loginRes.body.error).toBe('Account is deactivated. Please contact an administrator.');
+            expect(loginRes.body.token).toBeUndefined();
+        });
+
+        it('should not reveal the status to a wrong password', async () => {
+            const user = await createUser('sales_rep');
+            await deactivate(user.id);
+
+            expect((await login(user.email, 'Wrong0pass!')).status).toBe(401);
+        });
+
+        it('should answer 409 to deactivating a deactivated user', async () => {
+            const user = await createUser('sales_rep');
+            await deactivate(user.id);
+
+            expect((await deactivate(user.id)).status).toBe(409);
+        });
+
+        it('should not send password reset mails to deactivated users', async () => {
+            const user = await createUser('sales_rep');
+            await deactivate(user.id);
+
+            const res = await request(app).post('/password/forgot').send({ email: user.email });
+
+            expect(res.status).toBe(200);
+            expect(await mailsTo(user.email)).toEqual([]);
+        });
+
+        it('should need the users:delete permission', async () => {
+            const manager = await createLoggedInUser('manager');
+            const user = await createUser('sales_rep');
+
+            const res = await request(app).delete(`/users/${user.id}`).set('Authorization', `Bearer ${manager.token}`);
+
+            expect(res.status).toBe(403);
+        });
+    });
+
+    describe('Suspension', () => {
+        it('should revoke the tokens of a suspended user and refuse their login until the suspension is lifted', async () => {
+            const user = await createLoggedInUser('sales_rep');
+
+            expect((await setStatus(user.id, 'suspended')).status).toBe(200);
+
+            expect((await verify(user.token)).status).toBe(403);
+            const refreshed = await refresh(user.refreshToken);
+            expect(refreshed.status).toBe(401);
+            const loginRes = await login(user.email);
+            expect(loginRes.status).toBe(403);
+            expect(loginRes.body.error).toBe('Account is suspended. Please contact an administrator.');
+
+            expect((await setStatus(user.id, 'active')).status).toBe(200);
+            expect((await login(user.email)).status).toBe(200);
+        });
+
+        it('should only set active or suspended and leave deactivated users to restore', async () => {
+            const user = await createUser('sales_rep');
+
+            expect((await setStatus(user.id, 'deactivated')).status).toBe(400);
+            await deactivate(user.id);
+            expect((await setStatus(user.id, 'active')).status).toBe(409);
+            expect((await setStatus(999999, 'suspended')).status).toBe(404);
+        });
+
+        it('should refuse refresh tokens of users who became inactive without a token version change', async () => {
+            const user = await createLoggedInUser('sales_rep');
+            await dbRun(`UPDATE users SET status = 'suspended' WHERE id = ?`, [user.id]);
+
+            const res = await refresh(user.refreshToken);
+
+            expect(res.status).toBe(401);
+            expect(res.body.error).toBe('Account is suspended');
+        });
+
+        it('should need the users:suspend permission', async () => {
+            const manager = await createLoggedInUser('manager');
+            const user = await createUser('sales_rep');
+
+            const res = await request(app).put(`/users/${user.id}/status`).set('Authorization', `Bearer ${manager.token}`).send({ status: 'suspended' });
+
+            expect(res.status).toBe(403);
+            expect((await dbGet('SELECT status FROM users WHERE id = ?', [user.id])).status).toBe('active');
+        });
+
+        it('should not let users change their own status', async () => {
+            const res = await setStatus(admin.id, 'suspended');
+
+            expect(res.status).toBe(403);
+            expect(res.body.error).toBe('You cannot change your own status');
+            expect((await dbGet('SELECT status FROM users WHERE id = ?', [admin.id])).status).toBe('active');
+        });
+
+        it('should not let users change the status of a user whose role outranks theirs', async () => {
+            const permissions = ['users:suspend', 'customers:read', 'customers:write', 'sales:read', 'sales:write', 'notes:read', 'notes:write'];
+            expect((await asAdmin(request(app).put('/roles/supervisor')).send({ permissions })).status).toBe(201);
+            const supervisor = await createLoggedInUser('supervisor');
+            const asSupervisor = (id) => request(app).put(`/users/${id}/status`).set('Authorization', `Bearer ${supervisor.token}`).send({ status: 'suspended' });
+            const rep = await createUser('sales_rep');
+            const manager = await createUser('manager');
+            const otherAdmin = await createUser('admin');
+
+            expect((await asSupervisor(rep.id)).status).toBe(200);
+            const res = await asSupervisor(manager.id);
+            expect(res.status).toBe(403);
+            expect(res.body.error).toBe('You cannot change the status of a user whose role outranks yours');
+            expect((await asSupervisor(otherAdmin.id)).status).toBe(403);
+            expect((await dbGet('SELECT status FROM users WHERE id = ?', [otherAdmin.id])).status).toBe('active');
+        });
+    });
+
+    describe('Token check', () => {
+        it('should only accept tokens of active users', async () => {
+            const user = await createLoggedInUser('sales_rep');
+            const payload = jwt.decode(user.token);
+            expect(await isTokenCurrentAsync(payload)).toBe(true);
+
+            // The status is checked on its own, even when the token version was not bumped
+            for (const status of ['suspended', 'deactivated']) {
+                await dbRun('UPDATE users SET status = ? WHERE id = ?', [status, user.id]);
+                expect(await isTokenCurrentAsync(payload)).toBe(false);
+            }
+            await dbRun(`UPDATE users SET status = 'active' WHERE id = ?`, [user.id]);
+            expect(await isTokenCurrentAsync(payload)).toBe(true);
+        });
+
+        it('should refuse tokens of purged users', async () => {
+            expect(await isTokenCurrentAsync({ id: 999999, tokenVersion: 0 })).toBe(false);
+        });
+    });
+
+    describe('Listing', () => {
+        it('should hide deactivated users unless asked for', async () => {
+            const active = await createUser('sales_rep');
+            const suspended = await createUser('sales_rep');
+            const deactivated = await createUser('sales_rep');
+            await setStatus(suspended.id, 'suspended');
+            await deactivate(deactivated.id);
+
+            const ids = await listIds();
+            expect(ids).toEqual(expect.arrayContaining([active.id, suspended.id]));
+            expect(ids).not.toContain(deactivated.id);
+
+            const listed = await listIds('&status=deactivated');
+            expect(listed).toContain(deactivated.id);
+            expect(listed).not.toContain(active.id);
+            const suspendedIds = await listIds('&status=suspended');
+            expect(suspendedIds).toContain(suspended.id);
+            expect(suspendedIds).not.toContain(active.id);
+
+            const res = await asAdmin(request(app).get(`/users/${deactivated.id}`));
+            expect(res.body.user.status).toBe('deactivated');
+        });
+
+        it('should refuse an unknown status filter', async () => {
+            const res = await asAdmin(request(app).get('/users?status=removed'));
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('Restore and purge', () => {
+        it('should restore deactivated users without bringing back their tokens', async () => {
+            const user = await createLoggedInUser('sales_rep');
+            expect((await asAdmin(request(app).post(`/users/${user.id}/restore`))).status).toBe(409);
+            await deactivate(user.id);
+
+            const res = await asAdmin(request(app).post(`/users/${user.id}/restore`));
+
+            expect(res.status).toBe(200);
+            expect(res.body.user.status).toBe('active');
+            expect((await verify(user.token)).status).toBe(403);
+            expect((await login(user.email)).status).toBe(200);
+        });
+
+        it('should only purge deactivated users', async () => {
+            const user = await createUser('sales_rep');
+            expect((await purge(user.id)).status).toBe(409);
+            await setStatus(user.id, 'suspended');
+            expect((await purge(user.id)).status).toBe(409);
+            await setStatus(user.id, 'active');
+            await deactivate(user.id);
+
+            const res = await purge(user.id);
+
+            expect(res.status).toBe(200);
+            expect(await dbGet('SELECT id FROM users WHERE id = ?', [user.id])).toBeUndefined();
+            expect((await asAdmin(request(app).get(`/users/${user.id}`))).status).toBe(404);
+            expect((await purge(user.id)).status).toBe(404);
+        });
+
+        it('should remove the credentials of purged users and dissolve their team', async () => {
+            const manager = await createLoggedInUser('manager');
+            const member = await createUser('sales_rep');
+            expect((await asAdmin(request(app).put(`/users/${member.id}/manager`)).send({ managerId: manager.id })).status).toBe(200);
+            await deactivate(manager.id);
+
+            expect((await purge(manager.id)).status).toBe(200);
+
+            expect(await dbGet('SELECT COUNT(*) AS total FROM refresh_tokens WHERE user_id = ?', [manager.id])).toEqual({ total: 0 });
+            expect(await dbGet('SELECT manager_id FROM users WHERE id = ?', [member.id])).toEqual({ manager_id: null });
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,115 @@
+const { app, dbRun, databaseReady, closeDatabase, createLoggedInUser } = require('./helpers/app');
+const request = require('supertest');
+
+describe('User Management Token Tests', () => {
+    beforeAll(() => databaseReady());
+
+    afterAll(() => closeDatabase());
+
+    const refresh = (refreshToken) => request(app).post('/token/refresh').send({ refreshToken });
+    const verify = (token) => request(app).get('/token/verify').set('Authorization', `Bearer ${token}`);
+
+    it('should issue an access and refresh token at login that verify', async () => {
+        const user = await createLoggedInUser('sales_rep');
+
+        expect(user.token).toBeDefined();
+        expect(user.refreshToken).toBeDefined();
+        const res = await verify(user.token);
+        expect(res.status).toBe(200);
+        expect(res.body.user).toEqual({ id: user.id, role: 'sales_rep' });
+    });
+
+    describe('POST /token/refresh', () => {
+        it('should require a refresh token', async () => {
+            const res = await request(app).post('/token/refresh').send({});
+
+            expect(res.status).toBe(400);
+        });
+
+        it('should rotate the refresh token and accept each one only once', async () => {
+            const user = await createLoggedInUser('sales_rep');
+
+            const first = await refresh(user.refreshToken);
+            expect(first.status).toBe(200);
+            expect(first.body.refreshToken).not.toBe(user.refreshToken);
+            expect((await verify(first.body.token)).status).toBe(200);
+
+            const second = await refresh(first.body.refreshToken);
+            expect(second.status).toBe(200);
+        });
+
+        it('should revoke the whole token family when a used refresh token is presented again', async () => {
+            const user = await createLoggedInUser('sales_rep');
+            const rotated = await refresh(user.refreshToken);
+
+            const reused = await refresh(user.refreshToken);
+            expect(reused.status).toBe(401);
+            expect(reused.body.error).toBe('Invalid refresh token');
+
+            // The token issued by the rotation and the access tokens of the user are revoked as well
+            expect((await refresh(rotated.body.refreshToken)).status).toBe(401);
+            expect((await verify(rotated.body.token)).status).toBe(403);
+            expect((await verify(user.token)).status).toBe(403);
+        });
+
+        it('should reject expired refresh tokens', async () => {
+            const user = await createLoggedInUser('sales_rep');
+            await dbRun('UPDATE refresh_tokens SET expires_at = ? WHERE user_id = ?', [new Date(Date.now() - 1000).toISOString(), user.id]);
+
+            const res = await refresh(user.refreshToken);
+
+            expect(res.status).toBe(401);
+            expect(res.body.error).toBe('Refresh token expired');
+        });
+
+        it('should reject unknown refresh tokens', async () => {
+            const res = await refresh('unknown');
+
+            expect(res.status).toBe(401);
+            expect(res.body.error).toBe('Invalid refresh token');
+        });
+    });
+
+    describe('POST /logout', () => {
+        it('should revoke the access and refresh tokens of the user', async () => {
+            const user = await createLoggedInUser('sales_rep');
+
+            const res = await request(app).post('/logout').set('Authorization', `Bearer ${user.token}`);
+            expect(res.status).toBe(200);
+
+            const verified = await verify(user.token);
+            expect(verified.status).toBe(403);
+            expect(verified.body.error).toBe('Token has been revoked.');
+            expect((await refresh(user.refreshToken)).status).toBe(401);
+        });
+
+        it('should leave the sessions of other users alone', async () => {
+            const user = await createLoggedInUser('sales_rep');
+            const other = await createLoggedInUser('sales_rep');
+
+            await request(app).post('/logout').set('Authorization', `Bearer ${user.token}`);
+
+            expect((await verify(other.token)).status).toBe(200);
+        });
+    });
+
+    describe('Token version', () => {
+        it('should revoke tokens carrying an outdated token version', async () => {
+            const user = await createLoggedInUser('sales_rep');
+            await dbRun('UPDATE users SET token_version = token_version + 1 WHERE id = ?', [user.id]);
+
+            expect((await verify(user.token)).status).toBe(403);
+        });
+
+        it('should revoke the tokens of a user whose role changes', async () => {
+            const user = await createLoggedInUser('sales_rep');
+            const admin = await createLoggedInUser('admin');
+
+            const res = await request(app).put(`/users/${user.id}`).set('Authorization', `Bearer ${admin.token}`).send({ role: 'manager' });
+            expect(res.status).toBe(200);
+
+            expect((await verify(user.token)).status).toBe(403);
+            expect((await verify(admin.token)).status).toBe(200);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,49 @@
+const { generateSecret, generateCode, verifyCode, provisioningUri } = require('../utils/totp');
+
+// Shared secret of the RFC 6238 test vectors, "12345678901234567890" base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// RFC 6238 appendix B SHA1 vectors, the last 6 of their 8 digits as authenticator apps show them
+const RFC_VECTORS = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+];
+
+describe('TOTP Tests', () => {
+    it.each(RFC_VECTORS)('should generate the RFC 6238 code at %i seconds', (seconds, code) => {
+        expect(generateCode(RFC_SECRET, Math.floor(seconds / 30))).toBe(code);
+    });
+
+    it('should accept codes of the current and adjacent time steps and return their step', () => {
+        const now = 1234567890 * 1000;
+        const step = Math.floor(now / 1000 / 30);
+
+        expect(verifyCode(RFC_SECRET, '005924', now)).toBe(step);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), now)).toBe(step - 1);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), now)).toBe(step + 1);
+        expect(verifyCode(RFC_SECRET, '005 924', now)).toBe(step);
+    });
+
+    it('should reject codes of other time steps and malformed codes', () => {
+        const now = 1234567890 * 1000;
+        const step = Math.floor(now / 1000 / 30);
+
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), now)).toBeNull();
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), now)).toBeNull();
+        expect(verifyCode(RFC_SECRET, '12345', now)).toBeNull();
+        expect(verifyCode(RFC_SECRET, 'abcdef', now)).toBeNull();
+        expect(verifyCode(RFC_SECRET, undefined, now)).toBeNull();
+    });
+
+    it('should generate distinct base32 secrets with a provisioning URI for authenticator apps', () => {
+        const secret = generateSecret();
+
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(secret).not.toBe(generateSecret());
+        expect(provisioningUri(secret, 'a@example.com', 'CRM')).toBe(`otpauth://totp/CRM%3Aa%40example.com?secret=${secret}&issuer=CRM&algorithm=SHA1&digits=6&period=30`);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,168 @@
+process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin';
+
+const { app, databaseReady, closeDatabase, createUser, createLoggedInUser, login } = require('./helpers/app');
+const request = require('supertest');
+const { generateCode } = require('../utils/totp');
+
+describe('User Management Two-Factor Tests', () => {
+    beforeAll(() => databaseReady());
+
+    afterAll(() => closeDatabase());
+
+    const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+    const loginWithCode = (challengeToken, body) => request(app).post('/login/2fa').send({ challengeToken, ...body });
+
+    // Create an admin and enroll them during their first login - Resolves the secret, the time step of the code used and the recovery codes
+    const enrollAdmin = async () => {
+        const admin = await createUser('admin');
+        const { challengeToken } = (await login(admin.email)).body;
+        const setup = await request(app).post('/2fa/setup').send({ challengeToken });
+        const step = currentStep();
+        const enabled = await request(app).post('/2fa/enable').send({ challengeToken, code: generateCode(setup.body.secret, step) });
+        return { ...admin, secret: setup.body.secret, step, recoveryCodes: enabled.body.recoveryCodes };
+    };
+
+    it('should make admins enroll before they get tokens', async () => {
+        const admin = await createUser('admin');
+
+        const res = await login(admin.email);
+
+        expect(res.status).toBe(200);
+        expect(res.body.twoFactorSetupRequired).toBe(true);
+        expect(res.body.challengeToken).toBeDefined();
+        expect(res.body.token).toBeUndefined();
+    });
+
+    it('should let roles without the requirement log in with the password only', async () => {
+        const user = await createUser('sales_rep');
+
+        const res = await login(user.email);
+
+        expect(res.status).toBe(200);
+        expect(res.body.token).toBeDefined();
+    });
+
+    it('should enroll with the setup challenge and a code of the new secret', async () => {
+        const admin = await createUser('admin');
+        const { challengeToken } = (await login(admin.email)).body;
+        const setup = await request(app).post('/2fa/setup').send({ challengeToken });
+
+        expect(setup.status).toBe(200);
+        expect(setup.body.otpauthUrl).toContain(setup.body.secret);
+        const wrong = await request(app).post('/2fa/enable').send({ challengeToken, code: generateCode(setup.body.secret, currentStep() + 5) });
+        expect(wrong.status).toBe(400);
+
+        const res = await request(app).post('/2fa/enable').send({ challengeToken, code: generateCode(setup.body.secret) });
+        expect(res.status).toBe(200);
+        expect(res.body.token).toBeDefined();
+        expect(res.body.recoveryCodes).toHaveLength(10);
+    });
+
+    it('should ask enrolled users for a code and reject a replayed code', async () => {
+        const admin = await enrollAdmin();
+
+        const first = await login(admin.email);
+        expect(first.body.twoFactorRequired).toBe(true);
+        expect(first.body.token).toBeUndefined();
+
+        // The code that confirmed the enrollment was used already
+        const replayed = await loginWithCode(first.body.challengeToken, { code: generateCode(admin.secret, admin.step) });
+        expect(replayed.status).toBe(401);
+        expect(replayed.body.error).toBe('Invalid two-factor code');
+
+        const res = await loginWithCode(first.body.challengeToken, { code: generateCode(admin.secret, admin.step + 1) });
+        expect(res.status).toBe(200);
+        expect(res.body.token).toBeDefined();
+
+        const second = await login(admin.email);
+        expect((await loginWithCode(second.body.challengeToken, { code: generateCode(admin.secret, admin.step + 1) })).status).toBe(401);
+    });
+
+    it('should accept each recovery code once', async () => {
+        const admin = await enrollAdmin();
+        const [recoveryCode] = admin.recoveryCodes;
+
+        const first = await login(admin.email);
+        expect((await loginWithCode(first.body.challengeToken, { recoveryCode })).status).toBe(200);
+
+        const second = await login(admin.email);
+        const res = await loginWithCode(second.body.challengeToken, { recoveryCode });
+        expect(res.status).toBe(401);
+        expect((await loginWithCode(second.body.challengeToken, { recoveryCode: admin.recoveryCodes[1] })).status).toBe(200);
+    });
+
+    describe('Challenge tokens', () => {
+        it('should reject a challenge token of another purpose', async () => {
+            const admin = await createUser('admin');
+            const { challengeToken } = (await login(admin.email)).body;
+
+            // A setup challenge does not complete a login
+            const res = await loginWithCode(challengeToken, { code: '123456' });
+
+            expect(res.status).toBe(401);
+            expect(res.body.error).toBe('Invalid or expired challenge token');
+        });
+
+        it('should reject a login challenge for enrollment', async () => {
+            const admin = await enrollAdmin();
+            const { challengeToken } = (await login(admin.email)).body;
+
+            const res = await request(app).post('/2fa/setup').send({ challengeToken });
+
+            expect(res.status).toBe(401);
+        });
+
+        it('should never accept challenge tokens as access tokens', async () => {
+            const admin = await enrollAdmin();
+            const { challengeToken } = (await login(admin.email)).body;
+
+            const res = await request(app).get('/token/verify').set('Authorization', `Bearer ${challengeToken}`);
+
+            expect(res.status).toBe(403);
+            expect(res.body.error).toBe('Invalid or expired token.');
+        });
+
+        it('should refuse to load without SECRET_KEY', () => {
+            const secretKey = process.env.SECRET_KEY;
+            delete process.env.SECRET_KEY;
+            try {
+                jest.isolateModules(() => {
+                    jest.doMock('dotenv', () => ({ config: () => ({}) }));
+                    jest.doMock('../utils/db', () => ({}));
+                    expect(() => require('../utils/twofactor')).toThrow('SECRET_KEY must be set to sign two-factor challenge tokens');
+                });
+            } finally {
+                jest.dontMock('dotenv');
+                jest.dontMock('../utils/db');
+                process.env.SECRET_KEY = secretKey;
+            }
+        });
+    });
+
+    it('should not let admins turn two-factor authentication off', async () => {
+        const admin = await enrollAdmin();
+        const { challengeToken } = (await login(admin.email)).body;
+        const { token } = (await loginWithCode(challengeToken, { recoveryCode: admin.recoveryCodes[0] })).body;
+
+        const res = await request(app).post('/2fa/disable').set('Authorization', `Bearer ${token}`)
+            .send({ password: 'Passw0rd!x', recoveryCode: admin.recoveryCodes[1] });
+
+        expect(res.status).toBe(403);
+        expect(res.body.error).toBe('Two-factor authentication is mandatory for your role');
+    });
+
+    it('should let other roles turn two-factor authentication on and off', async () => {
+        const user = await createLoggedInUser('sales_rep');
+        const auth = `Bearer ${user.token}`;
+        const setup = await request(app).post('/2fa/setup').set('Authorization', auth);
+        const step = currentStep();
+        const enabled = await request(app).post('/2fa/enable').set('Authorization', auth).send({ code: generateCode(setup.body.secret, step) });
+        expect(enabled.status).toBe(200);
+        expect((await login(user.email)).body.twoFactorRequired).toBe(true);
+
+        const res = await request(app).post('/2fa/disable').set('Authorization', auth).send({ password: 'Passw0rd!x', code: generateCode(setup.body.secret, step + 1) });
+
+        expect(res.status).toBe(200);
+        expect((await login(user.email)).body.token).toBeDefined();
+    });
+});
\ No newline at end of file
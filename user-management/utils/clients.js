@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const db = require('./db');
+const logger = require('../middleware/logger');
+const { runTransaction } = require('./transaction');
+
+// Client ids as sent in token requests, usually the name of the calling service
+const CLIENT_ID_PATTERN = /^[a-z][a-z0-9-]{2,63}$/;
+
+// Role carried by machine tokens, which name a client instead of a user
+const CLIENT_ROLE = 'service';
+
+// Client secrets are random, only stored as hashes and shown once when created or rotated
+function generateSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+// Client id and secret of HTTP Basic credentials, both url encoded and separated by a colon (RFC 6749 section 2.3.1)
+// Returns null if the credentials are malformed
+function basicCredentials(encoded) {
+    const credentials = Buffer.from(encoded, 'base64').toString();
+    const separator = credentials.indexOf(':');
+    if (separator === -1) {
+        return null;
+    }
+    try {
+        return {
+            clientId: decodeURIComponent(credentials.slice(0, separator)),
+            clientSecret: decodeURIComponent(credentials.slice(separator + 1))
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Validate a client id - Returns an error message, or null if valid
+function validateClientId(clientId) {
+    if (!CLIENT_ID_PATTERN.test(clientId)) {
+        return 'Client id must be 3-64 lowercase letters, digits or dashes and start with a letter';
+    }
+    return null;
+}
+
+// All clients with their permissions, or the client with an id when given
+function listClients(clientId, callback) {
+    const filter = clientId ? ' WHERE client_id = ?' : '';
+    const query = `SELECT client_id, description, created_at, updated_at FROM service_clients${filter} ORDER BY client_id`;
+    db.all(query, clientId ? [clientId] : [], (err, clients) => {
+        if (err) {
+            return callback(err);
+        }
+        db.all('SELECT client_id, permission FROM client_permissions ORDER BY permission', [], (err, rows) => {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, clients.map(client => ({
+                ...client,
+                permissions: rows.filter(row => row.client_id === client.client_id).map(row => row.permission)
+            })));
+        });
+    });
+}
+
+// Permissions granted to a client
+function permissionsOfClient(clientId, callback) {
+    db.all('SELECT permission FROM client_permissions WHERE client_id = ? ORDER BY permission', [clientId], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, rows.map(row => row.permission));
+    });
+}
+
+// Register a client or replace its description and permissions - Calls back with the secret of a new client, or null if it existed
+// Machine tokens of an existing client carry the old permissions, its token version is bumped so they stop working
+function saveClient(clientId, description, permissions, callback) {
+    runTransaction((done) => {
+        db.get('SELECT client_id FROM service_clients WHERE client_id = ?', [clientId], (err, existing) => {
+            if (err) {
+                return done(err);
+            }
+            const secret = existing ? null : generateSecret();
+            done(null, [
+                existing
+                    ? ['UPDATE service_clients SET description = ?, token_version = token_version + 1, updated_at = CURRENT_TIMESTAMP WHERE client_id = ?', [description || null, clientId]]
+                    : ['INSERT INTO service_clients (client_id, description, secret_hash) VALUES (?, ?, ?)', [clientId, description || null, hashSecret(secret)]],
+                ['DELETE FROM client_permissions WHERE client_id = ?', [clientId]],
+                ...[...new Set(permissions)].map(permission => ['INSERT INTO client_permissions (client_id, permission) VALUES (?, ?)', [clientId, permission]])
+            ], { existing, secret });
+        });
+    }, (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        logger.info(`Service client ${result.existing ? 'updated' : 'created'}: ${clientId} with permissions ${permissions.join(', ') || 'none'}`);
+        callback(null, result.secret);
+    });
+}
+
+// Replace the secret of a client and revoke its machine tokens - Calls back with the new secret, or null if the client is unknown
+function rotateSecret(clientId, callback) {
+    const secret = generateSecret();
+    const query = 'UPDATE service_clients SET secret_hash = ?, token_version = token_version + 1, updated_at = CURRENT_TIMESTAMP WHERE client_id = ?';
+    db.run(query, [hashSecret(secret), clientId], function(err) {
+        if (err || this.changes === 0) {
+            return callback(err, null);
+        }
+        logger.warn(`Secret of service client ${clientId} rotated`);
+        callback(null, secret);
+    });
+}
+
+// Delete a client, its machine tokens stop working - Calls back with true if the client existed
+function deleteClient(clientId, callback) {
+    db.run('DELETE FROM client_permissions WHERE client_id = ?', [clientId], (err) => {
+        if (err) {
+            return callback(err);
+        }
+        db.run('DELETE FROM service_clients WHERE client_id = ?', [clientId], function(err) {
+            if (!err && this.changes === 1) {
+                logger.info(`Service client deleted: ${clientId}`);
+            }
+            callback(err, !err && this.changes === 1);
+        });
+    });
+}
+
+// Check the credentials of a client - Calls back with the client row, or null if the id is unknown or the secret is wrong
+function authenticateClient(clientId, secret, callback) {
+    db.get('SELECT client_id, secret_hash, token_version FROM service_clients WHERE client_id = ?', [String(clientId)], (err, client) => {
+        if (err || !client) {
+            return callback(err, null);
+        }
+        const presented = Buffer.from(hashSecret(secret));
+        const valid = crypto.timingSafeEqual(presented, Buffer.from(client.secret_hash));
+        callback(null, valid ? client : null);
+    });
+}
+
+module.exports = {
+    CLIENT_ROLE,
+    basicCredentials,
+    validateClientId,
+    listClients,
+    permissionsOfClient,
+    saveClient,
+    rotateSecret,
+    deleteClient,
+    authenticateClient
+};
\ No newline at end of file
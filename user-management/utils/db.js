@@ -1,24 +1,236 @@
 const sqlite3 = require('sqlite3').verbose();
 const logger = require('../middleware/logger');
+const { bindQueryCallbacks } = require('./context');
+const { observeQueries } = require('../middleware/metrics');
+const { PERMISSIONS, DEFAULT_ROLES } = require('./permissions');
+require('dotenv').config();
 
-const db = new sqlite3.Database('./database/user-management.db', (err) => {
+// SQLite file of the service, tests use ':memory:'
+const DATABASE_FILE = process.env.DATABASE_FILE || './database/user-management.db';
+
+// Columns of the users table, the role is a row of the roles table
+const USERS_COLUMNS = `
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    email TEXT UNIQUE NOT NULL,
+    password TEXT NOT NULL,
+    role TEXT NOT NULL REFERENCES roles(name),
+    manager_id INTEGER REFERENCES users(id),
+    status TEXT NOT NULL DEFAULT 'active',
+    token_version INTEGER NOT NULL DEFAULT 0,
+    failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+    lockout_count INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP,
+    totp_secret TEXT,
+    totp_enabled INTEGER NOT NULL DEFAULT 0,
+    totp_last_step INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+`;
+
+const db = new sqlite3.Database(DATABASE_FILE, (err) => {
     if (err) {
         logger.error(`Database Error: ${err.message}`);
         console.error(err.message);
     } else {
         console.log('Connected to the SQLite database.');
+        // Roles and their permissions are seeded once their tables exist
+        db.serialize(() => {
+            db.run(`
+                CREATE TABLE IF NOT EXISTS roles (
+                    name TEXT PRIMARY KEY,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                );
+            `);
+            db.run(`
+                CREATE TABLE IF NOT EXISTS role_permissions (
+                    role TEXT NOT NULL,
+                    permission TEXT NOT NULL,
+                    PRIMARY KEY (role, permission),
+                    FOREIGN KEY (role) REFERENCES roles(name) ON DELETE CASCADE
+                );
+            `);
+            db.run(`
+                CREATE TABLE IF NOT EXISTS known_permissions (
+                    permission TEXT PRIMARY KEY,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                );
+            `);
+            seedRoles();
+        });
+        db.run(`CREATE TABLE IF NOT EXISTS users (${USERS_COLUMNS});`);
+        // Databases created by earlier versions lack the token version, lockout, two-factor, team and status columns
+        addColumnIfMissing('users', 'token_version', 'INTEGER NOT NULL DEFAULT 0');
+        addColumnIfMissing('users', 'failed_login_attempts', 'INTEGER NOT NULL DEFAULT 0');
+        addColumnIfMissing('users', 'lockout_count', 'INTEGER NOT NULL DEFAULT 0');
+        addColumnIfMissing('users', 'locked_until', 'TIMESTAMP');
+        addColumnIfMissing('users', 'totp_secret', 'TEXT');
+        addColumnIfMissing('users', 'totp_enabled', 'INTEGER NOT NULL DEFAULT 0');
+        addColumnIfMissing('users', 'totp_last_step', 'INTEGER');
+        addColumnIfMissing('users', 'manager_id', 'INTEGER REFERENCES users(id)');
+        addColumnIfMissing('users', 'status', "TEXT NOT NULL DEFAULT 'active'");
+        removeRoleCheck();
+        db.run(`
+            CREATE TABLE IF NOT EXISTS refresh_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                token_hash TEXT UNIQUE NOT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                revoked_at TIMESTAMP,
+                replaced_by INTEGER,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+        `);
         db.run(`
-            CREATE TABLE IF NOT EXISTS users (
+            CREATE TABLE IF NOT EXISTS recovery_codes (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name TEXT NOT NULL,
-                email TEXT UNIQUE NOT NULL,
-                password TEXT NOT NULL,
-                role TEXT CHECK(role IN ('admin', 'manager', 'sales_rep', 'customer')) NOT NULL,
+                user_id INTEGER NOT NULL,
+                code_hash TEXT NOT NULL,
+                used_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+        `);
+        db.run(`
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                token_hash TEXT UNIQUE NOT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                used_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            );
+        `);
+        // Key pairs signing access tokens, the newest signs and all are published for verification
+        db.run(`
+            CREATE TABLE IF NOT EXISTS signing_keys (
+                kid TEXT PRIMARY KEY,
+                algorithm TEXT NOT NULL,
+                private_key TEXT NOT NULL,
+                public_key TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        // Services calling other services authenticate as clients with a secret instead of a user account
+        db.run(`
+            CREATE TABLE IF NOT EXISTS service_clients (
+                client_id TEXT PRIMARY KEY,
+                description TEXT,
+                secret_hash TEXT NOT NULL,
+                token_version INTEGER NOT NULL DEFAULT 0,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             );
         `);
+        db.run(`
+            CREATE TABLE IF NOT EXISTS client_permissions (
+                client_id TEXT NOT NULL,
+                permission TEXT NOT NULL,
+                PRIMARY KEY (client_id, permission),
+                FOREIGN KEY (client_id) REFERENCES service_clients(client_id) ON DELETE CASCADE
+            );
+        `);
     }
 });
 
+// Create the default roles in a database without roles, then grant the permissions new to the database
+function seedRoles() {
+    db.get('SELECT COUNT(*) AS total FROM roles', [], (err, result) => {
+        if (err) {
+            return logger.error(`Database Error: ${err.message}`);
+        }
+        db.serialize(() => {
+            if (result.total === 0) {
+                Object.keys(DEFAULT_ROLES).forEach(role => {
+                    db.run('INSERT OR IGNORE INTO roles (name) VALUES (?)', [role]);
+                });
+                logger.info(`Created default roles: ${Object.keys(DEFAULT_ROLES).join(', ')}`);
+            }
+            grantNewPermissions();
+        });
+    });
+}
+
+// Grant permissions the database has not seen before to the default roles that have them,
+// once only so permissions later taken away from a role through the API stay taken away
+function grantNewPermissions() {
+    db.all('SELECT permission FROM known_permissions', [], (err, rows) => {
+        if (err) {
+            return logger.error(`Database Error: ${err.message}`);
+        }
+        const known = rows.map(row => row.permission);
+        const added = Object.keys(PERMISSIONS).filter(permission => !known.includes(permission));
+        if (added.length === 0) {
+            return;
+        }
+        db.serialize(() => {
+            added.forEach(permission => {
+                Object.keys(DEFAULT_ROLES).filter(role => DEFAULT_ROLES[role].includes(permission)).forEach(role => {
+                    db.run('INSERT OR IGNORE INTO role_permissions (role, permission) SELECT name, ? FROM roles WHERE name = ?', [permission, role]);
+                });
+                db.run('INSERT INTO known_permissions (permission) VALUES (?)', [permission]);
+            });
+        });
+        logger.info(`Granted new permissions to the default roles: ${added.join(', ')}`);
+    });
+}
+
+// Databases created by earlier versions restrict the role of users with a CHECK constraint listing the roles,
+// rebuild the users table without it so roles created through the API can be assigned
+function removeRoleCheck() {
+    db.get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'users'`, [], (err, table) => {
+        if (err) {
+            return logger.error(`Database Error: ${err.message}`);
+        }
+        if (!table || !table.sql.includes('CHECK(role IN')) {
+            return;
+        }
+        db.all('PRAGMA table_info(users)', [], (err, columns) => {
+            if (err) {
+                return logger.error(`Database Error: ${err.message}`);
+            }
+            const names = columns.map(column => column.name).join(', ');
+            db.serialize(() => {
+                db.run('BEGIN TRANSACTION');
+                db.run(`CREATE TABLE users_without_role_check (${USERS_COLUMNS});`);
+                db.run(`INSERT INTO users_without_role_check (${names}) SELECT ${names} FROM users`);
+                db.run('DROP TABLE users');
+                db.run('ALTER TABLE users_without_role_check RENAME TO users');
+                db.run('COMMIT', [], (err) => {
+                    if (err) {
+                        db.run('ROLLBACK');
+                        return logger.error(`Database Error: ${err.message}`);
+                    }
+                    logger.info('Removed the role CHECK constraint of table users');
+                });
+            });
+        });
+    });
+}
+
+// Add a column to a table created by an earlier version of the service
+function addColumnIfMissing(table, column, definition) {
+    db.all(`PRAGMA table_info(${table})`, [], (err, columns) => {
+        if (err) {
+            return logger.error(`Database Error: ${err.message}`);
+        }
+        if (!columns.some(existing => existing.name === column)) {
+            db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, [], (err) => {
+                if (err) {
+                    return logger.error(`Database Error: ${err.message}`);
+                }
+                logger.info(`Added column ${column} to table ${table}`);
+            });
+        }
+    });
+}
+
+// Keep the request context in query callbacks so their log lines carry the request id
+bindQueryCallbacks(db);
+// Observe query durations for /metrics
+observeQueries(db);
+
 module.exports = db;
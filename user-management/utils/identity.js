@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const logger = require('../middleware/logger');
+require('dotenv').config();
+
+const GATEWAY_IDENTITY_SECRET = process.env.GATEWAY_IDENTITY_SECRET;
+const GATEWAY_IDENTITY_MAX_AGE = Number(process.env.GATEWAY_IDENTITY_MAX_AGE) || 30000; // 30 seconds
+
+// Check the signature the gateway adds to every forwarded request - Returns false if missing, invalid or too old
+function isFromGateway(req) {
+    const userId = req.header('X-User-Id') || '';
+    const clientId = req.header('X-Client-Id');
+    const role = req.header('X-User-Role') || '';
+    const permissions = req.header('X-User-Permissions') || '';
+    const timestamp = req.header('X-Gateway-Timestamp');
+    const signature = req.header('X-Gateway-Signature');
+    if (!GATEWAY_IDENTITY_SECRET || !timestamp || !signature) {
+        return false;
+    }
+
+    // The method and path the request was sent to are signed first, so the identity is only valid for this request.
+    // Service clients are signed as "client:<id>" in place of the user id,
+    // permissions are only part of the signed message when the gateway forwards any
+    const path = req.originalUrl.split('?')[0];
+    const subject = clientId ? `client:${clientId}` : userId;
+    const message = `${req.method} ${path}\n${subject}:${role}:${timestamp}${permissions ? `:${permissions}` : ''}`;
+    const expected = crypto.createHmac('sha256', GATEWAY_IDENTITY_SECRET).update(message).digest('hex');
+    const valid = signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    if (!valid || Math.abs(Date.now() - Number(timestamp)) > GATEWAY_IDENTITY_MAX_AGE) {
+        logger.warn(`Ignored invalid or expired gateway signature${subject ? ` for ${clientId ? 'service client' : 'user'} ${clientId || userId}` : ''}`);
+        return false;
+    }
+    return true;
+}
+
+// Verify the identity forwarded by the gateway - Returns the user or service client, or null if missing, invalid or too old
+// Service clients are returned with their clientId instead of a user id
+function verifyGatewayIdentity(req) {
+    const userId = req.header('X-User-Id');
+    const clientId = req.header('X-Client-Id');
+    const role = req.header('X-User-Role');
+    if ((!userId && !clientId) || !role || !isFromGateway(req)) {
+        return null;
+    }
+    const permissions = req.header('X-User-Permissions');
+    const subject = clientId ? { clientId } : { id: parseInt(userId, 10) };
+    return { ...subject, role, permissions: permissions ? permissions.split(',') : [] };
+}
+
+module.exports = { isFromGateway, verifyGatewayIdentity };
\ No newline at end of file
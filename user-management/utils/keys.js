@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('./db');
+const logger = require('../middleware/logger');
+require('dotenv').config();
+
+const JWT_ALGORITHM = process.env.JWT_ALGORITHM || 'RS256'; // RS256 or ES256, used for new keys
+const KEYS_CACHE_TTL = Number(process.env.KEYS_CACHE_TTL) || 60000; // 1 minute
+
+// Key pairs generated for each signing algorithm
+const KEY_TYPES = {
+    RS256: ['rsa', { modulusLength: 2048 }],
+    ES256: ['ec', { namedCurve: 'P-256' }]
+};
+
+// Only asymmetric algorithms are accepted, so a published public key can never be used as an HMAC secret
+const ALGORITHMS = Object.keys(KEY_TYPES);
+
+if (!KEY_TYPES[JWT_ALGORITHM]) {
+    throw new Error(`Unknown JWT algorithm '${JWT_ALGORITHM}'. Must be one of: ${ALGORITHMS.join(', ')}`);
+}
+
+// Keys of the database, newest first, reloaded after KEYS_CACHE_TTL so keys rotated by other instances are picked up
+let cache = null;
+
+function loadKeys(callback, force = false) {
+    if (!force && cache && cache.expiresAt > Date.now()) {
+        return callback(null, cache.keys);
+    }
+    const query = 'SELECT kid, algorithm, private_key, public_key, created_at FROM signing_keys ORDER BY created_at DESC, rowid DESC';
+    db.all(query, [], (err, keys) => {
+        if (err) {
+            return callback(err);
+        }
+        cache = { keys, expiresAt: Date.now() + KEYS_CACHE_TTL };
+        callback(null, keys);
+    });
+}
+
+// Generate and store a key pair for JWT_ALGORITHM, it signs every token from now on - Calls back with its kid
+function createKey(callback) {
+    const [type, options] = KEY_TYPES[JWT_ALGORITHM];
+    const encoding = { publicKeyEncoding: { type: 'spki', format: 'pem' }, privateKeyEncoding: { type: 'pkcs8', format: 'pem' } };
+    crypto.generateKeyPair(type, { ...options, ...encoding }, (err, publicKey, privateKey) => {
+        if (err) {
+            return callback(err);
+        }
+        const kid = crypto.randomBytes(8).toString('hex');
+        const query = 'INSERT INTO signing_keys (kid, algorithm, private_key, public_key) VALUES (?, ?, ?, ?)';
+        db.run(query, [kid, JWT_ALGORITHM, privateKey, publicKey], (err) => {
+            if (err) {
+                return callback(err);
+            }
+            cache = null;
+            logger.info(`Signing key created: ${kid} (${JWT_ALGORITHM})`);
+            callback(null, kid);
+        });
+    });
+}
+
+// Creation of the first key of an empty database, shared by every caller so concurrent first logins create one key
+let firstKey = null;
+
+// Newest key, which signs new tokens - The first key is created when the database has none
+function signingKey(callback) {
+    loadKeys((err, keys) => {
+        if (err) {
+            return callback(err);
+        }
+        if (keys.length > 0) {
+            return callback(null, keys[0]);
+        }
+        if (!firstKey) {
+            firstKey = new Promise((resolve, reject) => {
+                createKey((err) => {
+                    if (err) {
+                        return reject(err);
+                    }
+                    loadKeys((err, keys) => err ? reject(err) : resolve(keys[0]), true);
+                });
+            });
+            // A failed creation is tried again by the next caller
+            firstKey.catch(() => {
+                firstKey = null;
+            });
+        }
+        firstKey.then(key => callback(null, key), callback);
+    });
+}
+
+// Sign a token with the signing key, its kid is set in the header so verifiers pick the matching public key
+function signToken(payload, expiresIn, callback) {
+    signingKey((err, key) => {
+        if (err) {
+            return callback(err);
+        }
+        jwt.sign(payload, key.private_key, { algorithm: key.algorithm, keyid: key.kid, expiresIn }, callback);
+    });
+}
+
+// Public key for the header of a token being verified, keys are reloaded once when the kid is unknown
+function publicKeyFor(header, callback) {
+    const find = (keys) => keys.find(key => key.kid === header.kid);
+    loadKeys((err, keys) => {
+        if (err) {
+            return callback(err);
+        }
+        if (find(keys)) {
+            return callback(null, find(keys).public_key);
+        }
+        loadKeys((err, keys) => {
+            if (err) {
+                return callback(err);
+            }
+            const key = find(keys);
+            if (!key) {
+                return callback(new Error(`Unknown signing key ${header.kid}`));
+            }
+            callback(null, key.public_key);
+        }, true);
+    });
+}
+
+// Verify the signature and expiry of a token - Calls back with its payload
+function verifyToken(token, callback) {
+    jwt.verify(token, publicKeyFor, { algorithms: ALGORITHMS }, callback);
+}
+
+// Public keys as a JSON Web Key Set, every stored key is published so tokens signed before a rotation stay valid
+function publicJwks(callback) {
+    signingKey((err) => {
+        if (err) {
+            return callback(err);
+        }
+        loadKeys((err, keys) => {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, {
+                keys: keys.map(key => ({
+                    ...crypto.createPublicKey(key.public_key).export({ format: 'jwk' }),
+                    kid: key.kid,
+                    alg: key.algorithm,
+                    use: 'sig'
+                }))
+            });
+        });
+    });
+}
+
+// Stored keys without their private part, newest first
+function listKeys(callback) {
+    loadKeys((err, keys) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, keys.map((key, index) => ({ kid: key.kid, algorithm: key.algorithm, created_at: key.created_at, signing: index === 0 })));
+    }, true);
+}
+
+// Delete a key, tokens signed with it stop working - Calls back with an error message when the key signs new tokens
+function retireKey(kid, callback) {
+    signingKey((err, key) => {
+        if (err) {
+            return callback(err);
+        }
+        if (key.kid === kid) {
+            return callback(null, 'The signing key cannot be retired, rotate the keys first');
+        }
+        db.run('DELETE FROM signing_keys WHERE kid = ?', [kid], (err) => {
+            if (!err) {
+                cache = null;
+                logger.warn(`Signing key retired: ${kid}`);
+            }
+            callback(err, null);
+        });
+    });
+}
+
+module.exports = { signToken, verifyToken, publicJwks, listKeys, createKey, retireKey };
\ No newline at end of file
@@ -0,0 +1,51 @@
+const db = require('./db');
+const logger = require('../middleware/logger');
+require('dotenv').config();
+
+const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5; // Failed logins before the account is locked
+const LOGIN_LOCKOUT_DURATION = Number(process.env.LOGIN_LOCKOUT_DURATION) || 60000; // 1 minute for the first lockout
+const LOGIN_LOCKOUT_MAX_DURATION = Number(process.env.LOGIN_LOCKOUT_MAX_DURATION) || 24 * 60 * 60 * 1000; // 24 hours
+
+// Duration of a lockout, doubled for every lockout since the last successful login
+function lockoutDuration(lockoutCount) {
+    return Math.min(LOGIN_LOCKOUT_DURATION * Math.pow(2, lockoutCount), LOGIN_LOCKOUT_MAX_DURATION);
+}
+
+// Milliseconds until a locked account can log in again, 0 when it is not locked
+function lockoutRemaining(user) {
+    if (!user.locked_until) {
+        return 0;
+    }
+    return Math.max(new Date(user.locked_until).getTime() - Date.now(), 0);
+}
+
+// Count a failed login of a user and lock the account once LOGIN_MAX_ATTEMPTS is reached
+// Calls back with the time the account is locked until, or null if it was not locked
+function recordFailedLogin(user, callback) {
+    const query = 'UPDATE users SET failed_login_attempts = failed_login_attempts + 1 WHERE id = ? RETURNING failed_login_attempts, lockout_count';
+    db.get(query, [user.id], (err, counts) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!counts || counts.failed_login_attempts < LOGIN_MAX_ATTEMPTS) {
+            return callback(null, null);
+        }
+        const lockedUntil = new Date(Date.now() + lockoutDuration(counts.lockout_count)).toISOString();
+        const lockQuery = 'UPDATE users SET failed_login_attempts = 0, lockout_count = lockout_count + 1, locked_until = ? WHERE id = ?';
+        db.run(lockQuery, [lockedUntil, user.id], (err) => {
+            if (err) {
+                return callback(err);
+            }
+            logger.warn(`Account locked: ID ${user.id} after ${counts.failed_login_attempts} failed logins, lockout ${counts.lockout_count + 1} until ${lockedUntil}`);
+            callback(null, lockedUntil);
+        });
+    });
+}
+
+// Clear failed logins and lockouts of a user, after a successful login or an admin unlock
+function resetLockout(userId, callback) {
+    const query = 'UPDATE users SET failed_login_attempts = 0, lockout_count = 0, locked_until = NULL WHERE id = ?';
+    db.run(query, [userId], callback);
+}
+
+module.exports = { lockoutRemaining, recordFailedLogin, resetLockout };
\ No newline at end of file
@@ -0,0 +1,52 @@
+// Named permissions checked by the services, embedded in access tokens of users whose role grants them
+const PERMISSIONS = {
+    'users:read': 'List and view users',
+    'users:write': 'Update users and their roles',
+    'users:delete': 'Deactivate users, their tokens stop working and they can no longer log in',
+    'users:suspend': 'Suspend users and lift suspensions of users whose role does not outrank the own',
+    'users:restore': 'Restore deactivated users',
+    'users:purge': 'Permanently delete deactivated users',
+    'users:unlock': 'Unlock accounts locked out by failed logins',
+    'roles:read': 'List roles and their permissions',
+    'roles:manage': 'Create, change and delete roles',
+    'teams:manage': 'Put sales reps in the team of a manager',
+    'clients:manage': 'Register service clients and set the permissions of their machine tokens',
+    'keys:manage': 'Rotate and retire the keys signing access tokens',
+    'customers:read': 'List and view customers',
+    'customers:write': 'Create and update customers',
+    'customers:delete': 'Delete customers',
+    'customers:assign': 'Give customers to another owner',
+    'sales:read': 'List sales entries',
+    'sales:write': 'Create and update sales entries',
+    'sales:delete': 'Delete sales entries',
+    'sales:assign': 'Give sales entries to another owner',
+    'notes:read': 'List notes of customers and sales entries',
+    'notes:write': 'Add and update notes of customers and sales entries',
+    'notes:delete': 'Delete notes of customers and sales entries',
+    'records:team': 'Access customers and sales entries owned by the own team, not only the own and shared ones',
+    'records:all': 'Access customers and sales entries of every owner',
+    'portal:access': 'View and update the linked customer profile, its sales and the notes marked customer visible'
+};
+
+// Roles created with a new database, granting what the hardcoded role lists of earlier versions allowed
+const DEFAULT_ROLES = {
+    admin: Object.keys(PERMISSIONS),
+    manager: [
+        'users:read', 'users:write',
+        'customers:read', 'customers:write', 'customers:delete', 'customers:assign',
+        'sales:read', 'sales:write', 'sales:delete', 'sales:assign',
+        'notes:read', 'notes:write', 'notes:delete',
+        'records:team'
+    ],
+    sales_rep: [
+        'customers:read', 'customers:write',
+        'sales:read', 'sales:write',
+        'notes:read', 'notes:write'
+    ],
+    customer: ['portal:access']
+};
+
+// Roles that cannot be deleted, admin also always keeps the permission to manage roles
+const BUILT_IN_ROLES = ['admin'];
+
+module.exports = { PERMISSIONS, DEFAULT_ROLES, BUILT_IN_ROLES };
\ No newline at end of file
@@ -0,0 +1,136 @@
+const db = require('./db');
+const logger = require('../middleware/logger');
+const { PERMISSIONS, BUILT_IN_ROLES } = require('./permissions');
+const { runTransaction } = require('./transaction');
+
+// Role names as used in tokens, headers and query filters
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,31}$/;
+
+// Validate a role name - Returns an error message, or null if valid
+function validateRoleName(name) {
+    if (!ROLE_NAME_PATTERN.test(name)) {
+        return 'Role name must be 2-32 lowercase letters, digits or underscores and start with a letter';
+    }
+    return null;
+}
+
+// Validate a list of permissions - Returns an error message, or null if valid
+function validatePermissions(permissions) {
+    if (!Array.isArray(permissions)) {
+        return 'Permissions must be an array';
+    }
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+        return `Unknown permissions: ${unknown.join(', ')}`;
+    }
+    return null;
+}
+
+// Check if a role exists - Calls back with true or false
+function roleExists(role, callback) {
+    db.get('SELECT name FROM roles WHERE name = ?', [role], (err, row) => {
+        callback(err, Boolean(row));
+    });
+}
+
+// Permissions granted by a role, the admin role always has every permission
+function permissionsOf(role, callback) {
+    if (role === 'admin') {
+        return callback(null, Object.keys(PERMISSIONS));
+    }
+    db.all('SELECT permission FROM role_permissions WHERE role = ? ORDER BY permission', [role], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, rows.map(row => row.permission));
+    });
+}
+
+// Check if a role outranks a set of permissions, i.e. grants a permission missing from it - Calls back with true or false
+function outranks(role, permissions, callback) {
+    permissionsOf(role, (err, granted) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, granted.some(permission => !permissions.includes(permission)));
+    });
+}
+
+// All roles with their permissions and number of users
+function listRoles(callback) {
+    const query = `
+        SELECT roles.name, roles.created_at, roles.updated_at,
+               (SELECT COUNT(*) FROM users WHERE users.role = roles.name) AS users
+        FROM roles ORDER BY roles.name`;
+    db.all(query, [], (err, roles) => {
+        if (err) {
+            return callback(err);
+        }
+        db.all('SELECT role, permission FROM role_permissions ORDER BY permission', [], (err, rows) => {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, roles.map(role => ({
+                ...role,
+                builtIn: BUILT_IN_ROLES.includes(role.name),
+                permissions: role.name === 'admin'
+                    ? Object.keys(PERMISSIONS)
+                    : rows.filter(row => row.role === role.name).map(row => row.permission)
+            })));
+        });
+    });
+}
+
+// Create a role or replace its permissions - Calls back with true if the role was created
+// Access tokens of users with the role carry the old permissions, their token version is bumped so they refresh them
+function saveRole(role, permissions, callback) {
+    runTransaction((done) => {
+        roleExists(role, (err, exists) => {
+            if (err) {
+                return done(err);
+            }
+            done(null, [
+                exists
+                    ? ['UPDATE roles SET updated_at = CURRENT_TIMESTAMP WHERE name = ?', [role]]
+                    : ['INSERT INTO roles (name) VALUES (?)', [role]],
+                ['DELETE FROM role_permissions WHERE role = ?', [role]],
+                ...[...new Set(permissions)].map(permission => ['INSERT INTO role_permissions (role, permission) VALUES (?, ?)', [role, permission]]),
+                ['UPDATE users SET token_version = token_version + 1 WHERE role = ?', [role]]
+            ], exists);
+        });
+    }, (err, exists) => {
+        if (err) {
+            return callback(err);
+        }
+        logger.info(`Role ${exists ? 'updated' : 'created'}: ${role} with permissions ${permissions.join(', ') || 'none'}`);
+        callback(null, !exists);
+    });
+}
+
+// Delete a role no user has - Calls back with an error message when the role cannot be deleted
+function deleteRole(role, callback) {
+    if (BUILT_IN_ROLES.includes(role)) {
+        return callback(null, `Role ${role} cannot be deleted`);
+    }
+    db.get('SELECT COUNT(*) AS total FROM users WHERE role = ?', [role], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (result.total > 0) {
+            return callback(null, `Role ${role} is assigned to ${result.total} users`);
+        }
+        db.run('DELETE FROM role_permissions WHERE role = ?', [role], (err) => {
+            if (err) {
+                return callback(err);
+            }
+            db.run('DELETE FROM roles WHERE name = ?', [role], (err) => {
+                if (!err) {
+                    logger.info(`Role deleted: ${role}`);
+                }
+                callback(err, null);
+            });
+        });
+    });
+}
+
+module.exports = { validateRoleName, validatePermissions, roleExists, permissionsOf, outranks, listRoles, saveRole, deleteRole };
\ No newline at end of file
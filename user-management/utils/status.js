@@ -0,0 +1,41 @@
+const db = require('./db');
+const logger = require('../middleware/logger');
+const { revokeUserTokens } = require('./tokens');
+
+// Statuses of user accounts, only active users can log in and use their tokens
+// Deactivated users are kept so the customers, sales entries and notes they own still name them
+const USER_STATUSES = ['active', 'suspended', 'deactivated'];
+
+// Validate a status - Returns an error message, or null if valid
+function validateStatus(status) {
+    if (!USER_STATUSES.includes(status)) {
+        return `Status must be one of: ${USER_STATUSES.join(', ')}`;
+    }
+    return null;
+}
+
+// Check if a user row may log in and use tokens, rows of databases created before statuses count as active
+function isActive(user) {
+    return !user.status || user.status === 'active';
+}
+
+// Change the status of a user, sessions and unused password reset tokens of a user who is no longer active end
+function setStatus(userId, status, reason, callback) {
+    db.run('UPDATE users SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [status, userId], (err) => {
+        if (err) {
+            return callback(err);
+        }
+        logger.warn(`User ID ${userId} is now ${status}: ${reason}`);
+        if (status === 'active') {
+            return callback(null);
+        }
+        revokeUserTokens(userId, reason, (err) => {
+            if (err) {
+                return callback(err);
+            }
+            db.run('UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL', [userId], callback);
+        });
+    });
+}
+
+module.exports = { USER_STATUSES, validateStatus, isActive, setStatus };
\ No newline at end of file
@@ -0,0 +1,57 @@
+const db = require('./db');
+const logger = require('../middleware/logger');
+
+// Manager and members of the team a user manages - Calls back with null if the user does not exist
+function teamOf(userId, callback) {
+    db.get('SELECT id, name, email, role, manager_id FROM users WHERE id = ?', [userId], (err, user) => {
+        if (err || !user) {
+            return callback(err, null);
+        }
+        db.all('SELECT id, name, email, role, status FROM users WHERE manager_id = ? ORDER BY name', [user.id], (err, members) => {
+            if (err) {
+                return callback(err);
+            }
+            callback(null, { manager: { id: user.id, name: user.name, email: user.email, role: user.role }, members });
+        });
+    });
+}
+
+// Put a user in the team of a manager, or out of any team with a null manager
+// Calls back with an error message when the manager does not exist, is deactivated or would end up in their own team
+function setManager(userId, managerId, callback) {
+    if (managerId === null) {
+        return db.run('UPDATE users SET manager_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [userId], (err) => {
+            if (!err) {
+                logger.info(`User ID ${userId} removed from their team`);
+            }
+            callback(err, null);
+        });
+    }
+    if (Number(managerId) === Number(userId)) {
+        return callback(null, 'A user cannot manage themselves');
+    }
+    db.get('SELECT id, manager_id, status FROM users WHERE id = ?', [managerId], (err, manager) => {
+        if (err) {
+            return callback(err);
+        } else if (!manager) {
+            return callback(null, 'Manager not found');
+        } else if (manager.status === 'deactivated') {
+            return callback(null, 'Manager is deactivated');
+        } else if (Number(manager.manager_id) === Number(userId)) {
+            return callback(null, 'The manager is a member of the team of this user');
+        }
+        db.run('UPDATE users SET manager_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [managerId, userId], (err) => {
+            if (!err) {
+                logger.info(`User ID ${userId} added to the team of manager ID ${managerId}`);
+            }
+            callback(err, null);
+        });
+    });
+}
+
+// Release the members of the team of a purged manager
+function dissolveTeam(managerId, callback) {
+    db.run('UPDATE users SET manager_id = NULL WHERE manager_id = ?', [managerId], callback);
+}
+
+module.exports = { teamOf, setManager, dissolveTeam };
\ No newline at end of file
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('./db');
+const logger = require('../middleware/logger');
+const { permissionsOf } = require('./roles');
+const { CLIENT_ROLE } = require('./clients');
+const { signToken } = require('./keys');
+require('dotenv').config();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '1h';
+const CLIENT_TOKEN_TTL = process.env.CLIENT_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = Number(process.env.REFRESH_TOKEN_TTL) || 7 * 24 * 60 * 60 * 1000; // 7 days
+const PASSWORD_RESET_TTL = Number(process.env.PASSWORD_RESET_TTL) || 30 * 60 * 1000; // 30 minutes
+
+// Refresh and password reset tokens are only stored as hashes
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Sign a short lived access token carrying the permissions of the user's role and the user's current token version
+function signAccessToken(user, permissions, callback) {
+    signToken({ id: user.id, role: user.role, permissions, tokenVersion: user.token_version || 0 }, ACCESS_TOKEN_TTL, callback);
+}
+
+// Sign a machine token of a service client, it names the client instead of a user and has no refresh token
+// Calls back with the token and its lifetime in seconds
+function issueClientToken(client, permissions, callback) {
+    const payload = { clientId: client.client_id, role: CLIENT_ROLE, permissions, tokenVersion: client.token_version || 0 };
+    signToken(payload, CLIENT_TOKEN_TTL, (err, token) => {
+        if (err) {
+            return callback(err);
+        }
+        const { iat, exp } = jwt.decode(token);
+        callback(null, { token, expiresIn: exp - iat });
+    });
+}
+
+// Store a new refresh token of a user - Calls back with the token and the id of its row
+function createRefreshToken(userId, callback) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL).toISOString();
+    const query = 'INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)';
+    db.run(query, [userId, hashToken(token), expiresAt], function(err) {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, token, this.lastID);
+    });
+}
+
+// Issue an access token and a refresh token for a user row
+function issueTokens(user, callback) {
+    permissionsOf(user.role, (err, permissions) => {
+        if (err) {
+            return callback(err);
+        }
+        signAccessToken(user, permissions, (err, token) => {
+            if (err) {
+                return callback(err);
+            }
+            createRefreshToken(user.id, (err, refreshToken) => {
+                if (err) {
+                    return callback(err);
+                }
+                callback(null, { token, refreshToken });
+            });
+        });
+    });
+}
+
+// Invalidate every access and refresh token of a user by bumping their token version
+function revokeUserTokens(userId, reason, callback) {
+    db.run('UPDATE users SET token_version = token_version + 1 WHERE id = ?', [userId], (err) => {
+        if (err) {
+            return callback(err);
+        }
+        const query = 'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL';
+        db.run(query, [userId], (err) => {
+            if (err) {
+                return callback(err);
+            }
+            logger.info(`Revoked all tokens of user ID ${userId}: ${reason}`);
+            callback(null);
+        });
+    });
+}
+
+// Exchange a refresh token for a new token pair, the presented token can only be used once
+// Calls back with (err, result) where result is { user, tokens } or { error } when the token is not accepted
+function rotateRefreshToken(refreshToken, callback) {
+    const query = `
+        SELECT refresh_tokens.id, refresh_tokens.user_id, refresh_tokens.expires_at, refresh_tokens.revoked_at,
+               users.id IS NOT NULL AS user_exists, users.name, users.email, users.role, users.token_version, users.status
+        FROM refresh_tokens LEFT JOIN users ON users.id = refresh_tokens.user_id
+        WHERE refresh_tokens.token_hash = ?`;
+    db.get(query, [hashToken(refreshToken)], (err, row) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!row || !row.user_exists) {
+            return callback(null, { error: 'Invalid refresh token' });
+        }
+        if (row.status !== 'active') {
+            return callback(null, { error: `Account is ${row.status}` });
+        }
+        if (row.revoked_at) {
+            // A used or revoked token presented again may have been stolen, end every session of the user
+            logger.warn(`Refresh token reuse detected for user ID ${row.user_id}`);
+            return revokeUserTokens(row.user_id, 'refresh token reuse', (err) => {
+                callback(err, { error: 'Invalid refresh token' });
+            });
+        }
+        if (new Date(row.expires_at).getTime() <= Date.now()) {
+            return callback(null, { error: 'Refresh token expired' });
+        }
+
+        // Only one of concurrent refreshes with the same token wins the update
+        db.run('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL', [row.id], function(err) {
+            if (err) {
+                return callback(err);
+            }
+            if (this.changes === 0) {
+                return callback(null, { error: 'Invalid refresh token' });
+            }
+            const user = { id: row.user_id, name: row.name, email: row.email, role: row.role, token_version: row.token_version };
+            permissionsOf(user.role, (err, permissions) => {
+                if (err) {
+                    return callback(err);
+                }
+                createRefreshToken(user.id, (err, newRefreshToken, newId) => {
+                    if (err) {
+                        return callback(err);
+                    }
+                    db.run('UPDATE refresh_tokens SET replaced_by = ? WHERE id = ?', [newId, row.id], (err) => {
+                        if (err) {
+                            return callback(err);
+                        }
+                        signAccessToken(user, permissions, (err, token) => {
+                            if (err) {
+                                return callback(err);
+                            }
+                            callback(null, { user, tokens: { token, refreshToken: newRefreshToken } });
+                        });
+                    });
+                });
+            });
+        });
+    });
+}
+
+// Check the token version of a verified access token against the current one of its user or service client
+// Calls back with true if still valid, tokens of suspended and deactivated users are never valid
+function isTokenCurrent(payload, callback) {
+    const query = payload.clientId
+        ? 'SELECT token_version FROM service_clients WHERE client_id = ?'
+        : 'SELECT token_version, status FROM users WHERE id = ?';
+    db.get(query, [payload.clientId || payload.id], (err, owner) => {
+        if (err) {
+            return callback(err);
+        }
+        const active = Boolean(owner) && (payload.clientId || owner.status === 'active');
+        callback(null, active && owner.token_version === (payload.tokenVersion || 0));
+    });
+}
+
+// Store a new password reset token of a user, earlier unused reset tokens of the user stop working - Calls back with the token
+function createPasswordResetToken(userId, callback) {
+    db.run('UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL', [userId], (err) => {
+        if (err) {
+            return callback(err);
+        }
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL).toISOString();
+        const query = 'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)';
+        db.run(query, [userId, hashToken(token), expiresAt], (err) => {
+            callback(err, token);
+        });
+    });
+}
+
+// Mark a password reset token as used - Calls back with the id of its user, or null if it is unknown, used or expired
+function consumePasswordResetToken(token, callback) {
+    const query = `
+        UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+        RETURNING user_id`;
+    db.get(query, [hashToken(token), new Date().toISOString()], (err, row) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, row ? row.user_id : null);
+    });
+}
+
+// Delete the stored refresh tokens, password reset tokens and recovery codes of a purged user
+function deleteUserCredentials(userId, callback) {
+    db.run('DELETE FROM refresh_tokens WHERE user_id = ?', [userId], (err) => {
+        if (err) {
+            return callback(err);
+        }
+        db.run('DELETE FROM password_reset_tokens WHERE user_id = ?', [userId], (err) => {
+            if (err) {
+                return callback(err);
+            }
+            db.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId], callback);
+        });
+    });
+}
+
+module.exports = {
+    signAccessToken,
+    issueClientToken,
+    issueTokens,
+    revokeUserTokens,
+    rotateRefreshToken,
+    isTokenCurrent,
+    createPasswordResetToken,
+    consumePasswordResetToken,
+    deleteUserCredentials
+};
\ No newline at end of file
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+
+// Time based one time passwords (RFC 6238) as generated by authenticator apps
+const TOTP_STEP = 30; // seconds
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Steps accepted before and after the current one, for clock drift
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = '';
+    buffer.forEach(byte => {
+        bits += byte.toString(2).padStart(8, '0');
+    });
+    let encoded = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return encoded;
+}
+
+function base32Decode(encoded) {
+    let bits = '';
+    encoded.replace(/=+$/, '').toUpperCase().split('').forEach(char => {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        bits += value.toString(2).padStart(5, '0');
+    });
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+// New random secret, base32 encoded the way authenticator apps expect it
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+// Time step of a moment in milliseconds
+function timeStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP_STEP);
+}
+
+// Code of a secret for a time step
+function generateCode(secret, step = timeStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+// Check a code against the steps around now - Returns the matching time step, or null if the code is wrong
+function verifyCode(secret, code, now = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+        return null;
+    }
+    const current = timeStep(now);
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// otpauth:// URI that authenticator apps read from a QR code
+function provisioningUri(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(TOTP_DIGITS), period: String(TOTP_STEP) });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = { generateSecret, generateCode, verifyCode, provisioningUri };
\ No newline at end of file
@@ -0,0 +1,64 @@
+const db = require('./db');
+const logger = require('../middleware/logger');
+
+// Transactions share the one database connection, which cannot nest them - They are queued and run one at a time
+const queue = [];
+let running = false;
+
+// Run statements in one transaction once the transactions queued before are done
+// prepare(done) reads what it needs inside the queue and calls done(err, statements, result) with [query, params] pairs
+// The transaction is rolled back on the first failing statement, callback receives the error or the result
+function runTransaction(prepare, callback) {
+    queue.push({ prepare, callback });
+    if (!running) {
+        next();
+    }
+}
+
+// Start the next queued transaction
+function next() {
+    const task = queue.shift();
+    running = Boolean(task);
+    if (!task) {
+        return;
+    }
+    const finish = (err, result) => {
+        task.callback(err, result);
+        next();
+    };
+    task.prepare((err, statements, result) => {
+        if (err) {
+            return finish(err);
+        }
+        runStatements(statements, (err) => finish(err, result));
+    });
+}
+
+// Run statements one after another between BEGIN and COMMIT, stopping at the first error
+function runStatements(statements, callback) {
+    db.run('BEGIN TRANSACTION', [], (err) => {
+        if (err) {
+            return callback(err);
+        }
+        const runFrom = (index) => {
+            if (index === statements.length) {
+                return db.run('COMMIT', [], (err) => err ? rollback(err, callback) : callback(null));
+            }
+            const [query, params] = statements[index];
+            db.run(query, params, (err) => err ? rollback(err, callback) : runFrom(index + 1));
+        };
+        runFrom(0);
+    });
+}
+
+// Undo a failed transaction and report the error that failed it
+function rollback(err, callback) {
+    db.run('ROLLBACK', [], (rollbackErr) => {
+        if (rollbackErr) {
+            logger.error(`Database Error: Rollback failed: ${rollbackErr.message}`);
+        }
+        callback(err);
+    });
+}
+
+module.exports = { runTransaction };
\ No newline at end of file
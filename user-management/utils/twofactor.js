@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('./db');
+const logger = require('../middleware/logger');
+const { generateSecret, verifyCode, provisioningUri } = require('./totp');
+require('dotenv').config();
+
+const SECRET_KEY = process.env.SECRET_KEY;
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin').split(',').map(role => role.trim()).filter(Boolean);
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'CRM';
+const CHALLENGE_TOKEN_TTL = process.env.CHALLENGE_TOKEN_TTL || '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+// Purposes of challenge tokens
+const CHALLENGE_LOGIN = 'two_factor_login';
+const CHALLENGE_SETUP = 'two_factor_setup';
+
+// Without SECRET_KEY no challenge token could be signed, so the service refuses to start instead of failing on the first login
+if (!SECRET_KEY) {
+    throw new Error('SECRET_KEY must be set to sign two-factor challenge tokens');
+}
+
+// Challenge tokens are signed with a key derived from SECRET_KEY, so services never accept them as access tokens
+const CHALLENGE_KEY = crypto.createHmac('sha256', SECRET_KEY).update('two-factor-challenge').digest('hex');
+
+// Check if the role of a user requires two-factor authentication
+function isRequired(user) {
+    return TWO_FACTOR_REQUIRED_ROLES.includes(user.role);
+}
+
+// Short lived token proving the password step of a login
+function signChallenge(user, purpose) {
+    return jwt.sign({ id: user.id, role: user.role, tokenVersion: user.token_version || 0, purpose }, CHALLENGE_KEY, { expiresIn: CHALLENGE_TOKEN_TTL });
+}
+
+// Verify a challenge token for a purpose - Returns its payload, or null if missing, invalid, expired or for another purpose
+function verifyChallenge(token, purpose) {
+    if (!token) {
+        return null;
+    }
+    try {
+        const payload = jwt.verify(token, CHALLENGE_KEY);
+        return payload.purpose === purpose ? payload : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+}
+
+// Replace the recovery codes of a user - Calls back with the new codes, which are only stored as hashes
+function regenerateRecoveryCodes(userId, callback) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    db.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId], (err) => {
+        if (err) {
+            return callback(err);
+        }
+        const placeholders = codes.map(() => '(?, ?)').join(', ');
+        const params = codes.reduce((values, code) => values.concat([userId, hashRecoveryCode(code)]), []);
+        db.run(`INSERT INTO recovery_codes (user_id, code_hash) VALUES ${placeholders}`, params, (err) => {
+            callback(err, codes);
+        });
+    });
+}
+
+// Start enrollment with a new secret, two-factor authentication stays off until a code of the secret is confirmed
+function startSetup(user, callback) {
+    const secret = generateSecret();
+    db.run('UPDATE users SET totp_secret = ?, totp_enabled = 0, totp_last_step = NULL WHERE id = ?', [secret, user.id], (err) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, { secret, otpauthUrl: provisioningUri(secret, user.email, TWO_FACTOR_ISSUER) });
+    });
+}
+
+// Accept a code of a time step only once - Calls back with true if the step was not used before
+function useStep(userId, step, callback) {
+    const query = 'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)';
+    db.run(query, [step, userId, step], function(err) {
+        callback(err, !err && this.changes === 1);
+    });
+}
+
+// Confirm enrollment with a code of the pending secret - Calls back with the recovery codes, or null if the code is wrong
+function enable(user, code, callback) {
+    const step = user.totp_secret ? verifyCode(user.totp_secret, code) : null;
+    if (step === null) {
+        return callback(null, null);
+    }
+    useStep(user.id, step, (err, fresh) => {
+        if (err || !fresh) {
+            return callback(err, null);
+        }
+        db.run('UPDATE users SET totp_enabled = 1 WHERE id = ?', [user.id], (err) => {
+            if (err) {
+                return callback(err);
+            }
+            regenerateRecoveryCodes(user.id, (err, codes) => {
+                if (err) {
+                    return callback(err);
+                }
+                logger.info(`Two-factor authentication enabled: ID ${user.id}`);
+                callback(null, codes);
+            });
+        });
+    });
+}
+
+// Turn two-factor authentication off and forget the secret and recovery codes
+function disable(userId, callback) {
+    db.run('UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL WHERE id = ?', [userId], (err) => {
+        if (err) {
+            return callback(err);
+        }
+        db.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId], (err) => {
+            if (!err) {
+                logger.warn(`Two-factor authentication disabled: ID ${userId}`);
+            }
+            callback(err);
+        });
+    });
+}
+
+// Check the second factor of a user, a TOTP code or an unused recovery code - Calls back with true if accepted
+function verifySecondFactor(user, { code, recoveryCode }, callback) {
+    if (recoveryCode) {
+        const query = 'UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL';
+        return db.run(query, [user.id, hashRecoveryCode(recoveryCode)], function(err) {
+            if (!err && this.changes === 1) {
+                logger.warn(`Recovery code used: ID ${user.id}`);
+            }
+            callback(err, !err && this.changes === 1);
+        });
+    }
+    const step = user.totp_enabled && user.totp_secret ? verifyCode(user.totp_secret, code) : null;
+    if (step === null) {
+        return callback(null, false);
+    }
+    useStep(user.id, step, callback);
+}
+
+module.exports = {
+    CHALLENGE_LOGIN,
+    CHALLENGE_SETUP,
+    isRequired,
+    signChallenge,
+    verifyChallenge,
+    startSetup,
+    enable,
+    disable,
+    regenerateRecoveryCodes,
+    verifySecondFactor
+};
\ No newline at end of file